@@ -1,5 +1,6 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { ComicioProvider } from './context/ComicioContext';
 import LoginForm from './components/LoginForm';
 import Dashboard from './components/Dashboard';
 import useBackButton from './hooks/useBackButton';
@@ -14,7 +15,10 @@ import InstallPWAModal from './components/InstallPWAModal';
  *
  * Características:
  * - Envuelve la aplicación en AuthProvider para contexto global de autenticación
- * - Muestra LoginForm o Dashboard según estado de autenticación
+ *   y en ComicioProvider para la configuración del comicio vigente
+ * - Muestra LoginForm o Dashboard según estado de autenticación, con un splash
+ *   mientras AuthProvider restaura la sesión persistida (evita mostrar el login
+ *   por un instante al recargar o relanzar la PWA)
  * - Implementa modal de confirmación de cierre de sesión compartido entre
  *   el botón "atrás" del dispositivo y el botón "Cerrar Sesión" del Dashboard
  * - Gestiona el comportamiento del botón "atrás" del navegador/dispositivo:
@@ -25,6 +29,8 @@ import InstallPWAModal from './components/InstallPWAModal';
  *     · Al autenticarse: agrega UNA sola entrada con pushState
  *     · Durante la sesión: useBackButton usa replaceState, nunca pushState
  *     · Al abrir sidebar: usa replaceState, no agrega entradas nuevas
+ *     · Vista, filtros y página en la URL (utils/urlState.js): también con
+ *       replaceState, conservando el history.state de la entrada propia
  *     · Al hacer logout: retrocede exactamente 1 posición (la entrada propia)
  *     · Solo limpia el historial si hubo sesión previa, evitando que el
  *       primer render en Chrome navegador retroceda a la página anterior
@@ -104,6 +110,18 @@ function ExitConfirmationModal({ onConfirm, onCancel }) {
   );
 }
 
+/**
+ * Pantalla de carga mostrada mientras se restaura la sesión al iniciar la app
+ */
+function SessionSplash() {
+  return (
+    <main className="min-h-screen flex flex-col items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100">
+      <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      <p className="mt-4 text-sm text-gray-600">Restaurando sesión...</p>
+    </main>
+  );
+}
+
 /**
  * Componente AppContent
  *
@@ -115,7 +133,7 @@ function ExitConfirmationModal({ onConfirm, onCancel }) {
  * inyectadas por vite.config.js, sin necesidad de pasarlas como props.
  */
 function AppContent() {
-  const { user, logout } = useAuth();
+  const { user, logout, isInitializing } = useAuth();
 
   // Estado del sidebar compartido entre AppContent y Dashboard
   // Se maneja aquí para que useBackButton pueda abrirlo al presionar "atrás"
@@ -265,6 +283,10 @@ function AppContent() {
     canNativeInstall
   } = useInstallPWA();
 
+  if (isInitializing) {
+    return <SessionSplash />;
+  }
+
   return (
     <main>
       {user
@@ -305,13 +327,15 @@ function AppContent() {
 function App() {
   return (
     <AuthProvider>
-      <div className="font-sans antialiased">
-        {/* AppContent no recibe appVersion como prop: la versión, licencia y
-            fecha de actualización se leen directamente desde las variables
-            globales del build (__APP_VERSION__, __APP_LICENSE__, __LAST_UPDATED__)
-            en los componentes que las necesitan */}
-        <AppContent />
-      </div>
+      <ComicioProvider>
+        <div className="font-sans antialiased">
+          {/* AppContent no recibe appVersion como prop: la versión, licencia y
+              fecha de actualización se leen directamente desde las variables
+              globales del build (__APP_VERSION__, __APP_LICENSE__, __LAST_UPDATED__)
+              en los componentes que las necesitan */}
+          <AppContent />
+        </div>
+      </ComicioProvider>
     </AuthProvider>
   );
 }
@@ -67,7 +67,7 @@ export default function ControlView() {
   const renderTabContent = () => {
     switch (activeTab) {
       case 'mesas':
-        return <MesasView />;
+        return <MesasView userTypes={userTypes} />;
 
       case 'fiscales':
         return (
@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import { Menu, LogOut } from 'lucide-react';
 import Sidebar from './Sidebar';
 import SearchForm from './SearchForm';
@@ -17,8 +17,34 @@ import PadronesView from './PadronesView';
 import SettingsView from './SettingsView';
 import PerfilView from './PerfilView';
 import ControlView from './ControlView';
+import { buscarPadron, sugerirBusqueda } from '../services/busquedaPadronService';
+import { useCan } from '../hooks/useCan';
+import {
+  getUrlParam,
+  setUrlView,
+  updateUrlParams,
+  searchFiltersToParams,
+  searchFiltersFromUrl,
+  VIEW_PARAMS
+} from '../utils/urlState';
+import CopyLinkButton from './shared/CopyLinkButton';
+import DniMatchBanner from './shared/DniMatchBanner';
+import RecordatorioTestigo from './testigo/RecordatorioTestigo';
 //import { loadEmopicksWithCount } from '../utils/emopicksUtils';
 
+// Columnas y relaciones de cada resultado de búsqueda en el padrón
+const PADRON_SEARCH_SELECT = `
+  *,
+  emopicks(
+    id,
+    display
+  ),
+  mesas!inner(
+    numero,
+    mesa_localidad
+  )
+`;
+
 /**
  * Componente Dashboard - Panel principal de la aplicación
  *
@@ -64,16 +90,48 @@ export default function Dashboard({ sidebarOpen, setSidebarOpen, onLogoutRequest
     }
   };
 
+  const can = useCan();
+
+  /**
+   * Indica si el usuario puede abrir una vista (mismas reglas que el Sidebar)
+   */
+  const canOpenView = (view) => {
+    if (view === 'perfil') return can('perfil.edit');
+    if (view === 'testigo' && !FEATURES.MESA_TESTIGO_ENABLED) return false;
+    return can(`view.${view}`);
+  };
+
   // Estado para controlar qué vista está activa (search, fiscalizar, stats, etc.)
-  const [activeView, setActiveView] = useState('search');
+  // La vista inicial sale de la URL (?vista=..., ya con los enlaces directos
+  // resueltos en main.jsx) si el usuario tiene permiso para abrirla
+  const [activeView, setActiveView] = useState(() => {
+    const urlView = getUrlParam('vista');
+    return urlView && canOpenView(urlView) ? urlView : 'search';
+  });
+
+  // Reflejar la vista activa en la URL: al montar corrige una vista ausente o
+  // sin permiso; después de changeView la URL ya coincide y no se reescribe
+  useEffect(() => {
+    setUrlView(activeView);
+  }, [activeView]);
+
+  /**
+   * Cambia de vista y la refleja en la URL. La URL se actualiza antes de
+   * montar la nueva vista para que esta pueda escribir sus propios
+   * parámetros sin que se descarten.
+   */
+  const changeView = useCallback((view) => {
+    setUrlView(view);
+    setActiveView(view);
+  }, []);
 
   // Efecto para prevenir navegación a vistas deshabilitadas
   useEffect(() => {
     if (activeView === 'testigo' && !FEATURES.MESA_TESTIGO_ENABLED) {
       // Si el usuario intenta acceder a testigo y está deshabilitado, redirigir a search
-      setActiveView('search');
+      changeView('search');
     }
-  }, [activeView]);
+  }, [activeView, changeView]);
   
   // Estado para almacenar los resultados de búsqueda en el padrón
   const [searchResults, setSearchResults] = useState([]);
@@ -93,6 +151,10 @@ export default function Dashboard({ sidebarOpen, setSidebarOpen, onLogoutRequest
   });
   const [totalCount, setTotalCount] = useState(0);
   const [currentFilters, setCurrentFilters] = useState(null);
+  // Búsqueda corregida propuesta cuando una búsqueda por nombre no encuentra nada
+  const [searchSuggestion, setSearchSuggestion] = useState(null);
+  // Datos del último DNI escaneado, para comparar con el registro encontrado
+  const [scannedDni, setScannedDni] = useState(null);
 
   // Estado para almacenar las localidades disponibles
   const [availableLocalities, setAvailableLocalities] = useState([]);
@@ -154,6 +216,8 @@ export default function Dashboard({ sidebarOpen, setSidebarOpen, onLogoutRequest
         const { data, error } = await supabase
         .from('emopicks')
         .select('id, display')
+        .eq('archivado', false)
+        .order('orden')
         .order('id');
 
         if (error) {
@@ -211,6 +275,9 @@ export default function Dashboard({ sidebarOpen, setSidebarOpen, onLogoutRequest
   const handleClearSearch = () => {
     setSearchResults([]);
     setHasSearched(false);
+    setSearchSuggestion(null);
+    setScannedDni(null);
+    updateUrlParams(Object.fromEntries(VIEW_PARAMS.search.map(key => [key, null])));
   };
 
   /**
@@ -223,32 +290,62 @@ export default function Dashboard({ sidebarOpen, setSidebarOpen, onLogoutRequest
    * 4. Limita los resultados a 50 para mejor rendimiento *** ya NOOO *** muestra PAGINADO
    * 5. Actualiza el estado con los resultados
    *
+   * Apellido y nombre se buscan juntos en el servidor (buscar_padron): sin
+   * acentos, en cualquier orden, tolerando errores de tipeo y ordenados por
+   * relevancia. Si no hay resultados se pide una sugerencia ("quisiste decir").
+   *
+   * Los filtros y la página se escriben en la URL para poder recargar o
+   * compartir la búsqueda.
+   *
    * @param {Object} filters - Objeto con los filtros de búsqueda
    * @param {number} page - Número de página a consultar
    * @param {number} customPageSize - Tamaño de página personalizado (opcional, usa el estado si no se provee)
    */
-  const handleSearch = async (filters, page = 1, customPageSize = null) => {
+  const handleSearch = useCallback(async (filters, page = 1, customPageSize = null) => {
     setIsSearching(true);
     setHasSearched(true);
     setCurrentFilters(filters);
+    setCurrentPage(page);
     if (page === 1) {
-      setCurrentPage(1);
+      setSearchSuggestion(null);
     }
+    updateUrlParams(searchFiltersToParams(filters, page));
 
     const effectivePageSize = customPageSize !== null ? customPageSize : pageSize;
+    const from = (page - 1) * effectivePageSize;
+    const to = from + effectivePageSize - 1;
+    const texto = [filters.apellido, filters.nombre].filter(Boolean).join(' ').trim();
 
     try {
-      let query = supabase.from('padron').select(`
-        *,
-        emopicks(
-          id,
-          display
-        ),
-        mesas!inner(
-          numero,
-          mesa_localidad
-        )
-      `, { count: 'exact' });
+      if (texto && !filters.documento) {
+        const { documentos, total } = await buscarPadron(texto, filters, {
+          limit: effectivePageSize,
+          offset: from
+        });
+
+        let rows = [];
+        if (documentos.length > 0) {
+          const { data, error } = await supabase
+            .from('padron')
+            .select(PADRON_SEARCH_SELECT)
+            .in('documento', documentos);
+
+          if (error) throw error;
+
+          // Respeta el orden por relevancia de buscar_padron
+          const byDocumento = new Map((data || []).map(record => [record.documento, record]));
+          rows = documentos.map(documento => byDocumento.get(documento)).filter(Boolean);
+        } else if (page === 1) {
+          setSearchSuggestion(await sugerirBusqueda(texto));
+        }
+
+        setSearchResults(rows);
+        setTotalCount(total);
+        setIsSearching(false);
+        return;
+      }
+
+      let query = supabase.from('padron').select(PADRON_SEARCH_SELECT, { count: 'exact' });
 
       if (filters.documento) {
         const docNumber = parseInt(filters.documento);
@@ -259,14 +356,6 @@ export default function Dashboard({ sidebarOpen, setSidebarOpen, onLogoutRequest
         }
       }
 
-      if (filters.apellido) {
-        query = query.ilike('apellido', `%${filters.apellido}%`);
-      }
-
-      if (filters.nombre) {
-        query = query.ilike('nombre', `%${filters.nombre}%`);
-      }
-
       if (filters.localidad) {
         query = query.ilike('mesas.mesa_localidad', `%${filters.localidad}%`);
       }
@@ -302,9 +391,6 @@ export default function Dashboard({ sidebarOpen, setSidebarOpen, onLogoutRequest
         query = query.order('apellido', { ascending: true }).order('nombre', { ascending: true });
       }
 
-      const from = (page - 1) * effectivePageSize;
-      const to = from + effectivePageSize - 1;
-
       const { data, error, count } = await query.range(from, to);
 
       if (error) {
@@ -322,6 +408,50 @@ export default function Dashboard({ sidebarOpen, setSidebarOpen, onLogoutRequest
     }
 
     setIsSearching(false);
+  }, [pageSize]);
+
+  // Repite la búsqueda indicada en la URL (enlace compartido o recarga),
+  // solo la primera vez que se monta el Dashboard
+  const urlSearchReplayed = useRef(false);
+  useEffect(() => {
+    if (urlSearchReplayed.current) return;
+    urlSearchReplayed.current = true;
+
+    if (activeView !== 'search') return;
+    const fromUrl = searchFiltersFromUrl();
+    if (fromUrl) {
+      handleSearch(fromUrl.filters, fromUrl.page);
+    }
+  }, [activeView, handleSearch]);
+
+  /**
+   * Búsqueda iniciada desde el formulario: descarta el DNI escaneado
+   *
+   * @param {Object} filters - Filtros de búsqueda
+   */
+  const handleFormSearch = (filters) => {
+    setScannedDni(null);
+    handleSearch(filters);
+  };
+
+  /**
+   * Busca el documento de un DNI escaneado y guarda sus datos para
+   * señalar diferencias con el padrón
+   *
+   * @param {Object} dni - Datos del DNI (ver utils/dniBarcode.js)
+   */
+  const handleDniScan = (dni) => {
+    setScannedDni(dni);
+    handleSearch({ documento: String(dni.documento) });
+  };
+
+  /**
+   * Repite la búsqueda con el texto sugerido en lugar de apellido y nombre
+   *
+   * @param {string} suggestion - Texto propuesto por sugerir_busqueda
+   */
+  const handleSuggestionSelect = (suggestion) => {
+    handleSearch({ ...currentFilters, apellido: suggestion, nombre: undefined });
   };
 
   const handlePageChange = (page) => {
@@ -351,22 +481,31 @@ export default function Dashboard({ sidebarOpen, setSidebarOpen, onLogoutRequest
         return (
           <div className="space-y-5">
             <SearchForm
-              onSearch={handleSearch}
+              onSearch={handleFormSearch}
               isLoading={isSearching}
               availableLocalities={availableLocalities}
               onClear={handleClearSearch}
+              appliedFilters={currentFilters}
+              onDniScan={handleDniScan}
+            />
+            <DniMatchBanner
+              dni={scannedDni}
+              records={searchResults}
+              isLoading={isSearching}
+              onDismiss={() => setScannedDni(null)}
             />
             {hasSearched && (
               <SearchResults
                 results={searchResults}
                 isLoading={isSearching}
-                userRole={user?.usuario_tipo}
                 availableEmopicks={availableEmopicks}
                 currentPage={currentPage}
                 pageSize={pageSize}
                 totalCount={totalCount}
                 onPageChange={handlePageChange}
                 onPageSizeChange={handlePageSizeChange}
+                suggestion={searchSuggestion}
+                onSuggestionSelect={handleSuggestionSelect}
               />
             )}
           </div>
@@ -421,7 +560,7 @@ export default function Dashboard({ sidebarOpen, setSidebarOpen, onLogoutRequest
         isOpen={sidebarOpen} 
         setIsOpen={setSidebarOpen}
         activeView={activeView}
-        setActiveView={setActiveView}
+        setActiveView={changeView}
       />
       
       <div className="flex-1 flex flex-col overflow-hidden">
@@ -450,6 +589,9 @@ export default function Dashboard({ sidebarOpen, setSidebarOpen, onLogoutRequest
             </div>
             
             <div className="flex items-center space-x-4">
+              {/* Copia el enlace de la vista actual (la PWA instalada no muestra la barra de direcciones) */}
+              <CopyLinkButton />
+
               {/* Botón de cerrar sesión: abre el modal de confirmación en lugar de
                 hacer logout directo, para consistencia con el botón "atrás" */}
               <button
@@ -466,6 +608,10 @@ export default function Dashboard({ sidebarOpen, setSidebarOpen, onLogoutRequest
 
         {/* Contenido principal que cambia según la vista activa */}
         <main className="flex-1 overflow-auto p-4">
+          {/* Recordatorio del cronograma de Mesa Testigo para el fiscal de la mesa */}
+          <RecordatorioTestigo
+            onOpen={activeView === 'testigo' ? undefined : () => changeView('testigo')}
+          />
           {renderContent()}
         </main>
       </div>
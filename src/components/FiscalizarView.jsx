@@ -1,17 +1,37 @@
-import React, { useState, useEffect } from 'react';
-import { AlertCircle, Users, CheckCircle, Clock, ChevronRight, BarChart3, TrendingUp, X } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { AlertCircle, Users, CheckCircle, Clock, ChevronRight, BarChart3, TrendingUp, X, CloudOff, RefreshCw, AlertTriangle, Wifi, WifiOff } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { useComicio } from '../context/ComicioContext';
 import { supabase } from '../lib/supabase';
+import { useOfflineVotes } from '../hooks/useOfflineVotes';
+import { useCan } from '../hooks/useCan';
+import {
+  PADRON_FISCALIZAR_SELECT,
+  applyVoteAction,
+  applyPendingToRecords,
+  cachePadronMesa,
+  describeVoteConflict,
+  filterPadronLocal,
+  getCachedPadronMesa,
+  getPendingVoteActions,
+  getVoteFields,
+  isNetworkError
+} from '../services/offlineVotesService';
 import FiscalizarSearchForm from './fiscalizar/FiscalizarSearchForm';
 import FiscalizarResults from './fiscalizar/FiscalizarResults';
+import DniMatchBanner from './shared/DniMatchBanner';
 import {
   calcularTendenciaProyectada,
   calcularAsistenciaActual,
   obtenerAsistenciaHistorica,
   obtenerHoraFormateada,
   obtenerColorTendencia,
-  obtenerIndiceHistorico
+  obtenerIndiceHistorico,
+  obtenerHoraInicioTendencia,
+  seleccionarCurva
 } from '../utils/tendenciaParticipacion';
+import { obtenerHorario, validarVentanaVotacion } from '../utils/comicioUtils';
+import { sumMesaTotals } from '../utils/mesaTotals';
 
 /**
  * Componente FiscalizarView - Vista principal para la fiscalización electoral
@@ -25,10 +45,26 @@ import {
  * - Búsqueda de votantes por documento
  * - Marcado de votos emitidos
  * - Estadísticas de participación
+ * - Operación sin conexión: los marcados y deshacer se guardan en el dispositivo
+ *   (IndexedDB), se muestran como pendientes y se sincronizan en orden al volver
+ *   la conectividad. El padrón de la mesa queda cacheado para seguir buscando.
+ * - Conflictos: si otro dispositivo ya modificó el mismo votante, la acción no
+ *   se sobrescribe y se informa al fiscal
+ * - Sincronización en tiempo real: los cambios hechos por otros fiscales de la
+ *   misma mesa se fusionan en el padrón y en los totales sin recargar
+ * - Ventana de votación: con un comicio activo configurado, el marcado de votos
+ *   solo se permite el día y en el horario del comicio
  */
 export default function FiscalizarView() {
   // Obtener datos del usuario autenticado
   const { user } = useAuth();
+  const can = useCan();
+  // Configuración del comicio vigente (día y horario de votación, curvas históricas)
+  const { comicio, curvas } = useComicio();
+  const horario = obtenerHorario(comicio);
+  // Localidad de la mesa, para usar su curva de participación si existe
+  const [mesaLocalidad, setMesaLocalidad] = useState(null);
+  const curva = seleccionarCurva(curvas, mesaLocalidad);
   
   // Estados para el manejo de datos y UI
   // Datos completos del padrón de la mesa
@@ -41,8 +77,16 @@ export default function FiscalizarView() {
   const [isUpdating, setIsUpdating] = useState(false);
   // Mensajes de error
   const [error, setError] = useState('');
+  // Datos del último DNI escaneado, para comparar con el registro de la mesa
+  const [scannedDni, setScannedDni] = useState(null);
   // Control del modal de éxito
   const [showSuccessModal, setShowSuccessModal] = useState(false);
+  // Indica si el último voto marcado quedó guardado solo en el dispositivo
+  const [lastVotePending, setLastVotePending] = useState(false);
+  // Fecha de la copia local del padrón cuando se trabaja sin conexión
+  const [offlineCachedAt, setOfflineCachedAt] = useState(null);
+  // Estado del canal realtime: 'connecting' | 'synced' | 'reconnecting'
+  const [realtimeStatus, setRealtimeStatus] = useState('connecting');
   // Control del modal de participación
   const [showParticipacionModal, setShowParticipacionModal] = useState(false);
   // Métricas de participación calculadas
@@ -51,8 +95,207 @@ export default function FiscalizarView() {
     asistenciaActual: 0,
     tendenciaProyectada: null,
     horaCalculo: '',
-    antesDeLas11: false
+    antesDeInicio: false
   });
+  // Se actualiza cada minuto para habilitar/bloquear el marcado al abrir/cerrar la jornada
+  const [horaActual, setHoraActual] = useState(() => new Date());
+
+  useEffect(() => {
+    const interval = setInterval(() => setHoraActual(new Date()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const ventanaVotacion = validarVentanaVotacion(comicio, horaActual);
+
+  useEffect(() => {
+    if (!user?.mesa_numero) return;
+
+    supabase
+      .from('mesas')
+      .select('mesa_localidad')
+      .eq('numero', user.mesa_numero)
+      .maybeSingle()
+      .then(({ data }) => setMesaLocalidad(data?.mesa_localidad || null));
+  }, [user?.mesa_numero]);
+
+  /**
+   * Actualiza un registro en los datos completos y en los filtrados
+   *
+   * @param {number} documento - Documento del votante
+   * @param {Object} fields - Campos a fusionar en el registro
+   */
+  const updateLocalRecord = useCallback((documento, fields) => {
+    const merge = (records) => records.map(record =>
+      Number(record.documento) === Number(documento) ? { ...record, ...fields } : record
+    );
+    setPadronData(merge);
+    setFilteredData(merge);
+  }, []);
+
+  /**
+   * Al terminar una sincronización, refleja el estado confirmado por el servidor:
+   * las acciones aplicadas y el estado real de los registros en conflicto
+   */
+  const handleSynced = useCallback(({ applied, conflicts }) => {
+    applied.forEach(action => updateLocalRecord(action.documento, action.record));
+    conflicts.forEach(conflict => {
+      if (conflict.server) updateLocalRecord(conflict.documento, conflict.server);
+    });
+  }, [updateLocalRecord]);
+
+  // Cola local de votos para operar sin conexión
+  const {
+    isOnline,
+    isSyncing,
+    pending,
+    pendingByDocumento,
+    conflicts,
+    enqueue,
+    syncNow,
+    reportConflict,
+    dismissConflict
+  } = useOfflineVotes(user?.mesa_numero, handleSynced);
+
+  // Término de la última búsqueda, para decidir si un cambio remoto entra en los resultados visibles
+  const searchTermRef = useRef('');
+
+  // Espejo del padrón completo, para comparar los cambios remotos con el estado actual
+  const padronRef = useRef(padronData);
+  useEffect(() => {
+    padronRef.current = padronData;
+  }, [padronData]);
+
+  // Espejo de la cola local: los cambios remotos no deben pisar el estado optimista pendiente
+  const pendingRef = useRef(pending);
+  useEffect(() => {
+    pendingRef.current = pending;
+  }, [pending]);
+
+  /**
+   * Fusiona en el estado local un registro recibido por realtime.
+   * El payload trae solo columnas de `padron`: se conservan los joins existentes
+   * y, si cambió el usuario que marcó o el emopick, se rehidrata el registro.
+   *
+   * @param {Object} row - Fila nueva (`payload.new`)
+   */
+  const mergeRealtimeRecord = useCallback(async (row) => {
+    const documento = Number(row.documento);
+    const [incoming] = applyPendingToRecords([row], pendingRef.current);
+
+    const known = padronRef.current.find(r => Number(r.documento) === documento);
+    const needsHydration = !known ||
+      known.voto_pick_user !== incoming.voto_pick_user ||
+      known.emopick_id !== incoming.emopick_id;
+
+    const merge = (records, allowInsert) => {
+      const index = records.findIndex(r => Number(r.documento) === documento);
+      if (index === -1) {
+        if (!allowInsert) return records;
+        return [...records, incoming].sort((a, b) => (a.orden || 0) - (b.orden || 0));
+      }
+
+      const current = records[index];
+      const next = [...records];
+      next[index] = {
+        ...current,
+        ...incoming,
+        voto_pick_user_profile: incoming.voto_pick_user ? current.voto_pick_user_profile : null,
+        emopicks: incoming.emopick_id ? current.emopicks : null
+      };
+      return next;
+    };
+
+    setPadronData(records => merge(records, true));
+    setFilteredData(records =>
+      merge(records, filterPadronLocal([incoming], searchTermRef.current).length > 0)
+    );
+
+    if (!needsHydration) return;
+
+    const { data } = await supabase
+      .from('padron')
+      .select(PADRON_FISCALIZAR_SELECT)
+      .eq('documento', row.documento)
+      .eq('mesa_numero', row.mesa_numero)
+      .maybeSingle();
+
+    if (data) {
+      const [hydrated] = applyPendingToRecords([data], pendingRef.current);
+      updateLocalRecord(documento, hydrated);
+    }
+  }, [updateLocalRecord]);
+
+  /**
+   * Recarga el padrón completo sin mostrar el indicador de carga.
+   * Se usa al reconectar el canal realtime para recuperar los eventos perdidos.
+   */
+  const refreshPadronSilently = useCallback(async () => {
+    if (!user?.mesa_numero) return;
+
+    const { data, error } = await supabase
+      .from('padron')
+      .select(PADRON_FISCALIZAR_SELECT)
+      .eq('mesa_numero', user.mesa_numero)
+      .order('orden', { ascending: true });
+
+    if (error || !data) return;
+
+    const records = applyPendingToRecords(data, pendingRef.current);
+    setPadronData(records);
+    setFilteredData(filterPadronLocal(records, searchTermRef.current));
+    setOfflineCachedAt(null);
+  }, [user?.mesa_numero]);
+
+  /**
+   * Sincronización multi-dispositivo: escucha altas y cambios del padrón de la mesa
+   * (mismo patrón de `postgres_changes` que GeneralStats) para que los votos
+   * marcados por otro fiscal se reflejen al instante.
+   */
+  useEffect(() => {
+    if (!user?.mesa_numero) return;
+
+    let wasDisconnected = false;
+    setRealtimeStatus('connecting');
+
+    const channel = supabase
+      .channel(`fiscalizar-padron-${user.mesa_numero}`)
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'padron',
+          filter: `mesa_numero=eq.${user.mesa_numero}`
+        },
+        (payload) => mergeRealtimeRecord(payload.new)
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'padron',
+          filter: `mesa_numero=eq.${user.mesa_numero}`
+        },
+        (payload) => mergeRealtimeRecord(payload.new)
+      )
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') {
+          setRealtimeStatus('synced');
+          if (wasDisconnected) {
+            wasDisconnected = false;
+            refreshPadronSilently();
+          }
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+          wasDisconnected = true;
+          setRealtimeStatus('reconnecting');
+        }
+      });
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [user?.mesa_numero, mergeRealtimeRecord, refreshPadronSilently]);
 
   /**
    * Efecto para cargar los datos del padrón cuando el perfil esté disponible
@@ -64,9 +307,45 @@ export default function FiscalizarView() {
     }
   }, [user?.mesa_numero]);
 
+  /**
+   * Mantiene una copia local del padrón de la mesa para buscar sin conexión.
+   * Incluye el estado optimista de las acciones pendientes.
+   */
+  useEffect(() => {
+    if (user?.mesa_numero && padronData.length > 0) {
+      cachePadronMesa(user.mesa_numero, padronData).catch(error => {
+        console.error('Error caching padron:', error);
+      });
+    }
+  }, [padronData, user?.mesa_numero]);
+
+  /**
+   * Resuelve la búsqueda con la copia local del padrón cuando no hay conexión
+   *
+   * @param {string} documento - Número de documento u orden a buscar (vacío para todos)
+   * @returns {Promise<boolean>} true si había copia local disponible
+   */
+  const searchOffline = async (documento) => {
+    const cached = await getCachedPadronMesa(user.mesa_numero);
+    if (!cached) {
+      return false;
+    }
+
+    const pendingActions = await getPendingVoteActions(user.mesa_numero);
+    const records = applyPendingToRecords(cached.records, pendingActions);
+
+    setFilteredData(filterPadronLocal(records, documento));
+    if (!documento.trim()) {
+      setPadronData(records);
+    }
+    setOfflineCachedAt(cached.cached_at);
+    return true;
+  };
+
   /**
    * Maneja la búsqueda de votantes en el padrón de la mesa
-   * Busca por número de orden si el valor es < 10000, de lo contrario por documento
+   * Busca por número de orden si el valor es < 10000, de lo contrario por documento.
+   * Sin conexión, busca en la copia local del padrón.
    *
    * @param {string} documento - Número de documento u orden a buscar (vacío para todos)
    */
@@ -76,6 +355,7 @@ export default function FiscalizarView() {
       return;
     }
 
+    searchTermRef.current = documento;
     setIsLoading(true);
     setError('');
     
@@ -83,16 +363,7 @@ export default function FiscalizarView() {
       // Construir consulta base para la mesa asignada
       let query = supabase
         .from('padron')
-        .select(`
-          *,
-          emopicks(
-            id,
-            display
-          ),
-          voto_pick_user_profile:profiles!padron_voto_pick_user_fkey(
-            full_name
-          )
-        `)
+        .select(PADRON_FISCALIZAR_SELECT)
         .eq('mesa_numero', user.mesa_numero)
         .order('orden', { ascending: true });
 
@@ -113,19 +384,30 @@ export default function FiscalizarView() {
       const { data, error } = await query;
 
       if (error) {
+        if (isNetworkError(error) && await searchOffline(documento)) {
+          return;
+        }
         console.error('Error searching padron:', error);
         setError('Error al buscar en el padrón');
         setFilteredData([]);
         return;
       }
 
-      setFilteredData(data || []);
+      // Superponer las acciones que aún no llegaron al servidor
+      const pendingActions = await getPendingVoteActions(user.mesa_numero);
+      const records = applyPendingToRecords(data || [], pendingActions);
+
+      setOfflineCachedAt(null);
+      setFilteredData(records);
       
       // Si es búsqueda general (sin documento específico), actualizar datos completos
       if (!documento.trim()) {
-        setPadronData(data || []);
+        setPadronData(records);
       }
     } catch (error) {
+      if (isNetworkError(error) && await searchOffline(documento)) {
+        return;
+      }
       console.error('Error during search:', error);
       setError('Error al buscar en el padrón');
       setFilteredData([]);
@@ -134,65 +416,105 @@ export default function FiscalizarView() {
     }
   };
 
+  /**
+   * Búsqueda iniciada desde el formulario: descarta el DNI escaneado
+   *
+   * @param {string} documento - Número de documento u orden a buscar (vacío para todos)
+   */
+  const handleFormSearch = (documento) => {
+    setScannedDni(null);
+    handleSearch(documento);
+  };
+
+  /**
+   * Busca en la mesa el documento de un DNI escaneado y guarda sus datos
+   * para señalar diferencias con el padrón
+   *
+   * @param {Object} dni - Datos del DNI (ver utils/dniBarcode.js)
+   */
+  const handleDniScan = (dni) => {
+    setScannedDni(dni);
+    handleSearch(String(dni.documento));
+  };
+
+  /**
+   * Registra una acción de voto. Si hay acciones pendientes o no hay conexión,
+   * la acción se encola para respetar el orden; si la escritura falla por red,
+   * también se encola. Los conflictos con otros dispositivos se informan.
+   *
+   * @param {'marcar'|'deshacer'} type - Tipo de acción
+   * @param {number} documento - Número de documento del votante
+   * @returns {Promise<'applied'|'queued'|'conflict'|'error'>}
+   */
+  const registrarAccionVoto = async (type, documento) => {
+    const action = {
+      type,
+      documento,
+      mesa_numero: user.mesa_numero,
+      user_id: user.id,
+      user_name: user.name,
+      created_at: new Date().toISOString()
+    };
+
+    const encolar = async () => {
+      const entry = await enqueue(action);
+      updateLocalRecord(documento, getVoteFields(entry));
+      return 'queued';
+    };
+
+    if (pending.length > 0 || !navigator.onLine) {
+      return encolar();
+    }
+
+    const result = await applyVoteAction(action);
+
+    if (result.status === 'applied') {
+      updateLocalRecord(documento, result.record);
+      return 'applied';
+    }
+
+    if (result.status === 'network') {
+      return encolar();
+    }
+
+    if (result.status === 'conflict') {
+      updateLocalRecord(documento, result.record);
+      await reportConflict({ ...action, reason: 'conflict', server: result.record });
+      return 'conflict';
+    }
+
+    console.error(`Error applying vote action (${type}):`, result.message);
+    return 'error';
+  };
+
   /**
    * Marca un voto como emitido en la base de datos
    * 
    * @param {number} documento - Número de documento del votante
    */
   const handleMarcarVoto = async (documento) => {
+    if (!can('vote.mark')) return;
+
+    // Se revalida con la hora actual por si el tick de un minuto aún no corrió
+    const ventana = validarVentanaVotacion(comicio, new Date());
+    if (!ventana.permitido) {
+      alert(ventana.motivo);
+      return;
+    }
+
     setIsUpdating(true);
     try {
-      const { error } = await supabase
-        .from('padron')
-        .update({
-          voto_emitido: true,
-          voto_pick_at: new Date().toISOString(),
-          voto_pick_user: user.id
-        })
-        .eq('documento', documento)
-        .eq('mesa_numero', user.mesa_numero);
+      const status = await registrarAccionVoto('marcar', documento);
 
-      if (error) {
-        console.error('Error updating vote:', error);
+      if (status === 'error') {
         alert('Error al registrar el voto');
         return;
       }
 
-      const updatedPadron = padronData.map(record =>
-        record.documento === documento
-          ? {
-              ...record,
-              voto_emitido: true,
-              voto_pick_at: new Date().toISOString(),
-              voto_pick_user: user.id,
-              voto_pick_user_profile: {
-                full_name: user.name
-              }
-            }
-          : record
-      );
-
-      if (padronData.length > 0) {
-        setPadronData(updatedPadron);
+      if (status === 'applied' || status === 'queued') {
+        setLastVotePending(status === 'queued');
+        setShowSuccessModal(true);
       }
-
-      const updatedFiltered = filteredData.map(record =>
-        record.documento === documento
-          ? {
-              ...record,
-              voto_emitido: true,
-              voto_pick_at: new Date().toISOString(),
-              voto_pick_user: user.id,
-              voto_pick_user_profile: {
-                full_name: user.name
-              }
-            }
-          : record
-      );
-
-      setFilteredData(updatedFiltered);
-      setShowSuccessModal(true);
-
     } catch (error) {
       console.error('Error marking vote:', error);
       alert('Error al registrar el voto');
@@ -215,55 +537,21 @@ export default function FiscalizarView() {
     setShowParticipacionModal(false);
   };
 
+  /**
+   * Deshace el marcado de un voto
+   *
+   * @param {number} documento - Número de documento del votante
+   */
   const handleDeshacerVoto = async (documento) => {
+    if (!can('vote.undo')) return;
+
     setIsUpdating(true);
     try {
-      const { error } = await supabase
-        .from('padron')
-        .update({
-          voto_emitido: false,
-          voto_pick_at: null,
-          voto_pick_user: null
-        })
-        .eq('documento', documento)
-        .eq('mesa_numero', user.mesa_numero);
+      const status = await registrarAccionVoto('deshacer', documento);
 
-      if (error) {
-        console.error('Error undoing vote:', error);
+      if (status === 'error') {
         alert('Error al deshacer el voto');
-        return;
-      }
-
-      const updatedPadron = padronData.map(record =>
-        record.documento === documento
-          ? {
-              ...record,
-              voto_emitido: false,
-              voto_pick_at: null,
-              voto_pick_user: null,
-              voto_pick_user_profile: null
-            }
-          : record
-      );
-
-      if (padronData.length > 0) {
-        setPadronData(updatedPadron);
       }
-
-      const updatedFiltered = filteredData.map(record =>
-        record.documento === documento
-          ? {
-              ...record,
-              voto_emitido: false,
-              voto_pick_at: null,
-              voto_pick_user: null,
-              voto_pick_user_profile: null
-            }
-          : record
-      );
-
-      setFilteredData(updatedFiltered);
-
     } catch (error) {
       console.error('Error undoing vote:', error);
       alert('Error al deshacer el voto');
@@ -273,20 +561,18 @@ export default function FiscalizarView() {
   };
 
   // Calcular estadísticas de participación en tiempo real
-  const totalEmpadronados = padronData.length;
-  const totalVotaron = padronData.filter(record => record.voto_emitido).length;
-  const pendientes = totalEmpadronados - totalVotaron;
+  const { empadronados: totalEmpadronados, votaron: totalVotaron, pendientes } = sumMesaTotals(padronData);
   const porcentajeParticipacion = totalEmpadronados > 0 ? ((totalVotaron / totalEmpadronados) * 100).toFixed(1) : 0;
 
   useEffect(() => {
     if (totalEmpadronados > 0) {
       calcularMetricasParticipacion();
     }
-  }, [totalVotaron, totalEmpadronados]);
+  }, [totalVotaron, totalEmpadronados, curva]);
 
   const calcularMetricasParticipacion = () => {
     const ahora = new Date();
-    const indiceHistorico = obtenerIndiceHistorico(ahora);
+    const indiceHistorico = obtenerIndiceHistorico(ahora, horario, curva);
 
     if (!indiceHistorico) {
       setMetricasParticipacion({
@@ -294,26 +580,26 @@ export default function FiscalizarView() {
         asistenciaActual: calcularAsistenciaActual(totalVotaron, totalEmpadronados),
         tendenciaProyectada: null,
         horaCalculo: obtenerHoraFormateada(ahora),
-        antesDeLas11: true
+        antesDeInicio: true
       });
       return;
     }
 
-    const asistenciaHistorica = obtenerAsistenciaHistorica(ahora);
+    const asistenciaHistorica = obtenerAsistenciaHistorica(ahora, horario, curva);
     const asistenciaActual = calcularAsistenciaActual(totalVotaron, totalEmpadronados);
-    const tendenciaProyectada = calcularTendenciaProyectada(totalVotaron, totalEmpadronados, ahora);
+    const tendenciaProyectada = calcularTendenciaProyectada(totalVotaron, totalEmpadronados, ahora, horario, curva);
 
     setMetricasParticipacion({
       asistenciaHistorica,
       asistenciaActual,
       tendenciaProyectada,
       horaCalculo: obtenerHoraFormateada(ahora),
-      antesDeLas11: false
+      antesDeInicio: false
     });
   };
 
   // Verificar permisos del usuario
-  if (!user || user.usuario_tipo == 5) {
+  if (!user || !can('view.fiscalizar')) {
     return (
       <div className="bg-white rounded-xl shadow-lg p-6">
         <div className="text-center py-12">
@@ -353,6 +639,21 @@ export default function FiscalizarView() {
 
   return (
     <div className="space-y-6">
+      {/* Indicador de sincronización con otros dispositivos */}
+      <div className="flex justify-end -mb-4">
+        {realtimeStatus === 'synced' && isOnline ? (
+          <span className="flex items-center space-x-1 text-xs text-green-700">
+            <Wifi className="w-4 h-4" />
+            <span>Sincronizado</span>
+          </span>
+        ) : (
+          <span className="flex items-center space-x-1 text-xs text-amber-700">
+            <WifiOff className="w-4 h-4" />
+            <span>{realtimeStatus === 'connecting' && isOnline ? 'Conectando...' : 'Reconectando...'}</span>
+          </span>
+        )}
+      </div>
+
       {/* Panel de estadísticas de participación */}
       <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-3">
@@ -402,14 +703,107 @@ export default function FiscalizarView() {
         </div>
       </div>
 
+      {/* Estado de conectividad y cola de acciones pendientes */}
+      {(!isOnline || offlineCachedAt || pending.length > 0) && (
+        <div className="flex flex-wrap items-center justify-between gap-3 bg-amber-50 border border-amber-200 rounded-lg p-3">
+          <div className="flex items-center space-x-3">
+            <CloudOff className="w-6 h-6 text-amber-600 flex-shrink-0" />
+            <div>
+              <p className="text-sm font-semibold text-amber-900">
+                {isOnline && !offlineCachedAt ? 'Sincronización pendiente' : 'Sin conexión'}
+              </p>
+              <p className="text-xs text-amber-700">
+                {pending.length > 0
+                  ? `${pending.length} acción${pending.length !== 1 ? 'es' : ''} guardada${pending.length !== 1 ? 's' : ''} en el dispositivo`
+                  : 'No hay acciones pendientes'}
+                {offlineCachedAt && ` · Padrón local del ${new Date(offlineCachedAt).toLocaleString('es-AR', {
+                  day: '2-digit',
+                  month: '2-digit',
+                  hour: '2-digit',
+                  minute: '2-digit',
+                  hour12: false
+                })}`}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={async () => {
+              await syncNow();
+              if (navigator.onLine) handleSearch('');
+            }}
+            disabled={isSyncing}
+            className="flex items-center space-x-2 px-3 py-2 bg-amber-600 text-white text-sm rounded-lg hover:bg-amber-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <RefreshCw className={`w-4 h-4 ${isSyncing ? 'animate-spin' : ''}`} />
+            <span>{isSyncing ? 'Sincronizando...' : 'Reintentar'}</span>
+          </button>
+        </div>
+      )}
+
+      {/* Conflictos detectados con otros dispositivos */}
+      {conflicts.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 space-y-2">
+          <div className="flex items-center space-x-2">
+            <AlertTriangle className="w-5 h-5 text-red-600" />
+            <p className="text-sm font-semibold text-red-900">
+              Acciones no aplicadas ({conflicts.length})
+            </p>
+          </div>
+          {conflicts.map(conflict => {
+            const votante = padronData.find(r => Number(r.documento) === Number(conflict.documento));
+            return (
+              <div key={conflict.id} className="flex items-start justify-between gap-3 bg-white border border-red-100 rounded-lg p-2">
+                <div className="text-sm">
+                  <p className="font-medium text-gray-900">
+                    {conflict.type === 'marcar' ? 'Marcar voto' : 'Deshacer voto'} · DNI {conflict.documento}
+                    {votante?.orden ? ` · Orden ${votante.orden}` : ''}
+                  </p>
+                  {votante && (
+                    <p className="text-xs text-gray-600">{votante.apellido}, {votante.nombre}</p>
+                  )}
+                  <p className="text-xs text-red-700">{describeVoteConflict(conflict)}</p>
+                </div>
+                <button
+                  onClick={() => dismissConflict(conflict.id)}
+                  className="text-xs px-3 py-1 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors flex-shrink-0"
+                >
+                  Entendido
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Marcado de votos fuera del día/horario del comicio */}
+      {!ventanaVotacion.permitido && (
+        <div className="flex items-center space-x-3 bg-gray-50 border border-gray-300 rounded-lg p-3">
+          <Clock className="w-6 h-6 text-gray-600 flex-shrink-0" />
+          <div>
+            <p className="text-sm font-semibold text-gray-900">Votación cerrada</p>
+            <p className="text-xs text-gray-700">{ventanaVotacion.motivo}</p>
+          </div>
+        </div>
+      )}
+
       {/* Formulario de búsqueda específico para fiscalización */}
       <FiscalizarSearchForm
-        onSearch={handleSearch}
+        onSearch={handleFormSearch}
+        onDniScan={handleDniScan}
         isLoading={isLoading}
         mesaNumero={user.mesa_numero}
         totalRegistros={totalEmpadronados}
       />
 
+      {/* Resultado del DNI escaneado: si está en la mesa y si sus datos coinciden */}
+      <DniMatchBanner
+        dni={scannedDni}
+        records={filteredData}
+        isLoading={isLoading}
+        notFoundMessage="no está en el padrón de esta mesa"
+        onDismiss={() => setScannedDni(null)}
+      />
+
       {/* Componente de resultados con funcionalidad de marcado de votos */}
       <FiscalizarResults
         results={filteredData}
@@ -419,7 +813,9 @@ export default function FiscalizarView() {
         isUpdating={isUpdating}
         showSuccessModal={showSuccessModal}
         setShowSuccessModal={setShowSuccessModal}
-        userRole={user?.usuario_tipo}
+        successPending={lastVotePending}
+        marcadoBloqueado={!ventanaVotacion.permitido}
+        pendingDocumentos={pendingByDocumento}
       />
 
       {/* Modal de Estadísticas de Participación */}
@@ -462,14 +858,14 @@ export default function FiscalizarView() {
             </div>
              
             {/* Contenido - Tres Cards de Métricas */}
-            {metricasParticipacion.antesDeLas11 ? (
+            {metricasParticipacion.antesDeInicio ? (
               <div className="bg-yellow-50 border-2 border-yellow-200 rounded-lg p-6 text-center">
                 <Clock className="w-16 h-16 text-yellow-600 mx-auto mb-4" />
                 <h4 className="text-lg font-semibold text-yellow-900 mb-2">
                   Cálculo no disponible
                 </h4>
                 <p className="text-sm text-yellow-700">
-                  Los cálculos de tendencia de participación están disponibles a partir de las 11:00 AM.
+                  Los cálculos de tendencia de participación están disponibles a partir de las {obtenerHoraInicioTendencia(horario, curva)} hs.
                 </p>
                 <p className="text-xs text-yellow-600 mt-2">
                   Hora actual: {metricasParticipacion.horaCalculo}
@@ -1,12 +1,29 @@
 import React, { useState, useEffect } from 'react';
-import { SquarePen, User, MapPin, Hash, FileText, AlertCircle, Users, CheckCircle, XCircle, Filter, RefreshCw, ChevronUp, ChevronDown, ChevronsUpDown } from 'lucide-react';
+import { SquarePen, User, MapPin, Hash, FileText, AlertCircle, Users, CheckCircle, XCircle, Filter, RefreshCw, ChevronUp, ChevronDown, ChevronsUpDown, History, Layers } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { supabase } from '../lib/supabase';
 import { loadEmopicksWithCount, loadAllEmopicks, formatEmopickDisplay } from '../services/emopicksService';
 import Pagination from './shared/Pagination';
 import PickModal from './gpicks/PickModal';
 import ConfirmUncheckModal from './gpicks/ConfirmUncheckModal';
+import BulkPickModal from './gpicks/BulkPickModal';
+import { useCan } from '../hooks/useCan';
+import VoterHistoryModal from './shared/VoterHistoryModal';
 import { canEditPick, getBlockedMessage, updatePadronPick, updatePickCheck } from '../services/pickService';
+import { getUrlParam, getUrlInt, updateUrlParams } from '../utils/urlState';
+
+// Columnas por las que se puede ordenar (también las admitidas en ?orden=)
+const SORT_FIELDS = ['emopick_id', 'apellido', 'mesa_numero'];
+
+// Valores de los filtros de voto y verificación en la URL
+const VOTE_STATUS_PARAMS = { voted: 'si', not_voted: 'no' };
+const VERIFIED_PARAMS = { true: 'si', false: 'no' };
+
+// Campos necesarios para validar permisos y mostrar el resumen de las acciones masivas
+const BULK_SELECT_FIELDS = 'documento, apellido, nombre, voto_emitido, emopick_user, pick_check, pick_check_user';
+
+// Tamaño de lote al seleccionar todos los registros que coinciden con los filtros
+const SELECT_ALL_BATCH_SIZE = 1000;
 
 /**
  * Formatea un timestamp a formato "DD/MM HH:mm" o solo "HH:mm" si es hoy
@@ -43,14 +60,19 @@ const formatPickCheckDateTime = (timestamp) => {
  *
  * Funcionalidades:
  * - Carga automática de votantes con emopicks del usuario actual
- * - Usuarios con tipo <= 3 pueden ver picks de todos los usuarios
+ * - Usuarios con la capacidad view.gpicks pueden ver picks de todos los usuarios
  * - Paginación de 25 registros por página
  * - Filtros avanzados (usuario, emopick, votación, verificación)
  * - Ordenamiento por emopick y apellido
+ * - Historial de cambios de cada votante (picks, notas, verificación y voto)
+ * - Selección múltiple (o de todos los que coinciden con los filtros) y acciones
+ *   masivas: asignar o quitar pick y verificar o quitar verificación
  */
 export default function GpicksView() {
   // Obtener datos del usuario autenticado
   const { user } = useAuth();
+  const can = useCan();
+  const canOverride = can('pick.override');
 
   // Estados para el manejo de datos y UI
   const [picksData, setPicksData] = useState([]);
@@ -59,20 +81,29 @@ export default function GpicksView() {
   const [isUpdating, setIsUpdating] = useState(false);
   const [error, setError] = useState('');
 
+  // Los valores iniciales de paginación, orden y filtros salen de la URL
+  // (ver utils/urlState.js) y se vuelven a escribir en ella al cambiar
+
   // Estados para paginación
-  const [currentPage, setCurrentPage] = useState(1);
+  const [currentPage, setCurrentPage] = useState(() => Math.max(getUrlInt('pag') || 1, 1));
   const [pageSize, setPageSize] = useState(25);
 
   // Estados para ordenamiento
-  const [sortField, setSortField] = useState('emopick_id');
-  const [sortDirection, setSortDirection] = useState('asc');
+  const [sortField, setSortField] = useState(() => (SORT_FIELDS.includes(getUrlParam('orden')) ? getUrlParam('orden') : 'emopick_id'));
+  const [sortDirection, setSortDirection] = useState(() => (getUrlParam('dir') === 'desc' ? 'desc' : 'asc'));
 
   // Estados para filtros
-  const [filterVoteStatus, setFilterVoteStatus] = useState('all');
-  const [filterVerified, setFilterVerified] = useState(null); // null = todos, true = verificados, false = no verificados
-  const [filterMesa, setFilterMesa] = useState('');
-
-  const [filterEmopickId, setFilterEmopickId] = useState('');
+  const [filterVoteStatus, setFilterVoteStatus] = useState(() => {
+    const voto = getUrlParam('voto');
+    return voto === 'si' ? 'voted' : voto === 'no' ? 'not_voted' : 'all';
+  });
+  const [filterVerified, setFilterVerified] = useState(() => {
+    const verificado = getUrlParam('verificado');
+    return verificado === 'si' ? true : verificado === 'no' ? false : null;
+  }); // null = todos, true = verificados, false = no verificados
+  const [filterMesa, setFilterMesa] = useState(() => getUrlInt('mesa')?.toString() || '');
+
+  const [filterEmopickId, setFilterEmopickId] = useState(() => getUrlInt('pick')?.toString() || '');
 
   // Inicializado en '' en lugar de null para evitar que el <select> reciba
   // value={null}, lo que genera una advertencia de React. El flag filtersReady
@@ -100,6 +131,15 @@ export default function GpicksView() {
   const [isConfirmUncheckModalOpen, setIsConfirmUncheckModalOpen] = useState(false);
   const [pendingUncheckData, setPendingUncheckData] = useState(null);
 
+  // Registro cuyo historial de cambios se está mostrando
+  const [historyRecord, setHistoryRecord] = useState(null);
+
+  // Selección para acciones masivas: documento -> registro (persiste entre páginas)
+  const [selectedRecords, setSelectedRecords] = useState(new Map());
+  const [isSelectingAll, setIsSelectingAll] = useState(false);
+  const [isBulkModalOpen, setIsBulkModalOpen] = useState(false);
+  const [bulkApplied, setBulkApplied] = useState(false);
+
   // Estado para forzar recarga de datos
   const [refreshTrigger, setRefreshTrigger] = useState(0);
 
@@ -126,6 +166,33 @@ export default function GpicksView() {
     }
   }, [user?.id, filtersReady, filterAssignedByUserId, filterVoteStatus, filterVerified, filterEmopickId, filterMesa, currentPage, pageSize, sortField, sortDirection, refreshTrigger]);
 
+  /**
+   * Efecto para vaciar la selección cuando cambian los filtros,
+   * ya que los registros seleccionados pueden dejar de coincidir
+   */
+  useEffect(() => {
+    setSelectedRecords(new Map());
+  }, [filterAssignedByUserId, filterVoteStatus, filterVerified, filterEmopickId, filterMesa]);
+
+  /**
+   * Efecto para reflejar filtros, orden y página en la URL. Espera a
+   * filtersReady para no escribir el usuario antes de inicializarlo.
+   * usuario=todos distingue "todos los usuarios" del valor por defecto.
+   */
+  useEffect(() => {
+    if (!filtersReady) return;
+    updateUrlParams({
+      usuario: filterAssignedByUserId || 'todos',
+      voto: VOTE_STATUS_PARAMS[filterVoteStatus] || null,
+      verificado: filterVerified === null ? null : VERIFIED_PARAMS[filterVerified],
+      pick: filterEmopickId,
+      mesa: filterMesa,
+      pag: currentPage > 1 ? currentPage : null,
+      orden: sortField !== 'emopick_id' ? sortField : null,
+      dir: sortDirection !== 'asc' ? sortDirection : null
+    });
+  }, [filtersReady, filterAssignedByUserId, filterVoteStatus, filterVerified, filterEmopickId, filterMesa, currentPage, sortField, sortDirection]);
+
   /**
    * Carga los datos necesarios para poblar los selectores de filtros
    */
@@ -151,9 +218,15 @@ export default function GpicksView() {
         // Verificar si el usuario actual tiene picks asignados
         const userHasPicks = users?.some(u => u.id === user?.id);
 
-        // Si el usuario NO tiene picks, establecer el filtro en '' (todos los usuarios)
+        // Si la URL indica un usuario (enlace compartido), se respeta.
+        // Si no, y el usuario NO tiene picks, establecer el filtro en '' (todos los usuarios)
         // Si el usuario tiene picks, establecer el filtro en su ID
-        setFilterAssignedByUserId(userHasPicks ? user.id : '');
+        const urlUser = getUrlParam('usuario');
+        if (urlUser) {
+          setFilterAssignedByUserId(urlUser === 'todos' ? '' : urlUser);
+        } else {
+          setFilterAssignedByUserId(userHasPicks ? user.id : '');
+        }
       }
 
       // Cargar mesas que tienen al menos un pick asignado
@@ -189,6 +262,38 @@ export default function GpicksView() {
     }
   };
 
+  /**
+   * Aplica los filtros seleccionados a una query sobre padron
+   * Compartido por el listado paginado y la selección de todos los registros
+   */
+  const applyFilters = (query) => {
+    if (filterVoteStatus === 'voted') {
+      query = query.eq('voto_emitido', true);
+    } else if (filterVoteStatus === 'not_voted') {
+      query = query.eq('voto_emitido', false);
+    }
+
+    if (filterVerified !== null) {
+      query = query.eq('pick_check', filterVerified);
+    }
+
+    if (filterEmopickId) {
+      query = query.eq('emopick_id', parseInt(filterEmopickId));
+    }
+
+    // Aplica el filtro solo si hay un usuario específico seleccionado
+    // '' = todos los usuarios (no aplica filtro), <uuid> = filtrar por ese usuario
+    if (filterAssignedByUserId && filterAssignedByUserId !== '') {
+      query = query.eq('emopick_user', filterAssignedByUserId);
+    }
+
+    if (filterMesa !== '') {
+      query = query.eq('mesa_numero', parseInt(filterMesa));
+    }
+
+    return query;
+  };
+
   /**
    * Obtiene los votantes con emopicks asignados aplicando los filtros seleccionados
    * Implementa paginación y obtiene el conteo total
@@ -224,30 +329,7 @@ export default function GpicksView() {
         `, { count: 'exact' })
         .not('emopick_id', 'is', null);
 
-      // Aplicar filtros
-      if (filterVoteStatus === 'voted') {
-        query = query.eq('voto_emitido', true);
-      } else if (filterVoteStatus === 'not_voted') {
-        query = query.eq('voto_emitido', false);
-      }
-
-      if (filterVerified !== null) {
-        query = query.eq('pick_check', filterVerified);
-      }
-
-      if (filterEmopickId) {
-        query = query.eq('emopick_id', parseInt(filterEmopickId));
-      }
-
-      // Aplica el filtro solo si hay un usuario específico seleccionado
-      // '' = todos los usuarios (no aplica filtro), <uuid> = filtrar por ese usuario
-      if (filterAssignedByUserId && filterAssignedByUserId !== '') {
-        query = query.eq('emopick_user', filterAssignedByUserId);
-      }
-
-      if (filterMesa !== '') {
-        query = query.eq('mesa_numero', parseInt(filterMesa));
-      }
+      query = applyFilters(query);
 
       // Aplicar paginación y ordenamiento
       const from = (currentPage - 1) * pageSize;
@@ -341,7 +423,7 @@ export default function GpicksView() {
    * @returns {boolean} - true si el registro es clickeable
    */
   const isRecordClickable = (record) => {
-    if (user.usuario_tipo < 3) {
+    if (canOverride) {
       return true;
     }
     return record.emopick_user === user.id;
@@ -356,7 +438,7 @@ export default function GpicksView() {
       return;
     }
 
-    if (!canEditPick(record.voto_emitido, user.usuario_tipo)) {
+    if (!canEditPick(record.voto_emitido, canOverride)) {
       alert('No puedes editar picks de votantes que ya emitieron su voto.');
       return;
     }
@@ -443,7 +525,7 @@ export default function GpicksView() {
    * @param {object} record - Registro completo del votante
    */
   const handlePickCheckToggle = async (documento, newPickCheckStatus, record) => {
-    if (user.usuario_tipo >= 3 && record.voto_emitido) {
+    if (!canOverride && record.voto_emitido) {
       alert('No puedes modificar la verificación de votantes que ya emitieron su voto.');
       return;
     }
@@ -488,8 +570,99 @@ export default function GpicksView() {
     setPendingUncheckData(null);
   };
 
+  /**
+   * Agrega o quita un registro de la selección masiva
+   * @param {object} record - Registro del votante
+   */
+  const toggleRecordSelection = (record) => {
+    setSelectedRecords(prev => {
+      const next = new Map(prev);
+      if (next.has(record.documento)) {
+        next.delete(record.documento);
+      } else {
+        next.set(record.documento, record);
+      }
+      return next;
+    });
+  };
+
+  const isPageSelected = picksData.length > 0 && picksData.every(record => selectedRecords.has(record.documento));
+
+  /**
+   * Selecciona o deselecciona todos los registros de la página actual
+   */
+  const togglePageSelection = () => {
+    setSelectedRecords(prev => {
+      const next = new Map(prev);
+      picksData.forEach(record => {
+        if (isPageSelected) {
+          next.delete(record.documento);
+        } else {
+          next.set(record.documento, record);
+        }
+      });
+      return next;
+    });
+  };
+
+  /**
+   * Selecciona todos los registros que coinciden con los filtros actuales,
+   * recorriendo la tabla por lotes
+   */
+  const handleSelectAllMatching = async () => {
+    setIsSelectingAll(true);
+    try {
+      const next = new Map();
+      let from = 0;
+      while (true) {
+        const { data, error } = await applyFilters(
+          supabase
+            .from('padron')
+            .select(BULK_SELECT_FIELDS)
+            .not('emopick_id', 'is', null)
+        )
+          .order('documento', { ascending: true })
+          .range(from, from + SELECT_ALL_BATCH_SIZE - 1);
+
+        if (error) throw error;
+
+        (data || []).forEach(record => next.set(record.documento, record));
+
+        if (!data || data.length < SELECT_ALL_BATCH_SIZE) break;
+        from += SELECT_ALL_BATCH_SIZE;
+      }
+      setSelectedRecords(next);
+    } catch (error) {
+      console.error('Error selecting all picks:', error);
+      alert('Error al seleccionar los registros');
+    } finally {
+      setIsSelectingAll(false);
+    }
+  };
+
+  /**
+   * Cierra el modal de acciones masivas y vacía la selección solo si se
+   * aplicó una acción (Cancelar la conserva)
+   */
+  const handleCloseBulkModal = () => {
+    setIsBulkModalOpen(false);
+    if (bulkApplied) {
+      setSelectedRecords(new Map());
+      setBulkApplied(false);
+    }
+  };
+
+  /**
+   * Al terminar una acción masiva, recarga filtros y listado
+   */
+  const handleBulkCompleted = async ({ success } = {}) => {
+    if (success) setBulkApplied(true);
+    await loadFilterData();
+    setRefreshTrigger(prev => prev + 1);
+  };
+
   // Verificar permisos del usuario
-  if (!user || user.usuario_tipo > 3) {
+  if (!user || !can('view.gpicks')) {
     return (
       <div className="bg-white rounded-xl shadow-lg p-6">
         <div className="text-center py-12">
@@ -718,6 +891,40 @@ export default function GpicksView() {
         </div>
       ) : (
         <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+          {/* Barra de selección y acciones masivas */}
+          {selectedRecords.size > 0 && (
+            <div className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 bg-blue-50 border-b border-blue-200">
+              <div className="flex flex-wrap items-center gap-3 text-sm text-blue-900">
+                <span className="font-semibold">
+                  {selectedRecords.size} seleccionado{selectedRecords.size !== 1 ? 's' : ''}
+                </span>
+                {selectedRecords.size < totalCount && (
+                  <button
+                    onClick={handleSelectAllMatching}
+                    disabled={isSelectingAll}
+                    className="underline hover:text-blue-700 disabled:opacity-50"
+                  >
+                    {isSelectingAll ? 'Seleccionando...' : `Seleccionar los ${totalCount} que coinciden con los filtros`}
+                  </button>
+                )}
+                <button
+                  onClick={() => setSelectedRecords(new Map())}
+                  className="underline text-gray-600 hover:text-gray-800"
+                >
+                  Limpiar selección
+                </button>
+              </div>
+              <button
+                onClick={() => setIsBulkModalOpen(true)}
+                disabled={isSelectingAll}
+                className="flex items-center space-x-2 px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
+              >
+                <Layers className="w-4 h-4" />
+                <span>Acción masiva</span>
+              </button>
+            </div>
+          )}
+
           <div className="overflow-x-auto">
             <table className="w-full" style={{minWidth: '670px'}}>
               <thead className="bg-gray-300">
@@ -725,15 +932,24 @@ export default function GpicksView() {
                   <th colSpan={5} className="px-3 py-2">
                     <div className="grid gap-x-2 gap-y-1 items-center text-xs"
                          style={{gridTemplateColumns: '67px minmax(185px, 1fr) minmax(30px, 1fr) minmax(99px, 1fr) 82px'}}>
-                      <button
-                        onClick={() => handleSort('emopick_id')}
-                        className={`flex items-center font-bold uppercase tracking-wider text-left transition-colors hover:bg-gray-200 px-0.5 py-1 rounded ${
-                          sortField === 'emopick_id' ? 'text-blue-700' : 'text-gray-900'
-                        }`}
-                      >
-                        Pick
-                        {getSortIcon('emopick_id')}
-                      </button>
+                      <div className="flex items-center">
+                        <input
+                          type="checkbox"
+                          checked={isPageSelected}
+                          onChange={togglePageSelection}
+                          title="Seleccionar página"
+                          className="w-4 h-4 mr-1 accent-blue-600"
+                        />
+                        <button
+                          onClick={() => handleSort('emopick_id')}
+                          className={`flex items-center font-bold uppercase tracking-wider text-left transition-colors hover:bg-gray-200 px-0.5 py-1 rounded ${
+                            sortField === 'emopick_id' ? 'text-blue-700' : 'text-gray-900'
+                          }`}
+                        >
+                          Pick
+                          {getSortIcon('emopick_id')}
+                        </button>
+                      </div>
                       <button
                         onClick={() => handleSort('apellido')}
                         className={`flex items-center font-bold uppercase tracking-wider text-left transition-colors hover:bg-gray-200 px-0.5 py-1 rounded ${
@@ -786,6 +1002,12 @@ export default function GpicksView() {
                            style={{gridTemplateColumns: '67px minmax(185px, 1fr) minmax(10px, 1fr) minmax(99px, 1fr) 82px'}}>
                         {/* Primera fila visual */}
                         <div className="flex items-center justify-left">
+                          <input
+                            type="checkbox"
+                            checked={selectedRecords.has(record.documento)}
+                            onChange={() => toggleRecordSelection(record)}
+                            className="w-4 h-4 mr-1 accent-blue-600"
+                          />
                           <span className={`items-center px-1 py-1 rounded-full border text-xl ${
                             record.voto_emitido
                               ? 'bg-green-100 border-green-300'
@@ -819,8 +1041,15 @@ export default function GpicksView() {
                           </span>
                         </div>
                         <div>
-                          <span className="flex items-center justify-center text-gray-700">
-                            {record.documento}
+                          <span className="flex items-center justify-center space-x-1 text-gray-700">
+                            <span>{record.documento}</span>
+                            <button
+                              onClick={() => setHistoryRecord(record)}
+                              className="p-0.5 text-gray-400 hover:text-gray-800 transition-colors"
+                              title="Historial de cambios"
+                            >
+                              <History className="w-4 h-4" />
+                            </button>
                           </span>
                         </div>
                         
@@ -830,8 +1059,8 @@ export default function GpicksView() {
                             type="checkbox"
                             checked={record.pick_check || false}
                             onChange={(e) => handlePickCheckToggle(record.documento, e.target.checked, record)}
-                            disabled={isUpdating || (user.usuario_tipo >= 3 && record.voto_emitido)}
-                            className={`w-4 h-4 accent-green-600 border-gray-300 rounded focus:ring-green-500 focus:ring-2 ${(user.usuario_tipo >= 3 && record.voto_emitido) ? 'opacity-50 cursor-not-allowed' : ''}`}
+                            disabled={isUpdating || (!canOverride && record.voto_emitido)}
+                            className={`w-4 h-4 accent-green-600 border-gray-300 rounded focus:ring-green-500 focus:ring-2 ${(!canOverride && record.voto_emitido) ? 'opacity-50 cursor-not-allowed' : ''}`}
                           />
                           <span className="text-xs text-gray-800">Check</span>
                         </div>
@@ -913,7 +1142,7 @@ export default function GpicksView() {
         initialPickNota={selectedVoter?.pickNota || ''}
         votanteName={selectedVoter?.fullName || ''}
         currentVoterEmopickId={selectedVoter?.emopickId || null}
-        isBlocked={selectedVoter ? !canEditPick(selectedVoter.votoEmitido, user.usuario_tipo) : false}
+        isBlocked={selectedVoter ? !canEditPick(selectedVoter.votoEmitido, canOverride) : false}
         blockedMessage={selectedVoter ? getBlockedMessage(selectedVoter.votoEmitido) : ''}
       />
 
@@ -924,6 +1153,22 @@ export default function GpicksView() {
         verifierName={pendingUncheckData?.verifierName || ''}
         verificationDate={pendingUncheckData?.verificationDate || ''}
       />
+
+      <BulkPickModal
+        isOpen={isBulkModalOpen}
+        onClose={handleCloseBulkModal}
+        onCompleted={handleBulkCompleted}
+        records={Array.from(selectedRecords.values())}
+        emopicksList={allEmopicks}
+        user={user}
+      />
+
+      <VoterHistoryModal
+        isOpen={!!historyRecord}
+        onClose={() => setHistoryRecord(null)}
+        documento={historyRecord?.documento}
+        votanteName={historyRecord ? `${historyRecord.apellido}, ${historyRecord.nombre}` : ''}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
-import { FileText, Upload, Download, Search, Database } from 'lucide-react';
+import { FileText, Upload, Download, Search, Database, History } from 'lucide-react';
 import ExportPadronForm from './padrones/ExportPadronForm';
 import ImportPadronForm from './padrones/ImportPadronForm';
+import ImportHistory from './padrones/ImportHistory';
 
 /**
  * Componente PadronesView - Vista de gestión de padrones electorales
@@ -13,9 +14,10 @@ import ImportPadronForm from './padrones/ImportPadronForm';
  * - Consulta: Búsqueda de votantes en el padrón (en desarrollo)
  * - Importar: Carga masiva de datos del padrón desde archivos Excel/CSV
  * - Exportar: Descarga de datos del padrón con filtros personalizados
+ * - Historial: Importaciones realizadas, con reversión de la última
  *
  * Estructura:
- * - Tres pestañas principales para organizar las funcionalidades
+ * - Cuatro pestañas principales para organizar las funcionalidades
  * - Cada pestaña renderiza un componente especializado
  * - Interfaz consistente con otras vistas del sistema
  */
@@ -26,6 +28,7 @@ export default function PadronesView() {
     { id: 'consulta', label: 'Consulta', icon: Search },
     { id: 'importar', label: 'Importar', icon: Upload },
     { id: 'exportar', label: 'Exportar', icon: Download },
+    { id: 'historial', label: 'Historial', icon: History },
   ];
 
   const renderTabContent = () => {
@@ -87,6 +90,9 @@ export default function PadronesView() {
       case 'exportar':
         return <ExportPadronForm />;
 
+      case 'historial':
+        return <ImportHistory />;
+
       default:
         return null;
     }
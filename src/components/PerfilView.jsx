@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { User, Lock, Shield, Save, Eye, EyeOff } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { useCan } from '../hooks/useCan';
 import { supabase } from '../lib/supabase';
 
 /**
@@ -24,6 +25,7 @@ import { supabase } from '../lib/supabase';
  */
 export default function PerfilView() {
   const { user, refreshUserProfile } = useAuth();
+  const can = useCan();
   const [activeTab, setActiveTab] = useState('perfil');
   const [isSaving, setIsSaving] = useState(false);
   const [saveMessage, setSaveMessage] = useState('');
@@ -243,7 +245,7 @@ export default function PerfilView() {
                   />
                 </div>
 
-                {user?.usuario_tipo <= 3 && (
+                {can('perfil.edit_mesa') && (
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       Número de Mesa Asignada
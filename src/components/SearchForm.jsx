@@ -1,6 +1,25 @@
-import React, { useState } from 'react';
-import { Search, Filter, RefreshCw, User, Users, MapPin, Hash } from 'lucide-react';
-import { useAuth } from '../context/AuthContext';
+import React, { useState, useEffect } from 'react';
+import { Search, Filter, RefreshCw, User, Users, MapPin, Hash, List } from 'lucide-react';
+import { useCan } from '../hooks/useCan';
+import SavedSearchesMenu from './shared/SavedSearchesMenu';
+import VoterListsModal from './listas/VoterListsModal';
+import DniScanButton from './shared/DniScanButton';
+
+/**
+ * Resumen legible de unos filtros de búsqueda, para el menú de búsquedas guardadas
+ *
+ * @param {Object} filters - Filtros de SearchForm
+ * @returns {string} Ej: "CENTRO · Mesa 12 · No votó"
+ */
+const describeFilters = (filters) => [
+  filters.documento && `DNI ${filters.documento}`,
+  [filters.apellido, filters.nombre].filter(Boolean).join(' '),
+  filters.localidad,
+  filters.mesa_numero && `Mesa ${filters.mesa_numero}`,
+  filters.clase && `Clase ${filters.clase}`,
+  filters.voto_emitido === true && 'Votó',
+  filters.voto_emitido === false && 'No votó'
+].filter(Boolean).join(' · ');
 
 /**
  * Componente SearchForm - Formulario de búsqueda en el padrón electoral
@@ -12,14 +31,36 @@ import { useAuth } from '../context/AuthContext';
  * - onSearch: function - Callback que se ejecuta cuando se realiza una búsqueda
  * - isLoading: boolean - Indica si se está procesando una búsqueda
  * - availableLocalities: array - Lista de localidades disponibles para el dropdown
+ * - onClear: function - Callback al limpiar el formulario
+ * - appliedFilters: object - Filtros de la última búsqueda; si cambian desde
+ *   afuera (ej: al elegir una sugerencia "quisiste decir") el formulario los refleja
+ * - onDniScan: function - Callback con los datos de un DNI escaneado; el padre
+ *   busca ese documento y compara los datos con el padrón
+ *
+ * Desde el encabezado se accede a las búsquedas guardadas (propias y del
+ * equipo) y a las listas de votantes.
+ *
+ * Apellido y nombre no distinguen acentos ni mayúsculas, aceptan palabras en
+ * cualquier orden y toleran errores de tipeo.
  */
-export default function SearchForm({ onSearch, isLoading, availableLocalities = [], onClear }) {
-  const { user } = useAuth();
-  const isPrivilegedUser = user?.usuario_tipo <= 3;
+export default function SearchForm({ onSearch, isLoading, availableLocalities = [], onClear, appliedFilters = null, onDniScan }) {
+  const can = useCan();
+  const isPrivilegedUser = can('pick.view');
   // Estado para almacenar todos los filtros de búsqueda
   const [filters, setFilters] = useState({});
   // Estado para controlar si se muestra la búsqueda avanzada o simple
   const [showAdvanced, setShowAdvanced] = useState(false);
+  // Estado para controlar la visibilidad del modal de listas de votantes
+  const [showLists, setShowLists] = useState(false);
+
+  // Refleja en el formulario los filtros aplicados desde afuera
+  useEffect(() => {
+    if (!appliedFilters) return;
+    setFilters(appliedFilters);
+    if (!appliedFilters.documento && Object.keys(appliedFilters).length > 0) {
+      setShowAdvanced(true);
+    }
+  }, [appliedFilters]);
 
   /**
    * Maneja el envío del formulario de búsqueda
@@ -30,6 +71,28 @@ export default function SearchForm({ onSearch, isLoading, availableLocalities =
     onSearch(filters);
   };
 
+  /**
+   * Completa el documento con el del DNI escaneado y delega la búsqueda al padre
+   *
+   * @param {Object} dni - Datos del DNI (ver utils/dniBarcode.js)
+   */
+  const handleDniScan = (dni) => {
+    setFilters({ documento: String(dni.documento) });
+    setShowAdvanced(false);
+    onDniScan(dni);
+  };
+
+  /**
+   * Aplica una búsqueda guardada: carga sus filtros en el formulario y busca
+   *
+   * @param {Object} savedFilters - Filtros de la búsqueda guardada
+   */
+  const handleApplySaved = (savedFilters) => {
+    setFilters(savedFilters);
+    setShowAdvanced(!savedFilters.documento);
+    onSearch(savedFilters);
+  };
+
   /**
    * Resetea todos los filtros de búsqueda
    * Limpia el estado de filtros y lo devuelve a un objeto vacío
@@ -91,15 +154,32 @@ export default function SearchForm({ onSearch, isLoading, availableLocalities =
       {/* Header del formulario con título y botón para alternar modo de búsqueda */}
       <div className="flex items-center justify-between mb-4">
         <h2 className="text-xl font-bold text-gray-900">Buscar en Padrón</h2>
-        <button
-          onClick={toggleAdvanced}
-          className="flex items-center space-x-1 text-blue-600 hover:text-blue-800 transition-colors"
-        >
-          <Filter className="w-5 h-5" />
-          <span className="text-sm font-medium">
-            {showAdvanced ? 'Búsqueda Simple' : 'Usar Filtros'}
-          </span>
-        </button>
+        <div className="flex items-center space-x-4">
+          <SavedSearchesMenu
+            vista="search"
+            filters={filters}
+            canSave={Object.keys(filters).length > 0}
+            onApply={handleApplySaved}
+            describe={describeFilters}
+          />
+          <button
+            onClick={() => setShowLists(true)}
+            className="flex items-center space-x-1 text-blue-600 hover:text-blue-800 transition-colors"
+            title="Listas de votantes"
+          >
+            <List className="w-5 h-5" />
+            <span className="hidden sm:inline text-sm font-medium">Listas</span>
+          </button>
+          <button
+            onClick={toggleAdvanced}
+            className="flex items-center space-x-1 text-blue-600 hover:text-blue-800 transition-colors"
+          >
+            <Filter className="w-5 h-5" />
+            <span className="text-sm font-medium">
+              {showAdvanced ? 'Búsqueda Simple' : 'Usar Filtros'}
+            </span>
+          </button>
+        </div>
       </div>
 
       <form onSubmit={handleSubmit} className="space-y-4">
@@ -271,8 +351,16 @@ export default function SearchForm({ onSearch, isLoading, availableLocalities =
             )}
             <span>Buscar</span>
           </button>
+
+          {/* Botón para buscar escaneando el código del DNI */}
+          {onDniScan && (
+            <DniScanButton onScan={handleDniScan} disabled={isLoading} className="px-6" />
+          )}
         </div>
       </form>
+
+      {/* Listas de votantes propias y compartidas */}
+      <VoterListsModal isOpen={showLists} onClose={() => setShowLists(false)} />
     </div>
   );
 }
\ No newline at end of file
@@ -11,41 +11,51 @@
  * - Sistema de clasificación emocional (emopicks)
  * - Persistencia de última selección en localStorage
  * - Control de acceso basado en roles de usuario
+ * - Historial de cambios del votante (picks, notas, verificación y voto)
  * - Actualización optimista de UI
+ * - Agregar votantes (uno o toda la página) a una lista de votantes
  */
 
 import React from 'react';
-import { FileText, User, MapPin, Hash, Users, Sparkles, XCircle, CheckCircle, SquarePen } from 'lucide-react';
+import { FileText, User, MapPin, Hash, Users, Sparkles, XCircle, CheckCircle, SquarePen, History, ListPlus } from 'lucide-react';
 import PickModal from './gpicks/PickModal';
+import VoterHistoryModal from './shared/VoterHistoryModal';
+import AddToListModal from './listas/AddToListModal';
 import Pagination from './shared/Pagination';
 import { supabase } from '../lib/supabase';
 import { useAuth } from '../context/AuthContext';
+import { useCan } from '../hooks/useCan';
 import { canEditPick, getBlockedMessage, updatePadronPick } from '../services/pickService';
 
 /**
  * @param {Array} results - Array de registros de votantes a mostrar
  * @param {boolean} isLoading - Indica si se está realizando una búsqueda
- * @param {number} userRole - Rol del usuario actual (determina permisos de visualización)
  * @param {Array} availableEmopicks - Lista de clasificaciones emocionales disponibles
  * @param {number} currentPage - Página actual de resultados
  * @param {number} pageSize - Cantidad de resultados por página
  * @param {number} totalCount - Total de registros encontrados
  * @param {Function} onPageChange - Callback cuando se cambia de página
  * @param {Function} onPageSizeChange - Callback cuando se cambia el tamaño de página
+ * @param {string|null} suggestion - Búsqueda corregida propuesta cuando no hay resultados
+ * @param {Function} onSuggestionSelect - Callback al elegir la búsqueda sugerida
  */
 export default function SearchResults({
   results,
   isLoading,
-  userRole,
   availableEmopicks = [],
   currentPage,
   pageSize,
   totalCount,
   onPageChange,
-  onPageSizeChange
+  onPageSizeChange,
+  suggestion = null,
+  onSuggestionSelect
 }) {
   // Obtener datos del usuario autenticado para registrar quién hace las actualizaciones
   const { user } = useAuth();
+  const can = useCan();
+  const canViewPicks = can('pick.view');
+  const canOverride = can('pick.override');
 
 /**
    * Formatea números con estándar argentino (punto como separador de miles, coma como decimal)
@@ -65,6 +75,12 @@ export default function SearchResults({
   // Estado: Registro actual seleccionado para asignar emopick
   const [currentRecordToPick, setCurrentRecordToPick] = React.useState(null);
 
+  // Estado: Registro cuyo historial de cambios se está mostrando
+  const [historyRecord, setHistoryRecord] = React.useState(null);
+
+  // Estado: Votantes a agregar a una lista (null = modal cerrado)
+  const [recordsToList, setRecordsToList] = React.useState(null);
+
   // Estado: Último emopick utilizado (persistido en localStorage para UX mejorada)
   // Permite pre-seleccionar el mismo emopick en operaciones consecutivas
   const [lastUsedEmopickId, setLastUsedEmopickId] = React.useState(() => {
@@ -93,7 +109,7 @@ export default function SearchResults({
    * @param {Object} record - Registro del votante a clasificar
    */
   const handleOpenPickModal = (record) => {
-    if (!canEditPick(record.voto_emitido, userRole)) {
+    if (!canEditPick(record.voto_emitido, canOverride)) {
       alert('No puedes editar picks de votantes que ya emitieron su voto.');
       return;
     }
@@ -185,6 +201,19 @@ export default function SearchResults({
           <p className="text-gray-600">
             Intenta modificar los criterios de búsqueda para obtener resultados.
           </p>
+          {suggestion && onSuggestionSelect && (
+            <p className="mt-4 text-gray-700">
+              ¿Quisiste decir{' '}
+              <button
+                type="button"
+                onClick={() => onSuggestionSelect(suggestion)}
+                className="font-semibold text-blue-600 hover:text-blue-800 underline"
+              >
+                {suggestion}
+              </button>
+              ?
+            </p>
+          )}
         </div>
       </div>
     );
@@ -194,7 +223,7 @@ export default function SearchResults({
   return (
     <div className="bg-white rounded-xl shadow-lg p-2">
       {/* Header con contador de resultados */}
-      <div className="flex items-center justify-center mb-3">
+      <div className="relative flex items-center justify-center mb-3">
         <h3 className="text-m text-gray-700 ">
           <span>
             Registros encontrados:&nbsp;
@@ -205,6 +234,14 @@ export default function SearchResults({
             
           </span>
         </h3>
+        <button
+          onClick={() => setRecordsToList(localResults)}
+          className="absolute right-0 flex items-center space-x-1 px-2 py-1 text-sm text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-lg transition-colors"
+          title="Agregar los votantes de esta página a una lista"
+        >
+          <ListPlus className="w-4 h-4" />
+          <span className="hidden sm:inline">Agregar página a lista</span>
+        </button>
       </div>
 
       {/* Lista de votantes encontrados */}
@@ -212,13 +249,20 @@ export default function SearchResults({
         {localResults.map((record) => (
           <div
             key={record.documento}
-            className={`border border-gray-200 rounded-lg p-3 hover:shadow-md transition-shadow duration-200 ${userRole && userRole <= 3 && record.voto_emitido ? 'bg-green-50' : ''}`}
+            className={`border border-gray-200 rounded-lg p-3 hover:shadow-md transition-shadow duration-200 ${canViewPicks && record.voto_emitido ? 'bg-green-50' : ''}`}
           >
             {/* NIVEL 1: Identificación principal - Apellido y Nombre */}
-            <div className="mb-2">
+            <div className="flex items-start justify-between mb-2">
               <h4 className="text-lg font-semibold text-gray-900">
                 {record.apellido}, {record.nombre}
               </h4>
+              <button
+                onClick={() => setRecordsToList([record])}
+                className="p-2 text-gray-500 hover:text-blue-700 hover:bg-blue-50 rounded-lg transition-colors"
+                title="Agregar a una lista"
+              >
+                <ListPlus className="w-4 h-4" />
+              </button>
             </div>
 
             {/* NIVEL 2: Ubicación - Domicilio del votante */}
@@ -251,9 +295,9 @@ export default function SearchResults({
               </div>
             </div>
 
-            {/* NIVEL 5: Indicadores de estado - Solo visible para usuarios con rol <= 3
+            {/* NIVEL 5: Indicadores de estado - Solo visible con la capacidad pick.view
                 Muestra: nuevo votante, voto obligatorio, y si emitió voto */}
-            {userRole && userRole <= 3 && (
+            {canViewPicks && (
               <div className="grid grid-cols-3 gap-3 mb-2">
                 {/* Indicador: Votante nuevo (primera vez en padrón) */}
                 <div className="flex items-center justify-center">
@@ -290,9 +334,9 @@ export default function SearchResults({
               </div>
             )}
 
-            {/* NIVEL 6: Clasificación emocional y acciones - Solo visible para usuarios con rol <= 3
-                Incluye: texto libre, emopick asignado, y botón para modificar */}
-            {userRole && userRole <= 3 && (
+            {/* NIVEL 6: Clasificación emocional y acciones - Solo visible con la capacidad pick.view
+                Incluye: texto libre, emopick asignado, y botón para modificar (pick.edit) */}
+            {canViewPicks && (
               <div className="grid grid-cols-3 gap-3 pt-2 border-t border-gray-100">
                 {/* Columna 1: Texto libre de observaciones */}
                 <div className="text-xs text-gray-600 text-center">
@@ -317,12 +361,21 @@ export default function SearchResults({
                 {/* Columna 3: Botón de acción para asignar/modificar emopick */}
                 <div className="flex items-center justify-end space-x-3">
                   <button
-                    onClick={() => handleOpenPickModal(record)}
-                    className="flex items-center space-x-2 px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium"
+                    onClick={() => setHistoryRecord(record)}
+                    className="p-2 text-gray-500 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-colors"
+                    title="Historial de cambios"
                   >
-                    <SquarePen className="w-4 h-4" />
-                    <span>PICK!</span>
+                    <History className="w-4 h-4" />
                   </button>
+                  {can('pick.edit') && (
+                    <button
+                      onClick={() => handleOpenPickModal(record)}
+                      className="flex items-center space-x-2 px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium"
+                    >
+                      <SquarePen className="w-4 h-4" />
+                      <span>PICK!</span>
+                    </button>
+                  )}
                 </div>
               </div>
             )}
@@ -356,9 +409,24 @@ export default function SearchResults({
         initialPickNota={currentRecordToPick?.pick_nota || lastUsedPickNota}
         votanteName={currentRecordToPick ? `${currentRecordToPick.apellido}, ${currentRecordToPick.nombre}` : ''}
         currentVoterEmopickId={currentRecordToPick?.emopick_id}
-        isBlocked={currentRecordToPick ? !canEditPick(currentRecordToPick.voto_emitido, userRole) : false}
+        isBlocked={currentRecordToPick ? !canEditPick(currentRecordToPick.voto_emitido, canOverride) : false}
         blockedMessage={currentRecordToPick ? getBlockedMessage(currentRecordToPick.voto_emitido) : ''}
       />
+
+      {/* Historial de cambios del votante */}
+      <VoterHistoryModal
+        isOpen={!!historyRecord}
+        onClose={() => setHistoryRecord(null)}
+        documento={historyRecord?.documento}
+        votanteName={historyRecord ? `${historyRecord.apellido}, ${historyRecord.nombre}` : ''}
+      />
+
+      {/* Agregar votantes a una lista propia */}
+      <AddToListModal
+        isOpen={!!recordsToList}
+        onClose={() => setRecordsToList(null)}
+        votantes={recordsToList || []}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -1,6 +1,31 @@
-import React, { useState } from 'react';
-import { Settings, MapPin, Building2, Save, Shield } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Settings, MapPin, Building2, Save, Shield, TrendingUp, Sparkles, KeyRound } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { useComicio } from '../context/ComicioContext';
+import { saveComicio } from '../services/comicioService';
+import { HORARIO_POR_DEFECTO, horaAMinutos } from '../utils/comicioUtils';
+import CurvasParticipacionSettings from './settings/CurvasParticipacionSettings';
+import EmopicksSettings from './settings/EmopicksSettings';
+import PermisosSettings from './settings/PermisosSettings';
+import { useCan } from '../hooks/useCan';
+
+/**
+ * Convierte el registro de `comicios` en los valores del formulario
+ *
+ * @param {Object|null} comicio - Registro vigente
+ * @returns {Object} Valores para los inputs controlados
+ */
+const toComicioForm = (comicio) => ({
+  id: comicio?.id ?? null,
+  nombre: comicio?.nombre ?? '',
+  fecha: comicio?.fecha ?? '',
+  descripcion: comicio?.descripcion ?? '',
+  // Postgres devuelve `time` como HH:MM:SS; el input solo necesita HH:MM
+  hora_apertura: (comicio?.hora_apertura ?? HORARIO_POR_DEFECTO.apertura).slice(0, 5),
+  hora_cierre: (comicio?.hora_cierre ?? HORARIO_POR_DEFECTO.cierre).slice(0, 5),
+  jurisdiccion: comicio?.jurisdiccion ?? '',
+  activo: comicio?.activo ?? true
+});
 
 /**
  * Componente SettingsView - Configuración del sistema electoral
@@ -10,22 +35,72 @@ import { useAuth } from '../context/AuthContext';
  *
  * Funcionalidades principales:
  * - Configuración de datos del comicio (nombre, fecha, descripción)
+ * - Curvas históricas de participación del comicio (general y por localidad)
+ * - Catálogo de emopicks: alta, edición, orden, archivado y fusión
+ * - Matriz de permisos por tipo de usuario (solo con la capacidad permisos.edit)
  * - Gestión de circuitos electorales y localidades
  * - Administración de establecimientos y mesas de votación
- * - Dos pestañas organizadas: Comicio y Circuitos & Mesas
+ * - Pestañas organizadas: Comicio, Curvas, Emopicks, Permisos y Circuitos & Mesas
  * - Formularios con validación para cada tipo de configuración
  *
- * Nota: Actualmente en modo vista previa con formularios de ejemplo.
- * La funcionalidad completa de persistencia debe ser implementada.
+ * La pestaña Comicio se guarda en la tabla `comicios` y alimenta ComicioContext:
+ * el horario define la proyección de tendencia y los gráficos por hora, y con el
+ * comicio activo el marcado de votos queda limitado a su día y horario.
+ *
+ * Nota: La pestaña Circuitos & Mesas sigue en modo vista previa con formularios
+ * de ejemplo; las mesas se administran desde Control > Mesas.
  */
 export default function SettingsView() {
   const { user } = useAuth();
+  const can = useCan();
   const [activeTab, setActiveTab] = useState('comicio');
   const [isSaving, setIsSaving] = useState(false);
   const [saveMessage, setSaveMessage] = useState('');
+  const { comicio, refreshComicio } = useComicio();
+  const [comicioForm, setComicioForm] = useState(() => toComicioForm(comicio));
+
+  // Reinicia el formulario cuando se carga o se guarda el comicio
+  useEffect(() => {
+    setComicioForm(toComicioForm(comicio));
+  }, [comicio]);
+
+  const handleComicioChange = (field, value) => {
+    setComicioForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  /**
+   * Valida y guarda la configuración del comicio
+   */
+  const handleSaveComicio = async () => {
+    if (!comicioForm.nombre.trim()) {
+      setSaveMessage('Error: El nombre del comicio es obligatorio');
+      return;
+    }
+    if (horaAMinutos(comicioForm.hora_cierre) <= horaAMinutos(comicioForm.hora_apertura)) {
+      setSaveMessage('Error: La hora de cierre debe ser posterior a la de apertura');
+      return;
+    }
+
+    setIsSaving(true);
+    setSaveMessage('');
+    try {
+      await saveComicio(comicioForm, user.id);
+      await refreshComicio();
+      setSaveMessage('Configuración guardada correctamente');
+      setTimeout(() => setSaveMessage(''), 3000);
+    } catch (error) {
+      console.error('Error saving comicio:', error);
+      setSaveMessage(`Error al guardar: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
 
   const tabs = [
     { id: 'comicio', label: 'Comicio', icon: Building2 },
+    { id: 'curvas', label: 'Curvas', icon: TrendingUp },
+    { id: 'emopicks', label: 'Emopicks', icon: Sparkles },
+    ...(can('permisos.edit') ? [{ id: 'permisos', label: 'Permisos', icon: KeyRound }] : []),
     { id: 'circuitos', label: 'Circuitos & Mesas', icon: MapPin },
   ];
 
@@ -54,6 +129,8 @@ export default function SettingsView() {
                   </label>
                   <input
                     type="text"
+                    value={comicioForm.nombre}
+                    onChange={(e) => handleComicioChange('nombre', e.target.value)}
                     placeholder="Ej: Elecciones Generales 2025"
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                   />
@@ -65,6 +142,8 @@ export default function SettingsView() {
                   </label>
                   <input
                     type="date"
+                    value={comicioForm.fecha}
+                    onChange={(e) => handleComicioChange('fecha', e.target.value)}
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                   />
                 </div>
@@ -75,6 +154,8 @@ export default function SettingsView() {
                   </label>
                   <textarea
                     rows="4"
+                    value={comicioForm.descripcion}
+                    onChange={(e) => handleComicioChange('descripcion', e.target.value)}
                     placeholder="Descripción del evento electoral"
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                   />
@@ -87,6 +168,8 @@ export default function SettingsView() {
                     </label>
                     <input
                       type="time"
+                      value={comicioForm.hora_apertura}
+                      onChange={(e) => handleComicioChange('hora_apertura', e.target.value)}
                       className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                     />
                   </div>
@@ -97,6 +180,8 @@ export default function SettingsView() {
                     </label>
                     <input
                       type="time"
+                      value={comicioForm.hora_cierre}
+                      onChange={(e) => handleComicioChange('hora_cierre', e.target.value)}
                       className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                     />
                   </div>
@@ -108,6 +193,8 @@ export default function SettingsView() {
                   </label>
                   <input
                     type="text"
+                    value={comicioForm.jurisdiccion}
+                    onChange={(e) => handleComicioChange('jurisdiccion', e.target.value)}
                     placeholder="Ej: Ciudad Autónoma de Buenos Aires"
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                   />
@@ -117,12 +204,14 @@ export default function SettingsView() {
                   <label className="flex items-center space-x-3 cursor-pointer">
                     <input
                       type="checkbox"
+                      checked={comicioForm.activo}
+                      onChange={(e) => handleComicioChange('activo', e.target.checked)}
                       className="w-5 h-5 text-blue-600 border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
                     />
                     <div>
                       <p className="font-medium text-gray-900">Comicio Activo</p>
                       <p className="text-sm text-gray-600">
-                        Habilitar funcionalidades relacionadas con este comicio
+                        Limita el marcado de votos a la fecha y horario configurados
                       </p>
                     </div>
                   </label>
@@ -141,14 +230,7 @@ export default function SettingsView() {
                 )}
 
                 <button
-                  onClick={() => {
-                    setIsSaving(true);
-                    setTimeout(() => {
-                      setSaveMessage('Configuración guardada correctamente');
-                      setIsSaving(false);
-                      setTimeout(() => setSaveMessage(''), 3000);
-                    }, 1000);
-                  }}
+                  onClick={handleSaveComicio}
                   disabled={isSaving}
                   className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
                 >
@@ -160,6 +242,15 @@ export default function SettingsView() {
           </div>
         );
 
+      case 'curvas':
+        return <CurvasParticipacionSettings />;
+
+      case 'emopicks':
+        return <EmopicksSettings />;
+
+      case 'permisos':
+        return <PermisosSettings />;
+
       case 'circuitos':
         return (
           <div className="space-y-4">
@@ -1,22 +1,23 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Search, ScreenShare, Database, Calculator, ListChecks, FileText, FileStack, ScanEye, Settings, Menu, X, CheckCheck, User, SquarePen, UserCog } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { useCan } from '../hooks/useCan';
 import { FEATURES } from '../config/features';
 import CreditsModal from './CreditsModal';
 
-// Configuración de elementos del menú con permisos por rol
-// maxRole define el nivel máximo de usuario que puede acceder (1=SUPERUSUARIO, 5=COLABORADOR)
+// Configuración de elementos del menú con permisos por capacidad
+// capability: capacidad necesaria para ver el ítem (ver permisosUtils / useCan)
 // disabled: indica si la funcionalidad está temporalmente deshabilitada
 const menuItems = [
-  { id: 'search', label: 'Búsqueda', icon: Search, maxRole: 5, disabled: false },
-  { id: 'gpicks', label: 'Picks', icon: SquarePen, maxRole: 3, disabled: false },
-  { id: 'fiscalizar', label: 'Fiscalizar', icon: ListChecks, maxRole: 4, disabled: false },
-  { id: 'testigo', label: 'Mesa Testigo', icon: ScanEye, maxRole: 4, disabled: !FEATURES.MESA_TESTIGO_ENABLED },
-  { id: 'stats', label: 'Estadísticas', icon: Database, maxRole: 3, disabled: false },
-  { id: 'control', label: 'Control', icon: ScreenShare, maxRole: 2, disabled: false },
-  { id: 'gusers', label: 'Usuarios', icon: User, maxRole: 2, disabled: false },
-  { id: 'padrones', label: 'Padrones', icon: FileText, maxRole: 2, disabled: false },
-  { id: 'settings', label: 'Configuración', icon: Settings, maxRole: 2, disabled: false },
+  { id: 'search', label: 'Búsqueda', icon: Search, capability: 'view.search', disabled: false },
+  { id: 'gpicks', label: 'Picks', icon: SquarePen, capability: 'view.gpicks', disabled: false },
+  { id: 'fiscalizar', label: 'Fiscalizar', icon: ListChecks, capability: 'view.fiscalizar', disabled: false },
+  { id: 'testigo', label: 'Mesa Testigo', icon: ScanEye, capability: 'view.testigo', disabled: !FEATURES.MESA_TESTIGO_ENABLED },
+  { id: 'stats', label: 'Estadísticas', icon: Database, capability: 'view.stats', disabled: false },
+  { id: 'control', label: 'Control', icon: ScreenShare, capability: 'view.control', disabled: false },
+  { id: 'gusers', label: 'Usuarios', icon: User, capability: 'view.gusers', disabled: false },
+  { id: 'padrones', label: 'Padrones', icon: FileText, capability: 'view.padrones', disabled: false },
+  { id: 'settings', label: 'Configuración', icon: Settings, capability: 'view.settings', disabled: false },
 ];
 
 /**
@@ -37,6 +38,8 @@ const menuItems = [
 export default function Sidebar({ isOpen, setIsOpen, activeView, setActiveView }) {
   // Obtener datos del usuario autenticado
   const { user } = useAuth();
+  const can = useCan();
+  const canEditProfile = can('perfil.edit');
   // Estado para controlar el modal de créditos
   const [showCreditsModal, setShowCreditsModal] = useState(false);
 
@@ -55,12 +58,9 @@ export default function Sidebar({ isOpen, setIsOpen, activeView, setActiveView }
   }, [isOpen]);
 
   /**
-   * Filtrar elementos del menú basado en el rol del usuario
-   * Solo muestra elementos donde el usuario_tipo sea menor o igual al maxRole
+   * Filtrar elementos del menú según las capacidades del usuario
    */
-  const visibleMenuItems = menuItems.filter(item =>
-    user?.usuario_tipo && user.usuario_tipo <= item.maxRole
-  );
+  const visibleMenuItems = menuItems.filter(item => can(item.capability));
 
   return (
     <>
@@ -108,14 +108,14 @@ export default function Sidebar({ isOpen, setIsOpen, activeView, setActiveView }
             <div className="mb-6">
               <button
                 onClick={() => {
-                  if (user?.usuario_tipo && user.usuario_tipo <= 4) {
+                  if (canEditProfile) {
                     setActiveView('perfil');
                     setIsOpen(false);
                   }
                 }}
-                disabled={!(user?.usuario_tipo && user.usuario_tipo <= 4)}
+                disabled={!canEditProfile}
                 className={`w-full flex items-center space-x-3 p-3 bg-gray-50 rounded-lg transition-colors ${
-                  user?.usuario_tipo && user.usuario_tipo <= 4
+                  canEditProfile
                     ? 'hover:bg-blue-50 cursor-pointer group'
                     : 'opacity-60 cursor-not-allowed'
                 }`}
@@ -127,12 +127,12 @@ export default function Sidebar({ isOpen, setIsOpen, activeView, setActiveView }
                 {/* Información del usuario - alineada a la izquierda */}
                 <div className="flex-1 min-w-0 text-left">
                   <p className={`text-sm font-medium text-gray-900 truncate transition-colors ${
-                    user?.usuario_tipo && user.usuario_tipo <= 4 ? 'group-hover:text-blue-600' : ''
+                    canEditProfile ? 'group-hover:text-blue-600' : ''
                   }`}>
                     {user?.name}
                   </p>
                   <p className={`text-xs text-gray-500 transition-colors ${
-                    user?.usuario_tipo && user.usuario_tipo <= 4 ? 'group-hover:text-blue-500' : ''
+                    canEditProfile ? 'group-hover:text-blue-500' : ''
                   }`}>{user?.roleDescription}</p>
                 </div>
               </button>
@@ -145,9 +145,10 @@ export default function Sidebar({ isOpen, setIsOpen, activeView, setActiveView }
                 const isActive = activeView === item.id;
                 const isDisabled = item.disabled;
 
-                // Identificar si es el primer ítem administrativo (Usuarios)
-                const isFirstAdminItem = item.id === 'gusers';
+                // Identificar si es el primer ítem administrativo visible
                 const isAdminItem = ['gusers', 'padrones', 'settings'].includes(item.id);
+                const isFirstAdminItem = isAdminItem &&
+                  visibleMenuItems.find(i => ['gusers', 'padrones', 'settings'].includes(i.id)) === item;
 
                 // Renderizar ítem normal (sin contenedor)
                 if (!isAdminItem) {
@@ -4,15 +4,27 @@ import { BarChart3, CircleDashed, TextSearch, FileText } from 'lucide-react';
 import RealtimeStats from './stats/RealtimeStats';
 import GeneralStats from './stats/GeneralStats';
 import ReportsStats from './stats/ReportsStats.jsx';
+import { getUrlParam, updateUrlParams } from '../utils/urlState';
+
+const tabs = [
+  { id: 'general', label: 'General', icon: BarChart3 },
+  { id: 'realtime', label: 'Pendientes', icon: TextSearch },
+  { id: 'reports', label: 'Reportes', icon: FileText },
+];
 
 export default function StatsView() {
-  const [activeTab, setActiveTab] = useState('general');
+  // La pestaña inicial sale de la URL (?tab=realtime)
+  const [activeTab, setActiveTab] = useState(() => {
+    const tab = getUrlParam('tab');
+    return tabs.some(t => t.id === tab) ? tab : 'general';
+  });
 
-  const tabs = [
-    { id: 'general', label: 'General', icon: BarChart3 },
-    { id: 'realtime', label: 'Pendientes', icon: TextSearch },
-    { id: 'reports', label: 'Reportes', icon: FileText },
-  ];
+  // Al cambiar de pestaña se descartan los filtros de la anterior; la URL se
+  // actualiza antes de montar la pestaña nueva para no pisar sus parámetros
+  const handleTabChange = (tab) => {
+    updateUrlParams({ tab: tab === 'general' ? null : tab, mesa: null, pick: null, metrica: null, pag: null });
+    setActiveTab(tab);
+  };
 
   const renderTabContent = () => {
     switch (activeTab) {
@@ -57,7 +69,7 @@ export default function StatsView() {
               return (
                 <button
                   key={tab.id}
-                  onClick={() => setActiveTab(tab.id)}
+                  onClick={() => handleTabChange(tab.id)}
                   className={`flex items-center space-x-1 py-2 px-1 border-b-2 font-medium text-sm transition-colors ${
                     isActive
                       ? 'border-blue-500 text-blue-600'
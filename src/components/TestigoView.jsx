@@ -1,19 +1,26 @@
 import React, { useState } from 'react';
-import { ScanEye, BarChart3, AlertCircle, Construction } from 'lucide-react';
+import { ScanEye, BarChart3, Activity, CalendarClock, AlertCircle, Construction } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { useCan } from '../hooks/useCan';
 import { FEATURES } from '../config/features';
 import MuestreoTestigo from './testigo/MuestreoTestigo';
 import ResultadosTestigo from './testigo/ResultadosTestigo';
+import TestigoDashboard from './testigo/TestigoDashboard';
+import CronogramaTestigo from './testigo/CronogramaTestigo';
 
 /**
  * Componente TestigoView - Vista principal para Mesa Testigo
  *
- * Propósito: Contenedor principal que maneja las dos sub-vistas de Mesa Testigo:
- * - Muestreo: Para usuarios tipo 3 y 4 (fiscales)
- * - Resultados: Para usuarios tipo 2 o inferior (administradores)
+ * Propósito: Contenedor principal que maneja las sub-vistas de Mesa Testigo:
+ * - Muestreo: capacidad testigo.muestreo (por defecto generales y fiscales)
+ * - Resultados: capacidad testigo.resultados (por defecto administradores)
+ * - Análisis: capacidad testigo.resultados, dashboard estadístico en tiempo real
+ * - Cronograma: turnos de muestreo; los supervisores los definen y ven la
+ *   cobertura, los fiscales ven los de su mesa
  */
 export default function TestigoView() {
   const { user } = useAuth();
+  const can = useCan();
   const [activeTab, setActiveTab] = useState('muestreo');
 
   // Verificar si la funcionalidad está deshabilitada
@@ -42,20 +49,30 @@ export default function TestigoView() {
       id: 'muestreo',
       label: 'Muestreo',
       icon: ScanEye,
-      minRole: 3, // Usuarios tipo 3 y 4
-      maxRole: 4
+      capability: 'testigo.muestreo'
     },
     {
       id: 'resultados',
       label: 'Resultados',
       icon: BarChart3,
-      minRole: 1, // Usuarios tipo 1 y 2
-      maxRole: 2
+      capability: 'testigo.resultados'
+    },
+    {
+      id: 'analisis',
+      label: 'Análisis',
+      icon: Activity,
+      capability: 'testigo.resultados'
+    },
+    {
+      id: 'cronograma',
+      label: 'Cronograma',
+      icon: CalendarClock,
+      capability: ['testigo.muestreo', 'testigo.resultados']
     },
   ];
 
   // Verificar permisos generales
-  if (!user || user.usuario_tipo > 4) {
+  if (!user || !can('view.testigo')) {
     return (
       <div className="bg-white rounded-xl shadow-lg p-6">
         <div className="text-center py-12">
@@ -68,9 +85,7 @@ export default function TestigoView() {
   }
 
   // Filtrar pestañas según permisos del usuario
-  const visibleTabs = tabs.filter(tab => 
-    user.usuario_tipo >= tab.minRole && user.usuario_tipo <= tab.maxRole
-  );
+  const visibleTabs = tabs.filter(tab => [].concat(tab.capability).some(capability => can(capability)));
 
   // Si no hay pestañas visibles, mostrar mensaje de sin permisos
   if (visibleTabs.length === 0) {
@@ -101,6 +116,10 @@ export default function TestigoView() {
         return <MuestreoTestigo />;
       case 'resultados':
         return <ResultadosTestigo />;
+      case 'analisis':
+        return <TestigoDashboard />;
+      case 'cronograma':
+        return <CronogramaTestigo />;
       default:
         return null;
     }
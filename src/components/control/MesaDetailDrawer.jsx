@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Users, CheckCircle, Clock, MapPin, Building2, UserCheck, Wifi, WifiOff } from 'lucide-react';
+import { supabase } from '../../lib/supabase';
+import { loadMesaTotales } from '../../services/mesaTotalesService';
+
+/**
+ * Componente MesaDetailDrawer - Panel lateral con el detalle de una mesa
+ *
+ * Propósito: Muestra la información de una mesa seleccionada en MesasView,
+ * los fiscales asignados (vía `profiles.mesa_numero`) y la participación,
+ * actualizada en tiempo real.
+ *
+ * La participación se lee de `mesas` (mesaTotalesService): los triggers de
+ * `padron` actualizan los totales en la misma transacción que marca el voto.
+ *
+ * Props:
+ * - mesa: object - Mesa seleccionada (numero, mesa_localidad, establecimientos)
+ * - userTypes: array - Tipos de usuario (tipo, descripcion) para rotular a los fiscales
+ * - onClose: function - Callback para cerrar el panel
+ */
+export default function MesaDetailDrawer({ mesa, userTypes = [], onClose }) {
+  const [fiscales, setFiscales] = useState([]);
+  const [participacion, setParticipacion] = useState({ empadronados: 0, votaron: 0 });
+  const [loading, setLoading] = useState(true);
+  const [isLive, setIsLive] = useState(false);
+
+  /**
+   * Carga empadronados y votantes de la mesa
+   */
+  const fetchParticipacion = useCallback(async () => {
+    setParticipacion(await loadMesaTotales(mesa.numero));
+  }, [mesa.numero]);
+
+  /**
+   * Carga los fiscales asignados a la mesa
+   */
+  const fetchFiscales = useCallback(async () => {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('id, full_name, email, usuario_tipo')
+      .eq('mesa_numero', mesa.numero)
+      .order('full_name', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching fiscales de la mesa:', error);
+      setFiscales([]);
+      return;
+    }
+    setFiscales(data || []);
+  }, [mesa.numero]);
+
+  useEffect(() => {
+    setLoading(true);
+    Promise.all([fetchFiscales(), fetchParticipacion()])
+      .catch(error => console.error('Error loading mesa detail:', error))
+      .finally(() => setLoading(false));
+  }, [fetchFiscales, fetchParticipacion]);
+
+  // Participación en vivo: releer los totales ante cada voto marcado en la mesa
+  useEffect(() => {
+    const channel = supabase
+      .channel(`mesa-detail-${mesa.numero}`)
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'padron',
+          filter: `mesa_numero=eq.${mesa.numero}`
+        },
+        (payload) => {
+          if (payload.new.voto_emitido !== payload.old.voto_emitido) {
+            fetchParticipacion();
+          }
+        }
+      )
+      .subscribe((status) => setIsLive(status === 'SUBSCRIBED'));
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [mesa.numero, fetchParticipacion]);
+
+  /**
+   * Obtiene el nombre descriptivo del tipo de usuario
+   */
+  const getUserTypeName = (tipo) => {
+    const userType = userTypes.find(t => t.tipo === tipo);
+    return userType ? userType.descripcion : `Tipo ${tipo}`;
+  };
+
+  const porcentaje = participacion.empadronados > 0
+    ? (participacion.votaron / participacion.empadronados) * 100
+    : 0;
+
+  return (
+    <>
+      <div className="fixed inset-0 bg-black bg-opacity-50 z-40" onClick={onClose} />
+
+      <div className="fixed inset-y-0 right-0 z-50 w-full max-w-md bg-white shadow-2xl flex flex-col">
+        {/* Encabezado */}
+        <div className="flex items-center justify-between px-5 py-4 border-b border-gray-200">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Mesa {mesa.numero}</h3>
+            <span className={`flex items-center space-x-1 text-xs ${isLive ? 'text-green-700' : 'text-gray-500'}`}>
+              {isLive ? <Wifi className="w-3 h-3" /> : <WifiOff className="w-3 h-3" />}
+              <span>{isLive ? 'En vivo' : 'Conectando...'}</span>
+            </span>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-5 space-y-5">
+          {/* Ubicación */}
+          <div className="space-y-2 text-sm">
+            <p className="flex items-center space-x-2 text-gray-700">
+              <Building2 className="w-4 h-4 text-gray-500" />
+              <span>{mesa.establecimientos?.nombre || 'Sin establecimiento'}</span>
+            </p>
+            <p className="flex items-center space-x-2 text-gray-700">
+              <MapPin className="w-4 h-4 text-gray-500" />
+              <span>{mesa.mesa_localidad || 'Sin localidad'}</span>
+            </p>
+          </div>
+
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : (
+            <>
+              {/* Participación */}
+              <div className="space-y-3">
+                <h4 className="text-sm font-semibold text-gray-900">Participación</h4>
+                <div className="grid grid-cols-3 gap-2">
+                  <div className="bg-blue-50 border border-blue-200 rounded-lg p-2 text-center">
+                    <Users className="w-5 h-5 text-blue-600 mx-auto" />
+                    <p className="text-lg font-bold text-blue-900">{participacion.empadronados}</p>
+                    <p className="text-xs text-blue-700">Empadronados</p>
+                  </div>
+                  <div className="bg-green-50 border border-green-200 rounded-lg p-2 text-center">
+                    <CheckCircle className="w-5 h-5 text-green-600 mx-auto" />
+                    <p className="text-lg font-bold text-green-900">{participacion.votaron}</p>
+                    <p className="text-xs text-green-700">Votaron</p>
+                  </div>
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-2 text-center">
+                    <Clock className="w-5 h-5 text-yellow-600 mx-auto" />
+                    <p className="text-lg font-bold text-yellow-900">
+                      {participacion.empadronados - participacion.votaron}
+                    </p>
+                    <p className="text-xs text-yellow-700">Pendientes</p>
+                  </div>
+                </div>
+                <div>
+                  <div className="flex justify-between text-xs text-gray-600 mb-1">
+                    <span>Participación</span>
+                    <span className="font-semibold">{porcentaje.toFixed(1)}%</span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-3">
+                    <div
+                      className="bg-purple-600 h-3 rounded-full transition-all duration-500"
+                      style={{ width: `${Math.min(porcentaje, 100)}%` }}
+                    />
+                  </div>
+                </div>
+              </div>
+
+              {/* Fiscales asignados */}
+              <div className="space-y-2">
+                <h4 className="text-sm font-semibold text-gray-900">
+                  Fiscales asignados ({fiscales.length})
+                </h4>
+                {fiscales.length === 0 ? (
+                  <p className="text-sm text-gray-500">No hay fiscales asignados a esta mesa</p>
+                ) : (
+                  fiscales.map(fiscal => (
+                    <div key={fiscal.id} className="flex items-center space-x-3 border border-gray-200 rounded-lg p-2">
+                      <UserCheck className="w-5 h-5 text-blue-600 flex-shrink-0" />
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-900 truncate">{fiscal.full_name}</p>
+                        <p className="text-xs text-gray-500 truncate">
+                          {getUserTypeName(fiscal.usuario_tipo)} · {fiscal.email}
+                        </p>
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,51 +1,767 @@
-import React from 'react';
-import { Archive, Clock } from 'lucide-react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Archive, Plus, Pencil, Trash2, Save, X, Search, Eye, AlertCircle, CheckCircle, RefreshCw } from 'lucide-react';
+import { supabase } from '../../lib/supabase';
+import { recalcularTotalesMesas } from '../../services/mesaTotalesService';
+import { fetchAllRows } from '../../services/paginacion';
+import Pagination from '../shared/Pagination';
+import MesaDetailDrawer from './MesaDetailDrawer';
+
+// Valores iniciales del formulario de alta
+const EMPTY_MESA = {
+  numero: '',
+  mesa_localidad: '',
+  establecimiento_id: ''
+};
 
 /**
  * Componente MesasView - Vista de gestión de mesas electorales
  *
- * Propósito: Placeholder para el módulo de gestión de mesas electorales.
- * Este componente será expandido para incluir funcionalidades completas de
- * administración de mesas, asignación de fiscales y monitoreo de estado.
+ * Propósito: Administración completa (alta, edición, baja) de la tabla `mesas`,
+ * con filtros por localidad y establecimiento y acceso al detalle de cada mesa.
+ *
+ * Funcionalidades:
+ * - Grilla paginada con numero, localidad, establecimiento, empadronados y votantes
+ * - Filtros por localidad, establecimiento y número de mesa
+ * - Edición inline de una fila por vez (el número de mesa no se modifica
+ *   porque es la clave referenciada por padron y profiles; los totales son de
+ *   solo lectura porque los mantienen los triggers de padron)
+ * - Alta de mesas nuevas con validación de número duplicado
+ * - Baja con confirmación, bloqueada si la mesa tiene electores en el padrón
+ * - Drawer de detalle con fiscales asignados y participación en tiempo real
+ * - Verificación de totales contra el padrón con informe de consistencia y
+ *   corrección (los totales los mantienen triggers; esto repara desvíos)
  *
- * Funcionalidades planificadas:
- * - Listado de todas las mesas electorales
- * - Asignación de establecimientos y circuitos
- * - Configuración de capacidad de cada mesa
- * - Visualización de estado en tiempo real
- * - Asignación de fiscales por mesa
+ * Props:
+ * - userTypes: array - Tipos de usuario (tipo, descripcion) cargados por ControlView
  */
-export default function MesasView() {
+export default function MesasView({ userTypes = [] }) {
+  const [mesas, setMesas] = useState([]);
+  const [establecimientos, setEstablecimientos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  // Filtros
+  const [filterLocalidad, setFilterLocalidad] = useState('');
+  const [filterEstablecimiento, setFilterEstablecimiento] = useState('');
+  const [filterNumero, setFilterNumero] = useState('');
+
+  // Edición inline: número de la mesa en edición y valores del formulario
+  const [editingNumero, setEditingNumero] = useState(null);
+  const [editValues, setEditValues] = useState(EMPTY_MESA);
+
+  // Alta de mesa
+  const [isCreating, setIsCreating] = useState(false);
+  const [newMesa, setNewMesa] = useState(EMPTY_MESA);
+
+  // Baja de mesa
+  const [mesaToDelete, setMesaToDelete] = useState(null);
+
+  // Informe de consistencia de totales: null si no se verificó
+  const [totalsReport, setTotalsReport] = useState(null);
+  const [totalsApplied, setTotalsApplied] = useState(false);
+  const [checkingTotals, setCheckingTotals] = useState(false);
+
+  // Drawer de detalle
+  const [selectedMesa, setSelectedMesa] = useState(null);
+
+  // Paginación
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pageSize, setPageSize] = useState(() => {
+    const saved = localStorage.getItem('mesasViewPageSize');
+    return saved ? Number(saved) : 25;
+  });
+
+  useEffect(() => {
+    fetchMesas();
+    fetchEstablecimientos();
+  }, []);
+
+  /**
+   * Carga todas las mesas con su establecimiento, en lotes
+   */
+  const fetchMesas = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const all = await fetchAllRows(
+        () => supabase
+          .from('mesas')
+          .select(`
+            numero,
+            mesa_localidad,
+            establecimiento_id,
+            total_empadronados,
+            total_votaron,
+            establecimientos (
+              id,
+              nombre
+            )
+          `)
+          .order('numero', { ascending: true }),
+        'Error al cargar las mesas'
+      );
+      setMesas(all);
+    } catch (error) {
+      console.error('Error fetching mesas:', error);
+      setError('Error al cargar las mesas');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Compara los totales de las mesas con el padrón. Con `aplicar` corrige
+   * las diferencias y recarga la grilla.
+   *
+   * @param {boolean} aplicar - Si corrige además de informar
+   */
+  const handleCheckTotals = async (aplicar) => {
+    setCheckingTotals(true);
+    setMessage({ type: '', text: '' });
+    try {
+      const report = await recalcularTotalesMesas({ aplicar });
+      setTotalsReport(report);
+      setTotalsApplied(aplicar);
+      if (aplicar && report.length > 0) {
+        await fetchMesas();
+      }
+    } catch (error) {
+      console.error('Error recalculating totals:', error);
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setCheckingTotals(false);
+    }
+  };
+
+  /**
+   * Carga los establecimientos disponibles para filtros y selects
+   */
+  const fetchEstablecimientos = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('establecimientos')
+        .select('id, nombre')
+        .order('nombre', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching establecimientos:', error);
+        return;
+      }
+      setEstablecimientos(data || []);
+    } catch (error) {
+      console.error('Error loading establecimientos:', error);
+    }
+  };
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text });
+    setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+  };
+
+  // Localidades únicas presentes en las mesas
+  const localidades = useMemo(
+    () => [...new Set(mesas.map(m => m.mesa_localidad).filter(Boolean))].sort(),
+    [mesas]
+  );
+
+  // Mesas que cumplen los filtros activos
+  const filteredMesas = useMemo(() => mesas.filter(mesa => {
+    if (filterLocalidad && mesa.mesa_localidad !== filterLocalidad) return false;
+    if (filterEstablecimiento && String(mesa.establecimiento_id) !== filterEstablecimiento) return false;
+    if (filterNumero && !String(mesa.numero).includes(filterNumero.trim())) return false;
+    return true;
+  }), [mesas, filterLocalidad, filterEstablecimiento, filterNumero]);
+
+  // Totales de las mesas filtradas
+  const totals = useMemo(() => filteredMesas.reduce((acc, mesa) => ({
+    empadronados: acc.empadronados + (mesa.total_empadronados || 0),
+    votaron: acc.votaron + (mesa.total_votaron || 0)
+  }), { empadronados: 0, votaron: 0 }), [filteredMesas]);
+
+  const totalPages = Math.max(1, Math.ceil(filteredMesas.length / pageSize));
+  const pageMesas = filteredMesas.slice((currentPage - 1) * pageSize, currentPage * pageSize);
+
+  // Volver a la primera página cuando cambian los filtros
+  useEffect(() => {
+    setCurrentPage(1);
+  }, [filterLocalidad, filterEstablecimiento, filterNumero]);
+
+  const handlePageSizeChange = (newSize) => {
+    setPageSize(newSize);
+    setCurrentPage(1);
+    localStorage.setItem('mesasViewPageSize', newSize.toString());
+  };
+
+  /**
+   * Normaliza los valores del formulario al formato de la tabla. Los totales
+   * no se escriben desde acá: se corrigen con la verificación de totales.
+   */
+  const toRow = (values) => ({
+    mesa_localidad: values.mesa_localidad?.trim() || null,
+    establecimiento_id: values.establecimiento_id === '' ? null : Number(values.establecimiento_id)
+  });
+
+  // ── Edición inline ──────────────────────────────────────────────────────────
+
+  const handleStartEdit = (mesa) => {
+    setIsCreating(false);
+    setEditingNumero(mesa.numero);
+    setEditValues({
+      numero: mesa.numero,
+      mesa_localidad: mesa.mesa_localidad || '',
+      establecimiento_id: mesa.establecimiento_id ?? ''
+    });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingNumero(null);
+    setEditValues(EMPTY_MESA);
+  };
+
+  const handleSaveEdit = async () => {
+    setSaving(true);
+    try {
+      const { error } = await supabase
+        .from('mesas')
+        .update(toRow(editValues))
+        .eq('numero', editingNumero);
+
+      if (error) {
+        console.error('Error updating mesa:', error);
+        showMessage('error', `Error al actualizar la mesa: ${error.message}`);
+        return;
+      }
+
+      const establecimiento = establecimientos.find(e => String(e.id) === String(editValues.establecimiento_id));
+      setMesas(prev => prev.map(m =>
+        m.numero === editingNumero
+          ? { ...m, ...toRow(editValues), establecimientos: establecimiento || null }
+          : m
+      ));
+      showMessage('success', `Mesa ${editingNumero} actualizada`);
+      handleCancelEdit();
+    } catch (error) {
+      console.error('Error:', error);
+      showMessage('error', 'Error inesperado al actualizar la mesa');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ── Alta ────────────────────────────────────────────────────────────────────
+
+  const handleCreate = async () => {
+    const numero = parseInt(newMesa.numero);
+    if (isNaN(numero) || numero <= 0) {
+      showMessage('error', 'Ingrese un número de mesa válido');
+      return;
+    }
+    if (mesas.some(m => m.numero === numero)) {
+      showMessage('error', `La mesa ${numero} ya existe`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const { error } = await supabase
+        .from('mesas')
+        .insert({ numero, ...toRow(newMesa) });
+
+      if (error) {
+        console.error('Error creating mesa:', error);
+        showMessage('error', `Error al crear la mesa: ${error.message}`);
+        return;
+      }
+
+      await fetchMesas();
+      setIsCreating(false);
+      setNewMesa(EMPTY_MESA);
+      showMessage('success', `Mesa ${numero} creada`);
+    } catch (error) {
+      console.error('Error:', error);
+      showMessage('error', 'Error inesperado al crear la mesa');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ── Baja ────────────────────────────────────────────────────────────────────
+
+  const handleConfirmDelete = async () => {
+    if (!mesaToDelete) return;
+
+    setSaving(true);
+    try {
+      // No permitir borrar mesas con electores: dejaría registros del padrón huérfanos
+      const { count, error: countError } = await supabase
+        .from('padron')
+        .select('documento', { count: 'exact', head: true })
+        .eq('mesa_numero', mesaToDelete.numero);
+
+      if (countError) throw countError;
+
+      if (count > 0) {
+        showMessage('error', `La mesa ${mesaToDelete.numero} tiene ${count} electores en el padrón y no puede eliminarse`);
+        return;
+      }
+
+      const { error } = await supabase
+        .from('mesas')
+        .delete()
+        .eq('numero', mesaToDelete.numero);
+
+      if (error) throw error;
+
+      setMesas(prev => prev.filter(m => m.numero !== mesaToDelete.numero));
+      showMessage('success', `Mesa ${mesaToDelete.numero} eliminada`);
+    } catch (error) {
+      console.error('Error deleting mesa:', error);
+      showMessage('error', `Error al eliminar la mesa: ${error.message}`);
+    } finally {
+      setSaving(false);
+      setMesaToDelete(null);
+    }
+  };
+
+  // ── Render ──────────────────────────────────────────────────────────────────
+
+  const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500';
+
+  /**
+   * Celdas editables compartidas entre la fila de alta y la de edición.
+   * Los totales se muestran de solo lectura (una mesa nueva arranca en 0).
+   */
+  const renderEditableCells = (values, setValues, mesa = null) => (
+    <>
+      <td className="px-2 py-2">
+        <input
+          type="text"
+          value={values.mesa_localidad}
+          onChange={(e) => setValues({ ...values, mesa_localidad: e.target.value })}
+          list="mesas-localidades"
+          placeholder="Localidad"
+          className={inputClass}
+        />
+      </td>
+      <td className="px-2 py-2">
+        <select
+          value={values.establecimiento_id}
+          onChange={(e) => setValues({ ...values, establecimiento_id: e.target.value })}
+          className={inputClass}
+        >
+          <option value="">Sin establecimiento</option>
+          {establecimientos.map(est => (
+            <option key={est.id} value={est.id}>{est.nombre}</option>
+          ))}
+        </select>
+      </td>
+      <td className="px-2 py-2 text-right text-gray-500">{mesa?.total_empadronados || 0}</td>
+      <td className="px-2 py-2 text-right text-gray-500">{mesa?.total_votaron || 0}</td>
+    </>
+  );
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-2">
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          <span className="ml-3 text-gray-600">Cargando mesas...</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-4">
+        <div className="text-center py-12">
+          <AlertCircle className="w-16 h-16 text-red-400 mx-auto mb-4" />
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">Error</h3>
+          <p className="text-red-600">{error}</p>
+          <button
+            onClick={fetchMesas}
+            className="mt-4 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Reintentar
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="space-y-4">
       <div className="bg-purple-50 border border-purple-200 rounded-lg p-4">
-        <div className="flex items-center space-x-3">
-          <Archive className="w-6 h-6 text-purple-600" />
-          <div>
-            <h3 className="font-semibold text-purple-800">Gestión de Mesas</h3>
-            <p className="text-sm text-purple-700">
-              Administra y configura las mesas electorales
-            </p>
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <Archive className="w-6 h-6 text-purple-600" />
+            <div>
+              <h3 className="font-semibold text-purple-800">Gestión de Mesas</h3>
+              <p className="text-sm text-purple-700">
+                {filteredMesas.length} mesas · {totals.empadronados} empadronados · {totals.votaron} votaron
+              </p>
+            </div>
           </div>
+          <button
+            onClick={fetchMesas}
+            className="text-purple-600 hover:text-purple-800 transition-colors"
+            title="Recargar"
+          >
+            <RefreshCw className="w-5 h-5" />
+          </button>
         </div>
       </div>
 
-      <div className="bg-white border border-gray-200 rounded-lg p-8">
-        <div className="text-center max-w-md mx-auto space-y-4">
-          <div className="inline-flex items-center justify-center w-16 h-16 bg-gray-100 rounded-full">
-            <Clock className="w-8 h-8 text-gray-400" />
+      <div className="bg-white rounded-xl shadow-lg p-3 space-y-3">
+        {/* Filtros */}
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          <div className="relative">
+            <Search className="w-4 h-4 text-gray-400 absolute left-2 top-1/2 -translate-y-1/2" />
+            <input
+              type="number"
+              value={filterNumero}
+              onChange={(e) => setFilterNumero(e.target.value)}
+              placeholder="Número de mesa"
+              className="w-full pl-8 pr-2 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
           </div>
+          <select
+            value={filterLocalidad}
+            onChange={(e) => setFilterLocalidad(e.target.value)}
+            className="w-full px-2 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">Todas las localidades</option>
+            {localidades.map(loc => (
+              <option key={loc} value={loc}>{loc}</option>
+            ))}
+          </select>
+          <select
+            value={filterEstablecimiento}
+            onChange={(e) => setFilterEstablecimiento(e.target.value)}
+            className="w-full px-2 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">Todos los establecimientos</option>
+            {establecimientos.map(est => (
+              <option key={est.id} value={String(est.id)}>{est.nombre}</option>
+            ))}
+          </select>
+        </div>
 
-          <h3 className="text-lg font-semibold text-gray-900">
-            Funcionalidad en Desarrollo
-          </h3>
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => {
+                handleCancelEdit();
+                setIsCreating(true);
+              }}
+              disabled={isCreating || saving}
+              className="flex items-center space-x-2 px-3 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Nueva mesa</span>
+            </button>
+
+            <button
+              onClick={() => handleCheckTotals(false)}
+              disabled={checkingTotals || saving}
+              className="flex items-center space-x-2 px-3 py-2 bg-purple-50 text-purple-700 border border-purple-200 text-sm rounded-lg hover:bg-purple-100 transition-colors disabled:opacity-50"
+              title="Comparar los totales de cada mesa con el padrón"
+            >
+              <RefreshCw className={`w-4 h-4 ${checkingTotals ? 'animate-spin' : ''}`} />
+              <span>Recalcular totales</span>
+            </button>
+          </div>
 
-          <p className="text-sm text-gray-600">
-            El módulo de gestión de mesas estará disponible próximamente.
-            Aquí podrás configurar, asignar y visualizar el estado de todas las mesas electorales.
-          </p>
+          {message.text && (
+            <p className={`text-sm flex items-center space-x-1 ${
+              message.type === 'error' ? 'text-red-700' : 'text-green-700'
+            }`}>
+              {message.type === 'error' ? <AlertCircle className="w-4 h-4" /> : <CheckCircle className="w-4 h-4" />}
+              <span>{message.text}</span>
+            </p>
+          )}
         </div>
+
+        <datalist id="mesas-localidades">
+          {localidades.map(loc => <option key={loc} value={loc} />)}
+        </datalist>
+
+        {/* Grilla */}
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-2 py-2 text-left">Mesa</th>
+                <th className="px-2 py-2 text-left">Localidad</th>
+                <th className="px-2 py-2 text-left">Establecimiento</th>
+                <th className="px-2 py-2 text-right">Empadronados</th>
+                <th className="px-2 py-2 text-right">Votaron</th>
+                <th className="px-2 py-2 text-right">Acciones</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {isCreating && (
+                <tr className="bg-blue-50">
+                  <td className="px-2 py-2 w-24">
+                    <input
+                      type="number"
+                      min="1"
+                      value={newMesa.numero}
+                      onChange={(e) => setNewMesa({ ...newMesa, numero: e.target.value })}
+                      placeholder="N°"
+                      className={inputClass}
+                      autoFocus
+                    />
+                  </td>
+                  {renderEditableCells(newMesa, setNewMesa)}
+                  <td className="px-2 py-2">
+                    <div className="flex justify-end space-x-1">
+                      <button
+                        onClick={handleCreate}
+                        disabled={saving}
+                        className="p-1.5 text-green-700 hover:bg-green-100 rounded disabled:opacity-50"
+                        title="Guardar"
+                      >
+                        <Save className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => {
+                          setIsCreating(false);
+                          setNewMesa(EMPTY_MESA);
+                        }}
+                        className="p-1.5 text-gray-600 hover:bg-gray-100 rounded"
+                        title="Cancelar"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              )}
+
+              {pageMesas.map(mesa => {
+                const isEditing = editingNumero === mesa.numero;
+                const participacion = mesa.total_empadronados > 0
+                  ? ((mesa.total_votaron || 0) / mesa.total_empadronados * 100).toFixed(1)
+                  : '0.0';
+
+                return (
+                  <tr key={mesa.numero} className={isEditing ? 'bg-yellow-50' : 'hover:bg-gray-50'}>
+                    <td className="px-2 py-2 font-medium">{mesa.numero}</td>
+                    {isEditing ? (
+                      renderEditableCells(editValues, setEditValues, mesa)
+                    ) : (
+                      <>
+                        <td className="px-2 py-2">{mesa.mesa_localidad || 'Sin localidad'}</td>
+                        <td className="px-2 py-2">{mesa.establecimientos?.nombre || 'Sin establecimiento'}</td>
+                        <td className="px-2 py-2 text-right">{mesa.total_empadronados || 0}</td>
+                        <td className="px-2 py-2 text-right">
+                          {mesa.total_votaron || 0}
+                          <span className="text-xs text-gray-500 ml-1">({participacion}%)</span>
+                        </td>
+                      </>
+                    )}
+                    <td className="px-2 py-2">
+                      <div className="flex justify-end space-x-1">
+                        {isEditing ? (
+                          <>
+                            <button
+                              onClick={handleSaveEdit}
+                              disabled={saving}
+                              className="p-1.5 text-green-700 hover:bg-green-100 rounded disabled:opacity-50"
+                              title="Guardar"
+                            >
+                              <Save className="w-4 h-4" />
+                            </button>
+                            <button
+                              onClick={handleCancelEdit}
+                              className="p-1.5 text-gray-600 hover:bg-gray-100 rounded"
+                              title="Cancelar"
+                            >
+                              <X className="w-4 h-4" />
+                            </button>
+                          </>
+                        ) : (
+                          <>
+                            <button
+                              onClick={() => setSelectedMesa(mesa)}
+                              className="p-1.5 text-purple-600 hover:bg-purple-100 rounded"
+                              title="Ver detalle"
+                            >
+                              <Eye className="w-4 h-4" />
+                            </button>
+                            <button
+                              onClick={() => handleStartEdit(mesa)}
+                              disabled={saving}
+                              className="p-1.5 text-blue-600 hover:bg-blue-100 rounded disabled:opacity-50"
+                              title="Editar"
+                            >
+                              <Pencil className="w-4 h-4" />
+                            </button>
+                            <button
+                              onClick={() => setMesaToDelete(mesa)}
+                              disabled={saving}
+                              className="p-1.5 text-red-600 hover:bg-red-100 rounded disabled:opacity-50"
+                              title="Eliminar"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {filteredMesas.length === 0 && !isCreating && (
+          <div className="p-4 text-center text-gray-500">
+            <Archive className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+            <p>No hay mesas que coincidan con los filtros</p>
+          </div>
+        )}
+
+        {filteredMesas.length > 0 && (
+          <Pagination
+            currentPage={currentPage}
+            totalPages={totalPages}
+            totalItems={filteredMesas.length}
+            pageSize={pageSize}
+            onPageChange={setCurrentPage}
+            onPageSizeChange={handlePageSizeChange}
+            loading={saving}
+          />
+        )}
       </div>
+
+      {/* Modal de confirmación de baja */}
+      {mesaToDelete && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl shadow-2xl p-6 max-w-md w-full mx-4">
+            <div className="flex items-center space-x-3 mb-4">
+              <div className="w-12 h-12 bg-red-100 rounded-full flex items-center justify-center">
+                <Trash2 className="w-6 h-6 text-red-600" />
+              </div>
+              <h3 className="text-lg font-semibold text-gray-900">Eliminar mesa {mesaToDelete.numero}</h3>
+            </div>
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+              <p className="text-red-700 text-sm">
+                ⚠️ Esta acción no se puede deshacer. Solo pueden eliminarse mesas sin electores en el padrón.
+              </p>
+            </div>
+            <div className="flex space-x-3">
+              <button
+                onClick={() => setMesaToDelete(null)}
+                disabled={saving}
+                className="flex-1 px-4 py-3 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors disabled:opacity-50"
+              >
+                Cancelar
+              </button>
+              <button
+                onClick={handleConfirmDelete}
+                disabled={saving}
+                className="flex-1 px-4 py-3 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+              >
+                Eliminar
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Informe de consistencia de totales */}
+      {totalsReport && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl shadow-2xl p-6 max-w-lg w-full mx-4 max-h-[85vh] flex flex-col">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Totales de mesas</h3>
+              <button
+                onClick={() => setTotalsReport(null)}
+                className="p-1 text-gray-500 hover:bg-gray-100 rounded"
+                title="Cerrar"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            {totalsReport.length === 0 ? (
+              <p className="text-sm text-green-700 flex items-center space-x-2 mb-4">
+                <CheckCircle className="w-4 h-4" />
+                <span>Todos los totales coinciden con el padrón.</span>
+              </p>
+            ) : (
+              <>
+                <p className={`text-sm mb-3 ${totalsApplied ? 'text-green-700' : 'text-orange-700'}`}>
+                  {totalsApplied
+                    ? `Se corrigieron ${totalsReport.length} mesas.`
+                    : `${totalsReport.length} mesas no coinciden con el padrón.`}
+                </p>
+                <div className="overflow-y-auto border border-gray-200 rounded-lg mb-4">
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50 sticky top-0">
+                      <tr>
+                        <th className="px-2 py-2 text-left">Mesa</th>
+                        <th className="px-2 py-2 text-right">Empadronados</th>
+                        <th className="px-2 py-2 text-right">Votaron</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {totalsReport.map(row => (
+                        <tr key={row.numero}>
+                          <td className="px-2 py-1.5 font-medium">{row.numero}</td>
+                          <td className="px-2 py-1.5 text-right">
+                            <span className="text-gray-500">{row.empadronados_antes ?? '-'}</span>
+                            {' → '}
+                            <span className="font-medium">{row.empadronados}</span>
+                          </td>
+                          <td className="px-2 py-1.5 text-right">
+                            <span className="text-gray-500">{row.votaron_antes ?? '-'}</span>
+                            {' → '}
+                            <span className="font-medium">{row.votaron}</span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+
+            <div className="flex space-x-3">
+              <button
+                onClick={() => setTotalsReport(null)}
+                disabled={checkingTotals}
+                className="flex-1 px-4 py-3 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors disabled:opacity-50"
+              >
+                Cerrar
+              </button>
+              {!totalsApplied && totalsReport.length > 0 && (
+                <button
+                  onClick={() => handleCheckTotals(true)}
+                  disabled={checkingTotals}
+                  className="flex-1 px-4 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50"
+                >
+                  Corregir totales
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Drawer de detalle */}
+      {selectedMesa && (
+        <MesaDetailDrawer
+          mesa={selectedMesa}
+          userTypes={userTypes}
+          onClose={() => setSelectedMesa(null)}
+        />
+      )}
     </div>
   );
 }
@@ -1,6 +1,8 @@
 import React from 'react';
-import { CheckCircle, XCircle, Hash, User, Calendar, AlertCircle, Clock, X, MapPin } from 'lucide-react';
+import { CheckCircle, XCircle, Hash, User, Calendar, AlertCircle, Clock, X, MapPin, CloudOff, History } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
+import { useCan } from '../../hooks/useCan';
+import VoterHistoryModal from '../shared/VoterHistoryModal';
 
 /**
  * Componente FiscalizarResults - Resultados de búsqueda y fiscalización de votantes
@@ -11,15 +13,18 @@ import { useAuth } from '../../context/AuthContext';
  * Funcionalidades principales:
  * - Visualización de resultados de búsqueda con información completa del votante
  * - Marcar votantes como "han votado" con confirmación en dos pasos
- * - Deshacer marcado de voto (solo administradores)
+ * - Deshacer marcado de voto (capacidad vote.undo)
  * - Indicadores visuales de estado de votación
  * - Modal de confirmación antes de marcar voto
  * - Modal de éxito después de operación exitosa
+ * - Indicador "Pendiente" para votantes con acciones aún no sincronizadas
+ * - Historial de cambios del votante (quién marcó o deshizo el voto y cuándo)
  * - Información detallada: nombre, documento, mesa, establecimiento, localidad
  *
  * Control de permisos:
- * - Fiscales: pueden marcar votos
- * - Administradores: pueden marcar y deshacer votos
+ * - vote.mark: marcar votos
+ * - vote.undo: deshacer votos marcados
+ * - pick.view: ver el emopick del votante
  *
  * Props:
  * - results: array - Resultados de búsqueda del padrón
@@ -29,16 +34,21 @@ import { useAuth } from '../../context/AuthContext';
  * - isUpdating: boolean - Estado de actualización en curso
  * - showSuccessModal: boolean - Controla visibilidad de modal de éxito
  * - setShowSuccessModal: function - Setter para modal de éxito
- * - userRole: number - Rol del usuario actual para control de permisos
+ * - successPending: boolean - El último voto quedó guardado solo en el dispositivo
+ * - pendingDocumentos: Map - Acciones pendientes de sincronizar, por documento
+ * - marcadoBloqueado: boolean - Fuera del día/horario del comicio no se pueden marcar votos
  */
-export default function FiscalizarResults({ results, isLoading, onMarcarVoto, onDeshacerVoto, isUpdating, showSuccessModal, setShowSuccessModal, userRole }) {
+export default function FiscalizarResults({ results, isLoading, onMarcarVoto, onDeshacerVoto, isUpdating, showSuccessModal, setShowSuccessModal, successPending = false, pendingDocumentos = new Map(), marcadoBloqueado = false }) {
   const [showConfirmModal, setShowConfirmModal] = React.useState(false);
   const [showUndoModal, setShowUndoModal] = React.useState(false);
   const [selectedDocumento, setSelectedDocumento] = React.useState(null);
   const [selectedVotante, setSelectedVotante] = React.useState(null);
+  // Registro cuyo historial de cambios se está mostrando
+  const [historyRecord, setHistoryRecord] = React.useState(null);
 
   // Obtener datos del usuario autenticado para otras funcionalidades
   const { user } = useAuth();
+  const can = useCan();
 
   const handleOpenConfirmModal = (documento, votante) => {
     setSelectedDocumento(documento);
@@ -138,8 +148,8 @@ export default function FiscalizarResults({ results, isLoading, onMarcarVoto, on
                   </div>
 
                   {/* Mostrar emopick display si existe space-x-2 px-3 py-2 bg-yellow-50 border border-yellow-200 rounded-lg */}
-                  {/* Solo visible para usuarios tipo 3 o inferior */}
-                  {userRole && userRole <= 3 && ( 
+                  {/* Solo visible con la capacidad pick.view */}
+                  {can('pick.view') && (
                     <div className="flex items-center justify-center space-y-2"> {record.emopicks?.display && (
                       <span className="space-x-2 px-2 py-1 text-m">{record.emopicks.display}</span> ) }
                     </div>
@@ -186,6 +196,22 @@ export default function FiscalizarResults({ results, isLoading, onMarcarVoto, on
 
               {/* Botón de votó */}
               <div className="flex items-center space-x-3">             
+                <button
+                  onClick={() => setHistoryRecord(record)}
+                  className="p-2 text-gray-500 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-colors"
+                  title="Historial de cambios"
+                >
+                  <History className="w-4 h-4" />
+                </button>
+                {pendingDocumentos.has(Number(record.documento)) && (
+                  <div
+                    className="flex items-center space-x-1 px-2 py-1 bg-amber-100 text-amber-800 rounded-lg"
+                    title="Guardado en el dispositivo, pendiente de sincronizar"
+                  >
+                    <CloudOff className="w-4 h-4" />
+                    <span className="text-xs font-medium">Pendiente</span>
+                  </div>
+                )}
                 {record.voto_emitido ? (
                   <div className="flex items-center space-x-2 px-4 py-2 bg-green-100 text-green-800 rounded-lg">
                     <CheckCircle className="w-5 h-5" />
@@ -194,7 +220,8 @@ export default function FiscalizarResults({ results, isLoading, onMarcarVoto, on
                 ) : (
                   <button
                     onClick={() => handleOpenConfirmModal(record.documento, record)}
-                    disabled={isUpdating}
+                    disabled={isUpdating || marcadoBloqueado || !can('vote.mark')}
+                    title={marcadoBloqueado ? 'Fuera del horario de votación' : undefined}
                     className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     {isUpdating ? (
@@ -238,7 +265,7 @@ export default function FiscalizarResults({ results, isLoading, onMarcarVoto, on
                     )}
                   </div>
 
-                  {userRole && userRole <= 2 && record.voto_emitido && (
+                  {can('vote.undo') && record.voto_emitido && (
                     <button
                       onClick={() => handleOpenUndoModal(record.documento, record)}
                       disabled={isUpdating}
@@ -410,7 +437,9 @@ export default function FiscalizarResults({ results, isLoading, onMarcarVoto, on
                   ✅ Voto registrado correctamente
                 </p>
                 <p className="text-green-700 text-sm">
-                  El voto ha sido procesado y guardado en la base de datos exitosamente.
+                  {successPending
+                    ? 'Sin conexión: el voto quedó guardado en el dispositivo y se sincronizará automáticamente al recuperar la señal.'
+                    : 'El voto ha sido procesado y guardado en la base de datos exitosamente.'}
                 </p>
               </div>
             </div>
@@ -426,6 +455,14 @@ export default function FiscalizarResults({ results, isLoading, onMarcarVoto, on
           </div>
         </div>
       )}
+
+      {/* Historial de cambios del votante */}
+      <VoterHistoryModal
+        isOpen={!!historyRecord}
+        onClose={() => setHistoryRecord(null)}
+        documento={historyRecord?.documento}
+        votanteName={historyRecord ? `${historyRecord.apellido}, ${historyRecord.nombre}` : ''}
+      />
     </div>
   );
 }
\ No newline at end of file
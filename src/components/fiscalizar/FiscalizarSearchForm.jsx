@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { Search, RefreshCw, Hash, Users } from 'lucide-react';
+import DniScanButton from '../shared/DniScanButton';
 
 /**
  * Componente FiscalizarSearchForm - Formulario de búsqueda para fiscalización
@@ -13,14 +14,16 @@ import { Search, RefreshCw, Hash, Users } from 'lucide-react';
  * - Muestra número de mesa actual en el encabezado
  * - Limpieza automática del campo después de búsqueda
  * - Validación para prevenir búsquedas vacías
+ * - Búsqueda escaneando el código del DNI (sin tipear el documento)
  *
  * Props:
  * - onSearch: function - Callback ejecutado al buscar
+ * - onDniScan: function - Callback con los datos de un DNI escaneado
  * - isLoading: boolean - Estado de carga de la búsqueda
  * - mesaNumero: number - Número de mesa actual
  * - totalRegistros: number - Total de registros en la mesa
  */
-export default function FiscalizarSearchForm({ onSearch, isLoading, mesaNumero, totalRegistros }) {
+export default function FiscalizarSearchForm({ onSearch, onDniScan, isLoading, mesaNumero, totalRegistros }) {
   const [documento, setDocumento] = useState('');
 
   const handleSubmit = (e) => {
@@ -89,6 +92,9 @@ export default function FiscalizarSearchForm({ onSearch, isLoading, mesaNumero,
               )}
               <span>Buscar</span>
             </button>
+            {onDniScan && (
+              <DniScanButton onScan={onDniScan} disabled={isLoading} />
+            )}
           </div>
           </div>
         </div>
@@ -0,0 +1,331 @@
+import React, { useState, useEffect } from 'react';
+import { X, Layers, AlertTriangle, CheckCircle } from 'lucide-react';
+import {
+  classifyBulkRecords,
+  bulkUpdatePadronPick,
+  bulkUpdatePickCheck
+} from '../../services/pickService';
+import { useCan } from '../../hooks/useCan';
+
+// Operaciones disponibles en el modal
+const ACTIONS = [
+  { id: 'assign', label: 'Asignar pick' },
+  { id: 'clear', label: 'Quitar pick' },
+  { id: 'check', label: 'Verificar (check)' },
+  { id: 'uncheck', label: 'Quitar verificación' }
+];
+
+// Texto de cada motivo de omisión devuelto por classifyBulkRecords
+const SKIP_REASONS = {
+  voted: 'Ya votó',
+  not_owner: 'Pick asignado por otro usuario',
+  already_checked: 'Ya verificado',
+  already_unchecked: 'Sin verificar'
+};
+
+/**
+ * Componente BulkPickModal - Operaciones masivas sobre picks
+ *
+ * Propósito: Aplica en una sola operación un emopick, la limpieza del pick o el
+ * cambio de verificación a todos los votantes seleccionados en GpicksView.
+ *
+ * Flujo:
+ * 1. Elegir operación (y emopick/nota al asignar)
+ * 2. Vista previa: cuántos registros se modificarán y cuántos se omiten por
+ *    permisos (validatePickPermissions por fila) o por ya estar en el estado pedido
+ * 3. Ejecución por lotes con barra de progreso
+ * 4. Resumen con los registros omitidos, incluidos los que votaron mientras
+ *    tanto (la condición se verifica en la misma escritura)
+ *
+ * Props:
+ * - isOpen: boolean - Controla la visibilidad del modal
+ * - onClose: function - Callback para cerrar el modal
+ * - onCompleted: function - Callback al terminar una operación (para recargar la vista);
+ *   recibe `{ success }`, false si la operación falló por completo
+ * - records: array - Registros seleccionados (documento, apellido, nombre, voto_emitido, emopick_user, pick_check)
+ * - emopicksList: array - Lista de emopicks disponibles
+ * - user: object - Usuario autenticado (id)
+ */
+export default function BulkPickModal({
+  isOpen,
+  onClose,
+  onCompleted,
+  records = [],
+  emopicksList = [],
+  user
+}) {
+  const [action, setAction] = useState('assign');
+  const [emopickId, setEmopickId] = useState('');
+  const [pickNota, setPickNota] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const can = useCan();
+  const canOverride = can('pick.override');
+
+  // Reiniciar el modal en cada apertura
+  useEffect(() => {
+    if (isOpen) {
+      setAction('assign');
+      setEmopickId('');
+      setPickNota('');
+      setProgress(null);
+      setResult(null);
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const isRunning = progress !== null && result === null;
+  const { allowed, skipped } = classifyBulkRecords(records, canOverride, user.id, action);
+
+  const skippedByReason = skipped.reduce((acc, { reason }) => {
+    acc[reason] = (acc[reason] || 0) + 1;
+    return acc;
+  }, {});
+
+  /**
+   * Ejecuta la operación sobre los registros permitidos
+   */
+  const handleApply = async () => {
+    if (action === 'assign' && !emopickId) return;
+
+    const documentos = allowed.map(record => record.documento);
+    const onProgress = (done, total) => setProgress({ done, total });
+    setProgress({ done: 0, total: documentos.length });
+
+    let success = false;
+    try {
+      let outcome;
+      if (action === 'assign' || action === 'clear') {
+        outcome = await bulkUpdatePadronPick(
+          documentos,
+          action === 'assign' ? parseInt(emopickId) : null,
+          action === 'assign' ? pickNota.trim() : null,
+          user.id,
+          canOverride,
+          onProgress
+        );
+      } else {
+        outcome = await bulkUpdatePickCheck(documentos, action === 'check', user.id, canOverride, onProgress);
+      }
+
+      // Los registros que no cambiaron en la escritura quedaron fuera por la
+      // condición de la query (votaron o cambiaron de estado desde la vista previa)
+      const unchanged = new Set(outcome.unchanged.map(Number));
+      const failed = new Set(outcome.failed.map(Number));
+
+      success = true;
+      setResult({
+        updated: outcome.updated.length,
+        skipped: [
+          ...skipped,
+          ...allowed
+            .filter(record => unchanged.has(Number(record.documento)))
+            .map(record => ({ record, reason: 'changed' })),
+          ...allowed
+            .filter(record => failed.has(Number(record.documento)))
+            .map(record => ({ record, reason: 'error' }))
+        ]
+      });
+    } catch (error) {
+      console.error('Error in bulk pick operation:', error);
+      setResult({ updated: 0, skipped, error: error.message });
+    }
+
+    if (onCompleted) onCompleted({ success });
+  };
+
+  const reasonLabel = (reason) => {
+    if (reason === 'changed') return 'Cambió desde la vista previa (votó o ya estaba en ese estado)';
+    if (reason === 'error') return 'Error al guardar';
+    return SKIP_REASONS[reason] || reason;
+  };
+
+  const progressPercent = progress && progress.total > 0
+    ? Math.round((progress.done / progress.total) * 100)
+    : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-xl shadow-2xl p-6 max-w-lg w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header del modal */}
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center space-x-3">
+            <div className="w-12 h-12 bg-blue-100 rounded-full flex items-center justify-center">
+              <Layers className="w-6 h-6 text-blue-600" />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">
+                Acción masiva
+              </h3>
+              <p className="text-sm text-gray-600">
+                {records.length} votante{records.length !== 1 ? 's' : ''} seleccionado{records.length !== 1 ? 's' : ''}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={isRunning}
+            className="text-gray-400 hover:text-gray-600 transition-colors disabled:opacity-50"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="overflow-y-auto flex-1 space-y-5">
+          {result ? (
+            /* Resumen de la operación */
+            <div className="space-y-4">
+              <div className="flex items-center space-x-3 p-4 bg-green-50 border border-green-200 rounded-lg">
+                <CheckCircle className="w-6 h-6 text-green-600 flex-shrink-0" />
+                <p className="text-sm text-green-800">
+                  {result.updated} registro{result.updated !== 1 ? 's' : ''} actualizado{result.updated !== 1 ? 's' : ''}
+                </p>
+              </div>
+              {result.error && (
+                <p className="text-sm text-red-700">{result.error}</p>
+              )}
+              {result.skipped.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-900 mb-2">
+                    Omitidos ({result.skipped.length})
+                  </p>
+                  <ul className="max-h-60 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                    {result.skipped.map(({ record, reason }) => (
+                      <li key={record.documento} className="px-3 py-2 text-sm flex justify-between gap-3">
+                        <span className="text-gray-900">{record.apellido}, {record.nombre}</span>
+                        <span className="text-xs text-gray-500 text-right">{reasonLabel(reason)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          ) : (
+            <>
+              {/* Selector de operación */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Operación:
+                </label>
+                <div className="grid grid-cols-2 gap-2">
+                  {ACTIONS.map(option => (
+                    <button
+                      key={option.id}
+                      onClick={() => setAction(option.id)}
+                      disabled={isRunning}
+                      className={`px-3 py-2 rounded-lg border text-sm transition-colors ${
+                        action === option.id
+                          ? 'bg-blue-600 border-blue-600 text-white'
+                          : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {action === 'assign' && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Seleccionar marcador:
+                    </label>
+                    <select
+                      value={emopickId}
+                      onChange={(e) => setEmopickId(e.target.value)}
+                      disabled={isRunning}
+                      className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
+                    >
+                      <option value="">Selecciona una opción</option>
+                      {emopicksList.map((emopick) => (
+                        <option key={emopick.id} value={emopick.id}>
+                          {emopick.display}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="bulkPickNota" className="block text-sm font-medium text-gray-700 mb-2">
+                      Anotación breve (opcional):
+                    </label>
+                    <input
+                      id="bulkPickNota"
+                      type="text"
+                      value={pickNota}
+                      onChange={(e) => setPickNota(e.target.value)}
+                      maxLength={20}
+                      disabled={isRunning}
+                      className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
+                      placeholder="Vacía conserva las notas existentes"
+                    />
+                  </div>
+                </>
+              )}
+
+              {/* Vista previa */}
+              <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg text-sm space-y-1">
+                <p className="text-gray-900">
+                  Se modificarán <strong>{allowed.length}</strong> de {records.length} registros.
+                </p>
+                {Object.entries(skippedByReason).map(([reason, count]) => (
+                  <p key={reason} className="text-gray-600">
+                    Se omitirán {count}: {reasonLabel(reason).toLowerCase()}
+                  </p>
+                ))}
+              </div>
+
+              {action === 'uncheck' && allowed.some(r => r.pick_check_user && r.pick_check_user !== user.id) && (
+                <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-start space-x-3">
+                  <AlertTriangle className="w-5 h-5 text-yellow-600 flex-shrink-0 mt-0.5" />
+                  <p className="text-sm text-yellow-800">
+                    Se quitarán verificaciones realizadas por otros usuarios.
+                  </p>
+                </div>
+              )}
+
+              {/* Barra de progreso */}
+              {isRunning && (
+                <div>
+                  <div className="w-full bg-gray-200 rounded-full h-3">
+                    <div
+                      className="bg-blue-600 h-3 rounded-full transition-all duration-200"
+                      style={{ width: `${progressPercent}%` }}
+                    />
+                  </div>
+                  <p className="text-xs text-gray-600 mt-1 text-right">
+                    {progress.done} / {progress.total}
+                  </p>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Botones de acción */}
+        <div className="flex space-x-3 mt-6">
+          <button
+            onClick={onClose}
+            disabled={isRunning}
+            className="flex-1 px-4 py-3 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors disabled:opacity-50"
+          >
+            {result ? 'Cerrar' : 'Cancelar'}
+          </button>
+          {!result && (
+            <button
+              onClick={handleApply}
+              disabled={isRunning || allowed.length === 0 || (action === 'assign' && !emopickId)}
+              className="flex-1 flex items-center justify-center space-x-2 px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isRunning && (
+                <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+              )}
+              <span>Aplicar a {allowed.length}</span>
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
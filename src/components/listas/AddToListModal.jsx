@@ -0,0 +1,193 @@
+/**
+ * AddToListModal.jsx
+ *
+ * Modal para agregar uno o varios votantes a una lista propia
+ * (`listas_votantes`), eligiendo una existente o creando una nueva.
+ *
+ * Se abre desde SearchResults.
+ *
+ * Props:
+ * @param {boolean}        isOpen    - Controla la visibilidad del modal.
+ * @param {Function}       onClose   - Callback invocado al cerrar.
+ * @param {Array<Object>}  votantes  - Registros del padrón a agregar.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { X, ListPlus, Plus, Users } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { loadListas, createLista, addVotantesALista } from '../../services/listasVotantesService';
+
+export default function AddToListModal({ isOpen, onClose, votantes = [] }) {
+  const { user } = useAuth();
+  const [listas, setListas] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [nuevaNombre, setNuevaNombre] = useState('');
+  const [nuevaCompartida, setNuevaCompartida] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+    setSuccess('');
+
+    loadListas()
+      .then(data => {
+        // Solo se puede agregar a las listas propias
+        if (!cancelled) setListas(data.filter(lista => lista.user_id === user?.id));
+      })
+      .catch(err => {
+        console.error('Error loading voter lists:', err);
+        if (!cancelled) setError('No se pudieron cargar las listas');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, user?.id]);
+
+  if (!isOpen) return null;
+
+  const documentos = votantes.map(v => v.documento);
+  const descripcion = votantes.length === 1
+    ? `${votantes[0].apellido}, ${votantes[0].nombre}`
+    : `${votantes.length} votantes`;
+
+  const addTo = async (lista) => {
+    setIsSaving(true);
+    setError('');
+    setSuccess('');
+    try {
+      await addVotantesALista(lista.id, documentos);
+      setSuccess(`Agregado a "${lista.nombre}"`);
+      setTimeout(onClose, 800);
+    } catch (err) {
+      console.error('Error adding voters to list:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!nuevaNombre.trim()) return;
+
+    setIsSaving(true);
+    setError('');
+    try {
+      const lista = await createLista(nuevaNombre, nuevaCompartida, user.id);
+      setListas(prev => [...prev, lista]);
+      setNuevaNombre('');
+      setNuevaCompartida(false);
+      setIsSaving(false);
+      await addTo(lista);
+    } catch (err) {
+      console.error('Error creating voter list:', err);
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl shadow-2xl p-6 max-w-md w-full mx-4 max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Encabezado */}
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-3">
+            <div className="w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
+              <ListPlus className="w-5 h-5 text-blue-700" />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Agregar a una lista</h3>
+              <p className="text-sm text-gray-600">{descripcion}</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Listas propias */}
+        <div className="overflow-y-auto flex-1 mb-4">
+          {isLoading ? (
+            <div className="flex justify-center py-6">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : listas.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-4">Todavía no tenés listas. Creá una abajo.</p>
+          ) : (
+            <ul className="space-y-2">
+              {listas.map(lista => (
+                <li key={lista.id}>
+                  <button
+                    onClick={() => addTo(lista)}
+                    disabled={isSaving}
+                    className="w-full flex items-center justify-between px-4 py-2 border border-gray-200 rounded-lg hover:bg-blue-50 hover:border-blue-300 transition-colors disabled:opacity-50"
+                  >
+                    <span className="flex items-center space-x-2 text-sm font-medium text-gray-900">
+                      {lista.compartida && <Users className="w-4 h-4 text-blue-500" />}
+                      <span>{lista.nombre}</span>
+                    </span>
+                    <span className="text-xs text-gray-500">{lista.cantidad} votantes</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Nueva lista */}
+        <form onSubmit={handleCreate} className="space-y-2 pt-4 border-t border-gray-100">
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={nuevaNombre}
+              onChange={(e) => setNuevaNombre(e.target.value)}
+              placeholder="Nombre de una lista nueva"
+              disabled={isSaving}
+              className="flex-1 min-w-0 px-3 py-2 text-sm rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={isSaving || !nuevaNombre.trim()}
+              className="flex items-center space-x-1 px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Crear y agregar</span>
+            </button>
+          </div>
+          <label className="flex items-center space-x-2 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={nuevaCompartida}
+              onChange={(e) => setNuevaCompartida(e.target.checked)}
+              disabled={isSaving}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            <span>Compartir con el equipo de coordinación</span>
+          </label>
+        </form>
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+        {success && <p className="mt-3 text-sm text-green-700">{success}</p>}
+      </div>
+    </div>
+  );
+}
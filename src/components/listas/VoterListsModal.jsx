@@ -0,0 +1,357 @@
+/**
+ * VoterListsModal.jsx
+ *
+ * Modal con las listas de votantes del usuario y las compartidas por el
+ * equipo. Al abrir una lista muestra sus votantes con los datos actuales del
+ * padrón (incluido el estado de voto, con la capacidad pick.view), permite
+ * exportarla a CSV o Excel y, en las listas propias, quitar votantes,
+ * compartirla o eliminarla.
+ *
+ * Se abre desde SearchForm.
+ *
+ * Props:
+ * @param {boolean}  isOpen  - Controla la visibilidad del modal.
+ * @param {Function} onClose - Callback invocado al cerrar.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, List, Users, RefreshCw, Trash2, FileText, FileSpreadsheet, ArrowLeft, AlertCircle } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { useCan } from '../../hooks/useCan';
+import {
+  loadListas,
+  loadVotantesDeLista,
+  removeVotanteDeLista,
+  updateListaCompartida,
+  deleteLista
+} from '../../services/listasVotantesService';
+import {
+  processVoterListData,
+  convertToCSV,
+  downloadFile,
+  exportToExcelWithFormat,
+  generateListFileName
+} from '../../utils/exportUtils';
+
+export default function VoterListsModal({ isOpen, onClose }) {
+  const { user } = useAuth();
+  const can = useCan();
+  const canViewVotes = can('pick.view');
+
+  const [listas, setListas] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Lista abierta y sus votantes
+  const [selectedLista, setSelectedLista] = useState(null);
+  const [votantes, setVotantes] = useState([]);
+  const [faltantes, setFaltantes] = useState([]);
+  const [isLoadingVotantes, setIsLoadingVotantes] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const fetchListas = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      setListas(await loadListas());
+    } catch (err) {
+      console.error('Error loading voter lists:', err);
+      setError('No se pudieron cargar las listas');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  const fetchVotantes = useCallback(async (lista) => {
+    setIsLoadingVotantes(true);
+    setError('');
+    try {
+      const result = await loadVotantesDeLista(lista.id);
+      setVotantes(result.votantes);
+      setFaltantes(result.faltantes);
+    } catch (err) {
+      console.error('Error loading list voters:', err);
+      setError('No se pudieron cargar los votantes de la lista');
+    } finally {
+      setIsLoadingVotantes(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setSelectedLista(null);
+    fetchListas();
+  }, [isOpen, fetchListas]);
+
+  if (!isOpen) return null;
+
+  const isOwn = selectedLista?.user_id === user?.id;
+  const votaron = votantes.filter(v => v.voto_emitido).length;
+
+  const handleOpenLista = (lista) => {
+    setSelectedLista(lista);
+    setVotantes([]);
+    setFaltantes([]);
+    fetchVotantes(lista);
+  };
+
+  const handleBack = () => {
+    setSelectedLista(null);
+    fetchListas();
+  };
+
+  const handleRemove = async (documento) => {
+    try {
+      await removeVotanteDeLista(selectedLista.id, documento);
+      setVotantes(prev => prev.filter(v => v.documento !== documento));
+      setFaltantes(prev => prev.filter(d => d !== documento));
+    } catch (err) {
+      console.error('Error removing voter from list:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleToggleCompartida = async () => {
+    const compartida = !selectedLista.compartida;
+    try {
+      await updateListaCompartida(selectedLista.id, compartida);
+      setSelectedLista(prev => ({ ...prev, compartida }));
+    } catch (err) {
+      console.error('Error updating voter list:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`¿Eliminar la lista "${selectedLista.nombre}"? Esta acción no se puede deshacer.`)) return;
+    try {
+      await deleteLista(selectedLista.id);
+      handleBack();
+    } catch (err) {
+      console.error('Error deleting voter list:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleExport = async (format) => {
+    if (votantes.length === 0) return;
+    setIsExporting(true);
+    try {
+      const data = processVoterListData(votantes, canViewVotes);
+      const filename = generateListFileName(selectedLista.nombre, format);
+      if (format === 'xlsx') {
+        await exportToExcelWithFormat(data, filename);
+      } else {
+        downloadFile(convertToCSV(data), filename, 'text/csv;charset=utf-8;');
+      }
+    } catch (err) {
+      console.error('Error exporting voter list:', err);
+      setError('No se pudo exportar la lista');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl shadow-2xl p-6 max-w-2xl w-full mx-4 max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Encabezado */}
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-3 min-w-0">
+            {selectedLista ? (
+              <button
+                onClick={handleBack}
+                className="w-10 h-10 bg-gray-100 rounded-full flex items-center justify-center hover:bg-gray-200 transition-colors flex-shrink-0"
+                title="Volver a las listas"
+              >
+                <ArrowLeft className="w-5 h-5 text-gray-700" />
+              </button>
+            ) : (
+              <div className="w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center flex-shrink-0">
+                <List className="w-5 h-5 text-blue-700" />
+              </div>
+            )}
+            <div className="min-w-0">
+              <h3 className="text-lg font-semibold text-gray-900 truncate">
+                {selectedLista ? selectedLista.nombre : 'Listas de votantes'}
+              </h3>
+              <p className="text-sm text-gray-600 truncate">
+                {selectedLista
+                  ? `${votantes.length} votantes${canViewVotes ? ` · ${votaron} votaron` : ''}${isOwn ? '' : ` · de ${selectedLista.profiles?.full_name || 'otro usuario'}`}`
+                  : 'Propias y compartidas por el equipo'}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {error && (
+          <div className="flex items-center space-x-2 mb-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {!selectedLista ? (
+          /* Listas disponibles */
+          <div className="overflow-y-auto flex-1">
+            {isLoading ? (
+              <div className="flex justify-center py-8">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+              </div>
+            ) : listas.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-6">
+                No hay listas. Agregá votantes desde los resultados de búsqueda.
+              </p>
+            ) : (
+              <ul className="space-y-2">
+                {listas.map(lista => (
+                  <li key={lista.id}>
+                    <button
+                      onClick={() => handleOpenLista(lista)}
+                      className="w-full flex items-center justify-between px-4 py-3 border border-gray-200 rounded-lg hover:bg-blue-50 hover:border-blue-300 transition-colors text-left"
+                    >
+                      <span className="min-w-0">
+                        <span className="flex items-center space-x-2 text-sm font-medium text-gray-900">
+                          {lista.compartida && <Users className="w-4 h-4 text-blue-500 flex-shrink-0" />}
+                          <span className="truncate">{lista.nombre}</span>
+                        </span>
+                        {lista.user_id !== user?.id && (
+                          <span className="block text-xs text-gray-500">{lista.profiles?.full_name || 'Equipo'}</span>
+                        )}
+                      </span>
+                      <span className="text-xs text-gray-500 flex-shrink-0 ml-3">{lista.cantidad} votantes</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ) : (
+          /* Votantes de la lista abierta */
+          <>
+            <div className="flex flex-wrap items-center gap-2 mb-3">
+              <button
+                onClick={() => fetchVotantes(selectedLista)}
+                disabled={isLoadingVotantes}
+                className="flex items-center space-x-1 px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm disabled:opacity-50"
+                title="Actualizar el estado de voto"
+              >
+                <RefreshCw className={`w-4 h-4 ${isLoadingVotantes ? 'animate-spin' : ''}`} />
+                <span>Actualizar</span>
+              </button>
+              <button
+                onClick={() => handleExport('csv')}
+                disabled={isExporting || votantes.length === 0}
+                className="flex items-center space-x-1 px-3 py-1.5 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors text-sm disabled:opacity-50"
+              >
+                <FileText className="w-4 h-4" />
+                <span>CSV</span>
+              </button>
+              <button
+                onClick={() => handleExport('xlsx')}
+                disabled={isExporting || votantes.length === 0}
+                className="flex items-center space-x-1 px-3 py-1.5 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors text-sm disabled:opacity-50"
+              >
+                <FileSpreadsheet className="w-4 h-4" />
+                <span>Excel</span>
+              </button>
+              {isOwn && (
+                <>
+                  <label className="flex items-center space-x-2 px-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={selectedLista.compartida}
+                      onChange={handleToggleCompartida}
+                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span>Compartida</span>
+                  </label>
+                  <button
+                    onClick={handleDelete}
+                    className="flex items-center space-x-1 px-3 py-1.5 text-red-600 hover:bg-red-50 rounded-lg transition-colors text-sm ml-auto"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    <span>Eliminar lista</span>
+                  </button>
+                </>
+              )}
+            </div>
+
+            <div className="overflow-y-auto flex-1">
+              {isLoadingVotantes && votantes.length === 0 ? (
+                <div className="flex justify-center py-8">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                </div>
+              ) : votantes.length === 0 && faltantes.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-6">La lista está vacía</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {votantes.map(votante => (
+                    <li
+                      key={votante.documento}
+                      className={`flex items-center justify-between py-2 px-2 ${canViewVotes && votante.voto_emitido ? 'bg-green-50' : ''}`}
+                    >
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-900 truncate">
+                          {votante.apellido}, {votante.nombre}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          DNI {votante.documento} · Mesa {votante.mesa_numero || '---'}
+                          {votante.mesas?.mesa_localidad ? ` · ${votante.mesas.mesa_localidad}` : ''}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-2 flex-shrink-0 ml-3">
+                        {canViewVotes && (
+                          <span className={`px-3 py-1 rounded-full text-xs font-medium ${
+                            votante.voto_emitido ? 'bg-green-100 text-green-800 border border-green-300' : 'bg-red-100 text-red-800'
+                          }`}>
+                            {votante.voto_emitido ? 'Votó' : 'No.Votó'}
+                          </span>
+                        )}
+                        {isOwn && (
+                          <button
+                            onClick={() => handleRemove(votante.documento)}
+                            className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                            title="Quitar de la lista"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                  {faltantes.map(documento => (
+                    <li key={documento} className="flex items-center justify-between py-2 px-2">
+                      <p className="text-sm text-gray-500">DNI {documento} · ya no está en el padrón</p>
+                      {isOwn && (
+                        <button
+                          onClick={() => handleRemove(documento)}
+                          className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                          title="Quitar de la lista"
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
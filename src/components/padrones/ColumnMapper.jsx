@@ -0,0 +1,280 @@
+import React, { useState } from 'react';
+import { Columns, AlertTriangle, CheckCircle, Loader2, Save, Trash2, Scissors } from 'lucide-react';
+import { ALL_COLUMNS, REQUIRED_COLUMNS } from '../../utils/importUtils';
+import {
+  COLUMNA_APELLIDO_NOMBRE,
+  SEPARADORES_NOMBRE,
+  getMappingIssues,
+  splitFullName
+} from '../../utils/columnMapping';
+
+// Valores de ejemplo que se muestran por columna
+const SAMPLE_SIZE = 3;
+
+/**
+ * ColumnMapper - Asignación de columnas del archivo a columnas del padrón
+ *
+ * Paso entre FileSelector y ValidationPanel. Cada encabezado del archivo se
+ * asigna a una columna del padrón, se ignora o se divide en apellido y nombre.
+ * La sugerencia inicial la arma ImportPadronForm con utils/columnMapping.
+ *
+ * Props:
+ * - parsedData: { headers, records } — datos tal como vienen del archivo
+ * - mapping: { columnas, separadorNombre } — mapeo actual
+ * - onMappingChange: (mapping) => void
+ * - presets: Array<{ id, nombre, mapeo }> — mapeos guardados
+ * - presetId: number | null — mapeo guardado aplicado
+ * - onApplyPreset: (id) => void
+ * - onSavePreset: (nombre) => Promise<void>
+ * - onDeletePreset: (id) => Promise<void>
+ * - isSavingPreset: boolean
+ * - isProcessing: boolean
+ * - onBack: vuelve a la selección de archivo
+ * - onValidate: aplica el mapeo e inicia la validación
+ */
+export default function ColumnMapper({
+  parsedData,
+  mapping,
+  onMappingChange,
+  presets,
+  presetId,
+  onApplyPreset,
+  onSavePreset,
+  onDeletePreset,
+  isSavingPreset,
+  isProcessing,
+  onBack,
+  onValidate
+}) {
+  const [presetName, setPresetName] = useState('');
+
+  const { missing, duplicated } = getMappingIssues(mapping);
+  const hasIssues = missing.length > 0 || duplicated.length > 0;
+  const combinedHeader = parsedData.headers.find(h => mapping.columnas[h] === COLUMNA_APELLIDO_NOMBRE);
+  const selectedPreset = presets.find(p => p.id === presetId) || null;
+
+  const samplesFor = (header) => {
+    return parsedData.records
+      .map(record => record[header])
+      .filter(value => value !== undefined && value !== '')
+      .slice(0, SAMPLE_SIZE);
+  };
+
+  const handleTargetChange = (header, destino) => {
+    onMappingChange({
+      ...mapping,
+      columnas: { ...mapping.columnas, [header]: destino || null }
+    });
+  };
+
+  const handleSavePreset = async () => {
+    const nombre = presetName.trim() || selectedPreset?.nombre || '';
+    if (!nombre) return;
+    await onSavePreset(nombre);
+    setPresetName('');
+  };
+
+  const isDuplicated = (destino) => {
+    if (!destino) return false;
+    const columnas = destino === COLUMNA_APELLIDO_NOMBRE ? ['apellido', 'nombre'] : [destino];
+    return columnas.some(columna => duplicated.includes(columna));
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <div className="max-w-4xl mx-auto space-y-6">
+
+        {/* Encabezado */}
+        <div className="flex items-center space-x-3">
+          <Columns className="w-6 h-6 text-blue-600" />
+          <div>
+            <h3 className="font-semibold text-gray-900">Asignar Columnas</h3>
+            <p className="text-sm text-gray-600">
+              Indique a qué columna del padrón corresponde cada columna del archivo.
+              Las coincidencias conocidas (DNI, Nro Mesa, Nº Orden...) ya vienen asignadas.
+            </p>
+          </div>
+        </div>
+
+        {/* Mapeos guardados */}
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-3">
+          <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+            <label className="text-sm font-medium text-gray-700 sm:w-40">Mapeo guardado</label>
+            <select
+              value={presetId ?? ''}
+              onChange={(e) => e.target.value && onApplyPreset(Number(e.target.value))}
+              disabled={isProcessing || presets.length === 0}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">
+                {presets.length === 0 ? 'No hay mapeos guardados' : 'Sugerencia automática'}
+              </option>
+              {presets.map(preset => (
+                <option key={preset.id} value={preset.id}>{preset.nombre}</option>
+              ))}
+            </select>
+            {selectedPreset && (
+              <button
+                onClick={() => onDeletePreset(selectedPreset.id)}
+                disabled={isSavingPreset}
+                className="flex items-center justify-center space-x-1 px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-50"
+                title="Eliminar mapeo guardado"
+              >
+                <Trash2 className="w-4 h-4" />
+                <span>Eliminar</span>
+              </button>
+            )}
+          </div>
+          <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+            <label className="text-sm font-medium text-gray-700 sm:w-40">Guardar como</label>
+            <input
+              type="text"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              placeholder={selectedPreset ? selectedPreset.nombre : 'Ej: Padrón Junta Electoral'}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              onClick={handleSavePreset}
+              disabled={isSavingPreset || (!presetName.trim() && !selectedPreset)}
+              className="flex items-center justify-center space-x-1 px-3 py-2 text-sm bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 border border-blue-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSavingPreset ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+              <span>Guardar mapeo</span>
+            </button>
+          </div>
+        </div>
+
+        {/* Tabla de asignación */}
+        <div className="border border-gray-300 rounded-lg overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium text-gray-700 border-b">Columna del archivo</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-700 border-b">Ejemplos</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-700 border-b">Columna del padrón</th>
+              </tr>
+            </thead>
+            <tbody>
+              {parsedData.headers.map(header => {
+                const destino = mapping.columnas[header] || '';
+                return (
+                  <tr key={header} className={`border-b ${destino ? '' : 'bg-gray-50'}`}>
+                    <td className="px-3 py-2 font-medium text-gray-900">{header}</td>
+                    <td className="px-3 py-2 text-gray-600 text-xs">
+                      {samplesFor(header).join(' · ') || '-'}
+                    </td>
+                    <td className="px-3 py-2">
+                      <select
+                        value={destino}
+                        onChange={(e) => handleTargetChange(header, e.target.value)}
+                        disabled={isProcessing}
+                        className={`w-full px-2 py-1 border rounded text-sm ${
+                          isDuplicated(destino) ? 'border-red-400 bg-red-50' : 'border-gray-300'
+                        }`}
+                      >
+                        <option value="">— Ignorar —</option>
+                        <option value={COLUMNA_APELLIDO_NOMBRE}>Apellido y nombre (dividir)</option>
+                        {ALL_COLUMNS.map(columna => (
+                          <option key={columna} value={columna}>
+                            {columna}{REQUIRED_COLUMNS.includes(columna) ? ' *' : ''}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {/* División de apellido y nombre */}
+        {combinedHeader && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 space-y-3">
+            <div className="flex items-center space-x-2">
+              <Scissors className="w-4 h-4 text-blue-600" />
+              <h4 className="font-semibold text-blue-900 text-sm">Dividir «{combinedHeader}»</h4>
+            </div>
+            <select
+              value={mapping.separadorNombre}
+              onChange={(e) => onMappingChange({ ...mapping, separadorNombre: e.target.value })}
+              disabled={isProcessing}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              {SEPARADORES_NOMBRE.map(separador => (
+                <option key={separador.value} value={separador.value}>{separador.label}</option>
+              ))}
+            </select>
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr className="text-left text-blue-800">
+                  <th className="py-1 pr-3">Valor</th>
+                  <th className="py-1 pr-3">apellido</th>
+                  <th className="py-1">nombre</th>
+                </tr>
+              </thead>
+              <tbody>
+                {samplesFor(combinedHeader).map((value, i) => {
+                  const { apellido, nombre } = splitFullName(value, mapping.separadorNombre);
+                  return (
+                    <tr key={i} className="text-blue-900">
+                      <td className="py-1 pr-3">{value}</td>
+                      <td className="py-1 pr-3 font-medium">{apellido || '-'}</td>
+                      <td className="py-1 font-medium">{nombre || '-'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Estado del mapeo */}
+        {hasIssues ? (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700 space-y-1">
+            <div className="flex items-center space-x-2 font-semibold text-red-800">
+              <AlertTriangle className="w-4 h-4" />
+              <span>Revise la asignación</span>
+            </div>
+            {missing.length > 0 && <p>Columnas obligatorias sin asignar: {missing.join(', ')}</p>}
+            {duplicated.length > 0 && <p>Columnas asignadas más de una vez: {duplicated.join(', ')}</p>}
+          </div>
+        ) : (
+          <div className="flex items-center space-x-2 text-sm text-green-700">
+            <CheckCircle className="w-4 h-4" />
+            <span>Todas las columnas obligatorias están asignadas</span>
+          </div>
+        )}
+
+        {/* Botones de acción */}
+        <div className="flex space-x-4">
+          <button
+            onClick={onBack}
+            disabled={isProcessing}
+            className="flex-1 bg-gray-200 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50"
+          >
+            Volver
+          </button>
+          <button
+            onClick={onValidate}
+            disabled={isProcessing || hasIssues}
+            className="flex-1 bg-orange-600 text-white py-3 px-4 rounded-lg hover:bg-orange-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+          >
+            {isProcessing ? (
+              <>
+                <Loader2 className="w-5 h-5 animate-spin" />
+                <span>Validando...</span>
+              </>
+            ) : (
+              <>
+                <AlertTriangle className="w-5 h-5" />
+                <span>Validar Archivo Completo (Modo Simulación)</span>
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { Download, AlertTriangle, UserPlus, UserCog, UserCheck, UserX, ArrowRight } from 'lucide-react';
+import { PICK_FIELDS, VOTE_FIELDS } from '../../utils/importUtils';
+
+// Filas que se muestran por pestaña; el informe CSV trae todas
+const MAX_ROWS = 100;
+
+/**
+ * Formatea un valor para la tabla de diferencias
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '∅';
+  if (value === true) return 'sí';
+  if (value === false) return 'no';
+  return String(value);
+};
+
+/**
+ * DryRunReport - Informe de simulación de la importación
+ *
+ * Muestra cómo quedaría el padrón: votantes nuevos, modificados (con el
+ * detalle campo por campo), sin cambios y a eliminar, y advierte cuando la
+ * importación borraría picks o votos ya registrados.
+ *
+ * Props:
+ * - diff: resultado de computeImportDiff (importUtils)
+ * - deleteNonMatching: boolean
+ * - onDownload: descarga el informe completo en CSV
+ */
+export default function DryRunReport({ diff, deleteNonMatching, onDownload }) {
+  const [tab, setTab] = useState('modificados');
+  const { summary } = diff;
+
+  const tabs = [
+    { key: 'modificados', label: 'Modificados', count: summary.modificados, icon: UserCog, color: 'text-orange-600' },
+    { key: 'nuevos', label: 'Nuevos', count: summary.nuevos, icon: UserPlus, color: 'text-green-600' },
+    { key: 'sinCambios', label: 'Sin cambios', count: summary.sinCambios, icon: UserCheck, color: 'text-gray-600' },
+    ...(deleteNonMatching
+      ? [{ key: 'aEliminar', label: 'A eliminar', count: summary.aEliminar, icon: UserX, color: 'text-red-600' }]
+      : [])
+  ];
+
+  const warnings = [
+    summary.picksPerdidos > 0 &&
+      `${summary.picksPerdidos.toLocaleString('es-AR')} votantes perderían su pick (el archivo trae vacíos los campos de pick que hoy tienen datos).`,
+    summary.votosPerdidos > 0 &&
+      `${summary.votosPerdidos.toLocaleString('es-AR')} votantes perderían el voto registrado.`,
+    summary.eliminadosConPickOVoto > 0 &&
+      `${summary.eliminadosConPickOVoto.toLocaleString('es-AR')} votantes a eliminar tienen pick o voto registrado.`
+  ].filter(Boolean);
+
+  const isProtected = (field) => PICK_FIELDS.includes(field) || VOTE_FIELDS.includes(field);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="font-semibold text-gray-900">Simulación de la Importación</h4>
+        <button
+          onClick={onDownload}
+          className="flex items-center space-x-2 px-4 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 transition-colors text-sm"
+        >
+          <Download className="w-4 h-4" />
+          <span>Descargar Informe (CSV)</span>
+        </button>
+      </div>
+
+      {/* Resumen */}
+      <div className={`grid gap-4 text-center ${deleteNonMatching ? 'grid-cols-2 sm:grid-cols-4' : 'grid-cols-3'}`}>
+        {tabs.map(({ key, label, count, icon: Icon, color }) => (
+          <div key={key} className="bg-gray-50 border border-gray-200 rounded-lg p-3">
+            <Icon className={`w-5 h-5 mx-auto mb-1 ${color}`} />
+            <p className={`text-2xl font-bold ${color}`}>{count.toLocaleString('es-AR')}</p>
+            <p className="text-sm text-gray-600">{label}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Advertencias de pérdida de datos */}
+      {warnings.length > 0 && (
+        <div className="bg-red-100 border-2 border-red-400 rounded-lg p-4">
+          <div className="flex items-start space-x-3">
+            <AlertTriangle className="w-6 h-6 text-red-700 flex-shrink-0" />
+            <div>
+              <p className="font-bold text-red-800">Esta importación borra datos cargados en la aplicación</p>
+              <ul className="text-sm text-red-800 mt-1 space-y-1">
+                {warnings.map((warning, i) => <li key={i}>• {warning}</li>)}
+              </ul>
+              <p className="text-xs text-red-700 mt-2">
+                Si no es lo esperado, incluya en el archivo las columnas de pick y voto de una exportación reciente.
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Pestañas */}
+      <div className="flex border-b border-gray-200">
+        {tabs.filter(t => t.key !== 'sinCambios').map(({ key, label, count }) => (
+          <button
+            key={key}
+            onClick={() => setTab(key)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${
+              tab === key ? 'border-blue-600 text-blue-700' : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {label} ({count.toLocaleString('es-AR')})
+          </button>
+        ))}
+      </div>
+
+      <div className="bg-white border border-gray-300 rounded-lg max-h-96 overflow-y-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-100 sticky top-0">
+            <tr>
+              <th className="px-4 py-2 text-left font-medium text-gray-700 border-b">Documento</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-700 border-b">Votante</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-700 border-b">Mesa</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-700 border-b">
+                {tab === 'modificados' ? 'Cambios' : tab === 'aEliminar' ? 'Advertencia' : ''}
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {tab === 'modificados' && diff.modificados.slice(0, MAX_ROWS).map(r => (
+              <tr key={r.documento} className={`border-b align-top ${r.wipesPick || r.wipesVote ? 'bg-red-50' : ''}`}>
+                <td className="px-4 py-2 text-gray-700">{r.documento}</td>
+                <td className="px-4 py-2 text-gray-700">{r.apellido}, {r.nombre}</td>
+                <td className="px-4 py-2 text-gray-700">{r.mesa_numero}</td>
+                <td className="px-4 py-2">
+                  <ul className="space-y-0.5">
+                    {r.changes.map(change => (
+                      <li key={change.field} className="flex items-center flex-wrap gap-1 text-xs">
+                        <span className={`font-mono ${isProtected(change.field) ? 'text-red-700 font-semibold' : 'text-gray-600'}`}>
+                          {change.field}
+                        </span>
+                        <span className="text-gray-500 line-through">{formatValue(change.before)}</span>
+                        <ArrowRight className="w-3 h-3 text-gray-400" />
+                        <span className="text-gray-900">{formatValue(change.after)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </td>
+              </tr>
+            ))}
+            {tab === 'nuevos' && diff.nuevos.slice(0, MAX_ROWS).map(r => (
+              <tr key={r.documento} className="border-b">
+                <td className="px-4 py-2 text-gray-700">{r.documento}</td>
+                <td className="px-4 py-2 text-gray-700">{r.apellido}, {r.nombre}</td>
+                <td className="px-4 py-2 text-gray-700">{r.mesa_numero}</td>
+                <td className="px-4 py-2"></td>
+              </tr>
+            ))}
+            {tab === 'aEliminar' && diff.aEliminar.slice(0, MAX_ROWS).map(r => (
+              <tr key={r.documento} className={`border-b ${r.hasPick || r.hasVote ? 'bg-red-50' : ''}`}>
+                <td className="px-4 py-2 text-gray-700">{r.documento}</td>
+                <td className="px-4 py-2 text-gray-700">{r.apellido}, {r.nombre}</td>
+                <td className="px-4 py-2 text-gray-700">{r.mesa_numero}</td>
+                <td className="px-4 py-2 text-xs text-red-700 font-medium">
+                  {[r.hasPick && 'Tiene pick', r.hasVote && 'Tiene voto'].filter(Boolean).join(', ')}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {(tabs.find(t => t.key === tab)?.count || 0) > MAX_ROWS && (
+          <div className="p-3 text-center text-sm text-gray-600 bg-gray-50 border-t">
+            Mostrando {MAX_ROWS} de {tabs.find(t => t.key === tab).count.toLocaleString('es-AR')}. Descargue el informe completo.
+          </div>
+        )}
+        {(tabs.find(t => t.key === tab)?.count || 0) === 0 && (
+          <div className="p-3 text-center text-sm text-gray-500">Sin registros</div>
+        )}
+      </div>
+    </div>
+  );
+}
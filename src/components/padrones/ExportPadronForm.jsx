@@ -1,14 +1,28 @@
 import React, { useState, useEffect } from 'react';
-import { Download, AlertCircle, CheckCircle, Loader2 } from 'lucide-react';
+import { Download, AlertCircle, CheckCircle, Loader2, FileText, FileSpreadsheet, Printer } from 'lucide-react';
 import { supabase } from '../../lib/supabase';
 import {
   processExtendedBasicData,
   convertRawToCSV,
   downloadFile,
+  downloadBlob,
   generateFileName,
   exportToExcelWithFormat
 } from '../../utils/exportUtils';
 import { loadEmopicksWithCount, formatEmopickDisplay } from '../../services/emopicksService';
+import { groupPadronByMesa, buildPadronPdf, generatePdfFileName } from '../../utils/padronPdf';
+
+// Máximo de registros para el PDF: cada página lleva 37 electores
+const MAX_PDF_RECORDS = 30000;
+
+// Pausa entre descargas del modo "un archivo por mesa" para que el navegador no las descarte
+const PDF_DOWNLOAD_DELAY_MS = 400;
+
+const FORMATS = [
+  { id: 'csv', label: 'CSV completo', description: 'Exportar tabla completa en CSV sin formato (programación)', icon: FileText },
+  { id: 'xlsx', label: 'Excel personalizado', description: 'Exportar en excel con formato y filtrado (control y análisis)', icon: FileSpreadsheet },
+  { id: 'pdf', label: 'PDF por mesa', description: 'Kit imprimible del fiscal: portada y padrón de cada mesa ordenado por orden', icon: Printer }
+];
 
 /**
  * Componente ExportPadronForm - Exportación de datos del padrón electoral
@@ -18,7 +32,10 @@ import { loadEmopicksWithCount, formatEmopickDisplay } from '../../services/emop
  *
  * Funcionalidades principales:
  * - Exportación completa o filtrada del padrón electoral
- * - Dos modos de exportación: Básico (todos los campos) y Extendido (campos personalizados)
+ * - Tres formatos: CSV completo (todos los campos), Excel personalizado y PDF por mesa
+ * - PDF (kit del fiscal): portada con establecimiento, mesa y fiscales asignados,
+ *   y el padrón de la mesa con casillas de voto y check, pick y nota. En un solo
+ *   documento para el rango de mesas o un archivo por mesa
  * - Filtros por: estado de voto, emopick, rango de mesas, rango de clases (años)
  * - Soporte para grandes volúmenes de datos con procesamiento por lotes
  * - Exportación a formatos CSV y Excel con formato personalizado
@@ -32,7 +49,9 @@ import { loadEmopicksWithCount, formatEmopickDisplay } from '../../services/emop
  * - Feedback visual del progreso de exportación
  */
 export default function ExportPadronForm() {
-  const [isBasicMode, setIsBasicMode] = useState(false);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [pdfPerMesa, setPdfPerMesa] = useState(false);
+  const [pdfStatus, setPdfStatus] = useState('');
   const [voteStatus, setVoteStatus] = useState('all');
   const [selectedEmopick, setSelectedEmopick] = useState('all');
   const [mesaDesde, setMesaDesde] = useState('');
@@ -48,6 +67,9 @@ export default function ExportPadronForm() {
   const [recordCount, setRecordCount] = useState(null);
   const [exportProgress, setExportProgress] = useState({ current: 0, total: 0, percentage: 0 });
 
+  // Excel y PDF usan los filtros; el CSV exporta la tabla completa
+  const isBasicMode = exportFormat !== 'csv';
+
   useEffect(() => {
     loadEmopicks();
     loadMarkedCount();
@@ -249,6 +271,58 @@ export default function ExportPadronForm() {
     return allData;
   };
 
+  /**
+   * Carga los fiscales asignados a las mesas del PDF
+   *
+   * @param {Array<number>} numeros - Números de mesa
+   * @returns {Promise<Map<number, Array<Object>>>} Fiscales por número de mesa
+   */
+  const fetchFiscalesPorMesa = async (numeros) => {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('full_name, email, mesa_numero')
+      .in('mesa_numero', numeros)
+      .order('full_name', { ascending: true });
+
+    if (error) throw error;
+
+    const fiscales = new Map();
+    (data || []).forEach(profile => {
+      if (!fiscales.has(profile.mesa_numero)) fiscales.set(profile.mesa_numero, []);
+      fiscales.get(profile.mesa_numero).push(profile);
+    });
+    return fiscales;
+  };
+
+  /**
+   * Genera el kit del fiscal en PDF: un documento con todas las mesas del
+   * filtro o un archivo por mesa
+   *
+   * @param {Array<Object>} rawData - Registros con relaciones (emopicks, mesas)
+   * @returns {Promise<number>} Cantidad de mesas exportadas
+   */
+  const exportPdf = async (rawData) => {
+    const mesas = groupPadronByMesa(rawData);
+    if (mesas.length === 0) return 0;
+
+    const fiscalesPorMesa = await fetchFiscalesPorMesa(mesas.map(m => m.numero));
+
+    if (!pdfPerMesa) {
+      setPdfStatus(`Generando PDF de ${mesas.length} mesas...`);
+      // Cede un frame para que se vea el estado antes del trabajo sincrónico
+      await new Promise(resolve => setTimeout(resolve, 0));
+      downloadBlob(buildPadronPdf(mesas, fiscalesPorMesa), generatePdfFileName(mesas));
+      return mesas.length;
+    }
+
+    for (let i = 0; i < mesas.length; i++) {
+      setPdfStatus(`Generando PDF mesa ${mesas[i].numero} (${i + 1} de ${mesas.length})...`);
+      await new Promise(resolve => setTimeout(resolve, i === 0 ? 0 : PDF_DOWNLOAD_DELAY_MS));
+      downloadBlob(buildPadronPdf([mesas[i]], fiscalesPorMesa), generatePdfFileName([mesas[i]]));
+    }
+    return mesas.length;
+  };
+
   const handleExport = async () => {
     if (recordCount === 0) {
       setMessage({
@@ -258,6 +332,14 @@ export default function ExportPadronForm() {
       return;
     }
 
+    if (exportFormat === 'pdf' && recordCount > MAX_PDF_RECORDS) {
+      setMessage({
+        type: 'error',
+        text: `El PDF admite hasta ${MAX_PDF_RECORDS.toLocaleString('es-AR')} registros. Actualmente hay ${recordCount.toLocaleString('es-AR')} con los filtros aplicados. Reduzca el rango de mesas.`
+      });
+      return;
+    }
+
     if (recordCount > 350000) {
       setMessage({
         type: 'error',
@@ -293,6 +375,17 @@ export default function ExportPadronForm() {
           return;
         }
 
+        if (exportFormat === 'pdf') {
+          const mesasCount = await exportPdf(rawData);
+          setMessage({
+            type: 'success',
+            text: pdfPerMesa
+              ? `Se generaron ${mesasCount.toLocaleString('es-AR')} archivos PDF, uno por mesa`
+              : `Se generó el PDF de ${mesasCount.toLocaleString('es-AR')} mesas con ${rawData.length.toLocaleString('es-AR')} electores`
+          });
+          return;
+        }
+
         const processedData = processExtendedBasicData(rawData);
 
         try {
@@ -340,6 +433,7 @@ export default function ExportPadronForm() {
       });
     } finally {
       setIsLoading(false);
+      setPdfStatus('');
       setExportProgress({ current: 0, total: 0, percentage: 0 });
     }
   };
@@ -362,23 +456,46 @@ export default function ExportPadronForm() {
       <div className="bg-white border border-gray-200 rounded-lg p-6">
         <div className="max-w-3xl mx-auto space-y-6">
           <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
-            <div className="flex items-center space-x-2">
-              <input
-                type="checkbox"
-                id="basicMode"
-                checked={isBasicMode}
-                onChange={(e) => setIsBasicMode(e.target.checked)}
-                className="w-5 h-5 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
-              />
-              <label htmlFor="basicMode" className="font-medium text-blue-900 cursor-pointer">
-                Formato Personalizado
-              </label>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+              {FORMATS.map(format => {
+                const Icon = format.icon;
+                const selected = exportFormat === format.id;
+                return (
+                  <button
+                    key={format.id}
+                    type="button"
+                    onClick={() => setExportFormat(format.id)}
+                    disabled={isLoading}
+                    className={`flex items-center justify-center space-x-2 px-3 py-2 rounded-lg border text-sm font-medium transition-colors ${
+                      selected
+                        ? 'bg-blue-600 text-white border-blue-600'
+                        : 'bg-white text-blue-900 border-blue-200 hover:bg-blue-100'
+                    }`}
+                  >
+                    <Icon className="w-4 h-4" />
+                    <span>{format.label}</span>
+                  </button>
+                );
+              })}
             </div>
-            <p className="text-sm text-blue-700 mt-2 ml-7">
-              {isBasicMode
-                ? 'Exportar en excel con formato y filtrado (control y análisis)'
-                : 'Exportar tabla completa en CSV sin formato (programación)'}
+            <p className="text-sm text-blue-700 mt-2">
+              {FORMATS.find(format => format.id === exportFormat).description}
             </p>
+
+            {exportFormat === 'pdf' && (
+              <div className="flex items-center space-x-2 mt-3">
+                <input
+                  type="checkbox"
+                  id="pdfPerMesa"
+                  checked={pdfPerMesa}
+                  onChange={(e) => setPdfPerMesa(e.target.checked)}
+                  className="w-5 h-5 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+                />
+                <label htmlFor="pdfPerMesa" className="text-sm text-blue-900 cursor-pointer">
+                  Un archivo por mesa (el navegador puede pedir permiso para descargas múltiples)
+                </label>
+              </div>
+            )}
           </div>
 
           {isBasicMode && (
@@ -553,7 +670,8 @@ export default function ExportPadronForm() {
               <>
                 <Loader2 className="w-5 h-5 animate-spin" />
                 <span>
-                  {exportProgress.percentage === 0 ? 'Preparando exportación...' :
+                  {pdfStatus ? pdfStatus :
+                   exportProgress.percentage === 0 ? 'Preparando exportación...' :
                    exportProgress.percentage === 100 ? 'Generando archivo...' :
                    `Descargando datos... ${exportProgress.percentage}%`}
                 </span>
@@ -561,7 +679,7 @@ export default function ExportPadronForm() {
             ) : (
               <>
                 <Download className="w-5 h-5" />
-                <span>Exportar Padrón {isBasicMode ? '(Excel)' : '(CSV)'}</span>
+                <span>Exportar Padrón ({exportFormat === 'pdf' ? 'PDF' : isBasicMode ? 'Excel' : 'CSV'})</span>
               </>
             )}
           </button>
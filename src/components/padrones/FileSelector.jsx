@@ -1,5 +1,5 @@
 import React from 'react';
-import { Upload, Download, FileText, AlertTriangle, Info, Loader2, Trash2 } from 'lucide-react';
+import { Upload, Download, FileText, Columns, Info, Trash2 } from 'lucide-react';
 import { downloadTemplate } from '../../utils/importUtils';
 
 /**
@@ -14,7 +14,7 @@ import { downloadTemplate } from '../../utils/importUtils';
  * - onDeleteNonMatchingChange: (value: boolean) => void
  * - onDragOver / onDragLeave / onDrop: handlers drag&drop
  * - onFileSelect: handler para input file onChange
- * - onValidate: inicia validación completa
+ * - onContinue: pasa a la asignación de columnas
  * - onReset: limpia el formulario
  * - fileInputRef: ref al input file oculto
  */
@@ -29,7 +29,7 @@ export default function FileSelector({
   onDragLeave,
   onDrop,
   onFileSelect,
-  onValidate,
+  onContinue,
   onReset,
   fileInputRef
 }) {
@@ -46,7 +46,7 @@ export default function FileSelector({
           <ul className="text-sm text-blue-700 space-y-2 ml-7">
             <li>Los registros existentes serán actualizados completamente</li>
             <li>Se validará el archivo antes de permitir la importación</li>
-            <li>El archivo debe contener todas las columnas requeridas</li>
+            <li>Las columnas del archivo se asignan a las del padrón en el paso siguiente</li>
             <li>Tamaño máximo: 100MB o 2 millones de registros</li>
           </ul>
         </div>
@@ -76,7 +76,7 @@ export default function FileSelector({
               </label>
               <p className={`text-sm mt-1 ${deleteNonMatching ? 'text-red-700' : 'text-gray-500'}`}>
                 {deleteNonMatching
-                  ? '⚠️ Los registros existentes en la BD que NO estén en el archivo serán eliminados permanentemente.'
+                  ? '⚠️ Los registros existentes en la BD que NO estén en el archivo serán eliminados (se guarda una copia para poder revertir la importación).'
                   : 'Los registros existentes que no estén en el archivo se mantendrán sin cambios.'}
               </p>
             </div>
@@ -188,21 +188,12 @@ export default function FileSelector({
             </div>
 
             <button
-              onClick={onValidate}
+              onClick={onContinue}
               disabled={isProcessing}
-              className="w-full bg-orange-600 text-white py-3 px-4 rounded-lg hover:bg-orange-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+              className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
             >
-              {isProcessing ? (
-                <>
-                  <Loader2 className="w-5 h-5 animate-spin" />
-                  <span>Validando...</span>
-                </>
-              ) : (
-                <>
-                  <AlertTriangle className="w-5 h-5" />
-                  <span>Validar Archivo Completo (Modo Simulación)</span>
-                </>
-              )}
+              <Columns className="w-5 h-5" />
+              <span>Continuar: Asignar Columnas</span>
             </button>
           </div>
         )}
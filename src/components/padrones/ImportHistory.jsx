@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { History, RotateCcw, Loader2, RefreshCw, XCircle } from 'lucide-react';
+import { useCan } from '../../hooks/useCan';
+import { loadImportaciones, revertirImportacion } from '../../services/importacionesPadronService';
+
+const ESTADOS = {
+  en_curso: { label: 'En curso', className: 'bg-blue-100 text-blue-800' },
+  completada: { label: 'Completada', className: 'bg-green-100 text-green-800' },
+  fallida: { label: 'Fallida', className: 'bg-red-100 text-red-800' },
+  revertida: { label: 'Revertida', className: 'bg-gray-200 text-gray-700' },
+  interrumpida: { label: 'Interrumpida', className: 'bg-orange-100 text-orange-800' }
+};
+
+// Una importación 'en_curso' más antigua que esto quedó interrumpida
+// (mismo plazo que `revertir_importacion_padron`)
+const INTERRUPCION_MS = 60 * 60 * 1000;
+
+const isInterrumpida = (importacion) =>
+  importacion.estado === 'en_curso' &&
+  Date.now() - new Date(importacion.created_at).getTime() > INTERRUPCION_MS;
+
+/**
+ * ImportHistory - Historial de importaciones del padrón con reversión
+ *
+ * Lista cada importación (quién, cuándo, archivo y totales) y permite
+ * revertir la última no revertida: el padrón vuelve al estado previo con el
+ * snapshot guardado durante la importación y se recalculan los totales de
+ * las mesas. Los votos y picks cargados después de la importación se conservan.
+ * Una importación que nunca se cerró (quedó 'en_curso' más de una hora) se
+ * muestra como interrumpida y también se puede revertir.
+ */
+export default function ImportHistory() {
+  const can = useCan();
+  const [importaciones, setImportaciones] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [revertingId, setRevertingId] = useState(null);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const fetchImportaciones = async () => {
+    setIsLoading(true);
+    try {
+      setImportaciones(await loadImportaciones());
+    } catch (error) {
+      console.error('Error loading imports:', error);
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchImportaciones();
+  }, []);
+
+  // Solo la última importación no revertida se puede revertir
+  const revertible = importaciones.find(i => i.estado !== 'revertida');
+  const canRevert = (importacion) =>
+    can('padron.import') &&
+    importacion.id === revertible?.id &&
+    (['completada', 'fallida'].includes(importacion.estado) || isInterrumpida(importacion));
+
+  const handleRevert = async (importacion) => {
+    const confirmed = window.confirm(
+      `¿Revertir la importación de "${importacion.archivo_nombre}"?\n\n` +
+      'El padrón vuelve al estado previo: se eliminan los votantes insertados, se restauran los ' +
+      'eliminados y los modificados recuperan sus datos. Los votos y picks cargados después se conservan.'
+    );
+    if (!confirmed) return;
+
+    setRevertingId(importacion.id);
+    setMessage({ type: '', text: '' });
+    try {
+      const resultado = await revertirImportacion(importacion.id);
+      const conservados = resultado.insertados_conservados > 0
+        ? ` ${resultado.insertados_conservados} insertados se conservaron porque tuvieron cambios posteriores.`
+        : '';
+      setMessage({
+        type: 'success',
+        text: `Importación revertida: ${resultado.insertados_eliminados} insertados eliminados, ` +
+          `${resultado.eliminados_restaurados} eliminados restaurados y ` +
+          `${resultado.campos_restaurados} campos restaurados.${conservados}`
+      });
+      await fetchImportaciones();
+    } catch (error) {
+      console.error('Error reverting import:', error);
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString('es-AR') : '-');
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-purple-50 border border-purple-200 rounded-lg p-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <History className="w-6 h-6 text-purple-600" />
+            <div>
+              <h3 className="font-semibold text-purple-800">Historial de Importaciones</h3>
+              <p className="text-sm text-purple-700">
+                Cada importación guarda una copia de las filas afectadas y la última se puede revertir
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={fetchImportaciones}
+            disabled={isLoading}
+            className="p-2 text-purple-700 hover:bg-purple-100 rounded-lg disabled:opacity-50"
+            title="Actualizar"
+          >
+            <RefreshCw className={`w-5 h-5 ${isLoading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {message.text && (
+        <div
+          className={`p-3 rounded-lg text-sm ${
+            message.type === 'error'
+              ? 'bg-red-50 text-red-700 border border-red-200'
+              : 'bg-green-50 text-green-700 border border-green-200'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <Loader2 className="w-8 h-8 animate-spin text-purple-600" />
+          </div>
+        ) : importaciones.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">Todavía no se importó ningún padrón</div>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">#</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Fecha</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Archivo</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Usuario</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Nuevos</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Actualizados</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Eliminados</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Estado</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {importaciones.map(importacion => {
+                const estado = isInterrumpida(importacion)
+                  ? ESTADOS.interrumpida
+                  : ESTADOS[importacion.estado] || ESTADOS.en_curso;
+                return (
+                  <tr key={importacion.id} className="border-t border-gray-100 align-top">
+                    <td className="px-4 py-2 text-gray-500">{importacion.id}</td>
+                    <td className="px-4 py-2 text-gray-700 whitespace-nowrap">{formatDate(importacion.created_at)}</td>
+                    <td className="px-4 py-2 text-gray-900">
+                      {importacion.archivo_nombre}
+                      <p className="text-xs text-gray-500">
+                        {importacion.total_registros.toLocaleString('es-AR')} registros
+                        {importacion.eliminar_no_incluidos && ' · eliminando no incluidos'}
+                      </p>
+                      {importacion.error && (
+                        <p className="text-xs text-red-600 flex items-center space-x-1">
+                          <XCircle className="w-3 h-3" />
+                          <span>{importacion.error}</span>
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{importacion.created_by_profile?.full_name || '-'}</td>
+                    <td className="px-4 py-2 text-right text-green-700">{importacion.insertados.toLocaleString('es-AR')}</td>
+                    <td className="px-4 py-2 text-right text-orange-700">{importacion.actualizados.toLocaleString('es-AR')}</td>
+                    <td className="px-4 py-2 text-right text-red-700">{importacion.eliminados.toLocaleString('es-AR')}</td>
+                    <td className="px-4 py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${estado.className}`}>
+                        {estado.label}
+                      </span>
+                      {importacion.estado === 'revertida' && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          {formatDate(importacion.revertida_at)}
+                          {importacion.revertida_by_profile?.full_name && ` · ${importacion.revertida_by_profile.full_name}`}
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-right">
+                      {canRevert(importacion) && (
+                        <button
+                          onClick={() => handleRevert(importacion)}
+                          disabled={revertingId !== null}
+                          className="flex items-center space-x-1 px-3 py-1 text-sm bg-red-50 text-red-700 border border-red-200 rounded-lg hover:bg-red-100 disabled:opacity-50"
+                        >
+                          {revertingId === importacion.id
+                            ? <Loader2 className="w-4 h-4 animate-spin" />
+                            : <RotateCcw className="w-4 h-4" />}
+                          <span>Revertir</span>
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
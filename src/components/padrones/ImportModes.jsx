@@ -1,26 +1,33 @@
 import React from 'react';
 import { Upload, Download, CheckCircle, XCircle, Loader2, AlertTriangle } from 'lucide-react';
+import DryRunReport from './DryRunReport';
 
 /**
  * ValidationPanel - Muestra resultados de validación y acciones post-validación
  *
  * Props:
  * - validationResults: { totalRecords, validRecords, errorRecords, errors, isValid }
+ * - importDiff: resultado de la simulación (computeImportDiff) | null mientras se calcula
  * - deleteNonMatching: boolean
  * - toDeleteCount: number — registros que serán eliminados si deleteNonMatching está activo
  * - isProcessing: boolean
  * - onStartImport: inicia la importación real
  * - onReset: vuelve a selección
+ * - onBack: vuelve a la asignación de columnas (opcional)
  * - onDownloadErrors: descarga reporte de errores
+ * - onDownloadDiff: descarga el informe de simulación
  */
 export function ValidationPanel({
   validationResults,
+  importDiff,
   deleteNonMatching,
   toDeleteCount,
   isProcessing,
   onStartImport,
   onReset,
-  onDownloadErrors
+  onBack,
+  onDownloadErrors,
+  onDownloadDiff
 }) {
   if (!validationResults) return null;
 
@@ -70,16 +77,27 @@ export function ValidationPanel({
               <div>
                 <p className="font-semibold text-red-800">Se eliminarán registros de la base de datos</p>
                 <p className="text-sm text-red-700 mt-1">
-                  {toDeleteCount > 0
-                    ? `${toDeleteCount.toLocaleString('es-AR')} registros existentes NO están en el archivo y serán eliminados permanentemente.`
-                    : 'Calculando registros a eliminar...'}
+                  {!importDiff
+                    ? 'Calculando registros a eliminar...'
+                    : toDeleteCount > 0
+                      ? `${toDeleteCount.toLocaleString('es-AR')} registros existentes NO están en el archivo y serán eliminados.`
+                      : 'Todos los registros existentes están en el archivo: no se eliminará ninguno.'}
                 </p>
-                <p className="text-xs text-red-600 mt-2 font-medium">⚠️ Esta acción no se puede deshacer.</p>
+                <p className="text-xs text-red-600 mt-2 font-medium">⚠️ Solo se pueden recuperar revirtiendo la importación desde la pestaña Historial.</p>
               </div>
             </div>
           </div>
         )}
 
+        {/* Simulación */}
+        {validationResults.isValid && importDiff && (
+          <DryRunReport
+            diff={importDiff}
+            deleteNonMatching={deleteNonMatching}
+            onDownload={onDownloadDiff}
+          />
+        )}
+
         {/* Tabla de errores */}
         {!validationResults.isValid && validationResults.errors.length > 0 && (
           <div className="space-y-4">
@@ -134,10 +152,19 @@ export function ValidationPanel({
           >
             Cancelar
           </button>
+          {onBack && (
+            <button
+              onClick={onBack}
+              disabled={isProcessing}
+              className="flex-1 bg-blue-100 text-blue-700 py-3 px-4 rounded-lg hover:bg-blue-200 transition-colors border border-blue-300 disabled:opacity-50"
+            >
+              Revisar Columnas
+            </button>
+          )}
           {validationResults.isValid && (
             <button
               onClick={onStartImport}
-              disabled={isProcessing}
+              disabled={isProcessing || !importDiff}
               className="flex-1 bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
             >
               <Upload className="w-5 h-5" />
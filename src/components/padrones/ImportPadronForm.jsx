@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Upload, AlertCircle, CheckCircle, XCircle, Loader2, Info } from 'lucide-react';
 import { supabase } from '../../lib/supabase';
 import {
@@ -9,10 +9,17 @@ import {
   checkDuplicateDocuments,
   normalizeRecord,
   downloadErrorReport,
-  REQUIRED_COLUMNS
+  computeImportDiff,
+  downloadDiffReport,
+  ALL_COLUMNS
 } from '../../utils/importUtils';
+import { suggestMapping, applyPreset, findPresetForHeaders, applyMapping } from '../../utils/columnMapping';
+import { loadMapeos, saveMapeo, deleteMapeo } from '../../services/mapeosImportacionService';
+import { createImportacion, saveSnapshot, finishImportacion } from '../../services/importacionesPadronService';
 
+import { useCan } from '../../hooks/useCan';
 import FileSelector from './FileSelector';
+import ColumnMapper from './ColumnMapper';
 import { ValidationPanel, ImportProgressPanel } from './ImportModes';
 import { CompletionScreen, ConfirmationModal } from './ImportRenders';
 
@@ -21,6 +28,7 @@ import { CompletionScreen, ConfirmationModal } from './ImportRenders';
  */
 const MODES = {
   SELECTION: 'selection',    // Selección de archivo
+  MAPPING: 'mapping',        // Asignación de columnas
   VALIDATION: 'validation',  // Validación de datos
   IMPORTING: 'importing',    // Importación en progreso
   COMPLETED: 'completed'     // Importación completada
@@ -32,12 +40,13 @@ const MODES = {
  * Responsabilidad: solo estado, lógica y coordinación.
  * El render está delegado a:
  *   - FileSelector      → selección y preview del archivo
+ *   - ColumnMapper      → asignación de columnas del archivo a columnas del padrón
  *   - ValidationPanel   → resultados de validación
  *   - ImportProgressPanel → barra de progreso durante importación
  *   - CompletionScreen  → pantalla de éxito
  *   - ConfirmationModal → modal de confirmación por email
  *
- * Flujo: SELECTION → VALIDATION → (modal) → IMPORTING → COMPLETED
+ * Flujo: SELECTION → MAPPING → VALIDATION → (modal) → IMPORTING → COMPLETED
  */
 export default function ImportPadronForm() {
   // ====== ESTADO PRINCIPAL ======
@@ -53,6 +62,20 @@ export default function ImportPadronForm() {
    */
   const [selectedFile, setSelectedFile] = useState(null);
   const [parsedData, setParsedData] = useState(null);
+
+  /**
+   * Asignación de columnas del archivo a columnas del padrón
+   * (formato en utils/columnMapping) y registros ya convertidos con ella
+   */
+  const [columnMapping, setColumnMapping] = useState(null);
+  const [mappedData, setMappedData] = useState(null);
+
+  /**
+   * Mapeos de columnas guardados y el aplicado actualmente (null: sugerencia automática)
+   */
+  const [mappingPresets, setMappingPresets] = useState([]);
+  const [presetId, setPresetId] = useState(null);
+  const [isSavingPreset, setIsSavingPreset] = useState(false);
   
   /**
    * Resultados de la validación
@@ -65,6 +88,13 @@ export default function ImportPadronForm() {
    * } | null}
    */
   const [validationResults, setValidationResults] = useState(null);
+
+  /**
+   * Simulación: comparación de los registros válidos con el padrón actual
+   * (ver computeImportDiff en importUtils)
+   * @type {Object | null}
+   */
+  const [importDiff, setImportDiff] = useState(null);
   
   /**
    * Progreso de la importación
@@ -94,12 +124,21 @@ export default function ImportPadronForm() {
    */
   const [isDragging, setIsDragging] = useState(false);
   
+  /**
+   * Usuario autenticado (null: cargando, false: sin sesión)
+   * @type {Object | false | null}
+   */
+  const [authUser, setAuthUser] = useState(null);
+  const can = useCan();
+  const canImport = can('padron.import');
+
   /**
    * Permisos del usuario actual (null: cargando, true: tiene permisos, false: sin permisos)
    * @type {boolean | null}
    */
-  const [userPermissions, setUserPermissions] = useState(null);
-  const [userEmail, setUserEmail] = useState('');
+  const userPermissions = authUser === null ? null : authUser !== false && canImport;
+  const userEmail = authUser ? authUser.email || '' : '';
+  const userId = authUser ? authUser.id : null;
 
   // Modal de confirmación
   const [showConfirmModal, setShowConfirmModal] = useState(false);
@@ -114,33 +153,35 @@ export default function ImportPadronForm() {
   // ── Efectos ─────────────────────────────────────────────────────────────────
 
   useEffect(() => {
-    checkUserPermissions();
+    const loadAuthUser = async () => {
+      try {
+        const { data: { user } } = await supabase.auth.getUser();
+        setAuthUser(user || false);
+      } catch (error) {
+        console.error('Error checking permissions:', error);
+        setAuthUser(false);
+      }
+    };
+
+    loadAuthUser();
   }, []);
 
-  // ── Permisos ─────────────────────────────────────────────────────────────────
+  // ── Mapeos guardados ─────────────────────────────────────────────────────────
 
-  const checkUserPermissions = async () => {
+  const fetchMappingPresets = useCallback(async () => {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) { setUserPermissions(false); return; }
-
-      setUserEmail(user.email || '');
-
-      const { data: profile, error } = await supabase
-        .from('profiles')
-        .select('usuario_tipo')
-        .eq('id', user.id)
-        .single();
-
-      if (error) throw error;
-
-      // Solo Superusuario (1) o Administrador (2)) tienen permisos
-      setUserPermissions(profile.usuario_tipo <= 2);
+      setMappingPresets(await loadMapeos());
     } catch (error) {
-      console.error('Error checking permissions:', error);
-      setUserPermissions(false);
+      // Sin mapeos guardados se sigue con la sugerencia automática
+      console.error('Error loading column mappings:', error);
     }
-  };
+  }, []);
+
+  // Los mapeos se cargan cuando se confirma el permiso de importar, aunque
+  // las capacidades lleguen después de montar el formulario
+  useEffect(() => {
+    if (canImport) fetchMappingPresets();
+  }, [canImport, fetchMappingPresets]);
 
   // ── Drag & drop ──────────────────────────────────────────────────────────────
 
@@ -195,8 +236,9 @@ export default function ImportPadronForm() {
     parseFile(file);
   };
   /**
-   * Parsea el archivo seleccionado según su tipo
-   * Valida que contenga todas las columnas requeridas
+   * Parsea el archivo seleccionado según su tipo y prepara la asignación de
+   * columnas: usa el mapeo guardado que corresponda a los encabezados o, si
+   * no hay ninguno, la sugerencia automática
    * 
    * @param {File} file - Archivo a parsear
    */
@@ -206,21 +248,31 @@ export default function ImportPadronForm() {
 
     try {
       const result = file.name.endsWith('.csv')
-        ? await parseCSVFile(file)
+        ? await parseCSVFile(file, (loaded, total) => {
+          const percentage = total > 0 ? Math.round((loaded / total) * 100) : 100;
+          setMessage({ type: 'info', text: `Leyendo archivo... ${percentage}%` });
+        })
         : await parseXLSXFile(file);
 
-      const missingColumns = REQUIRED_COLUMNS.filter(col => !result.headers.includes(col));
-      if (missingColumns.length > 0) {
-        setMessage({ type: 'error', text: `Columnas faltantes: ${missingColumns.join(', ')}` });
-        return;
-      }
+      const sampleRecords = result.records.slice(0, 20);
+      const preset = findPresetForHeaders(mappingPresets, result.headers);
+      setColumnMapping(preset
+        ? applyPreset(result.headers, preset.mapeo, sampleRecords)
+        : suggestMapping(result.headers, sampleRecords));
+      setPresetId(preset ? preset.id : null);
 
-      // Archivo parseado exitosamente
+      // Archivo parseado exitosamente. Los errores de formato (filas con más o
+      // menos columnas) se muestran junto con los de validación.
       setParsedData(result);
-      setMessage({
-        type: 'success',
-        text: `Archivo leído correctamente. ${result.records.length} registros encontrados.`
-      });
+      setMessage(result.errors.length > 0
+        ? {
+          type: 'warning',
+          text: `Archivo leído con ${result.errors.length} filas mal formadas. ${result.records.length} registros encontrados; revise los errores al validar.`
+        }
+        : {
+          type: 'success',
+          text: `Archivo leído correctamente. ${result.records.length} registros encontrados.`
+        });
     } catch (error) {
       setMessage({ type: 'error', text: error.message });
     } finally {
@@ -228,6 +280,51 @@ export default function ImportPadronForm() {
     }
   };
 
+  // ── Asignación de columnas ───────────────────────────────────────────────────
+
+  const handleContinueToMapping = () => {
+    setMode(MODES.MAPPING);
+    setMessage({ type: '', text: '' });
+  };
+
+  const handleApplyPreset = (id) => {
+    const preset = mappingPresets.find(p => p.id === id);
+    if (!preset) return;
+    setColumnMapping(applyPreset(parsedData.headers, preset.mapeo, parsedData.records.slice(0, 20)));
+    setPresetId(id);
+  };
+
+  const handleSavePreset = async (nombre) => {
+    setIsSavingPreset(true);
+    try {
+      const saved = await saveMapeo(nombre, columnMapping, mappingPresets, userId);
+      await fetchMappingPresets();
+      setPresetId(saved.id);
+      setMessage({ type: 'success', text: `Mapeo "${saved.nombre}" guardado` });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setIsSavingPreset(false);
+    }
+  };
+
+  const handleDeletePreset = async (id) => {
+    const preset = mappingPresets.find(p => p.id === id);
+    if (!preset || !window.confirm(`¿Eliminar el mapeo guardado "${preset.nombre}"?`)) return;
+
+    setIsSavingPreset(true);
+    try {
+      await deleteMapeo(id);
+      await fetchMappingPresets();
+      setPresetId(null);
+      setMessage({ type: 'success', text: `Mapeo "${preset.nombre}" eliminado` });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setIsSavingPreset(false);
+    }
+  };
+
   // ── Validación ───────────────────────────────────────────────────────────────
 
   const startValidation = async () => {
@@ -236,6 +333,11 @@ export default function ImportPadronForm() {
       return;
     }
 
+    // Los registros pasan a tener las columnas del padrón
+    const mapped = applyMapping(parsedData, columnMapping);
+    setMappedData(mapped);
+    setImportDiff(null);
+
     setMode(MODES.VALIDATION);
     setIsProcessing(true);
     setMessage({ type: 'info', text: 'Validando archivo...' });
@@ -253,8 +355,8 @@ export default function ImportPadronForm() {
         profiles: profilesData?.map(p => p.id) || []
       };
 
-      const allErrors = [];
-      const records = parsedData.records;
+      const allErrors = [...mapped.errors];
+      const records = mapped.records;
 
       // Validar cada registro
       for (let i = 0; i < records.length; i++) {
@@ -292,27 +394,34 @@ export default function ImportPadronForm() {
         isValid: allErrors.length === 0
       });
 
-      // Si está activa la opción de eliminar, calcular cuántos se eliminarían
+      // Simulación: comparar contra el padrón actual para mostrar qué cambia
+      // (nuevos, modificados, sin cambios y a eliminar) antes de confirmar
       if (allErrors.length === 0) {
-        const incomingDocs = new Set(records.map(r => Number(r.documento)));
+        setMessage({ type: 'info', text: 'Comparando con el padrón actual...' });
+        const existingByDocumento = new Map();
 
         // Paginar para evitar el límite de 1000 filas de Supabase
-        let allExistingDocs = [];
         let from = 0;
         const PAGE_SIZE = 1000;
         while (true) {
-          const { data: page } = await supabase
+          const { data: page, error: pageError } = await supabase
             .from('padron')
-            .select('documento')
+            .select(ALL_COLUMNS.join(', '))
+            .order('documento')
             .range(from, from + PAGE_SIZE - 1);
+          if (pageError) throw new Error(`Error leyendo padron: ${pageError.message}`);
           if (!page || page.length === 0) break;
-          allExistingDocs = allExistingDocs.concat(page.map(r => Number(r.documento)));
+          page.forEach(row => existingByDocumento.set(Number(row.documento), row));
           if (page.length < PAGE_SIZE) break;
           from += PAGE_SIZE;
+          if (from % 20000 === 0) {
+            setMessage({ type: 'info', text: `Comparando con el padrón actual... ${from.toLocaleString('es-AR')} registros leídos` });
+          }
         }
 
-        const toDelete = allExistingDocs.filter(doc => !incomingDocs.has(doc));
-        setToDeleteCount(toDelete.length);
+        const diff = computeImportDiff(records.map(normalizeRecord), existingByDocumento, deleteNonMatching);
+        setImportDiff(diff);
+        setToDeleteCount(diff.summary.aEliminar);
       }
 
       setMessage(
@@ -356,17 +465,26 @@ export default function ImportPadronForm() {
 
     setMode(MODES.IMPORTING);
     setIsProcessing(true);
-    setImportProgress({ current: 0, total: parsedData.records.length, percentage: 0 });
+    setImportProgress({ current: 0, total: mappedData.records.length, percentage: 0 });
     setImportStats({ inserted: 0, updated: 0, deleted: 0 });
 
+    let importacion = null;
+    let totalInserted = 0;
+    let totalUpdated = 0;
+    let totalDeleted = 0;
+
     try {
       // Normalizar todos los registros (convertir tipos, limpiar datos)
-      const normalizedRecords = parsedData.records.map(normalizeRecord);
+      const normalizedRecords = mappedData.records.map(normalizeRecord);
       const BATCH_SIZE = 500;
       const totalBatches = Math.ceil(normalizedRecords.length / BATCH_SIZE);
 
-      let totalInserted = 0;
-      let totalUpdated = 0;
+      // Registrar la importación en el historial (permite revertirla)
+      importacion = await createImportacion({
+        archivoNombre: selectedFile?.name || 'archivo',
+        totalRegistros: normalizedRecords.length,
+        eliminarNoIncluidos: deleteNonMatching
+      }, userId);
 
       // Procesar por lotes
       for (let batchIndex = 0; batchIndex < totalBatches; batchIndex++) {
@@ -374,13 +492,26 @@ export default function ImportPadronForm() {
         const end = Math.min(start + BATCH_SIZE, normalizedRecords.length);
         const batch = normalizedRecords.slice(start, end);
 
-        // Detectar qué documentos ya existen para contabilizar correctamente
-        const { data: existing } = await supabase
+        // Leer las filas existentes: sirven para contabilizar y para el snapshot
+        const { data: existing, error: existingError } = await supabase
           .from('padron')
-          .select('documento')
+          .select('*')
           .in('documento', batch.map(r => r.documento));
 
-        const existingSet = new Set(existing?.map(e => e.documento) || []);
+        if (existingError) throw new Error(`Error leyendo padron: ${existingError.message}`);
+
+        const existingByDoc = new Map((existing || []).map(e => [Number(e.documento), e]));
+
+        // Snapshot del lote antes de escribirlo
+        await saveSnapshot(importacion.id, batch.map(record => {
+          const anterior = existingByDoc.get(record.documento) || null;
+          return {
+            documento: record.documento,
+            accion: anterior ? 'actualizado' : 'insertado',
+            fila_anterior: anterior,
+            fila_importada: record
+          };
+        }));
 
         // UPSERT: Insert si no existe, Update si existe
         // onConflict: 'documento' define que documento es la clave para el conflicto
@@ -392,7 +523,7 @@ export default function ImportPadronForm() {
 
         // Contabilizar inserts vs updates
         batch.forEach(record => {
-          if (existingSet.has(record.documento)) totalUpdated++;
+          if (existingByDoc.has(record.documento)) totalUpdated++;
           else totalInserted++;
         });
 
@@ -407,7 +538,6 @@ export default function ImportPadronForm() {
       }
 
       // Eliminar registros no incluidos en el archivo si la opción está activa
-      let totalDeleted = 0;
       if (deleteNonMatching) {
         const incomingDocs = new Set(normalizedRecords.map(r => Number(r.documento)));
 
@@ -419,6 +549,7 @@ export default function ImportPadronForm() {
           const { data: page, error: pageError } = await supabase
             .from('padron')
             .select('documento')
+            .order('documento')
             .range(from, from + PAGE_SIZE - 1);
           if (pageError) throw new Error(`Error leyendo padron: ${pageError.message}`);
           if (!page || page.length === 0) break;
@@ -433,6 +564,21 @@ export default function ImportPadronForm() {
           const DELETE_BATCH = 500;
           for (let i = 0; i < docsToDelete.length; i += DELETE_BATCH) {
             const batch = docsToDelete.slice(i, i + DELETE_BATCH);
+
+            // Snapshot de las filas completas antes de borrarlas
+            const { data: rows, error: rowsError } = await supabase
+              .from('padron')
+              .select('*')
+              .in('documento', batch);
+            if (rowsError) throw new Error(`Error leyendo padron: ${rowsError.message}`);
+
+            await saveSnapshot(importacion.id, (rows || []).map(row => ({
+              documento: Number(row.documento),
+              accion: 'eliminado',
+              fila_anterior: row,
+              fila_importada: null
+            })));
+
             const { error: deleteError } = await supabase
               .from('padron')
               .delete()
@@ -444,16 +590,37 @@ export default function ImportPadronForm() {
         }
       }
 
-      // Actualizar estadísticas de mesas después de todos los cambios (upsert + delete)
-      await updateStatistics();
+      // Los totales de mesas los mantienen los triggers de `padron`; el
+      // recuento completo queda como acción de administración (MesasView)
+
+      await finishImportacion(importacion.id, {
+        estado: 'completada',
+        insertados: totalInserted,
+        actualizados: totalUpdated,
+        eliminados: totalDeleted
+      });
 
       // Importación completada
       setMode(MODES.COMPLETED);
       setMessage({
         type: 'success',
-        text: `Importación completada: ${totalInserted} nuevos, ${totalUpdated} actualizados${deleteNonMatching ? `, ${totalDeleted} eliminados` : ''}`
+        text: `Importación completada: ${totalInserted} nuevos, ${totalUpdated} actualizados${deleteNonMatching ? `, ${totalDeleted} eliminados` : ''}. Puede revertirla desde la pestaña Historial.`
       });
     } catch (error) {
+      // Cerrar la importación como fallida: lo ya escrito tiene snapshot y se puede revertir
+      if (importacion) {
+        try {
+          await finishImportacion(importacion.id, {
+            estado: 'fallida',
+            insertados: totalInserted,
+            actualizados: totalUpdated,
+            eliminados: totalDeleted,
+            error: error.message
+          });
+        } catch (finishError) {
+          console.error('Error closing import job:', finishError);
+        }
+      }
       setMessage({ type: 'error', text: `Error durante la importación: ${error.message}` });
       setMode(MODES.VALIDATION); // Volver a validación para reintentar
     } finally {
@@ -463,44 +630,17 @@ export default function ImportPadronForm() {
 
   
   
-  // ── Estadísticas de mesas ─────────────────────────────────────────────────────
-
-  const updateStatistics = async () => {
-    try {
-      // Obtener todas las mesas
-      const { data: mesas } = await supabase.from('mesas').select('numero');
-      if (!mesas?.length) return;
-
-      for (const mesa of mesas) {
-        const { count: totalEmpadronados } = await supabase
-          .from('padron')
-          .select('documento', { count: 'exact', head: true })
-          .eq('mesa_numero', mesa.numero);
-
-        const { count: totalVotaron } = await supabase
-          .from('padron')
-          .select('documento', { count: 'exact', head: true })
-          .eq('mesa_numero', mesa.numero)
-          .eq('voto_emitido', true);
-
-        await supabase
-          .from('mesas')
-          .update({ total_empadronados: totalEmpadronados || 0, total_votaron: totalVotaron || 0 })
-          .eq('numero', mesa.numero);
-      }
-    } catch (error) {
-      console.error('Error updating statistics:', error);
-      // No lanzar error, es un proceso secundario
-    }
-  };
-
   // ── Reset ────────────────────────────────────────────────────────────────────
 
   const resetForm = () => {
     setMode(MODES.SELECTION);
     setSelectedFile(null);
     setParsedData(null);
+    setColumnMapping(null);
+    setMappedData(null);
+    setPresetId(null);
     setValidationResults(null);
+    setImportDiff(null);
     setImportProgress({ current: 0, total: 0, percentage: 0 });
     setImportStats({ inserted: 0, updated: 0, deleted: 0 });
     setMessage({ type: '', text: '' });
@@ -527,7 +667,7 @@ export default function ImportPadronForm() {
           <div>
             <h3 className="font-semibold text-red-800">Acceso Denegado</h3>
             <p className="text-sm text-red-700">
-              Solo superusuarios y administradores pueden importar datos al padrón.
+              Su tipo de usuario no tiene permiso para importar datos al padrón.
             </p>
           </div>
         </div>
@@ -566,22 +706,43 @@ export default function ImportPadronForm() {
           onDragLeave={handleDragLeave}
           onDrop={handleDrop}
           onFileSelect={handleFileInputChange}
-          onValidate={startValidation}
+          onContinue={handleContinueToMapping}
           onReset={resetForm}
           fileInputRef={fileInputRef}
         />
       )}
 
+      {/* MAPPING */}
+      {mode === MODES.MAPPING && parsedData && columnMapping && (
+        <ColumnMapper
+          parsedData={parsedData}
+          mapping={columnMapping}
+          onMappingChange={setColumnMapping}
+          presets={mappingPresets}
+          presetId={presetId}
+          onApplyPreset={handleApplyPreset}
+          onSavePreset={handleSavePreset}
+          onDeletePreset={handleDeletePreset}
+          isSavingPreset={isSavingPreset}
+          isProcessing={isProcessing}
+          onBack={() => setMode(MODES.SELECTION)}
+          onValidate={startValidation}
+        />
+      )}
+
       {/* VALIDATION */}
       {mode === MODES.VALIDATION && validationResults && (
         <ValidationPanel
           validationResults={validationResults}
+          importDiff={importDiff}
           deleteNonMatching={deleteNonMatching}
           toDeleteCount={toDeleteCount}
           isProcessing={isProcessing}
           onStartImport={handleStartImportRequest}
           onReset={resetForm}
+          onBack={() => { setMode(MODES.MAPPING); setMessage({ type: '', text: '' }); }}
           onDownloadErrors={() => downloadErrorReport(validationResults.errors)}
+          onDownloadDiff={() => downloadDiffReport(importDiff)}
         />
       )}
 
@@ -606,7 +767,8 @@ export default function ImportPadronForm() {
       {/* Modal de confirmación */}
       <ConfirmationModal
         isOpen={showConfirmModal}
-        recordCount={parsedData?.records?.length}
+        recordCount={mappedData?.records?.length}
+        diffSummary={importDiff?.summary}
         deleteNonMatching={deleteNonMatching}
         toDeleteCount={toDeleteCount}
         userEmail={userEmail}
@@ -621,18 +783,22 @@ export default function ImportPadronForm() {
         <div className={`flex items-center space-x-2 p-4 rounded-lg ${
           message.type === 'success' ? 'bg-green-50 border border-green-200' :
           message.type === 'error'   ? 'bg-red-50 border border-red-200' :
+          message.type === 'warning' ? 'bg-yellow-50 border border-yellow-200' :
                                        'bg-blue-50 border border-blue-200'
         }`}>
           {message.type === 'success' ? (
             <CheckCircle className="w-5 h-5 text-green-600 flex-shrink-0" />
           ) : message.type === 'error' ? (
             <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+          ) : message.type === 'warning' ? (
+            <AlertCircle className="w-5 h-5 text-yellow-600 flex-shrink-0" />
           ) : (
             <Info className="w-5 h-5 text-blue-600 flex-shrink-0" />
           )}
           <p className={
             message.type === 'success' ? 'text-green-700' :
             message.type === 'error'   ? 'text-red-700' :
+            message.type === 'warning' ? 'text-yellow-700' :
                                          'text-blue-700'
           }>
             {message.text}
@@ -53,6 +53,7 @@ export function CompletionScreen({ importStats, deleteNonMatching, onReset }) {
  * Props:
  * - isOpen: boolean
  * - recordCount: number — total de registros a importar
+ * - diffSummary: resumen de la simulación (computeImportDiff().summary) | undefined
  * - deleteNonMatching: boolean
  * - toDeleteCount: number — registros que serán eliminados
  * - userEmail: string — email del usuario autenticado
@@ -64,6 +65,7 @@ export function CompletionScreen({ importStats, deleteNonMatching, onReset }) {
 export function ConfirmationModal({
   isOpen,
   recordCount,
+  diffSummary,
   deleteNonMatching,
   toDeleteCount,
   userEmail,
@@ -100,11 +102,42 @@ export function ConfirmationModal({
             <h4 className="font-semibold text-blue-900 mb-2">Esta acción importará:</h4>
             <ul className="text-sm text-blue-800 space-y-1">
               <li>• {recordCount?.toLocaleString('es-AR')} registros en total</li>
-              <li>• Los existentes serán actualizados completamente</li>
-              <li>• Los nuevos serán insertados</li>
+              {diffSummary ? (
+                <>
+                  <li>• {diffSummary.nuevos.toLocaleString('es-AR')} nuevos serán insertados</li>
+                  <li>• {diffSummary.modificados.toLocaleString('es-AR')} existentes serán modificados</li>
+                  <li>• {diffSummary.sinCambios.toLocaleString('es-AR')} quedarán sin cambios</li>
+                </>
+              ) : (
+                <>
+                  <li>• Los existentes serán actualizados completamente</li>
+                  <li>• Los nuevos serán insertados</li>
+                </>
+              )}
             </ul>
           </div>
 
+          {/* Advertencia de pérdida de picks y votos */}
+          {diffSummary && (diffSummary.picksPerdidos > 0 || diffSummary.votosPerdidos > 0 || diffSummary.eliminadosConPickOVoto > 0) && (
+            <div className="bg-red-100 border-2 border-red-400 rounded-lg p-4 mb-3">
+              <h4 className="font-bold text-red-800 mb-1 flex items-center space-x-2">
+                <AlertTriangle className="w-4 h-4" />
+                <span>Se borrarán datos cargados</span>
+              </h4>
+              <ul className="text-sm text-red-800 space-y-1">
+                {diffSummary.picksPerdidos > 0 && (
+                  <li>• {diffSummary.picksPerdidos.toLocaleString('es-AR')} votantes pierden su pick</li>
+                )}
+                {diffSummary.votosPerdidos > 0 && (
+                  <li>• {diffSummary.votosPerdidos.toLocaleString('es-AR')} votantes pierden el voto registrado</li>
+                )}
+                {diffSummary.eliminadosConPickOVoto > 0 && (
+                  <li>• {diffSummary.eliminadosConPickOVoto.toLocaleString('es-AR')} votantes eliminados tienen pick o voto</li>
+                )}
+              </ul>
+            </div>
+          )}
+
           {/* Advertencia de eliminación */}
           {deleteNonMatching && (
             <div className="bg-red-50 border border-red-300 rounded-lg p-4 mb-3">
@@ -114,17 +147,17 @@ export function ConfirmationModal({
               </h4>
               <p className="text-sm text-red-700">
                 {toDeleteCount > 0
-                  ? `Se eliminarán permanentemente ${toDeleteCount.toLocaleString('es-AR')} registros que no están en el archivo.`
+                  ? `Se eliminarán ${toDeleteCount.toLocaleString('es-AR')} registros que no están en el archivo.`
                   : 'Se eliminarán los registros que no estén en el archivo.'}
               </p>
-              <p className="text-xs text-red-600 mt-2 font-medium">⚠️ Esta acción NO SE PUEDE DESHACER</p>
+              <p className="text-xs text-red-600 mt-2 font-medium">⚠️ Solo se pueden recuperar revirtiendo la importación desde Historial</p>
             </div>
           )}
 
           {!deleteNonMatching && (
             <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-3">
               <p className="text-sm text-yellow-800 font-medium">
-                ⚠️ Esta acción NO SE PUEDE DESHACER
+                ⚠️ Para deshacerla, revierta la importación desde la pestaña Historial
               </p>
             </div>
           )}
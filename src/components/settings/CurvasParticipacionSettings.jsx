@@ -0,0 +1,404 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { TrendingUp, Plus, Trash2, Save, Upload, RotateCcw, AlertCircle } from 'lucide-react';
+import { supabase } from '../../lib/supabase';
+import { useAuth } from '../../context/AuthContext';
+import { useComicio } from '../../context/ComicioContext';
+import { saveCurva, deleteCurva } from '../../services/curvasParticipacionService';
+import { fetchAllRows } from '../../services/paginacion';
+import { obtenerHorario, minutosAHora, horaAMinutos } from '../../utils/comicioUtils';
+import { obtenerCurvaReferencia, construirCurvaDesdeVotos } from '../../utils/tendenciaParticipacion';
+import { parseCSVFile, parseXLSXFile, extractVoteTimes } from '../../utils/importUtils';
+
+/**
+ * Convierte los puntos de una curva ({ hora, minutos, porcentaje } con porcentaje
+ * 0-1) en filas editables ({ hora: "HH:MM", porcentaje: "0-100" })
+ */
+const toRows = (puntos) => puntos.map(p => ({
+  hora: minutosAHora(p.hora * 60 + p.minutos),
+  porcentaje: String(Number((p.porcentaje * 100).toFixed(1)))
+}));
+
+/**
+ * Valida las filas del editor y las convierte en puntos de curva
+ *
+ * @returns {{puntos: Array<Object>|null, error: string}}
+ */
+const toPuntos = (rows) => {
+  if (rows.length < 2) {
+    return { puntos: null, error: 'La curva necesita al menos dos puntos' };
+  }
+
+  const puntos = rows
+    .map(row => ({ minutos: horaAMinutos(row.hora), porcentaje: parseFloat(row.porcentaje) }))
+    .sort((a, b) => a.minutos - b.minutos);
+
+  for (let i = 0; i < puntos.length; i++) {
+    const punto = puntos[i];
+    if (punto.minutos === null || isNaN(punto.porcentaje)) {
+      return { puntos: null, error: 'Todos los puntos deben tener hora y porcentaje' };
+    }
+    if (punto.porcentaje < 0 || punto.porcentaje > 100) {
+      return { puntos: null, error: 'Los porcentajes deben estar entre 0 y 100' };
+    }
+    if (i > 0 && punto.minutos === puntos[i - 1].minutos) {
+      return { puntos: null, error: `Hay dos puntos a las ${minutosAHora(punto.minutos)}` };
+    }
+    if (i > 0 && punto.porcentaje < puntos[i - 1].porcentaje) {
+      return { puntos: null, error: 'El porcentaje acumulado no puede disminuir con la hora' };
+    }
+  }
+
+  return {
+    puntos: puntos.map(p => ({
+      hora: Math.floor(p.minutos / 60),
+      minutos: p.minutos % 60,
+      porcentaje: Number((p.porcentaje / 100).toFixed(4))
+    })),
+    error: ''
+  };
+};
+
+/**
+ * Componente CurvasParticipacionSettings - Curvas históricas de participación
+ *
+ * Propósito: Permite definir, para el comicio vigente, la curva de porcentaje
+ * acumulado de votos por hora que usa la proyección de tendencia
+ * (FiscalizarView, GeneralStats). Hay una curva general y, opcionalmente,
+ * una por localidad; sin curva propia se usa la de referencia.
+ *
+ * Funcionalidades:
+ * - Edición de puntos (hora y % acumulado del total de votos)
+ * - Importación desde el padrón exportado de un comicio anterior (voto_pick_at)
+ * - Restablecer a la curva de referencia ajustada al horario del comicio
+ * - Eliminación de la curva (se vuelve a la general o a la de referencia)
+ */
+export default function CurvasParticipacionSettings() {
+  const { user } = useAuth();
+  const { comicio, curvas, refreshComicio } = useComicio();
+  const horario = useMemo(() => obtenerHorario(comicio), [comicio]);
+
+  const [localidades, setLocalidades] = useState([]);
+  const [mesasPorLocalidad, setMesasPorLocalidad] = useState(new Map());
+  const [localidad, setLocalidad] = useState('');
+  const [rows, setRows] = useState([]);
+  const [origen, setOrigen] = useState('manual');
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const fileInputRef = useRef(null);
+
+  const curvaActual = useMemo(
+    () => curvas.find(c => (c.localidad || '') === localidad) || null,
+    [curvas, localidad]
+  );
+
+  // Localidades de las mesas, para las curvas por localidad y el filtro de importación
+  useEffect(() => {
+    const fetchLocalidades = async () => {
+      let mesas;
+      try {
+        mesas = await fetchAllRows(
+          () => supabase.from('mesas').select('numero, mesa_localidad').order('numero'),
+          'Error al cargar las mesas'
+        );
+      } catch (error) {
+        console.error('Error loading localidades:', error);
+        return;
+      }
+
+      const mapa = new Map();
+      mesas.forEach(mesa => {
+        if (!mesa.mesa_localidad) return;
+        if (!mapa.has(mesa.mesa_localidad)) mapa.set(mesa.mesa_localidad, new Set());
+        mapa.get(mesa.mesa_localidad).add(mesa.numero);
+      });
+
+      setMesasPorLocalidad(mapa);
+      setLocalidades(Array.from(mapa.keys()).sort((a, b) => a.localeCompare(b)));
+    };
+
+    fetchLocalidades();
+  }, []);
+
+  // Carga en el editor la curva guardada o, si no hay, la de referencia
+  useEffect(() => {
+    setRows(toRows(curvaActual ? curvaActual.puntos : obtenerCurvaReferencia(horario)));
+    setOrigen(curvaActual?.origen || 'manual');
+    setMessage({ type: '', text: '' });
+  }, [curvaActual, horario]);
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text });
+    if (type === 'success') setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+  };
+
+  const handleRowChange = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+    setOrigen('manual');
+  };
+
+  const handleAddRow = () => {
+    const last = rows[rows.length - 1];
+    const minutos = last ? Math.min(horaAMinutos(last.hora) + 30, 23 * 60 + 59) : horario.apertura + 60;
+    setRows(prev => [...prev, { hora: minutosAHora(minutos), porcentaje: last?.porcentaje || '0' }]);
+    setOrigen('manual');
+  };
+
+  const handleRemoveRow = (index) => {
+    setRows(prev => prev.filter((_, i) => i !== index));
+    setOrigen('manual');
+  };
+
+  const handleResetReferencia = () => {
+    setRows(toRows(obtenerCurvaReferencia(horario)));
+    setOrigen('manual');
+  };
+
+  /**
+   * Construye la curva a partir del padrón exportado de un comicio anterior.
+   * Para curvas por localidad se toman solo los votos de esa localidad
+   * (columna de localidad o, si no está, las mesas actuales de la localidad).
+   */
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { records } = file.name.endsWith('.csv')
+        ? await parseCSVFile(file)
+        : await parseXLSXFile(file);
+
+      let votos = extractVoteTimes(records);
+      if (localidad) {
+        const mesasLocalidad = mesasPorLocalidad.get(localidad) || new Set();
+        votos = votos.filter(v => v.localidad
+          ? v.localidad === localidad
+          : mesasLocalidad.has(v.mesa));
+      }
+
+      const puntos = construirCurvaDesdeVotos(votos.map(v => v.fecha));
+      if (puntos.length < 2) {
+        showMessage('error', 'El archivo no tiene suficientes votos con hora para construir la curva');
+        return;
+      }
+
+      setRows(toRows(puntos));
+      setOrigen('importada');
+      showMessage('success', `Curva calculada con ${votos.length.toLocaleString('es-AR')} votos. Revise y guarde los cambios.`);
+    } catch (error) {
+      console.error('Error importing curve:', error);
+      showMessage('error', `Error al importar: ${error.message}`);
+    }
+  };
+
+  const handleSave = async () => {
+    const { puntos, error } = toPuntos(rows);
+    if (error) {
+      showMessage('error', error);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await saveCurva({
+        id: curvaActual?.id,
+        comicio_id: comicio.id,
+        localidad: localidad || null,
+        puntos,
+        origen
+      }, user.id);
+      await refreshComicio();
+      showMessage('success', 'Curva guardada correctamente');
+    } catch (error) {
+      console.error('Error saving curve:', error);
+      showMessage('error', `Error al guardar: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!curvaActual) return;
+    if (!window.confirm('¿Eliminar esta curva? Se usará la curva general o la de referencia.')) return;
+
+    setIsSaving(true);
+    try {
+      await deleteCurva(curvaActual.id);
+      await refreshComicio();
+      showMessage('success', 'Curva eliminada');
+    } catch (error) {
+      console.error('Error deleting curve:', error);
+      showMessage('error', `Error al eliminar: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!comicio) {
+    return (
+      <div className="bg-white border border-gray-200 rounded-lg p-6 text-center">
+        <AlertCircle className="w-10 h-10 text-yellow-500 mx-auto mb-3" />
+        <p className="text-gray-700">Guarde primero la configuración del comicio para definir sus curvas.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-purple-50 border border-purple-200 rounded-lg p-4">
+        <div className="flex items-center space-x-3">
+          <TrendingUp className="w-6 h-6 text-purple-600" />
+          <div>
+            <h3 className="font-semibold text-purple-800">Curvas de Participación</h3>
+            <p className="text-sm text-purple-700">
+              Porcentaje acumulado del total de votos a cada hora, usado para proyectar la participación final
+            </p>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg p-6">
+        <div className="max-w-2xl mx-auto space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Curva
+            </label>
+            <select
+              value={localidad}
+              onChange={(e) => setLocalidad(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">General ({comicio.nombre})</option>
+              {localidades.map(loc => (
+                <option key={loc} value={loc}>
+                  {loc}{curvas.some(c => c.localidad === loc) ? ' • propia' : ''}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              {curvaActual
+                ? `Curva ${curvaActual.origen === 'importada' ? 'importada' : 'cargada manualmente'}, actualizada el ${new Date(curvaActual.updated_at).toLocaleString('es-AR')}`
+                : localidad
+                  ? 'Sin curva propia: usa la curva general del comicio'
+                  : 'Sin curva propia: usa la curva de referencia ajustada al horario del comicio'}
+            </p>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Hora</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">% acumulado</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rows.map((row, index) => (
+                  <tr key={index}>
+                    <td className="px-3 py-1">
+                      <input
+                        type="time"
+                        value={row.hora}
+                        onChange={(e) => handleRowChange(index, 'hora', e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                      />
+                    </td>
+                    <td className="px-3 py-1">
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.1"
+                        value={row.porcentaje}
+                        onChange={(e) => handleRowChange(index, 'porcentaje', e.target.value)}
+                        className="w-24 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                      />
+                    </td>
+                    <td className="px-3 py-1 text-right">
+                      <button
+                        onClick={() => handleRemoveRow(index)}
+                        className="p-1 text-red-500 hover:text-red-700"
+                        title="Quitar punto"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={handleAddRow}
+              className="flex items-center space-x-1 px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Agregar punto</span>
+            </button>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="flex items-center space-x-1 px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+            >
+              <Upload className="w-4 h-4" />
+              <span>Importar de comicio anterior</span>
+            </button>
+            <button
+              onClick={handleResetReferencia}
+              className="flex items-center space-x-1 px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+            >
+              <RotateCcw className="w-4 h-4" />
+              <span>Curva de referencia</span>
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.xls,.xlsx"
+              onChange={handleImport}
+              className="hidden"
+            />
+          </div>
+          <p className="text-xs text-gray-500">
+            La importación acepta el padrón exportado (CSV o Excel) con la columna voto_pick_at o "Fecha/Hora Voto".
+            Entre puntos la proyección interpola linealmente.
+          </p>
+
+          {message.text && (
+            <div
+              className={`p-3 rounded-lg text-sm ${
+                message.type === 'error'
+                  ? 'bg-red-50 text-red-700 border border-red-200'
+                  : 'bg-green-50 text-green-700 border border-green-200'
+              }`}
+            >
+              {message.text}
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+            >
+              <Save className="w-4 h-4" />
+              <span>{isSaving ? 'Guardando...' : 'Guardar Curva'}</span>
+            </button>
+            {curvaActual && (
+              <button
+                onClick={handleDelete}
+                disabled={isSaving}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center space-x-2"
+              >
+                <Trash2 className="w-4 h-4" />
+                <span>Eliminar</span>
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
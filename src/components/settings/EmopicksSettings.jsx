@@ -0,0 +1,420 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Sparkles, Plus, Save, Pencil, Archive, ArchiveRestore, ArrowUp, ArrowDown, GitMerge, X } from 'lucide-react';
+import {
+  loadEmopicksCatalog,
+  saveEmopick,
+  saveEmopicksOrder,
+  mergeEmopicks
+} from '../../services/emopicksService';
+
+const EMPTY_FORM = { id: null, display: '', descripcion: '', color: '', archivado: false };
+
+/**
+ * Componente EmopicksSettings - Catálogo de emopicks
+ *
+ * Propósito: Administra las categorías de pick que se asignan a los votantes
+ * (GpicksView, búsqueda), reemplazando la edición manual de la tabla `emopicks`.
+ *
+ * Funcionalidades:
+ * - Alta y edición de display (emoji/texto), descripción y color
+ * - Reordenamiento (el orden se usa en todos los selectores de pick)
+ * - Archivar / restaurar: los archivados no se ofrecen al asignar, pero
+ *   se conservan en los votantes que ya los tienen
+ * - Fusión: reasigna todos los votantes de un emopick a otro, recalcula los
+ *   contadores y archiva el de origen (RPC `fusionar_emopicks`)
+ */
+export default function EmopicksSettings() {
+  const [emopicks, setEmopicks] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [mergeOrigen, setMergeOrigen] = useState('');
+  const [mergeDestino, setMergeDestino] = useState('');
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const showMessage = useCallback((type, text) => {
+    setMessage({ type, text });
+    if (type === 'success') setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+  }, []);
+
+  const fetchCatalog = useCallback(async () => {
+    try {
+      setEmopicks(await loadEmopicksCatalog());
+    } catch (error) {
+      console.error('Error loading emopicks catalog:', error);
+      showMessage('error', error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [showMessage]);
+
+  useEffect(() => {
+    fetchCatalog();
+  }, [fetchCatalog]);
+
+  const handleNew = () => {
+    setForm(EMPTY_FORM);
+    setIsFormOpen(true);
+  };
+
+  const handleEdit = (emopick) => {
+    setForm({
+      id: emopick.id,
+      display: emopick.display || '',
+      descripcion: emopick.descripcion || '',
+      color: emopick.color || '',
+      archivado: emopick.archivado
+    });
+    setIsFormOpen(true);
+  };
+
+  const handleFormChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    if (!form.display.trim()) {
+      showMessage('error', 'El display del emopick es obligatorio');
+      return;
+    }
+
+    const current = emopicks.find(e => e.id === form.id);
+    const orden = current
+      ? current.orden
+      : emopicks.reduce((max, e) => Math.max(max, e.orden), 0) + 1;
+
+    setIsSaving(true);
+    try {
+      await saveEmopick({ ...form, orden });
+      await fetchCatalog();
+      setIsFormOpen(false);
+      showMessage('success', 'Emopick guardado correctamente');
+    } catch (error) {
+      console.error('Error saving emopick:', error);
+      showMessage('error', `Error al guardar: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleArchived = async (emopick) => {
+    setIsSaving(true);
+    try {
+      await saveEmopick({ ...emopick, archivado: !emopick.archivado });
+      await fetchCatalog();
+    } catch (error) {
+      console.error('Error archiving emopick:', error);
+      showMessage('error', `Error al guardar: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleMove = async (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= emopicks.length) return;
+
+    const ordered = [...emopicks];
+    [ordered[index], ordered[target]] = [ordered[target], ordered[index]];
+
+    setIsSaving(true);
+    try {
+      await saveEmopicksOrder(ordered);
+      await fetchCatalog();
+    } catch (error) {
+      console.error('Error reordering emopicks:', error);
+      showMessage('error', error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleMerge = async () => {
+    const origen = emopicks.find(e => String(e.id) === mergeOrigen);
+    const destino = emopicks.find(e => String(e.id) === mergeDestino);
+    if (!origen || !destino) return;
+
+    if (!window.confirm(
+      `¿Reasignar los votantes de "${origen.display}" a "${destino.display}"? ` +
+      `"${origen.display}" quedará archivado. Esta acción no se puede deshacer.`
+    )) return;
+
+    setIsSaving(true);
+    try {
+      const reasignados = await mergeEmopicks(origen.id, destino.id);
+      await fetchCatalog();
+      setMergeOrigen('');
+      setMergeDestino('');
+      showMessage('success', `${reasignados.toLocaleString('es-AR')} votantes reasignados a "${destino.display}"`);
+    } catch (error) {
+      console.error('Error merging emopicks:', error);
+      showMessage('error', `Error al fusionar: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+        <div className="flex items-center space-x-3">
+          <Sparkles className="w-6 h-6 text-yellow-600" />
+          <div>
+            <h3 className="font-semibold text-yellow-800">Catálogo de Emopicks</h3>
+            <p className="text-sm text-yellow-700">
+              Categorías de pick disponibles para clasificar a los votantes
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {message.text && (
+        <div
+          className={`p-3 rounded-lg text-sm ${
+            message.type === 'error'
+              ? 'bg-red-50 text-red-700 border border-red-200'
+              : 'bg-green-50 text-green-700 border border-green-200'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold text-gray-900">Emopicks</h4>
+          <button
+            onClick={handleNew}
+            disabled={isSaving}
+            className="flex items-center space-x-1 px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Nuevo emopick</span>
+          </button>
+        </div>
+
+        {/* Formulario de alta / edición */}
+        {isFormOpen && (
+          <div className="border border-blue-200 bg-blue-50 rounded-lg p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <p className="text-sm font-semibold text-blue-900">
+                {form.id ? 'Editar emopick' : 'Nuevo emopick'}
+              </p>
+              <button onClick={() => setIsFormOpen(false)} className="text-gray-400 hover:text-gray-600">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Display</label>
+                <input
+                  type="text"
+                  value={form.display}
+                  onChange={(e) => handleFormChange('display', e.target.value)}
+                  maxLength={20}
+                  placeholder="Ej: 👍 Favorable"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Color</label>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="color"
+                    value={form.color || '#9ca3af'}
+                    onChange={(e) => handleFormChange('color', e.target.value)}
+                    className="h-10 w-14 border border-gray-300 rounded-lg cursor-pointer"
+                  />
+                  {form.color ? (
+                    <button
+                      onClick={() => handleFormChange('color', '')}
+                      className="text-sm text-gray-600 underline"
+                    >
+                      Sin color
+                    </button>
+                  ) : (
+                    <span className="text-sm text-gray-500">Sin color</span>
+                  )}
+                </div>
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Descripción</label>
+                <input
+                  type="text"
+                  value={form.descripcion}
+                  onChange={(e) => handleFormChange('descripcion', e.target.value)}
+                  placeholder="Qué significa este pick"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.archivado}
+                  onChange={(e) => handleFormChange('archivado', e.target.checked)}
+                  className="w-4 h-4"
+                />
+                <span>Archivado (no se ofrece al asignar picks)</span>
+              </label>
+            </div>
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+              <Save className="w-4 h-4" />
+              <span>{isSaving ? 'Guardando...' : 'Guardar'}</span>
+            </button>
+          </div>
+        )}
+
+        {/* Listado del catálogo */}
+        <div className="overflow-x-auto">
+          <table className="min-w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Orden</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Emopick</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Descripción</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Votantes</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {emopicks.map((emopick, index) => (
+                <tr key={emopick.id} className={emopick.archivado ? 'bg-gray-50 text-gray-400' : ''}>
+                  <td className="px-3 py-2">
+                    <div className="flex items-center">
+                      <button
+                        onClick={() => handleMove(index, -1)}
+                        disabled={isSaving || index === 0}
+                        className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                        title="Subir"
+                      >
+                        <ArrowUp className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleMove(index, 1)}
+                        disabled={isSaving || index === emopicks.length - 1}
+                        className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                        title="Bajar"
+                      >
+                        <ArrowDown className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                  <td className="px-3 py-2">
+                    <div className="flex items-center space-x-2">
+                      <span
+                        className="w-3 h-3 rounded-full border border-gray-300 flex-shrink-0"
+                        style={{ backgroundColor: emopick.color || 'transparent' }}
+                      />
+                      <span className="text-lg">{emopick.display}</span>
+                      {emopick.archivado && (
+                        <span className="text-xs px-2 py-0.5 rounded-full bg-gray-200 text-gray-600">Archivado</span>
+                      )}
+                    </div>
+                  </td>
+                  <td className="px-3 py-2 text-sm">{emopick.descripcion || '-'}</td>
+                  <td className="px-3 py-2 text-sm text-right">{(emopick.count || 0).toLocaleString('es-AR')}</td>
+                  <td className="px-3 py-2">
+                    <div className="flex justify-end space-x-1">
+                      <button
+                        onClick={() => handleEdit(emopick)}
+                        disabled={isSaving}
+                        className="p-1 text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                        title="Editar"
+                      >
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleToggleArchived(emopick)}
+                        disabled={isSaving}
+                        className="p-1 text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                        title={emopick.archivado ? 'Restaurar' : 'Archivar'}
+                      >
+                        {emopick.archivado
+                          ? <ArchiveRestore className="w-4 h-4" />
+                          : <Archive className="w-4 h-4" />}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+              {emopicks.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-3 py-6 text-center text-sm text-gray-500">
+                    No hay emopicks cargados
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Fusión de emopicks */}
+      <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-3">
+        <div className="flex items-center space-x-2">
+          <GitMerge className="w-5 h-5 text-gray-700" />
+          <h4 className="font-semibold text-gray-900">Fusionar emopicks</h4>
+        </div>
+        <p className="text-sm text-gray-600">
+          Todos los votantes del emopick de origen pasan al de destino y el origen queda archivado.
+          Los cambios quedan en el historial de cada votante.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Origen</label>
+            <select
+              value={mergeOrigen}
+              onChange={(e) => setMergeOrigen(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">Seleccionar...</option>
+              {emopicks.map(emopick => (
+                <option key={emopick.id} value={emopick.id}>
+                  {emopick.display} ({emopick.count || 0}){emopick.archivado ? ' • archivado' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Destino</label>
+            <select
+              value={mergeDestino}
+              onChange={(e) => setMergeDestino(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">Seleccionar...</option>
+              {emopicks
+                .filter(emopick => !emopick.archivado && String(emopick.id) !== mergeOrigen)
+                .map(emopick => (
+                  <option key={emopick.id} value={emopick.id}>
+                    {emopick.display} ({emopick.count || 0})
+                  </option>
+                ))}
+            </select>
+          </div>
+        </div>
+        <button
+          onClick={handleMerge}
+          disabled={isSaving || !mergeOrigen || !mergeDestino || mergeOrigen === mergeDestino}
+          className="flex items-center space-x-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+        >
+          <GitMerge className="w-4 h-4" />
+          <span>{isSaving ? 'Procesando...' : 'Fusionar'}</span>
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import { KeyRound, Save, AlertCircle } from 'lucide-react';
+import { supabase } from '../../lib/supabase';
+import { useAuth } from '../../context/AuthContext';
+import { loadMatrizPermisos, saveCapacidadesTipo } from '../../services/permisosService';
+import { CAPACIDADES, CAPACIDAD_PERMISOS, TIPO_SUPERUSUARIO } from '../../utils/permisosUtils';
+
+/**
+ * Componente PermisosSettings - Matriz de permisos por tipo de usuario
+ *
+ * Propósito: Permite al superusuario definir qué capacidades tiene cada tipo
+ * de usuario (`usuariost`), guardadas en `permisos_rol`. Las vistas consultan
+ * estas capacidades con el hook useCan en lugar de comparar usuario_tipo.
+ *
+ * Los cambios se aplican a cada usuario al iniciar sesión o recargar la app.
+ * El superusuario conserva siempre la capacidad de editar permisos.
+ */
+export default function PermisosSettings() {
+  const { user, refreshUserProfile } = useAuth();
+  const [tipos, setTipos] = useState([]);
+  const [guardada, setGuardada] = useState(new Map());
+  const [matriz, setMatriz] = useState(new Map());
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const fetchData = async () => {
+    try {
+      const [{ data: tiposData, error }, matrizData] = await Promise.all([
+        supabase.from('usuariost').select('tipo, descripcion').order('tipo'),
+        loadMatrizPermisos()
+      ]);
+      if (error) throw error;
+
+      setTipos(tiposData || []);
+      setGuardada(matrizData);
+      setMatriz(new Map(
+        (tiposData || []).map(t => [t.tipo, new Set(matrizData.get(t.tipo) || [])])
+      ));
+    } catch (error) {
+      console.error('Error loading permissions:', error);
+      setMessage({ type: 'error', text: `Error al cargar los permisos: ${error.message}` });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const isLocked = (tipo, clave) => tipo === TIPO_SUPERUSUARIO && clave === CAPACIDAD_PERMISOS;
+
+  const handleToggle = (tipo, clave) => {
+    if (isLocked(tipo, clave)) return;
+    setMatriz(prev => {
+      const next = new Map(prev);
+      const capacidades = new Set(next.get(tipo));
+      if (capacidades.has(clave)) {
+        capacidades.delete(clave);
+      } else {
+        capacidades.add(clave);
+      }
+      next.set(tipo, capacidades);
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setMessage({ type: '', text: '' });
+    try {
+      for (const { tipo } of tipos) {
+        await saveCapacidadesTipo(tipo, guardada.get(tipo) || new Set(), matriz.get(tipo), user.id);
+      }
+      await fetchData();
+      await refreshUserProfile();
+      setMessage({ type: 'success', text: 'Permisos guardados. Cada usuario los verá al volver a iniciar sesión o recargar.' });
+    } catch (error) {
+      console.error('Error saving permissions:', error);
+      setMessage({ type: 'error', text: `Error al guardar: ${error.message}` });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const isDirty = tipos.some(({ tipo }) => {
+    const actuales = guardada.get(tipo) || new Set();
+    const nuevas = matriz.get(tipo) || new Set();
+    return actuales.size !== nuevas.size || [...nuevas].some(c => !actuales.has(c));
+  });
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const grupos = [...new Set(CAPACIDADES.map(c => c.grupo))];
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+        <div className="flex items-center space-x-3">
+          <KeyRound className="w-6 h-6 text-red-600" />
+          <div>
+            <h3 className="font-semibold text-red-800">Permisos por Tipo de Usuario</h3>
+            <p className="text-sm text-red-700">
+              Define qué puede ver y hacer cada tipo de usuario en la aplicación
+            </p>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-4">
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Capacidad</th>
+                {tipos.map(tipo => (
+                  <th key={tipo.tipo} className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">
+                    {tipo.descripcion}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {grupos.map(grupo => (
+                <React.Fragment key={grupo}>
+                  <tr className="bg-gray-100">
+                    <td colSpan={tipos.length + 1} className="px-3 py-1 text-xs font-semibold text-gray-700 uppercase">
+                      {grupo}
+                    </td>
+                  </tr>
+                  {CAPACIDADES.filter(c => c.grupo === grupo).map(capacidad => (
+                    <tr key={capacidad.clave} className="border-b border-gray-100">
+                      <td className="px-3 py-2">
+                        <p className="text-gray-900">{capacidad.descripcion}</p>
+                        <p className="text-xs text-gray-400 font-mono">{capacidad.clave}</p>
+                      </td>
+                      {tipos.map(tipo => (
+                        <td key={tipo.tipo} className="px-3 py-2 text-center">
+                          <input
+                            type="checkbox"
+                            checked={matriz.get(tipo.tipo)?.has(capacidad.clave) || false}
+                            onChange={() => handleToggle(tipo.tipo, capacidad.clave)}
+                            disabled={isSaving || isLocked(tipo.tipo, capacidad.clave)}
+                            className="w-4 h-4 accent-blue-600"
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex items-start space-x-2 text-xs text-gray-500">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          <p>
+            Estos permisos controlan la aplicación. Las reglas de seguridad de la base de datos
+            siguen validando por tipo de usuario.
+          </p>
+        </div>
+
+        {message.text && (
+          <div
+            className={`p-3 rounded-lg text-sm ${
+              message.type === 'error'
+                ? 'bg-red-50 text-red-700 border border-red-200'
+                : 'bg-green-50 text-green-700 border border-green-200'
+            }`}
+          >
+            {message.text}
+          </div>
+        )}
+
+        <button
+          onClick={handleSave}
+          disabled={isSaving || !isDirty}
+          className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+        >
+          <Save className="w-4 h-4" />
+          <span>{isSaving ? 'Guardando...' : 'Guardar Permisos'}</span>
+        </button>
+      </div>
+    </div>
+  );
+}
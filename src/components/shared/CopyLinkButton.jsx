@@ -0,0 +1,47 @@
+/**
+ * CopyLinkButton Component
+ *
+ * Copia al portapapeles el enlace de la vista actual, con sus filtros y
+ * página (ver `utils/urlState.js`). Necesario en la PWA instalada, que no
+ * muestra la barra de direcciones.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link, Check } from 'lucide-react';
+import { getShareUrl } from '../../utils/urlState';
+
+/**
+ * @param {string} className - Clases adicionales del botón
+ */
+export default function CopyLinkButton({ className = '' }) {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timeout = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timeout);
+  }, [copied]);
+
+  const handleCopy = async () => {
+    const url = getShareUrl();
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch (error) {
+      // Sin acceso al portapapeles (contexto no seguro): se muestra para copiar a mano
+      console.error('Error copying link:', error);
+      window.prompt('Copiá el enlace:', url);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleCopy}
+      className={`flex items-center space-x-2 px-3 py-2 text-gray-700 hover:bg-blue-50 hover:text-blue-700 rounded-lg transition-all duration-200 ${className}`}
+      title="Copiar enlace a esta vista"
+    >
+      {copied ? <Check className="w-5 h-5 text-green-600" /> : <Link className="w-5 h-5" />}
+      <span className="hidden sm:inline">{copied ? 'Copiado' : 'Copiar enlace'}</span>
+    </button>
+  );
+}
@@ -0,0 +1,67 @@
+/**
+ * DniMatchBanner Component
+ *
+ * Resultado de escanear un DNI: busca el registro del padrón con ese
+ * documento entre los resultados y señala las diferencias entre los datos
+ * del DNI y los del padrón (apellido, nombre, sexo y clase).
+ *
+ * Se muestra en Búsqueda y en Fiscalizar, entre el formulario y los resultados.
+ *
+ * @param {Object} dni - Datos del DNI leído (ver `DniData` en utils/dniBarcode.js)
+ * @param {Array<Object>} records - Registros del padrón mostrados
+ * @param {boolean} isLoading - Si la búsqueda del documento sigue en curso
+ * @param {string} notFoundMessage - Texto cuando el documento no está en los registros
+ * @param {Function} onDismiss - Callback para cerrar el aviso
+ */
+
+import React from 'react';
+import { CheckCircle, AlertTriangle, XCircle, X, ScanLine } from 'lucide-react';
+import { compareDniWithPadron } from '../../utils/dniBarcode';
+
+export default function DniMatchBanner({ dni, records = [], isLoading = false, notFoundMessage = 'no está en el padrón', onDismiss }) {
+  if (!dni || isLoading) return null;
+
+  const record = records.find(r => Number(r.documento) === dni.documento);
+  const differences = record ? compareDniWithPadron(dni, record) : [];
+
+  const style = !record
+    ? { box: 'bg-red-50 border-red-200', icon: XCircle, iconClass: 'text-red-600', title: `DNI ${dni.documento} ${notFoundMessage}` }
+    : differences.length > 0
+      ? { box: 'bg-amber-50 border-amber-300', icon: AlertTriangle, iconClass: 'text-amber-600', title: 'Los datos del DNI no coinciden con el padrón' }
+      : { box: 'bg-green-50 border-green-200', icon: CheckCircle, iconClass: 'text-green-600', title: 'Los datos del DNI coinciden con el padrón' };
+  const Icon = style.icon;
+
+  return (
+    <div className={`flex items-start space-x-3 border rounded-lg p-3 ${style.box}`}>
+      <Icon className={`w-6 h-6 flex-shrink-0 ${style.iconClass}`} />
+      <div className="flex-1 min-w-0">
+        <p className="text-sm font-semibold text-gray-900">{style.title}</p>
+        <p className="flex items-center space-x-1 text-xs text-gray-600">
+          <ScanLine className="w-3 h-3" />
+          <span>
+            DNI: {dni.apellido}, {dni.nombre} · {dni.sexo}
+            {dni.fechaNacimiento ? ` · ${dni.fechaNacimiento.split('-').reverse().join('/')}` : ''}
+          </span>
+        </p>
+        {differences.length > 0 && (
+          <ul className="mt-2 space-y-1">
+            {differences.map(diff => (
+              <li key={diff.campo} className="text-sm text-gray-800">
+                <span className="font-medium">{diff.campo}:</span> DNI «{diff.dni}» · Padrón «{diff.padron}»
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {onDismiss && (
+        <button
+          onClick={onDismiss}
+          className="text-gray-400 hover:text-gray-600 transition-colors"
+          title="Cerrar"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+/**
+ * DniScanButton Component
+ *
+ * Botón para escanear el código PDF417 del DNI desde una foto (en el celular
+ * abre la cámara) o desde un archivo. La lectura se hace en el dispositivo,
+ * sin conexión (ver `utils/pdf417Decoder.js` y `utils/dniBarcode.js`).
+ *
+ * Se usa en SearchForm y FiscalizarSearchForm.
+ *
+ * @param {Function} onScan - Callback con los datos del DNI leído (ver `DniData` en dniBarcode.js)
+ * @param {boolean} disabled - Deshabilita el botón
+ * @param {string} className - Clases adicionales del botón
+ */
+
+import React, { useRef, useState } from 'react';
+import { ScanLine, RefreshCw } from 'lucide-react';
+import { decodePdf417FromFile } from '../../utils/pdf417Decoder';
+import { parseDniBarcode } from '../../utils/dniBarcode';
+
+export default function DniScanButton({ onScan, disabled = false, className = '' }) {
+  const inputRef = useRef(null);
+  const [isScanning, setIsScanning] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    // Permite volver a elegir la misma foto
+    e.target.value = '';
+    if (!file) return;
+
+    setIsScanning(true);
+    setError('');
+    try {
+      const text = await decodePdf417FromFile(file);
+      if (!text) {
+        setError('No se encontró el código del DNI. Probá con una foto más cercana, nítida y sin reflejos.');
+        return;
+      }
+
+      const dni = parseDniBarcode(text);
+      if (!dni) {
+        setError('El código leído no corresponde a un DNI argentino');
+        return;
+      }
+
+      onScan(dni);
+    } catch (err) {
+      console.error('Error scanning DNI:', err);
+      setError('No se pudo abrir la imagen');
+    } finally {
+      setIsScanning(false);
+    }
+  };
+
+  return (
+    <div>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="image/*"
+        capture="environment"
+        onChange={handleFile}
+        className="hidden"
+      />
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled || isScanning}
+        className={`flex items-center space-x-2 px-4 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${className}`}
+        title="Escanear el código del DNI"
+      >
+        {isScanning ? <RefreshCw className="w-5 h-5 animate-spin" /> : <ScanLine className="w-5 h-5" />}
+        <span>{isScanning ? 'Leyendo…' : 'Escanear DNI'}</span>
+      </button>
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,216 @@
+/**
+ * SavedSearchesMenu.jsx
+ *
+ * Menú de búsquedas guardadas de una vista: aplica una búsqueda propia o
+ * compartida por el equipo, guarda los filtros actuales con un nombre y
+ * elimina las propias (tabla `busquedas_guardadas`).
+ *
+ * Se usa en SearchForm (vista 'search') y en RealtimeStats (vista 'pendientes').
+ *
+ * Props:
+ * @param {'search'|'pendientes'} vista     - Vista de las búsquedas.
+ * @param {Object}                filters   - Filtros actuales, los que se guardan.
+ * @param {boolean}               canSave   - Si hay filtros para guardar.
+ * @param {Function}              onApply   - Callback con los filtros de la búsqueda elegida.
+ * @param {Function}              describe  - Resumen legible de unos filtros (opcional).
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Bookmark, BookmarkPlus, Trash2, Users, X } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import {
+  loadBusquedasGuardadas,
+  saveBusquedaGuardada,
+  deleteBusquedaGuardada
+} from '../../services/busquedasGuardadasService';
+
+export default function SavedSearchesMenu({ vista, filters, canSave = true, onApply, describe }) {
+  const { user } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+  const [busquedas, setBusquedas] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [nombre, setNombre] = useState('');
+  const [compartida, setCompartida] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const menuRef = useRef(null);
+
+  // Se recargan al abrir el menú, para ver las que compartió el equipo
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+
+    loadBusquedasGuardadas(vista)
+      .then(data => {
+        if (!cancelled) setBusquedas(data);
+      })
+      .catch(err => {
+        console.error('Error loading saved searches:', err);
+        if (!cancelled) setError('No se pudieron cargar las búsquedas guardadas');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, vista]);
+
+  // Cierra el menú al hacer click fuera de él
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleApply = (busqueda) => {
+    setIsOpen(false);
+    onApply(busqueda.filtros);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!nombre.trim()) return;
+
+    setIsSaving(true);
+    setError('');
+    try {
+      const saved = await saveBusquedaGuardada({ vista, nombre, filtros: filters, compartida }, busquedas, user.id);
+      setBusquedas(prev =>
+        [...prev.filter(b => b.id !== saved.id), saved].sort((a, b) => a.nombre.localeCompare(b.nombre))
+      );
+      setNombre('');
+      setCompartida(false);
+    } catch (err) {
+      console.error('Error saving search:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (busqueda) => {
+    if (!window.confirm(`¿Eliminar la búsqueda "${busqueda.nombre}"?`)) return;
+    try {
+      await deleteBusquedaGuardada(busqueda.id);
+      setBusquedas(prev => prev.filter(b => b.id !== busqueda.id));
+    } catch (err) {
+      console.error('Error deleting saved search:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center space-x-1 text-blue-600 hover:text-blue-800 transition-colors"
+        title="Búsquedas guardadas"
+      >
+        <Bookmark className="w-5 h-5" />
+        <span className="hidden sm:inline text-sm font-medium">Guardadas</span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-xl border border-gray-200 z-40">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100">
+            <h4 className="text-sm font-semibold text-gray-900">Búsquedas guardadas</h4>
+            <button
+              type="button"
+              onClick={() => setIsOpen(false)}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          {/* Búsquedas propias y compartidas */}
+          <div className="max-h-64 overflow-y-auto">
+            {isLoading ? (
+              <div className="flex justify-center py-4">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+              </div>
+            ) : busquedas.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-4">No hay búsquedas guardadas</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {busquedas.map(busqueda => {
+                  const isOwn = busqueda.user_id === user?.id;
+                  return (
+                    <li key={busqueda.id} className="flex items-center px-4 py-2 hover:bg-gray-50">
+                      <button
+                        type="button"
+                        onClick={() => handleApply(busqueda)}
+                        className="flex-1 min-w-0 text-left"
+                      >
+                        <p className="flex items-center space-x-1 text-sm font-medium text-gray-900 truncate">
+                          {busqueda.compartida && <Users className="w-3 h-3 text-blue-500 flex-shrink-0" />}
+                          <span className="truncate">{busqueda.nombre}</span>
+                        </p>
+                        <p className="text-xs text-gray-500 truncate">
+                          {!isOwn && `${busqueda.profiles?.full_name || 'Equipo'} · `}
+                          {describe ? describe(busqueda.filtros) : ''}
+                        </p>
+                      </button>
+                      {isOwn && (
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(busqueda)}
+                          className="ml-2 p-1 text-gray-400 hover:text-red-600 transition-colors"
+                          title="Eliminar"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+
+          {/* Guardar los filtros actuales */}
+          <form onSubmit={handleSave} className="px-4 py-3 border-t border-gray-100 space-y-2">
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                value={nombre}
+                onChange={(e) => setNombre(e.target.value)}
+                placeholder={canSave ? 'Nombre de la búsqueda actual' : 'Completá algún filtro para guardar'}
+                disabled={!canSave || isSaving}
+                className="flex-1 min-w-0 px-3 py-1.5 text-sm rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+              />
+              <button
+                type="submit"
+                disabled={!canSave || isSaving || !nombre.trim()}
+                className="flex items-center px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Guardar"
+              >
+                <BookmarkPlus className="w-4 h-4" />
+              </button>
+            </div>
+            <label className="flex items-center space-x-2 text-xs text-gray-600">
+              <input
+                type="checkbox"
+                checked={compartida}
+                onChange={(e) => setCompartida(e.target.checked)}
+                disabled={!canSave || isSaving}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span>Compartir con el equipo de coordinación</span>
+            </label>
+            {error && <p className="text-xs text-red-600">{error}</p>}
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
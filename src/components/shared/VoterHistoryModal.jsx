@@ -0,0 +1,144 @@
+/**
+ * VoterHistoryModal.jsx
+ *
+ * Modal con la línea de tiempo de cambios de un votante del padrón: asignación
+ * y eliminación de picks, edición de notas, verificación y marcado/deshacer
+ * del voto, con quién y cuándo hizo cada cambio (tabla `padron_historial`).
+ *
+ * Se abre desde SearchResults, GpicksView y FiscalizarResults.
+ *
+ * Props:
+ * @param {boolean}       isOpen      - Controla la visibilidad del modal.
+ * @param {Function}      onClose     - Callback invocado al cerrar.
+ * @param {number|string} documento   - Documento del votante.
+ * @param {string}        votanteName - Nombre a mostrar en el encabezado.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { X, History, Sparkles, FileText, CheckCircle, Vote, ArrowRight } from 'lucide-react';
+import { loadHistorialVotante, describeHistorialEntry } from '../../services/padronHistorialService';
+
+// Ícono y color de cada tipo de cambio
+const ACCION_STYLES = {
+  pick: { icon: Sparkles, className: 'bg-yellow-100 text-yellow-700' },
+  nota: { icon: FileText, className: 'bg-blue-100 text-blue-700' },
+  check: { icon: CheckCircle, className: 'bg-green-100 text-green-700' },
+  voto: { icon: Vote, className: 'bg-purple-100 text-purple-700' }
+};
+
+/**
+ * Convierte un string ISO a formato legible: "DD/MM/YYYY HH:MM:SS".
+ *
+ * @param {string} isoString - Timestamp ISO.
+ * @returns {string} Fecha formateada.
+ */
+const formatDateTime = (isoString) => new Date(isoString).toLocaleString('es-AR', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hour12: false
+});
+
+export default function VoterHistoryModal({ isOpen, onClose, documento, votanteName }) {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen || !documento) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+
+    loadHistorialVotante(documento)
+      .then(data => {
+        if (!cancelled) setEntries(data);
+      })
+      .catch(err => {
+        console.error('Error loading voter history:', err);
+        if (!cancelled) setError('No se pudo cargar el historial');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, documento]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl shadow-2xl p-6 max-w-lg w-full mx-4 max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Encabezado */}
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-3">
+            <div className="w-10 h-10 bg-gray-100 rounded-full flex items-center justify-center">
+              <History className="w-5 h-5 text-gray-700" />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Historial de cambios</h3>
+              <p className="text-sm text-gray-600">{votanteName} · DNI {documento}</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Línea de tiempo */}
+        <div className="overflow-y-auto flex-1">
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : error ? (
+            <p className="text-sm text-red-600 text-center py-6">{error}</p>
+          ) : entries.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-6">No hay cambios registrados para este votante</p>
+          ) : (
+            <ol className="relative border-l border-gray-200 ml-4">
+              {entries.map(entry => {
+                const { titulo, anterior, nuevo } = describeHistorialEntry(entry);
+                const style = ACCION_STYLES[entry.accion] || ACCION_STYLES.pick;
+                const Icon = style.icon;
+
+                return (
+                  <li key={entry.id} className="mb-4 ml-6">
+                    <span className={`absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full ring-4 ring-white ${style.className}`}>
+                      <Icon className="w-3 h-3" />
+                    </span>
+                    <p className="text-sm font-semibold text-gray-900">{titulo}</p>
+                    <p className="flex items-center flex-wrap gap-1 text-sm text-gray-700">
+                      <span className="text-gray-500 line-through">{anterior}</span>
+                      <ArrowRight className="w-3 h-3 text-gray-400" />
+                      <span>{nuevo}</span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {formatDateTime(entry.created_at)} · {entry.user_profile?.full_name || 'Usuario desconocido'}
+                    </p>
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
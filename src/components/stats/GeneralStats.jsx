@@ -1,17 +1,16 @@
 // src/components/stats/GeneralStats.jsx
 // Dashboard de estadísticas generales del proceso electoral
-// Usa Supabase para cargar datos en tiempo real
-// Muestra métricas clave: participación, mesas, sexo, edad, etc.
+// Los agregados se calculan en el servidor y se comparten con las demás
+// pestañas (ver services/estadisticasService.js y hooks/useEstadisticas.js)
+// Muestra métricas clave: participación, mesas, localidades, votos por hora
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useMemo } from 'react';
 import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend } from 'chart.js';
 import { Bar } from 'react-chartjs-2';
-import { supabase } from '../../lib/supabase';
 import {
   Users,
   CheckCircle,
   PieChart,
-  Clock,
   AlertCircle,
   TrendingUp,
   SmartphoneNfc,
@@ -29,45 +28,33 @@ import {
   calcularTendenciaProyectada,
   obtenerIndiceHistorico,
   obtenerColorTendencia,
-  obtenerHoraFormateada
+  obtenerHoraFormateada,
+  seleccionarCurva
 } from '../../utils/tendenciaParticipacion';
+import { useComicio } from '../../context/ComicioContext';
+import { useEstadisticas } from '../../hooks/useEstadisticas';
+import { loadUltimosVotos } from '../../services/estadisticasService';
+import { obtenerHorario, agruparVotosPorHora } from '../../utils/comicioUtils';
 
 ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
 
-// Función de debounce para evitar múltiples llamadas rápidas
-// Útil si hay muchos cambios en tiempo real
-const debounce = (func, wait) => {
-  let timeout;
-  return (...args) => {
-    clearTimeout(timeout);
-    timeout = setTimeout(() => func(...args), wait);
-  };
-};
+// Estadísticas de esta pestaña (claves de getEstadistica)
+const ESTADISTICAS_GENERALES = [
+  'participacion:mesa',
+  'participacion:localidad',
+  'votos-por-hora',
+  'ultimos-votos'
+];
 
 export default function GeneralStats() {
-  // Estado principal del componente
-  const [stats, setStats] = useState({
-    totalEmpadronados: 0,
-    totalVotosEmitidos: 0,
-    porcentajeParticipacion: 0,
-    mesasActivas: 0,
-    participacionPorSexo: { M: 0, F: 0, X: 0 }, // Incluye no binario
-    participacionPorEdad: [],
-    participacionNuevos: { voted: 0, total: 0 },
-    participacionObligatorios: { voted: 0, total: 0 },
-    participacionPorHora: [],
-    mesasPorParticipacion: [], // Todas las mesas
-    localidades: [] // Participación por localidad
-  });
+  // Comicio vigente: rango de horas, horario y curvas para la proyección de tendencia
+  const { comicio, curvas } = useComicio();
 
-  const [ultimosVotos, setUltimosVotos] = useState([]);
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState('');
   const [isRealtime, setIsRealtime] = useState(false);
+  const { data, isLoading, error, refresh } = useEstadisticas(ESTADISTICAS_GENERALES, { realtime: isRealtime });
+
   const [showMesasModal, setShowMesasModal] = useState(false);
   const [showTendencia, setShowTendencia] = useState(false);
-  const [horaActual, setHoraActual] = useState('');
-  const [puedeCalcularTendencia, setPuedeCalcularTendencia] = useState(false);
 
   const [showVotosModal, setShowVotosModal] = useState(false);
   const [modalVotos, setModalVotos] = useState([]);
@@ -87,39 +74,9 @@ const formatNumber = (num) => {
   const fetchVotosModal = async (page) => {
     setModalLoading(true);
     try {
-      const from = (page - 1) * MODAL_PAGE_SIZE;
-      const to = from + MODAL_PAGE_SIZE - 1;
-
-      const { data, count, error: fetchError } = await supabase
-        .from('padron')
-        .select(`
-          documento,
-          apellido,
-          nombre,
-          mesa_numero,
-          voto_pick_at,
-          emopick_id,
-          emopicks!left(display),
-          mesas!left(mesa_localidad)
-        `, { count: 'exact' })
-        .eq('voto_emitido', true)
-        .not('voto_pick_at', 'is', null)
-        .order('voto_pick_at', { ascending: false })
-        .range(from, to);
-
-      if (fetchError) throw fetchError;
-
-      const mapped = (data || []).map(v => ({
-        hora: new Date(v.voto_pick_at).toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit', hour12: false }),
-        mesa: v.mesa_numero,
-        localidad: v.mesas?.mesa_localidad || '-',
-        votante: `${v.apellido}, ${v.nombre}`,
-        documento: v.documento,
-        pick: v.emopicks?.display || (v.emopick_id ? `#${v.emopick_id}` : null)
-      }));
-
-      setModalVotos(mapped);
-      setModalTotal(count || 0);
+      const { votos, total } = await loadUltimosVotos(page, MODAL_PAGE_SIZE);
+      setModalVotos(votos);
+      setModalTotal(total);
       setModalPage(page);
     } catch (err) {
       console.error('Error cargando votos modal:', err);
@@ -133,309 +90,86 @@ const formatNumber = (num) => {
     fetchVotosModal(1);
   };
 
-  // Función principal para cargar todas las estadísticas
-  const fetchGeneralStats = async () => {
-    setIsLoading(true);
-    setError('');
-    
-    try {
-      const currentYear = new Date().getFullYear();
+  const ultimosVotos = data['ultimos-votos']?.votos || [];
 
-      // --- 1. DATOS DE MESAS ---
-      // Obtenemos mesas con sus establecimientos y localidades
-      // Usamos esta tabla porque ya tiene totales precalculados
-      const { data: mesasData, error: mesasError } = await supabase
-        .from('mesas')
-        .select(`
-          numero,
-          total_empadronados,
-          total_votaron,
-          mesa_localidad,
-          establecimientos (
-            nombre
-          )
-        `)
-        .not('total_empadronados', 'eq', 0); // Evita mesas sin empadronados
+  // Estadísticas derivadas de los agregados del servidor
+  const { stats, horaActual, puedeCalcularTendencia } = useMemo(() => {
+    const mesas = data['participacion:mesa'] || [];
 
-      if (mesasError) throw mesasError;
-      if (!mesasData || !Array.isArray(mesasData)) {
-        console.warn('No se recibieron datos válidos de mesas:', mesasData);
-      }
-      const data = mesasData || [];
+    // --- 1. MÉTRICAS GLOBALES ---
+    const totalEmpadronados = mesas.reduce((sum, m) => sum + m.empadronados, 0);
+    const totalVotosEmitidos = mesas.reduce((sum, m) => sum + m.votaron, 0);
+    const porcentajeParticipacion = totalEmpadronados > 0
+      ? ((totalVotosEmitidos / totalEmpadronados) * 100).toFixed(1)
+      : 0;
 
-      // --- 2. MÉTRICAS GLOBALES ---
-      const totalEmpadronados = data.reduce((sum, m) => sum + m.total_empadronados, 0);
-      const totalVotosEmitidos = data.reduce((sum, m) => sum + (m.total_votaron || 0), 0);
-      const mesasActivas = data.length;
+    // --- 2. TODAS LAS MESAS ---
+    // Participación individual y tendencia proyectada, ordenadas por número
+    const ahora = new Date();
+    const horario = obtenerHorario(comicio);
+    const puedeCalcular = obtenerIndiceHistorico(ahora, horario, seleccionarCurva(curvas)) !== null;
 
-      // Porcentaje general de participación
-      const porcentajeParticipacion = totalEmpadronados > 0 
-        ? ((totalVotosEmitidos / totalEmpadronados) * 100).toFixed(1) 
+    const mesasPorParticipacion = mesas.map(mesa => {
+      const participacion = mesa.empadronados > 0
+        ? (mesa.votaron / mesa.empadronados) * 100
         : 0;
 
-      // --- 3. TODAS LAS MESAS ---
-      // Calculamos participación individual y tendencia proyectada, ordenamos por número
-      const ahora = new Date();
-      const indiceHistorico = obtenerIndiceHistorico(ahora);
-      const puedeCalcular = indiceHistorico !== null;
-      const horaFormateada = obtenerHoraFormateada(ahora);
-
-      const mesasPorParticipacion = data.map(mesa => {
-        const participacion = mesa.total_empadronados > 0
-          ? ((mesa.total_votaron || 0) / mesa.total_empadronados) * 100
-          : 0;
-
-        const tendencia = puedeCalcular
-          ? calcularTendenciaProyectada(
-              mesa.total_votaron || 0,
-              mesa.total_empadronados,
-              ahora
-            )
-          : null;
-
-        return {
-          mesa: mesa.numero,
-          empadronados: mesa.total_empadronados,
-          votaron: mesa.total_votaron || 0,
-          participacion: participacion.toFixed(1),
-          tendenciaProyectada: tendencia !== null ? tendencia.toFixed(1) : null,
-          establecimiento: mesa.establecimientos?.nombre || 'Sin establecimiento'
-        };
-      }).sort((a, b) => a.mesa - b.mesa); // Orden ascendente por número
-
-      setPuedeCalcularTendencia(puedeCalcular);
-      setHoraActual(horaFormateada);
-
-      // --- 4. RESUMEN POR LOCALIDAD ---
-      // Agrupamos mesas por localidad
-      const localidadesMap = new Map();
-      for (const mesa of mesasData || []) {
-        const localidad = mesa.mesa_localidad || 'Sin localidad';
-        if (!localidadesMap.has(localidad)) {
-          localidadesMap.set(localidad, { empadronados: 0, votaron: 0 });
-        }
-        const loc = localidadesMap.get(localidad);
-        loc.empadronados += mesa.total_empadronados;
-        loc.votaron += (mesa.total_votaron || 0);
-      }
-
-      const localidades = Array.from(localidadesMap.entries())
-        .map(([localidad, data]) => {
-          const participacion = data.empadronados > 0 
-            ? ((data.votaron / data.empadronados) * 100).toFixed(1) 
-            : 0;
-          return {
-            localidad,
-            empadronados: data.empadronados,
-            votaron: data.votaron,
-            participacion
-          };
-        })
-        .sort((a, b) => a.localidad.localeCompare(b.localidad));
-
-{/* ***************** DESACTIVADO DESDE ACA *****************************************************
-      
-      // --- 5. PARTICIPACIÓN POR SEXO ---
-      // Usamos una función RPC para contar eficientemente
-      // Asegurarse de que la función devuelve "sexo" y "count"
-      let participacionPorSexo = { M: 0, F: 0, X: 0 };
-      try {
-        const { data: sexoData, error: sexoError } = await supabase
-          .rpc('get_participacion_por_sexo');
-
-        if (sexoError) throw sexoError;
-
-        if (sexoData && Array.isArray(sexoData)) {
-          sexoData.forEach(row => {
-            if (row.sexo === 'M') participacionPorSexo.M = row.count;
-            if (row.sexo === 'F') participacionPorSexo.F = row.count;
-            if (row.sexo === 'X') participacionPorSexo.X = row.count;
-          });
-        }
-      } catch (err) {
-        console.error('RPC get_participacion_por_sexo falló:', err);
-        // No detenemos todo, solo dejamos en 0
-      }
-
-      // --- 6. PARTICIPACIÓN POR EDAD ---
-      // Usamos RPC para evitar traer miles de filas
-      let participacionPorEdad = [];
-      try {
-        const { data: edadData, error: edadError } = await supabase
-          .rpc('get_participacion_por_edad');
-
-        if (edadError) throw edadError;
-        //console.log('Datos crudos de BD:', edadData); // ← Agrega esto
-
-        participacionPorEdad = (edadData && Array.isArray(edadData))
-          ? edadData.map(row => ({
-              range: row.rango,
-              count: row.count
-            }))
-          : [];
-      } catch (err) {
-        console.error('RPC get_participacion_por_edad falló:', err);
-      }
-
-      // --- 7. NUEVOS VOTANTES ---
-      // Consulta directa al padrón
-      const { count: nuevosTotal } = await supabase
-        .from('padron')
-        .select('documento', { count: 'exact', head: true })
-        .eq('da_es_nuevo', true);
-
-      const { count: nuevosVotaron } = await supabase
-        .from('padron')
-        .select('documento', { count: 'exact', head: true })
-        .eq('da_es_nuevo', true)
-        .eq('voto_emitido', true);
-
-      const participacionNuevos = { voted: nuevosVotaron || 0, total: nuevosTotal || 0 };
-
-      // --- 8. VOTANTES OBLIGATORIOS ---
-      const { count: obligatoriosTotal } = await supabase
-        .from('padron')
-        .select('documento', { count: 'exact', head: true })
-        .eq('da_voto_obligatorio', true);
-
-      const { count: obligatoriosVotaron } = await supabase
-        .from('padron')
-        .select('documento', { count: 'exact', head: true })
-        .eq('da_voto_obligatorio', true)
-        .eq('voto_emitido', true);
-
-      const participacionObligatorios = { voted: obligatoriosVotaron || 0, total: obligatoriosTotal || 0 };
-
-**************** HASTA ACA ******************************************************************************************/}
-
-      // --- 9. PARTICIPACIÓN POR HORA ---
-      // Usamos RPC que agrupa votos por hora
-      let participacionPorHora = [];
-      try {
-        const { data: horaData } = await supabase.rpc('get_votos_por_hora_art');
-        const ajustado = (horaData || []).map(row => {
-          if (row.hora < 8) return { ...row, hora: 8 };
-          if (row.hora > 18) return { ...row, hora: 18 };
-          return row;
-        });
-        const grouped = ajustado.reduce((acc, row) => {
-          acc[row.hora] = (acc[row.hora] || 0) + row.count;
-          return acc;
-        }, {});
-        for (let hour = 8; hour <= 18; hour++) {
-          participacionPorHora.push({
-            hour: `${hour.toString().padStart(2, '0')}:00`,
-            count: grouped[hour] || 0
-          });
-        }
-      } catch (err) {
-        console.error('RPC get_votos_por_hora_art falló:', err);
-      }
-
-      // --- 10. ULTIMOS 5 VOTOS EMITIDOS ---
-      let ultimosVotosData = [];
-      try {
-        const { data: votosData } = await supabase
-          .from('padron')
-          .select(`
-            documento,
-            apellido,
-            nombre,
-            mesa_numero,
-            voto_pick_at,
-            emopick_id,
-            emopicks!left(display),
-            mesas!left(mesa_localidad)
-          `)
-          .eq('voto_emitido', true)
-          .not('voto_pick_at', 'is', null)
-          .order('voto_pick_at', { ascending: false })
-          .limit(5);
-
-        ultimosVotosData = (votosData || []).map(v => ({
-          hora: new Date(v.voto_pick_at).toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit', hour12: false }),
-          mesa: v.mesa_numero,
-          localidad: v.mesas?.mesa_localidad || '-',
-          votante: `${v.apellido}, ${v.nombre}`,
-          documento: v.documento,
-          pick: v.emopicks?.display || (v.emopick_id ? `#${v.emopick_id}` : null)
-        }));
-      } catch (err) {
-        console.error('Error cargando últimos votos:', err);
-      }
-      setUltimosVotos(ultimosVotosData);
-
-      // --- 11. ACTUALIZAR ESTADO ---
-      // Todo listo, actualizamos el estado
-      setStats({
+      const tendencia = puedeCalcular
+        ? calcularTendenciaProyectada(
+            mesa.votaron,
+            mesa.empadronados,
+            ahora,
+            horario,
+            seleccionarCurva(curvas, mesa.localidad)
+          )
+        : null;
+
+      return {
+        mesa: Number(mesa.clave),
+        empadronados: mesa.empadronados,
+        votaron: mesa.votaron,
+        participacion: participacion.toFixed(1),
+        tendenciaProyectada: tendencia !== null ? tendencia.toFixed(1) : null,
+        establecimiento: mesa.etiqueta || 'Sin establecimiento'
+      };
+    }).sort((a, b) => a.mesa - b.mesa);
+
+    // --- 3. RESUMEN POR LOCALIDAD ---
+    const localidades = (data['participacion:localidad'] || [])
+      .map(loc => ({
+        localidad: loc.clave || 'Sin localidad',
+        empadronados: loc.empadronados,
+        votaron: loc.votaron,
+        participacion: loc.empadronados > 0
+          ? ((loc.votaron / loc.empadronados) * 100).toFixed(1)
+          : 0
+      }))
+      .sort((a, b) => a.localidad.localeCompare(b.localidad));
+
+    // --- 4. PARTICIPACIÓN POR HORA ---
+    // Los votos fuera del horario del comicio se acumulan en la primera/última hora
+    const participacionPorHora = agruparVotosPorHora(data['votos-por-hora'], comicio, { acumularFuera: true })
+      .map(item => ({ hour: item.hora, count: item.votos }));
+
+    return {
+      stats: {
         totalEmpadronados,
         totalVotosEmitidos,
         porcentajeParticipacion: parseFloat(porcentajeParticipacion),
-        mesasActivas,
-    //  participacionPorSexo,
-    //  participacionPorEdad,
-    //  participacionNuevos,
-    //  participacionObligatorios,
+        mesasActivas: mesas.length,
         participacionPorHora,
         mesasPorParticipacion,
         localidades
-      });
-
-    } catch (err) {
-      // Si falla algo crítico (mesas, etc.), mostramos error
-      setError('Error loading general statistics: ' + err.message);
-      console.error('Error fetching general stats:', err);
-    } finally {
-      setIsLoading(false);
-    }
-  };
-
-  // Cargar datos al montar
-  useEffect(() => {
-    fetchGeneralStats();
-  }, []);
-
-  // Escuchar cambios en tiempo real (opcional)
-  useEffect(() => {
-    let channel = null;
-
-    if (isRealtime) {
-      channel = supabase
-        .channel('stats-changes-padron')
-        .on(
-          'postgres_changes',
-          {
-            event: 'INSERT',
-            schema: 'public',
-            table: 'padron'
-          },
-          (payload) => {
-            if (payload.new.voto_emitido === true) {
-              fetchGeneralStats();
-            }
-          }
-        )
-        .on(
-          'postgres_changes',
-          {
-            event: 'UPDATE',
-            schema: 'public',
-            table: 'padron',
-            filter: 'voto_emitido=eq.true'
-          },
-          (payload) => {
-            if (payload.new.voto_emitido === true && payload.old.voto_emitido !== true) {
-              fetchGeneralStats();
-            }
-          }
-        )
-        .subscribe();
-    }
-
-    return () => {
-      if (channel) supabase.removeChannel(channel);
+      },
+      horaActual: obtenerHoraFormateada(ahora),
+      puedeCalcularTendencia: puedeCalcular
     };
-  }, [isRealtime]);
+  }, [data, comicio, curvas]);
+
+  // Solo se muestra el error si no hay datos de mesas que mostrar
+  const errorMessage = error && !data['participacion:mesa']
+    ? 'Error loading general statistics: ' + error
+    : '';
 
   return (
     <div className="space-y-6">
@@ -473,7 +207,7 @@ const formatNumber = (num) => {
             <div className="min-w-[135px]">
                 <button
                   type="button"
-                  onClick={fetchGeneralStats}
+                  onClick={refresh}
                   disabled={isLoading || isRealtime}
                   className="w-full px-2 py-1.5 bg-blue-600 hover:bg-blue-800 focus:bg-blue-600 focus:outline-none focus:ring-0 disabled:bg-blue-300 disabled:cursor-not-allowed text-white text-sm font-medium rounded-lg transition-all shadow-sm border border-blue-400 hover:shadow-md"
                 >
@@ -491,10 +225,10 @@ const formatNumber = (num) => {
             <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
             <p className="mt-2 text-gray-600">Cargando estadísticas...</p>
           </div>
-        ) : error ? (
+        ) : errorMessage ? (
           <div className="text-center py-8 text-red-600">
             <AlertCircle className="w-12 h-12 mx-auto mb-3" />
-            <p>{error}</p>
+            <p>{errorMessage}</p>
           </div>
         ) : (
           <div className="space-y-6">
@@ -617,125 +351,19 @@ const formatNumber = (num) => {
               </div>
             </div>
 
-            {/* Detalles por categoría */}
-
-  {/*DESACTIVADO DESDE ACA...
-            
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              <div className="bg-white border border-gray-200 rounded-lg p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Participación por Sexo</h3>
-                <div className="space-y-2">
-                  {stats.participacionPorSexo.M > 0 && (
-                    <div className="flex justify-between">
-                      <span className="text-gray-600">Masculino:</span>
-                      <span className="font-medium">{formatNumber(stats.participacionPorSexo.M)} votos</span>
-                    </div>
-                  )}
-                  {stats.participacionPorSexo.F > 0 && (
-                    <div className="flex justify-between">
-                      <span className="text-gray-600">Femenino:</span>
-                      <span className="font-medium">{formatNumber(stats.participacionPorSexo.F)}votos</span>
-                    </div>
-                  )}
-                  {stats.participacionPorSexo.X > 0 && (
-                    <div className="flex justify-between">
-                      <span className="text-gray-600">Otro / No binario:</span>
-                      <span className="font-medium">{formatNumber(stats.participacionPorSexo.X)} votos</span>
-                    </div>
-                  )}
-                </div>
-              </div>
-
-              <div className="bg-white border border-gray-200 rounded-lg p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Participación por Rango de Edad</h3>
-                {stats.participacionPorEdad.every(item => item.count === 0) ? (
-                  <p className="text-gray-500 text-sm">No hay datos de edad registrados</p>
-                ) : (
-                  <div className="space-y-2">
-                    {stats.participacionPorEdad.map((item, index) => (
-                      <div key={index} className="flex justify-between">
-                        <span className="text-gray-600">{item.range} años:</span>
-                        <span className="font-medium">{formatNumber(item.count)} votos</span>
-                      </div>
-                    ))}
-                  </div>
-                )}
-              </div>
-
-              <div className="bg-white border border-gray-200 rounded-lg p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Participación de Nuevos Votantes</h3>
-                <div className="space-y-2">
-                  <div className="flex justify-between">
-                    <span className="text-gray-600">Votaron:</span>
-                    <span className="font-medium">{formatNumber(stats.participacionNuevos.voted.toLocaleString())}</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-600">Total:</span>
-                    <span className="font-medium">{formatNumber(stats.participacionNuevos.total)}</span>
-                  </div>
-                  <div className="flex justify-between border-t pt-2">
-                    <span className="text-gray-600">Porcentaje:</span>
-                    <span className="font-bold text-blue-600">
-                      {stats.participacionNuevos.total > 0 ? 
-                        formatNumber(((stats.participacionNuevos.voted / stats.participacionNuevos.total) * 100).toFixed(1)) : 0}%
-                    </span>
-                  </div>
-                </div>
-              </div>
-
-              <div className="bg-white border border-gray-200 rounded-lg p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Participación de Votantes Obligatorios</h3>
-                <div className="space-y-2">
-                  <div className="flex justify-between">
-                    <span className="text-gray-600">Votaron:</span>
-                    <span className="font-medium">{stats.participacionObligatorios.voted.toLocaleString()}</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-600">Total:</span>
-                    <span className="font-medium">{stats.participacionObligatorios.total.toLocaleString()}</span>
-                  </div>
-                  <div className="flex justify-between border-t pt-2">
-                    <span className="text-gray-600">Porcentaje:</span>
-                    <span className="font-bold text-green-600">
-                      {stats.participacionObligatorios.total > 0 ? 
-                        formatNumber(((stats.participacionObligatorios.voted / stats.participacionObligatorios.total) * 100).toFixed(1)) : 0}%
-                    </span>
-                  </div>
-                </div>
-              </div>
-            </div>
-
-      DESACTIVADO HASTA ACA - CAMBIAR DE PESTAÑA O ELIMINAR  /*}
-            
             {/* Participación por hora */}
             <div className="bg-white border border-gray-200 rounded-lg p-2">
               <h3 className="text-lg font-semibold text-gray-900 mb-4">Participación por Rango Horario</h3>
               {stats.participacionPorHora.every(item => item.count === 0) ? (
                 <p className="text-gray-500 text-sm">No hay datos de horario registrados</p>
               ) : (
-                <div className="space-y-3">
-                  <div className="grid grid-cols-5 gap-4">
-                    {['08:00','09:00','10:00','11:00','12:00'].map(h => {
-                      const item = stats.participacionPorHora.find(i => i.hour === h);
-                      return (
-                        <div key={h} className="text-center">
-                          <div className="text-sm text-gray-600">{h}</div>
-                          <div className="text-lg font-bold text-blue-600">{formatNumber(item?.count || 0)}</div>
-                        </div>
-                      );
-                    })}
-                  </div>
-                  <div className="grid grid-cols-5 gap-4">
-                    {['13:00','14:00','15:00','16:00','17:00'].map(h => {
-                      const item = stats.participacionPorHora.find(i => i.hour === h);
-                      return (
-                        <div key={h} className="text-center">
-                          <div className="text-sm text-gray-600">{h}</div>
-                          <div className="text-lg font-bold text-blue-600">{formatNumber(item?.count || 0)}</div>
-                        </div>
-                      );
-                    })}
-                  </div>
+                <div className="grid grid-cols-5 gap-4">
+                  {stats.participacionPorHora.map(item => (
+                    <div key={item.hour} className="text-center">
+                      <div className="text-sm text-gray-600">{item.hour}</div>
+                      <div className="text-lg font-bold text-blue-600">{formatNumber(item.count)}</div>
+                    </div>
+                  ))}
                 </div>
               )}
             </div>
@@ -2,7 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { supabase } from '../../lib/supabase';
 import { Filter, RefreshCw, User, AlertCircle, MousePointerClick, ToggleLeft, ToggleRight } from 'lucide-react';
 import { loadEmopicksWithCount, formatEmopickDisplay } from '../../services/emopicksService';
+import { suscribirCambiosPadron, onEstadisticasInvalidadas } from '../../services/estadisticasService';
 import Pagination from '../shared/Pagination';
+import { getUrlParam, getUrlInt, updateUrlParams } from '../../utils/urlState';
+import SavedSearchesMenu from '../shared/SavedSearchesMenu';
 
 /**
  * RealtimeStats - Componente de Estadísticas en Tiempo Real de Votantes Pendientes
@@ -98,13 +101,13 @@ export default function RealtimeStats() {
    * Valor del input de número de mesa (no aplicado)
    * @type {string}
    */
-  const [filterMesaInput, setFilterMesaInput] = useState('');
+  const [filterMesaInput, setFilterMesaInput] = useState(() => getUrlParam('mesa') || '');
 
   /**
    * Valor del select de emopick (no aplicado)
    * @type {string}
    */
-  const [filterEmopickInput, setFilterEmopickInput] = useState('');
+  const [filterEmopickInput, setFilterEmopickInput] = useState(() => getUrlParam('pick') || '');
 
   /**
    * Bandera que indica si hay cambios en los inputs que no se han aplicado
@@ -117,26 +120,28 @@ export default function RealtimeStats() {
    * ETAPA 2: Estados de filtros aplicados
    * Estos valores se usan en las queries a Supabase.
    * Se actualizan solo al hacer click en "Aplicar" o "Limpiar".
+   * Los valores iniciales salen de la URL (?mesa=, ?pick=, ?metrica=, ?pag=),
+   * por ejemplo desde el enlace directo ?pendientes=<mesa>.
    */
 
   /**
    * Filtro de mesa aplicado en queries
    * @type {string}
    */
-  const [filterMesa, setFilterMesa] = useState('');
+  const [filterMesa, setFilterMesa] = useState(() => getUrlParam('mesa') || '');
 
   /**
    * Filtro de emopick aplicado en queries
    * @type {string}
    */
-  const [filterEmopick, setFilterEmopick] = useState('');
+  const [filterEmopick, setFilterEmopick] = useState(() => getUrlParam('pick') || '');
 
   /**
    * Filtro de tipo de métrica (activado al hacer click en tarjetas de métricas)
    * Valores posibles: null, 'conPicks'
    * @type {string|null}
    */
-  const [filterMetricType, setFilterMetricType] = useState(null);
+  const [filterMetricType, setFilterMetricType] = useState(() => (getUrlParam('metrica') === 'conPicks' ? 'conPicks' : null));
 
   // ==========================================
   // ESTADOS DE OPCIONES DE FILTROS
@@ -158,7 +163,7 @@ export default function RealtimeStats() {
    * Página actual en la paginación (base 1)
    * @type {number}
    */
-  const [currentPage, setCurrentPage] = useState(1);
+  const [currentPage, setCurrentPage] = useState(() => Math.max(getUrlInt('pag') || 1, 1));
 
   /**
    * Cantidad de registros a mostrar por página
@@ -480,6 +485,37 @@ export default function RealtimeStats() {
     setHasUnappliedChanges(false);
   };
 
+  /**
+   * Aplica una búsqueda guardada (vista 'pendientes')
+   *
+   * @param {{mesa: string, emopick: string, metrica: string|null}} saved - Filtros guardados
+   *
+   * @side_effects
+   * - Copia los filtros guardados a los inputs y a los filtros aplicados
+   * - Resetea la página actual a 1
+   */
+  const handleApplySaved = (saved) => {
+    setFilterMesaInput(saved.mesa || '');
+    setFilterEmopickInput(saved.emopick || '');
+    setFilterMesa(saved.mesa || '');
+    setFilterEmopick(saved.emopick || '');
+    setFilterMetricType(saved.metrica === 'conPicks' ? 'conPicks' : null);
+    setCurrentPage(1);
+    setHasUnappliedChanges(false);
+  };
+
+  /**
+   * Resumen legible de unos filtros guardados, para el menú de búsquedas guardadas
+   */
+  const describeSaved = (saved) => {
+    const pick = availableEmopicks.find(p => String(p.id) === String(saved.emopick));
+    return [
+      saved.mesa && `Mesa ${saved.mesa}`,
+      saved.emopick && `Pick ${pick ? pick.display : saved.emopick}`,
+      saved.metrica === 'conPicks' && 'Con picks'
+    ].filter(Boolean).join(' · ');
+  };
+
   /**
    * Limpia todos los filtros aplicados y los inputs
    *
@@ -589,26 +625,26 @@ export default function RealtimeStats() {
     fetchUnvotedVoters().finally(() => setIsLoading(false));
   }, [currentPage, pageSize, filterMesa, filterEmopick, filterMetricType]);
 
+  // Refleja los filtros aplicados y la página en la URL (ver utils/urlState.js)
   useEffect(() => {
-    let channel = null;
-
-    if (isRealtime) {
-      channel = supabase
-        .channel('realtime-stats-padron')
-        .on(
-          'postgres_changes',
-          { event: 'UPDATE', schema: 'public', table: 'padron', filter: 'voto_emitido=eq.true' },
-          (payload) => {
-            if (payload.new.voto_emitido === true && payload.old.voto_emitido !== true) {
-              fetchUnvotedVoters();
-            }
-          }
-        )
-        .subscribe();
-    }
+    updateUrlParams({
+      mesa: filterMesa,
+      pick: filterEmopick,
+      metrica: filterMetricType,
+      pag: currentPage > 1 ? currentPage : null
+    });
+  }, [currentPage, filterMesa, filterEmopick, filterMetricType]);
+
+  // Tiempo real: canal compartido con las demás pestañas, que agrupa los votos
+  // seguidos en una sola recarga (ver services/estadisticasService.js)
+  useEffect(() => {
+    if (!isRealtime) return undefined;
 
+    const unsubscribe = suscribirCambiosPadron();
+    const off = onEstadisticasInvalidadas(() => fetchUnvotedVoters());
     return () => {
-      if (channel) supabase.removeChannel(channel);
+      off();
+      unsubscribe();
     };
   }, [isRealtime]);
 
@@ -651,10 +687,20 @@ export default function RealtimeStats() {
           3. Solo los estados aplicados disparan queries a la BD
         */}
         <div className="bg-gray-200 p-3 rounded-lg mb-2">
-          <h3 className="text-lg font-semibold text-gray-800 mb-2 flex items-center space-x-2">
-            <Filter className="w-4 h-4" />
-            <span>Filtros</span>
-          </h3>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-lg font-semibold text-gray-800 flex items-center space-x-2">
+              <Filter className="w-4 h-4" />
+              <span>Filtros</span>
+            </h3>
+            {/* Búsquedas guardadas: se guardan los filtros aplicados */}
+            <SavedSearchesMenu
+              vista="pendientes"
+              filters={{ mesa: filterMesa, emopick: filterEmopick, metrica: filterMetricType }}
+              canSave={!!(filterMesa || filterEmopick || filterMetricType)}
+              onApply={handleApplySaved}
+              describe={describeSaved}
+            />
+          </div>
 
           {/* Inputs de filtros */}
           <div className="flex gap-2">
@@ -1,141 +1,82 @@
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useState, useMemo } from 'react';
 import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend, ArcElement } from 'chart.js';
 import { Bar, Pie } from 'react-chartjs-2';
-import { supabase } from '../../lib/supabase';
-import { FileText, BarChart3, PieChart, AlertCircle } from 'lucide-react';
+import { FileText, BarChart3, PieChart, AlertCircle, RefreshCw, Layers } from 'lucide-react';
+import { useComicio } from '../../context/ComicioContext';
+import { useEstadisticas } from '../../hooks/useEstadisticas';
+import { DIMENSIONES } from '../../services/estadisticasService';
+import { agruparVotosPorHora } from '../../utils/comicioUtils';
 
 // Registrar los componentes necesarios de Chart.js
 ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend, ArcElement);
 
+// Dimensiones ofrecidas en el desglose de participación
+const DIMENSIONES_DESGLOSE = ['establecimiento', 'sexo', 'clase', 'emopick'];
+
+const SEXO_LABELS = { M: 'Masculino', F: 'Femenino', X: 'No binario' };
+
 /**
  * Componente ReportsStats - Vista de reportes y gráficos estadísticos
  * 
  * Propósito: Proporciona visualizaciones gráficas de los datos electorales
- * incluyendo participación por hora, distribución por localidad y otros
- * indicadores clave del proceso electoral.
+ * incluyendo participación por hora, distribución por localidad y un
+ * desglose por establecimiento, sexo, clase o pick. Los agregados vienen
+ * del servidor y se comparten con la pestaña General (useEstadisticas).
  */
 export default function ReportsStats() {
   // Referencias para los gráficos
   const barChartRef = useRef(null);
   const pieChartRef = useRef(null);
+  // Horario del comicio vigente para agrupar la participación por hora
+  const { comicio } = useComicio();
 
-  // Estados para los datos y carga
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState('');
-  const [participacionPorHora, setParticipacionPorHora] = useState([]);
-  const [participacionPorLocalidad, setParticipacionPorLocalidad] = useState([]);
-
-  /**
-   * Efecto para cargar datos al montar el componente
-   */
-  useEffect(() => {
-    cargarDatosReportes();
-  }, []);
-
-  /**
-   * Carga los datos necesarios para generar los reportes
-   */
-  const cargarDatosReportes = async () => {
-    setIsLoading(true);
-    setError('');
-
-    try {
-      // Obtener datos de participación por hora
-      await cargarParticipacionPorHora();
-      
-      // Obtener datos de participación por localidad
-      await cargarParticipacionPorLocalidad();
-
-    } catch (err) {
-      console.error('Error cargando datos de reportes:', err);
-      setError('Error al cargar los datos de reportes');
-    } finally {
-      setIsLoading(false);
-    }
-  };
-
-  /**
-   * Carga los datos de participación por hora
-   */
-  const cargarParticipacionPorHora = async () => {
-    try {
-      const { data, error } = await supabase
-        .from('padron')
-        .select('voto_pick_at')
-        .eq('voto_emitido', true)
-        .not('voto_pick_at', 'is', null);
-
-      if (error) throw error;
-
-      // Procesar datos por hora (8:00 a 18:00)
-      const datosPorHora = [];
-      for (let hora = 8; hora <= 18; hora++) {
-        const votosEnHora = data.filter(registro => {
-          const fecha = new Date(registro.voto_pick_at);
-          return fecha.getHours() === hora;
-        }).length;
-        
-        datosPorHora.push({
-          hora: `${hora.toString().padStart(2, '0')}:00`,
-          votos: votosEnHora
-        });
-      }
-
-      setParticipacionPorHora(datosPorHora);
-    } catch (error) {
-      console.error('Error cargando participación por hora:', error);
-    }
-  };
+  const [dimension, setDimension] = useState('establecimiento');
 
-  /**
-   * Carga los datos de participación por localidad
-   */
-  const cargarParticipacionPorLocalidad = async () => {
-    try {
-      const { data, error } = await supabase
-        .from('padron')
-        .select(`
-          voto_emitido,
-          mesas!inner(
-            mesa_localidad
-          )
-        `)
-        .not('mesas.mesa_localidad', 'is', null);
+  const { data, isLoading, error, refresh } = useEstadisticas([
+    'votos-por-hora',
+    'participacion:localidad',
+    `participacion:${dimension}`
+  ]);
 
-      if (error) throw error;
+  // Participación por hora, de la apertura al cierre del comicio
+  const participacionPorHora = useMemo(
+    () => (data['votos-por-hora'] ? agruparVotosPorHora(data['votos-por-hora'], comicio) : []),
+    [data, comicio]
+  );
 
-      // Procesar datos por localidad
-      const localidadMap = new Map();
-      
-      data.forEach(registro => {
-        const localidad = registro.mesas?.mesa_localidad;
-        if (localidad) {
-          if (!localidadMap.has(localidad)) {
-            localidadMap.set(localidad, { total: 0, votaron: 0 });
-          }
-          const stats = localidadMap.get(localidad);
-          stats.total += 1;
-          if (registro.voto_emitido) {
-            stats.votaron += 1;
-          }
-        }
-      });
+  // Top 8 localidades por votos emitidos
+  const participacionPorLocalidad = useMemo(
+    () => (data['participacion:localidad'] || [])
+      .filter(row => row.clave !== null && row.empadronados > 0)
+      .map(row => ({
+        localidad: row.clave,
+        total: row.empadronados,
+        votaron: row.votaron,
+        porcentaje: ((row.votaron / row.empadronados) * 100).toFixed(1)
+      }))
+      .sort((a, b) => b.votaron - a.votaron)
+      .slice(0, 8),
+    [data]
+  );
 
-      const datosLocalidad = Array.from(localidadMap.entries())
-        .map(([localidad, stats]) => ({
-          localidad,
-          total: stats.total,
-          votaron: stats.votaron,
-          porcentaje: ((stats.votaron / stats.total) * 100).toFixed(1)
-        }))
-        .sort((a, b) => b.votaron - a.votaron)
-        .slice(0, 8); // Top 8 localidades
+  // Desglose por la dimensión elegida
+  const desglose = useMemo(
+    () => (data[`participacion:${dimension}`] || []).map(row => ({
+      clave: row.clave ?? '',
+      etiqueta: row.clave === null
+        ? DIMENSIONES[dimension].empty
+        : dimension === 'sexo'
+          ? SEXO_LABELS[row.clave] || row.clave
+          : row.etiqueta || row.clave,
+      total: row.empadronados,
+      votaron: row.votaron,
+      porcentaje: row.empadronados > 0 ? ((row.votaron / row.empadronados) * 100).toFixed(1) : '0.0'
+    })),
+    [data, dimension]
+  );
 
-      setParticipacionPorLocalidad(datosLocalidad);
-    } catch (error) {
-      console.error('Error cargando participación por localidad:', error);
-    }
-  };
+  // Sin ningún dato cargado se muestra el error en lugar de los reportes
+  const errorMessage = error && Object.keys(data).length === 0 ? 'Error al cargar los datos de reportes' : '';
 
   // Configuración del gráfico de barras (participación por hora)
   const datosGraficoBarras = {
@@ -244,21 +185,26 @@ export default function ReportsStats() {
               Visualizaciones gráficas de los datos electorales
             </p>
           </div>
-          <div className="flex items-center space-x-2">
-            <BarChart3 className="w-6 h-6 text-blue-600" />
-            <span className="text-sm font-medium text-gray-700">Análisis Visual</span>
-          </div>
+          <button
+            type="button"
+            onClick={refresh}
+            disabled={isLoading}
+            className="flex items-center space-x-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-800 disabled:bg-blue-300 disabled:cursor-not-allowed text-white text-sm font-medium rounded-lg transition-all"
+          >
+            <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+            <span>{isLoading ? 'Actualizando...' : 'Actualizar'}</span>
+          </button>
         </div>
 
-        {isLoading ? (
+        {isLoading && Object.keys(data).length === 0 ? (
           <div className="text-center py-12">
             <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
             <p className="mt-2 text-gray-600">Cargando datos de reportes...</p>
           </div>
-        ) : error ? (
+        ) : errorMessage ? (
           <div className="text-center py-12 text-red-600">
             <AlertCircle className="w-12 h-12 mx-auto mb-3" />
-            <p>{error}</p>
+            <p>{errorMessage}</p>
           </div>
         ) : (
           <div className="space-y-8">
@@ -363,13 +309,79 @@ export default function ReportsStats() {
               </div>
             )}
 
+            {/* Desglose de participación por dimensión */}
+            <div className="bg-white border border-gray-200 rounded-lg p-6">
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <div className="flex items-center space-x-2">
+                  <Layers className="w-5 h-5 text-purple-600" />
+                  <h3 className="text-lg font-semibold text-gray-900">
+                    Participación por {DIMENSIONES[dimension].label}
+                  </h3>
+                </div>
+                <select
+                  value={dimension}
+                  onChange={(e) => setDimension(e.target.value)}
+                  className="px-3 py-1.5 text-sm rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {DIMENSIONES_DESGLOSE.map(key => (
+                    <option key={key} value={key}>{DIMENSIONES[key].label}</option>
+                  ))}
+                </select>
+              </div>
+              {desglose.length === 0 ? (
+                <div className="flex items-center justify-center py-8 text-gray-500">
+                  <FileText className="w-12 h-12 mr-3" />
+                  <span>{error && !data[`participacion:${dimension}`] ? error : 'No hay datos para este desglose'}</span>
+                </div>
+              ) : (
+                <div className="overflow-x-auto max-h-96 overflow-y-auto">
+                  <table className="min-w-full">
+                    <thead className="bg-gray-50 sticky top-0">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                          {DIMENSIONES[dimension].label}
+                        </th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                          Total Empadronados
+                        </th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                          Votos Emitidos
+                        </th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                          Participación
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {desglose.map(row => (
+                        <tr key={row.clave} className="hover:bg-gray-50">
+                          <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">
+                            {row.etiqueta}
+                          </td>
+                          <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                            {row.total.toLocaleString()}
+                          </td>
+                          <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                            {row.votaron.toLocaleString()}
+                          </td>
+                          <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                            {row.porcentaje}%
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
             {/* Información sobre los gráficos */}
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
               <h4 className="text-sm font-semibold text-blue-900 mb-2">
                 ℹ️ Información sobre los Reportes
               </h4>
               <div className="text-sm text-blue-800 space-y-1">
-                <p>• Los gráficos se actualizan automáticamente con los datos más recientes</p>
+                <p>• Los datos se comparten con la pestaña General; use Actualizar para traer los más recientes</p>
                 <p>• La participación por hora muestra la distribución temporal de los votos</p>
                 <p>• La distribución por localidad incluye las 8 localidades con mayor participación</p>
                 <p>• Los porcentajes se calculan en base al total de empadronados por localidad</p>
@@ -0,0 +1,324 @@
+/**
+ * CoberturaCronograma.jsx
+ *
+ * Vista de supervisores del cronograma de muestreo de Mesa Testigo: define
+ * el cronograma de las mesas (CronogramaForm) e informa la cobertura del
+ * día, con los turnos de cada mesa y los que quedaron sin muestra.
+ *
+ * Se usa en CronogramaTestigo para usuarios con `testigo.resultados`.
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { CalendarClock, Plus, RefreshCw, Edit, Trash2, Download, AlertCircle } from 'lucide-react';
+import { useComicio } from '../../context/ComicioContext';
+import { obtenerHorario, minutosAHora } from '../../utils/comicioUtils';
+import { loadTotalesMesas } from '../../services/mesaTotalesService';
+import {
+  loadCronogramas,
+  loadMedicionesDia,
+  eliminarCronograma
+} from '../../services/testigosCronogramaService';
+import {
+  evaluarCronogramas,
+  describeCronograma,
+  formatTurno,
+  getFechaCronograma,
+  TURNO_ESTADOS
+} from '../../utils/testigosCronograma';
+import { formatPercentage } from '../../utils/testigosUtils';
+import { convertToCSV, downloadFile } from '../../utils/exportUtils';
+import CronogramaForm from './CronogramaForm';
+
+// Cada cuánto se reevalúan los turnos con mediciones actualizadas
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+export default function CoberturaCronograma() {
+  const { comicio } = useComicio();
+  const horario = useMemo(() => obtenerHorario(comicio), [comicio]);
+
+  const [cronogramas, setCronogramas] = useState([]);
+  const [mediciones, setMediciones] = useState([]);
+  const [mesas, setMesas] = useState([]);
+  const [ahora, setAhora] = useState(() => new Date());
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [formInitial, setFormInitial] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [soloAtrasadas, setSoloAtrasadas] = useState(false);
+
+  const fecha = getFechaCronograma(comicio, ahora);
+
+  const fetchData = useCallback(async ({ silent = false } = {}) => {
+    if (!silent) setIsLoading(true);
+    setError('');
+    try {
+      const [cronogramasData, medicionesData] = await Promise.all([
+        loadCronogramas(),
+        loadMedicionesDia(fecha)
+      ]);
+      setCronogramas(cronogramasData);
+      setMediciones(medicionesData);
+      setAhora(new Date());
+    } catch (err) {
+      console.error('Error loading sampling coverage:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fecha]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  useEffect(() => {
+    const timer = setInterval(() => fetchData({ silent: true }), REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [fetchData]);
+
+  // Las mesas solo hacen falta para el formulario
+  useEffect(() => {
+    if (!showForm || mesas.length > 0) return;
+    loadTotalesMesas()
+      .then(setMesas)
+      .catch(err => {
+        console.error('Error loading mesas:', err);
+        setError(err.message);
+      });
+  }, [showForm, mesas.length]);
+
+  const cobertura = useMemo(
+    () => evaluarCronogramas(cronogramas, mediciones, horario, fecha, ahora),
+    [cronogramas, mediciones, horario, fecha, ahora]
+  );
+
+  const totales = useMemo(() => {
+    const sum = (key) => cobertura.reduce((acc, item) => acc + item.resumen[key], 0);
+    const completos = sum('completo');
+    const atrasados = sum('atrasado');
+    return {
+      mesas: cobertura.length,
+      total: sum('total'),
+      completos,
+      atrasados,
+      cobertura: completos + atrasados > 0 ? (completos / (completos + atrasados)) * 100 : null
+    };
+  }, [cobertura]);
+
+  const visibles = soloAtrasadas ? cobertura.filter(item => item.resumen.atrasado > 0) : cobertura;
+
+  const openForm = (initial = null) => {
+    setFormInitial(initial);
+    setShowForm(true);
+  };
+
+  const handleSaved = () => {
+    setShowForm(false);
+    setFormInitial(null);
+    fetchData();
+  };
+
+  const handleDelete = async (mesaNumero) => {
+    if (!window.confirm(`¿Eliminar el cronograma de la mesa ${mesaNumero}?`)) return;
+    try {
+      await eliminarCronograma(mesaNumero);
+      setCronogramas(prev => prev.filter(item => item.mesa_numero !== mesaNumero));
+    } catch (err) {
+      console.error('Error deleting sampling schedule:', err);
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Exporta los turnos sin muestra (atrasados) del día
+   */
+  const handleExport = () => {
+    const rows = cobertura.flatMap(({ cronograma, turnos }) => turnos
+      .filter(turno => turno.estado === 'atrasado')
+      .map(turno => ({
+        Fecha: fecha,
+        Mesa: cronograma.mesa_numero,
+        Localidad: cronograma.mesas?.mesa_localidad || '',
+        Establecimiento: cronograma.mesas?.establecimientos?.nombre || '',
+        Turno: formatTurno(turno)
+      })));
+    downloadFile(convertToCSV(rows), `turnos_omitidos_${fecha}.csv`, 'text/csv;charset=utf-8;');
+  };
+
+  return (
+    <div className="space-y-6">
+      {showForm && (
+        <CronogramaForm
+          mesas={mesas}
+          horario={horario}
+          initial={formInitial}
+          onSaved={handleSaved}
+          onCancel={() => setShowForm(false)}
+        />
+      )}
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+          <div className="flex items-center space-x-3">
+            <CalendarClock className="w-6 h-6 text-blue-600" />
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Cobertura del cronograma</h3>
+              <p className="text-sm text-gray-600">Turnos del {fecha.split('-').reverse().join('/')}</p>
+            </div>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => fetchData()}
+              disabled={isLoading}
+              className="flex items-center space-x-2 px-3 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+              <span className="hidden sm:inline">Actualizar</span>
+            </button>
+            <button
+              onClick={handleExport}
+              disabled={totales.atrasados === 0}
+              className="flex items-center space-x-2 px-3 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+              title="Exportar los turnos sin muestra"
+            >
+              <Download className="w-4 h-4" />
+              <span className="hidden sm:inline">Omitidos</span>
+            </button>
+            <button
+              onClick={() => openForm()}
+              className="flex items-center space-x-2 px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Cronograma</span>
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center space-x-2">
+            <AlertCircle className="w-5 h-5 text-red-600" />
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+          <div className="bg-gray-50 rounded-lg p-4 text-center">
+            <p className="text-2xl font-bold text-gray-900">{totales.mesas}</p>
+            <p className="text-sm text-gray-600">Mesas con cronograma</p>
+          </div>
+          <div className="bg-gray-50 rounded-lg p-4 text-center">
+            <p className="text-2xl font-bold text-gray-900">{totales.total}</p>
+            <p className="text-sm text-gray-600">Turnos del día</p>
+          </div>
+          <div className="bg-green-50 rounded-lg p-4 text-center">
+            <p className="text-2xl font-bold text-green-700">{totales.completos}</p>
+            <p className="text-sm text-gray-600">Completos</p>
+          </div>
+          <div className="bg-red-50 rounded-lg p-4 text-center">
+            <p className="text-2xl font-bold text-red-700">{totales.atrasados}</p>
+            <p className="text-sm text-gray-600">Sin muestra</p>
+          </div>
+          <div className="bg-blue-50 rounded-lg p-4 text-center">
+            <p className="text-2xl font-bold text-blue-700">
+              {totales.cobertura === null ? '—' : formatPercentage(totales.cobertura)}
+            </p>
+            <p className="text-sm text-gray-600">Cobertura</p>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(TURNO_ESTADOS).map(([estado, { label, color }]) => (
+              <span key={estado} className={`px-2 py-0.5 text-xs rounded-full border ${color}`}>{label}</span>
+            ))}
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={soloAtrasadas}
+              onChange={(e) => setSoloAtrasadas(e.target.checked)}
+              className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+            />
+            <span>Solo mesas con turnos sin muestra</span>
+          </label>
+        </div>
+
+        {isLoading && cobertura.length === 0 ? (
+          <div className="text-center py-8">
+            <div className="w-8 h-8 border-4 border-blue-600 border-t-transparent rounded-full animate-spin mx-auto"></div>
+          </div>
+        ) : visibles.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">
+            {cobertura.length === 0
+              ? 'Ninguna mesa tiene cronograma de muestreo'
+              : 'Ninguna mesa tiene turnos sin muestra'}
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Mesa</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cronograma</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Turnos</th>
+                  <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Cobertura</th>
+                  <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Acciones</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {visibles.map(({ cronograma, turnos, resumen }) => (
+                  <tr key={cronograma.mesa_numero} className="hover:bg-gray-50 align-top">
+                    <td className="px-4 py-3 text-sm">
+                      <p className="font-medium text-gray-900">{cronograma.mesa_numero}</p>
+                      <p className="text-xs text-gray-500">{cronograma.mesas?.mesa_localidad || 'Sin localidad'}</p>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">
+                      {describeCronograma(cronograma, horario)}
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="flex flex-wrap gap-1">
+                        {turnos.map(turno => (
+                          <span
+                            key={turno.inicio}
+                            title={`${formatTurno(turno)} · ${TURNO_ESTADOS[turno.estado].label}`}
+                            className={`px-1.5 py-0.5 text-xs rounded border ${TURNO_ESTADOS[turno.estado].color}`}
+                          >
+                            {minutosAHora(turno.inicio)}
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-center text-sm whitespace-nowrap">
+                      <p className="font-medium text-gray-900">
+                        {resumen.cobertura === null ? '—' : formatPercentage(resumen.cobertura)}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {resumen.completo}/{resumen.evaluados} turnos
+                      </p>
+                    </td>
+                    <td className="px-4 py-3 text-center whitespace-nowrap">
+                      <button
+                        onClick={() => openForm({ ...cronograma, mesas: [cronograma.mesa_numero] })}
+                        className="p-1 text-blue-600 hover:text-blue-800"
+                        title="Editar cronograma"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(cronograma.mesa_numero)}
+                        className="p-1 text-red-600 hover:text-red-800"
+                        title="Eliminar cronograma"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,224 @@
+/**
+ * CronogramaForm.jsx
+ *
+ * Formulario para definir el cronograma de muestreo de una o varias mesas:
+ * intervalo entre muestras y horario (vacío = horario del comicio). Guardar
+ * reemplaza el cronograma de las mesas seleccionadas.
+ *
+ * Se usa en CoberturaCronograma.
+ *
+ * Props:
+ * @param {Array<Object>} mesas     - Mesas disponibles (ver `loadTotalesMesas`).
+ * @param {Object}        horario   - Horario del comicio en minutos.
+ * @param {Object|null}   initial   - Valores a editar: {mesas: number[], intervalo_minutos, hora_desde, hora_hasta}.
+ * @param {Function}      onSaved   - Callback con los cronogramas guardados.
+ * @param {Function}      onCancel  - Callback al cancelar.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { Save, X } from 'lucide-react';
+import { guardarCronogramas } from '../../services/testigosCronogramaService';
+import { minutosAHora, horaAMinutos } from '../../utils/comicioUtils';
+import { CRONOGRAMA_INTERVALOS } from '../../utils/testigosCronograma';
+
+const SIN_LOCALIDAD = 'Sin localidad';
+
+export default function CronogramaForm({ mesas, horario, initial, onSaved, onCancel }) {
+  const [selected, setSelected] = useState(new Set());
+  const [localidad, setLocalidad] = useState('');
+  const [intervalo, setIntervalo] = useState(60);
+  const [desde, setDesde] = useState('');
+  const [hasta, setHasta] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setSelected(new Set(initial?.mesas || []));
+    setIntervalo(initial?.intervalo_minutos || 60);
+    setDesde(initial?.hora_desde?.slice(0, 5) || '');
+    setHasta(initial?.hora_hasta?.slice(0, 5) || '');
+    setError('');
+  }, [initial]);
+
+  const localidades = useMemo(
+    () => [...new Set(mesas.map(mesa => mesa.mesa_localidad || SIN_LOCALIDAD))].sort(),
+    [mesas]
+  );
+
+  const visibleMesas = useMemo(
+    () => mesas
+      .filter(mesa => !localidad || (mesa.mesa_localidad || SIN_LOCALIDAD) === localidad)
+      .sort((a, b) => a.numero - b.numero),
+    [mesas, localidad]
+  );
+
+  const allVisibleSelected = visibleMesas.length > 0 && visibleMesas.every(mesa => selected.has(mesa.numero));
+
+  const toggleMesa = (numero) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(numero)) next.delete(numero);
+      else next.add(numero);
+      return next;
+    });
+  };
+
+  const toggleAllVisible = () => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      visibleMesas.forEach(mesa => {
+        if (allVisibleSelected) next.delete(mesa.numero);
+        else next.add(mesa.numero);
+      });
+      return next;
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (selected.size === 0) {
+      setError('Seleccione al menos una mesa');
+      return;
+    }
+    const desdeMin = horaAMinutos(desde) ?? horario.apertura;
+    const hastaMin = horaAMinutos(hasta) ?? horario.cierre;
+    if (hastaMin <= desdeMin) {
+      setError('La hora de fin debe ser posterior a la de inicio');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const saved = await guardarCronogramas([...selected], {
+        intervalo_minutos: Number(intervalo),
+        hora_desde: desde || null,
+        hora_hasta: hasta || null
+      });
+      onSaved(saved);
+    } catch (err) {
+      console.error('Error saving sampling schedule:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">Definir cronograma</h3>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-gray-400 hover:text-gray-600 transition-colors"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Intervalo</label>
+          <select
+            value={intervalo}
+            onChange={(e) => setIntervalo(e.target.value)}
+            className="w-full px-3 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            {CRONOGRAMA_INTERVALOS.map(minutos => (
+              <option key={minutos} value={minutos}>Cada {minutos} minutos</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Desde</label>
+          <input
+            type="time"
+            value={desde}
+            onChange={(e) => setDesde(e.target.value)}
+            className="w-full px-3 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <p className="text-xs text-gray-500 mt-1">Vacío: apertura ({minutosAHora(horario.apertura)})</p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Hasta</label>
+          <input
+            type="time"
+            value={hasta}
+            onChange={(e) => setHasta(e.target.value)}
+            className="w-full px-3 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <p className="text-xs text-gray-500 mt-1">Vacío: cierre ({minutosAHora(horario.cierre)})</p>
+        </div>
+      </div>
+
+      <div>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <label className="text-sm font-medium text-gray-700">
+            Mesas ({selected.size} seleccionadas)
+          </label>
+          <div className="flex items-center space-x-3">
+            <select
+              value={localidad}
+              onChange={(e) => setLocalidad(e.target.value)}
+              className="px-3 py-1 text-sm rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">Todas las localidades</option>
+              {localidades.map(nombre => (
+                <option key={nombre} value={nombre}>{nombre}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={toggleAllVisible}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              {allVisibleSelected ? 'Quitar todas' : 'Seleccionar todas'}
+            </button>
+          </div>
+        </div>
+        <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-lg p-3 grid grid-cols-4 sm:grid-cols-6 md:grid-cols-10 gap-2">
+          {visibleMesas.map(mesa => (
+            <label key={mesa.numero} className="flex items-center space-x-1 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={selected.has(mesa.numero)}
+                onChange={() => toggleMesa(mesa.numero)}
+                className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+              />
+              <span>{mesa.numero}</span>
+            </label>
+          ))}
+          {visibleMesas.length === 0 && (
+            <p className="col-span-full text-sm text-gray-500">No hay mesas con empadronados</p>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
+        >
+          Cancelar
+        </button>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {isSaving ? (
+            <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+          ) : (
+            <Save className="w-4 h-4" />
+          )}
+          <span>Guardar</span>
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,127 @@
+/**
+ * CronogramaTestigo.jsx
+ *
+ * Pestaña Cronograma de Mesa Testigo:
+ * - Supervisores (`testigo.resultados`): definen los cronogramas y ven la
+ *   cobertura de todas las mesas (CoberturaCronograma).
+ * - Fiscales (`testigo.muestreo`): ven los turnos de su mesa y cuáles tocan,
+ *   están atrasados o completos (useCronogramaTestigo).
+ *
+ * Se usa en TestigoView.
+ */
+
+import React from 'react';
+import { CalendarClock, AlertCircle, RefreshCw } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { useCan } from '../../hooks/useCan';
+import { useCronogramaTestigo } from '../../hooks/useCronogramaTestigo';
+import { describeCronograma, formatTurno, TURNO_ESTADOS } from '../../utils/testigosCronograma';
+import { formatPercentage } from '../../utils/testigosUtils';
+import CoberturaCronograma from './CoberturaCronograma';
+
+/**
+ * Turnos de la mesa asignada al fiscal
+ */
+function CronogramaMesa({ mesaNumero }) {
+  const { cronograma, turnos, resumen, horario, isLoading, error, refresh } = useCronogramaTestigo(mesaNumero);
+
+  const formatHora = (dateString) => new Date(dateString).toLocaleTimeString('es-AR', {
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center space-x-3">
+          <CalendarClock className="w-6 h-6 text-blue-600" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Cronograma de la mesa {mesaNumero}</h3>
+            {cronograma && (
+              <p className="text-sm text-gray-600">Una muestra {describeCronograma(cronograma, horario)}</p>
+            )}
+          </div>
+        </div>
+        <button
+          onClick={() => refresh()}
+          disabled={isLoading}
+          className="p-2 text-gray-600 hover:text-gray-900 disabled:opacity-50"
+          title="Actualizar"
+        >
+          <RefreshCw className={`w-5 h-5 ${isLoading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center space-x-2">
+          <AlertCircle className="w-5 h-5 text-red-600" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {!cronograma ? (
+        <div className="text-center py-8 text-gray-500">
+          {isLoading ? 'Cargando cronograma...' : 'Su mesa no tiene cronograma de muestreo'}
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 gap-4 mb-6">
+            <div className="bg-green-50 rounded-lg p-4 text-center">
+              <p className="text-2xl font-bold text-green-700">{resumen.completo}</p>
+              <p className="text-sm text-gray-600">Completos</p>
+            </div>
+            <div className="bg-red-50 rounded-lg p-4 text-center">
+              <p className="text-2xl font-bold text-red-700">{resumen.atrasado}</p>
+              <p className="text-sm text-gray-600">Atrasados</p>
+            </div>
+            <div className="bg-blue-50 rounded-lg p-4 text-center">
+              <p className="text-2xl font-bold text-blue-700">
+                {resumen.cobertura === null ? '—' : formatPercentage(resumen.cobertura)}
+              </p>
+              <p className="text-sm text-gray-600">Cobertura</p>
+            </div>
+          </div>
+
+          <ul className="divide-y divide-gray-200">
+            {turnos.map(turno => (
+              <li key={turno.inicio} className="flex items-center justify-between py-3">
+                <span className="font-medium text-gray-900">{formatTurno(turno)}</span>
+                <div className="flex items-center space-x-3">
+                  {turno.medicion && (
+                    <span className="text-xs text-gray-500">Iniciada {formatHora(turno.medicion.user_at)}</span>
+                  )}
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full border ${TURNO_ESTADOS[turno.estado].color}`}>
+                    {TURNO_ESTADOS[turno.estado].label}
+                  </span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function CronogramaTestigo() {
+  const { user } = useAuth();
+  const can = useCan();
+
+  if (can('testigo.resultados')) {
+    return <CoberturaCronograma />;
+  }
+
+  if (!user?.mesa_numero) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <div className="text-center py-12">
+          <AlertCircle className="w-16 h-16 text-yellow-400 mx-auto mb-4" />
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">Sin mesa asignada</h3>
+          <p className="text-gray-600">Necesita una mesa asignada para ver su cronograma de muestreo</p>
+        </div>
+      </div>
+    );
+  }
+
+  return <CronogramaMesa mesaNumero={user.mesa_numero} />;
+}
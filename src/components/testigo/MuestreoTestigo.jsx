@@ -1,286 +1,103 @@
-import React, { useState, useEffect } from 'react';
-import { ScanEye, Play, Square, AlertCircle, CheckCircle, X, Clock, Users, Calculator } from 'lucide-react';
+import React, { useState } from 'react';
+import { ScanEye, Play, Square, AlertCircle, CheckCircle, X, Clock, Users, Calculator, Ban, Timer } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
-import { supabase } from '../../lib/supabase';
+import { useCan } from '../../hooks/useCan';
+import { useTestigos } from '../../hooks/UseTestigos';
+import { calculateTestigoPercentage, TESTIGO_ESTADOS } from '../../utils/testigosUtils';
 
 /**
  * Componente MuestreoTestigo - Vista de muestreo para usuarios tipo 3 y 4
  * 
  * Propósito: Permite a los fiscales iniciar y finalizar controles de mesa,
  * registrar datos de pilas y votos, y ver sus propios registros de testigos.
+ *
+ * El ciclo de la medición (una sola en curso por mesa, cierre automático de
+ * las abandonadas, validez de la muestra) lo maneja el hook useTestigos.
  */
 export default function MuestreoTestigo() {
   const { user } = useAuth();
-
-  // Estados para los campos de entrada y cálculos
+  const can = useCan();
+
+  const {
+    records: testigosRecords,
+    isLoading: isLoadingRecords,
+    isSaving: isLoading,
+    error,
+    activeRecord,
+    isMeasuring,
+    startTime: userAt,
+    vencimiento,
+    votosDiferencia,
+    startMeasurement,
+    finalizeMeasurement,
+    cancelMeasurement,
+    toggleSampleValidity,
+    clearError
+  } = useTestigos(user?.mesa_numero, user?.id);
+
+  // Estados para los campos de entrada
   const [pilaInicio, setPilaInicio] = useState('');
   const [pilaRetirada, setPilaRetirada] = useState('');
-  const [pilaFaltante, setPilaFaltante] = useState(0);
-  const [votosInicio, setVotosInicio] = useState(0);
-  const [votosActuales, setVotosActuales] = useState(0);
-  const [votosDiferencia, setVotosDiferencia] = useState(0);
-  const [porcentajePilaFaltante, setPorcentajePilaFaltante] = useState(0);
-
-  // Estados para el control de medición
-  const [isMeasuring, setIsMeasuring] = useState(false);
-  const [currentTestigoId, setCurrentTestigoId] = useState(null);
-  const [userAt, setUserAt] = useState('');
 
-  // Estados para modales y carga
+  // Estados para modales
   const [showConfirmModal, setShowConfirmModal] = useState(false);
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState('');
 
-  // Estados para la lista de registros
-  const [testigosRecords, setTestigosRecords] = useState([]);
-  const [isLoadingRecords, setIsLoadingRecords] = useState(false);
-
-  /**
-   * Efecto para cargar registros al montar el componente
-   */
-  useEffect(() => {
-    if (user?.mesa_numero) {
-      fetchTestigosRecords();
-    }
-  }, [user?.mesa_numero]);
+  // Medición abierta por otro usuario en la misma mesa
+  const blockedBy = activeRecord && !isMeasuring ? activeRecord : null;
 
-  /**
-   * Efecto para calcular valores derivados cuando cambian los campos base
-   */
-  useEffect(() => {
-    const inicio = parseInt(pilaInicio) || 0;
-    const retirada = parseInt(pilaRetirada) || 0;
-    const faltante = inicio - retirada;
-    
-    setPilaFaltante(faltante);
-    
-    if (votosDiferencia > 0) {
-      setPorcentajePilaFaltante(((faltante / votosDiferencia) * 100).toFixed(1));
-    } else {
-      setPorcentajePilaFaltante(0);
-    }
-  }, [pilaInicio, pilaRetirada, votosDiferencia]);
+  // Durante la medición la pila inicial es la registrada al iniciar
+  const pilaInicioActual = isMeasuring ? String(activeRecord.pila_inicio) : pilaInicio;
+  const pilaFaltante = (parseInt(pilaInicioActual) || 0) - (parseInt(pilaRetirada) || 0);
+  const porcentajePilaFaltante = calculateTestigoPercentage(pilaFaltante, votosDiferencia).toFixed(1);
 
   /**
-   * Obtiene el conteo actual de votos emitidos en la mesa
+   * Inicia un nuevo control de mesa
    */
-const fetchCurrentVoteCount = async () => {
-  if (!user?.mesa_numero) return 0;
-
-  try {
-    const { data, error } = await supabase
-      .from('mesas')
-      .select('total_votaron', { head: true })
-      .eq('numero', user.mesa_numero);
-
-    if (error) {
-      console.error('Error fetching vote count from mesas:', error);
-      return 0;
+  const handleIniciarControl = async () => {
+    try {
+      await startMeasurement(pilaInicio);
+      setPilaInicio('');
+      setPilaRetirada('');
+    } catch {
+      // El hook deja el mensaje en `error`
     }
+  };
 
-    return data?.length ? data[0].total_votaron || 0 : 0;
-  } catch (error) {
-    console.error('Error:', error);
-    return 0;
-  }
-};
   /**
-   * Obtiene los registros de testigos de la mesa del usuario
+   * Finaliza el control actual
    */
-  const fetchTestigosRecords = async () => {
-    if (!user?.mesa_numero) return;
-
-    setIsLoadingRecords(true);
+  const handleFinalizarControl = async () => {
     try {
-      const { data, error } = await supabase
-        .from('testigos')
-        .select(`
-          *,
-          profiles!testigos_user_id_fkey(
-            full_name
-          )
-        `)
-        .eq('mesa_numero', user.mesa_numero)
-        .order('user_at', { ascending: false });
-
-      if (error) {
-        console.error('Error fetching testigos records:', error);
-        setError('Error al cargar registros de testigos');
-      } else {
-        setTestigosRecords(data || []);
-      }
-    } catch (error) {
-      console.error('Error:', error);
-      setError('Error al cargar registros de testigos');
+      await finalizeMeasurement(pilaRetirada);
+      setPilaRetirada('');
+    } catch {
+      // El hook deja el mensaje en `error` (incluida la medición vencida)
     } finally {
-      setIsLoadingRecords(false);
+      setShowConfirmModal(false);
     }
   };
 
   /**
-   * Inicia un nuevo control de mesa
-   */
-const handleIniciarControl = async () => {
-  if (!user?.mesa_numero) {
-    setError('No tiene mesa asignada');
-    return;
-  }
-
-  const pilaInicioNum = parseInt(pilaInicio);
-  if (isNaN(pilaInicioNum) || pilaInicioNum <= 0) {
-    setError('La pila inicial debe ser un número mayor a 0');
-    return;
-  }
-
-  if (pilaInicioNum > 1000) {
-    setError('La pila inicial parece demasiado alta (máx 1000)');
-    return;
-  }
-
-  setIsLoading(true);
-  setError('');
-
-  try {
-    const currentVotes = await fetchCurrentVoteCount();
-    setVotosInicio(currentVotes);
-
-    const now = new Date();
-    const { data, error } = await supabase
-      .from('testigos')
-      .insert({
-        mesa_numero: user.mesa_numero,
-        pila_inicio: pilaInicioNum,
-        votos_inicio: currentVotes,
-        user_id: user.id,
-        user_at: now.toISOString()
-      })
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Error creating testigo record:', error);
-      // Mejor mensaje según error
-      if (error.code === '23505') {
-        setError('Ya existe un registro de inicio para esta medición');
-      } else if (error.message.includes('new row violates row-level security')) {
-        setError('No tiene permisos para registrar en esta mesa');
-      } else {
-        setError('Error al iniciar el control: ' + (error.message || 'Desconocido'));
-      }
-      return;
-    }
-
-    setCurrentTestigoId(data.id);
-    setUserAt(now.toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit' }));
-    setIsMeasuring(true);
-    setVotosInicio(currentVotes);
-
-    // Resetear error y refrescar
-    setError('');
-    fetchTestigosRecords();
-
-  } catch (err) {
-    console.error('Error inesperado:', err);
-    setError('Error inesperado al iniciar: ' + err.message);
-  } finally {
-    setIsLoading(false);
-  }
-};
-  
-  /**
-   * Finaliza el control actual
+   * Cancela el control actual sin registrar datos
    */
-const handleFinalizarControl = async () => {
-  if (!currentTestigoId) {
-    setError('No hay un control en curso para finalizar');
-    return;
-  }
-
-  const pilaRetiradaNum = parseInt(pilaRetirada);
-  if (isNaN(pilaRetiradaNum) || pilaRetiradaNum < 0) {
-    setError('La pila retirada debe ser un número válido (0 o más)');
-    return;
-  }
-
-  const pilaInicioNum = parseInt(pilaInicio);
-  if (pilaRetiradaNum > pilaInicioNum) {
-    setError('La pila retirada no puede ser mayor que la pila inicial');
-    return;
-  }
-
-  setIsLoading(true);
-  setError('');
-
-  try {
-    const currentVotes = await fetchCurrentVoteCount();
-    const diferencia = currentVotes - votosInicio;
-
-    const faltante = pilaInicioNum - pilaRetiradaNum;
-
-    const { error } = await supabase
-      .from('testigos')
-      .update({
-        pila_inicio: pilaInicioNum,
-        pila_faltante: faltante,
-        votos_diferencia: diferencia,
-        muestra_valida: true
-      })
-      .eq('id', currentTestigoId);
-
-    if (error) {
-      console.error('Error updating testigo record:', error);
-      setError('Error al finalizar el control: ' + error.message);
-      return;
+  const handleCancelarControl = async () => {
+    if (!window.confirm('¿Cancelar la medición en curso? Se descartará sin registrar datos.')) return;
+    try {
+      await cancelMeasurement();
+      setPilaRetirada('');
+    } catch {
+      // El hook deja el mensaje en `error`
     }
+  };
 
-    // Resetear todo
-    setIsMeasuring(false);
-    setCurrentTestigoId(null);
-    setShowConfirmModal(false);
-    setPilaInicio('');
-    setPilaRetirada('');
-    setUserAt('');
-    setVotosDiferencia(0);
-    setPorcentajePilaFaltante(0);
-
-    fetchTestigosRecords();
-
-  } catch (err) {
-    console.error('Error:', err);
-    setError('Error al finalizar el control');
-  } finally {
-    setIsLoading(false);
-  }
-};
-  
   /**
    * Actualiza el estado de muestra_valida de un registro
    */
   const handleToggleMuestraValida = async (testigoId, newValue) => {
     try {
-      const { error } = await supabase
-        .from('testigos')
-        .update({ muestra_valida: newValue })
-        .eq('id', testigoId);
-
-      if (error) {
-        console.error('Error updating muestra_valida:', error);
-        alert('Error al actualizar el estado de la muestra');
-        return;
-      }
-
-      // Actualizar estado local
-      setTestigosRecords(prev => 
-        prev.map(record => 
-          record.id === testigoId 
-            ? { ...record, muestra_valida: newValue }
-            : record
-        )
-      );
-
-    } catch (error) {
-      console.error('Error:', error);
-      alert('Error al actualizar el estado de la muestra');
+      await toggleSampleValidity(testigoId, newValue);
+    } catch {
+      // El hook deja el mensaje en `error`
     }
   };
 
@@ -300,7 +117,7 @@ const handleFinalizarControl = async () => {
   };
 
   // Verificar permisos
-  if (!user || user.usuario_tipo > 4) {
+  if (!user || !can('testigo.muestreo')) {
     return (
       <div className="bg-white rounded-xl shadow-lg p-6">
         <div className="text-center py-12">
@@ -335,8 +152,16 @@ const handleFinalizarControl = async () => {
               Control de Mesa N° {user.mesa_numero}
             </h3>
             <p className="text-gray-600 mt-1">
-              {isMeasuring ? 'Medición en curso' : 'Listo para iniciar medición'}
+              {isMeasuring ? 'Medición en curso' : blockedBy ? 'Medición en curso de otro usuario' : 'Listo para iniciar medición'}
             </p>
+            {isMeasuring && vencimiento && (
+              <p className="flex items-center space-x-1 text-xs text-gray-500 mt-1">
+                <Timer className="w-3 h-3" />
+                <span>
+                  Se cierra automáticamente a las {vencimiento.toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit' })} si no se finaliza
+                </span>
+              </p>
+            )}
           </div>
           <div className="flex items-center space-x-2">
             <div className={`w-3 h-3 rounded-full ${isMeasuring ? 'bg-green-500' : 'bg-gray-400'}`}></div>
@@ -358,9 +183,9 @@ const handleFinalizarControl = async () => {
               </label>
               <input
                 type="number"
-                value={pilaInicio}
+                value={pilaInicioActual}
                 onChange={(e) => setPilaInicio(e.target.value)}
-                disabled={isMeasuring}
+                disabled={isMeasuring || Boolean(blockedBy)}
                 className="w-full px-3 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 disabled:bg-gray-100"
                 placeholder="0"
               />
@@ -421,11 +246,34 @@ const handleFinalizarControl = async () => {
           </div>
         </div>
 
-        {/* Botón de control */}
-        <div className="flex justify-center">
+        {/* Medición abierta por otro usuario: no se puede iniciar otra en la mesa */}
+        {blockedBy && (
+          <div className="flex items-start space-x-2 mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+            <Clock className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            <span>
+              {blockedBy.profiles?.full_name || 'Otro usuario'} inició una medición a las{' '}
+              {new Date(blockedBy.user_at).toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit' })}.
+              Podrá iniciar una nueva cuando la finalice o cuando venza
+              {vencimiento && ` (${vencimiento.toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit' })})`}.
+            </span>
+          </div>
+        )}
+
+        {/* Botones de control */}
+        <div className="flex justify-center space-x-3">
+          {isMeasuring && (
+            <button
+              onClick={handleCancelarControl}
+              disabled={isLoading}
+              className="flex items-center space-x-2 px-6 py-3 rounded-lg font-medium bg-gray-600 hover:bg-gray-700 text-white transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Ban className="w-5 h-5" />
+              <span>CANCELAR</span>
+            </button>
+          )}
           <button
-            onClick={isMeasuring ? () => setShowConfirmModal(true) : handleIniciarControl}
-            disabled={isLoading}
+            onClick={isMeasuring ? () => { clearError(); setShowConfirmModal(true); } : handleIniciarControl}
+            disabled={isLoading || Boolean(blockedBy)}
             className={`flex items-center space-x-2 px-8 py-3 rounded-lg font-medium transition-all duration-200 ${
               isMeasuring
                 ? 'bg-red-600 hover:bg-red-700 text-white'
@@ -486,6 +334,9 @@ const handleFinalizarControl = async () => {
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Usuario
                   </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Estado
+                  </th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Pila Faltante
                   </th>
@@ -503,6 +354,8 @@ const handleFinalizarControl = async () => {
                     ? ((record.pila_faltante / record.votos_diferencia) * 100).toFixed(1)
                     : '0.0';
                   
+                  const estado = TESTIGO_ESTADOS[record.estado] || TESTIGO_ESTADOS.finalizada;
+
                   return (
                     <tr key={record.id} className="hover:bg-gray-50">
                       <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
@@ -514,6 +367,14 @@ const handleFinalizarControl = async () => {
                       <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
                         {record.profiles?.full_name || 'N/A'}
                       </td>
+                      <td className="px-4 py-4 text-sm text-gray-900">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${estado.color}`}>
+                          {estado.label}
+                        </span>
+                        {record.observacion && (
+                          <p className="mt-1 text-xs text-gray-500 max-w-xs">{record.observacion}</p>
+                        )}
+                      </td>
                       <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
                         {record.pila_faltante || 0}
                       </td>
@@ -531,8 +392,12 @@ const handleFinalizarControl = async () => {
                           type="checkbox"
                           checked={record.muestra_valida || false}
                           onChange={(e) => handleToggleMuestraValida(record.id, e.target.checked)}
-                          className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 focus:ring-2"
+                          disabled={record.estado !== 'finalizada' || isLoading}
+                          className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 focus:ring-2 disabled:opacity-50"
                         />
+                        {record.revisor?.full_name && (
+                          <p className="mt-1 text-xs text-gray-500">Revisada por {record.revisor.full_name}</p>
+                        )}
                       </td>
                     </tr>
                   );
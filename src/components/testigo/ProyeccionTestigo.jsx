@@ -0,0 +1,334 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { TrendingUp, RefreshCw, AlertCircle, Target, Percent, Scale, Info } from 'lucide-react';
+import { supabase } from '../../lib/supabase';
+import { useComicio } from '../../context/ComicioContext';
+import { obtenerHorario } from '../../utils/comicioUtils';
+import { loadTotalesMesas } from '../../services/mesaTotalesService';
+import { formatPercentage } from '../../utils/testigosUtils';
+import {
+  projectParticipation,
+  STRATIFY_OPTIONS,
+  MIN_MESAS_ESTRATO
+} from '../../utils/testigosProjection';
+
+/**
+ * Componente ProyeccionTestigo - Proyección de participación desde las mesas testigo
+ *
+ * Propósito: Estima la participación real (actual y al cierre) corrigiendo los
+ * votos registrados en la aplicación con el factor medido en las mesas testigo,
+ * por estrato (localidad o circuito) y total, con intervalos de confianza del 95%.
+ * Muestra también las mesas que más influyen en la estimación.
+ *
+ * El cálculo está en `utils/testigosProjection.js`; los totales de mesas en
+ * `mesaTotalesService` y las curvas de participación en ComicioContext.
+ *
+ * Se usa dentro de ResultadosTestigo.
+ */
+
+const MAX_INFLUENCE_ROWS = 10;
+
+/**
+ * Formatea un intervalo de confianza, o un guion si no se puede calcular
+ */
+const formatInterval = (estimate) => (
+  estimate?.lower !== null && estimate?.lower !== undefined
+    ? `${formatPercentage(estimate.lower)} – ${formatPercentage(estimate.upper)}`
+    : '—'
+);
+
+/**
+ * Barra 0-100% con la participación registrada, el intervalo de confianza y la estimación
+ */
+const UncertaintyBar = ({ recorded, estimate }) => (
+  <div className="relative h-3 w-full min-w-[120px] bg-gray-100 rounded-full" title={`IC 95%: ${formatInterval(estimate)}`}>
+    {estimate?.lower !== null && estimate?.lower !== undefined && (
+      <div
+        className="absolute inset-y-0 bg-blue-200 rounded-full"
+        style={{ left: `${estimate.lower}%`, width: `${Math.max(estimate.upper - estimate.lower, 0.5)}%` }}
+      />
+    )}
+    <div className="absolute inset-y-0 w-0.5 bg-gray-500" style={{ left: `${recorded}%` }} />
+    {estimate && (
+      <div
+        className="absolute top-1/2 w-2.5 h-2.5 -mt-[5px] -ml-[5px] bg-blue-700 rounded-full"
+        style={{ left: `${estimate.value}%` }}
+      />
+    )}
+  </div>
+);
+
+export default function ProyeccionTestigo() {
+  const { comicio, curvas } = useComicio();
+
+  const [stratifyBy, setStratifyBy] = useState('localidad');
+  const [samples, setSamples] = useState([]);
+  const [mesas, setMesas] = useState([]);
+  const [calculatedAt, setCalculatedAt] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * Carga las muestras y los totales de todas las mesas
+   */
+  const fetchData = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const [testigosResult, totalesMesas] = await Promise.all([
+        supabase
+          .from('testigos')
+          .select('mesa_numero, pila_faltante, votos_diferencia, muestra_valida'),
+        loadTotalesMesas()
+      ]);
+
+      if (testigosResult.error) throw testigosResult.error;
+
+      setSamples(testigosResult.data || []);
+      setMesas(totalesMesas);
+      setCalculatedAt(new Date());
+    } catch (error) {
+      console.error('Error loading projection data:', error);
+      setError('Error al cargar los datos para la proyección');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const projection = useMemo(() => {
+    if (!calculatedAt) return null;
+    return projectParticipation({
+      samples,
+      mesas,
+      stratifyBy,
+      fechaHora: calculatedAt,
+      horario: obtenerHorario(comicio),
+      curvas
+    });
+  }, [samples, mesas, stratifyBy, calculatedAt, comicio, curvas]);
+
+  const stratumLabel = STRATIFY_OPTIONS[stratifyBy].label;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 space-y-6">
+      {/* Encabezado y controles */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h3 className="text-xl font-bold text-gray-900">Proyección de Participación</h3>
+          <p className="text-sm text-gray-600">
+            Votos registrados corregidos con las mesas testigo · IC 95%
+            {calculatedAt && ` · ${calculatedAt.toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit' })}`}
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <select
+            value={stratifyBy}
+            onChange={(e) => setStratifyBy(e.target.value)}
+            className="px-3 py-2 text-sm rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            title="Estratificar por"
+          >
+            {Object.entries(STRATIFY_OPTIONS).map(([id, option]) => (
+              <option key={id} value={id}>Por {option.label.toLowerCase()}</option>
+            ))}
+          </select>
+          <button
+            onClick={fetchData}
+            disabled={isLoading}
+            className="flex items-center space-x-2 px-3 py-2 text-sm text-blue-600 hover:text-blue-800 transition-colors disabled:opacity-50"
+            title="Recalcular"
+          >
+            <RefreshCw className={`w-5 h-5 ${isLoading ? 'animate-spin' : ''}`} />
+            <span className="hidden sm:inline font-medium">Recalcular</span>
+          </button>
+        </div>
+      </div>
+
+      {error ? (
+        <div className="text-center py-8 text-red-600">
+          <AlertCircle className="w-12 h-12 mx-auto mb-3" />
+          <p>{error}</p>
+        </div>
+      ) : isLoading && !projection ? (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+          <p className="mt-2 text-gray-600">Calculando proyección...</p>
+        </div>
+      ) : !projection ? (
+        <div className="text-center py-8 text-gray-500">
+          <TrendingUp className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+          <p>No hay muestras válidas finalizadas en mesas con empadronados para proyectar</p>
+        </div>
+      ) : (
+        <>
+          {/* Estimación total */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center space-x-3">
+                <Percent className="w-8 h-8 text-gray-600" />
+                <div>
+                  <p className="text-2xl font-bold text-gray-900">{formatPercentage(projection.overall.recorded)}</p>
+                  <p className="text-sm text-gray-700">Registrada en la app</p>
+                </div>
+              </div>
+            </div>
+
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+              <div className="flex items-center space-x-3">
+                <Target className="w-8 h-8 text-blue-600" />
+                <div>
+                  <p className="text-2xl font-bold text-blue-900">{formatPercentage(projection.overall.current?.value)}</p>
+                  <p className="text-sm text-blue-700">Actual estimada</p>
+                  <p className="text-xs text-blue-600">IC: {formatInterval(projection.overall.current)}</p>
+                </div>
+              </div>
+            </div>
+
+            <div className="bg-purple-50 border border-purple-200 rounded-lg p-4">
+              <div className="flex items-center space-x-3">
+                <TrendingUp className="w-8 h-8 text-purple-600" />
+                <div>
+                  <p className="text-2xl font-bold text-purple-900">
+                    {projection.overall.final ? formatPercentage(projection.overall.final.value) : '—'}
+                  </p>
+                  <p className="text-sm text-purple-700">Final proyectada</p>
+                  <p className="text-xs text-purple-600">
+                    {projection.overall.final
+                      ? `IC: ${formatInterval(projection.overall.final)}`
+                      : 'Disponible desde el primer punto de la curva'}
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+              <div className="flex items-center space-x-3">
+                <Scale className="w-8 h-8 text-yellow-600" />
+                <div>
+                  <p className="text-2xl font-bold text-yellow-900">×{projection.overall.ratio.ratio.toFixed(3)}</p>
+                  <p className="text-sm text-yellow-700">Factor de corrección</p>
+                  <p className="text-xs text-yellow-600">{projection.sampledMesas} mesas muestreadas</p>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {projection.excludedSamples > 0 && (
+            <p className="flex items-center space-x-2 text-xs text-gray-500">
+              <Info className="w-4 h-4 flex-shrink-0" />
+              <span>
+                {projection.excludedSamples} muestra{projection.excludedSamples !== 1 ? 's' : ''} en mesas sin
+                empadronados no se incluyen en la estimación
+              </span>
+            </p>
+          )}
+
+          {/* Estimación por estrato */}
+          <div>
+            <h4 className="text-lg font-semibold text-gray-900 mb-3">Por {stratumLabel.toLowerCase()}</h4>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">{stratumLabel}</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Muestreadas</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Registrada</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actual</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Final</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">IC 95% final</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {projection.strata.map(stratum => (
+                    <tr key={stratum.name} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {stratum.name}
+                        {stratum.usesOverallRatio && (
+                          <span className="block text-xs font-normal text-yellow-700">Usa el factor general</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {stratum.sampledMesas} / {stratum.mesas}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {formatPercentage(stratum.recorded)}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {formatPercentage(stratum.current?.value)}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {stratum.final ? formatPercentage(stratum.final.value) : '—'}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-900">
+                        <div className="flex items-center space-x-3">
+                          <UncertaintyBar recorded={stratum.recorded} estimate={stratum.final || stratum.current} />
+                          <span className="whitespace-nowrap text-xs text-gray-600">
+                            {formatInterval(stratum.final || stratum.current)}
+                          </span>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="mt-2 text-xs text-gray-500">
+              Barra: línea gris = registrada en la app, punto = estimación, franja = intervalo de confianza.
+              Los estratos con menos de {MIN_MESAS_ESTRATO} mesas muestreadas usan el factor de toda la muestra.
+            </p>
+          </div>
+
+          {/* Mesas más influyentes */}
+          <div>
+            <h4 className="text-lg font-semibold text-gray-900 mb-1">Mesas más influyentes</h4>
+            <p className="text-sm text-gray-600 mb-3">
+              Cambio en la participación {projection.influenceMetric === 'final' ? 'final proyectada' : 'actual estimada'} total
+              si se quitara la mesa de la muestra
+            </p>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Mesa</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">{stratumLabel}</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Establecimiento</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Muestras</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Empadronados</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Factor</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Peso en estrato</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Influencia</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {projection.influence.slice(0, MAX_INFLUENCE_ROWS).map(item => (
+                    <tr key={item.mesa_numero} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">Mesa {item.mesa_numero}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{item.stratum}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{item.establecimiento || 'Sin establecimiento'}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{item.samples}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{item.empadronados}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">×{item.ratio.toFixed(3)}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{formatPercentage(item.stratumWeight * 100)}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm font-medium">
+                        {item.influence === null ? (
+                          <span className="text-gray-400">—</span>
+                        ) : (
+                          <span className={item.influence > 0 ? 'text-green-700' : item.influence < 0 ? 'text-red-700' : 'text-gray-700'}>
+                            {item.influence > 0 ? '+' : ''}{item.influence.toFixed(2)} pp
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
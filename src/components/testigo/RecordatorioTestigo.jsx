@@ -0,0 +1,64 @@
+/**
+ * RecordatorioTestigo.jsx
+ *
+ * Aviso al fiscal cuando le toca tomar una muestra de Mesa Testigo según el
+ * cronograma de su mesa (ver useCronogramaTestigo). Desaparece al iniciar la
+ * medición o al terminar el turno; cerrarlo lo oculta hasta el turno siguiente.
+ *
+ * Se muestra en el Dashboard, sobre el contenido de todas las vistas.
+ *
+ * Props:
+ * @param {Function} [onOpen] - Abre Mesa Testigo; sin él no se muestra el botón.
+ */
+
+import React, { useState } from 'react';
+import { BellRing, X } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { useCan } from '../../hooks/useCan';
+import { useCronogramaTestigo } from '../../hooks/useCronogramaTestigo';
+import { FEATURES } from '../../config/features';
+import { formatTurno } from '../../utils/testigosCronograma';
+
+export default function RecordatorioTestigo({ onOpen }) {
+  const { user } = useAuth();
+  const can = useCan();
+  const enabled = FEATURES.MESA_TESTIGO_ENABLED && can('testigo.muestreo');
+
+  const { turnoActual, resumen } = useCronogramaTestigo(enabled ? user?.mesa_numero : null);
+
+  // Inicio del turno cuyo aviso se cerró
+  const [dismissed, setDismissed] = useState(null);
+
+  if (!turnoActual || dismissed === turnoActual.inicio) return null;
+
+  return (
+    <div className="flex items-start space-x-3 border rounded-lg p-3 mb-4 bg-yellow-50 border-yellow-300">
+      <BellRing className="w-6 h-6 flex-shrink-0 text-yellow-600" />
+      <div className="flex-1 min-w-0">
+        <p className="text-sm font-semibold text-gray-900">
+          Toca medir la Mesa Testigo (mesa {user.mesa_numero}, turno {formatTurno(turnoActual)})
+        </p>
+        {resumen.atrasado > 0 && (
+          <p className="text-xs text-red-700">
+            {resumen.atrasado} {resumen.atrasado === 1 ? 'turno atrasado' : 'turnos atrasados'} hoy
+          </p>
+        )}
+        {onOpen && (
+          <button
+            onClick={onOpen}
+            className="mt-2 px-3 py-1 text-sm bg-yellow-600 text-white rounded-lg hover:bg-yellow-700 transition-colors"
+          >
+            Ir a Mesa Testigo
+          </button>
+        )}
+      </div>
+      <button
+        onClick={() => setDismissed(turnoActual.inicio)}
+        className="text-gray-400 hover:text-gray-600 transition-colors"
+        title="Ocultar hasta el próximo turno"
+      >
+        <X className="w-5 h-5" />
+      </button>
+    </div>
+  );
+}
@@ -1,16 +1,25 @@
 import React, { useState, useEffect } from 'react';
-import { BarChart3, Search, RefreshCw, AlertCircle, Filter, MapPin, Hash } from 'lucide-react';
+import { BarChart3, Search, RefreshCw, AlertCircle, Filter, MapPin, Hash, ClipboardCheck } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
+import { useCan } from '../../hooks/useCan';
 import { supabase } from '../../lib/supabase';
+import { TESTIGOS_SELECT, cerrarMedicionesVencidas } from '../../services/testigosService';
+import { TESTIGO_ESTADOS } from '../../utils/testigosUtils';
+import ProyeccionTestigo from './ProyeccionTestigo';
+import RevisarMuestraModal from './RevisarMuestraModal';
 
 /**
  * Componente ResultadosTestigo - Vista de resultados para usuarios tipo 2 o inferior
  * 
  * Propósito: Permite a los administradores filtrar y ver todos los registros
- * de testigos del sistema con estadísticas y análisis.
+ * de testigos del sistema con estadísticas y análisis, y la proyección de
+ * participación con intervalos de confianza (ver ProyeccionTestigo).
+ * Desde la tabla un supervisor anota y marca como válida o no válida cada
+ * muestra finalizada (ver RevisarMuestraModal).
  */
 export default function ResultadosTestigo() {
   const { user } = useAuth();
+  const can = useCan();
 
   // Estados para filtros
   const [filterLocalidad, setFilterLocalidad] = useState('');
@@ -21,6 +30,9 @@ export default function ResultadosTestigo() {
   const [isLoadingResults, setIsLoadingResults] = useState(false);
   const [error, setError] = useState('');
 
+  // Muestra en revisión
+  const [reviewRecord, setReviewRecord] = useState(null);
+
   // Estados para localidades disponibles
   const [availableLocalidades, setAvailableLocalidades] = useState([]);
 
@@ -71,13 +83,14 @@ export default function ResultadosTestigo() {
     setError('');
 
     try {
+      // Las mediciones abandonadas se cierran antes de listar
+      await cerrarMedicionesVencidas().catch(error =>
+        console.error('Error closing expired measurements:', error)
+      );
+
       let query = supabase
         .from('testigos')
-        .select(`
-          *,
-          profiles!testigos_user_id_fkey(
-            full_name
-          ),
+        .select(`${TESTIGOS_SELECT},
           mesas!testigos_mesa_numero_fkey(
             numero,
             mesa_localidad,
@@ -161,6 +174,18 @@ export default function ResultadosTestigo() {
     });
   };
 
+  /**
+   * Reemplaza la muestra revisada en la lista y recalcula las estadísticas
+   */
+  const handleReviewSaved = (updated) => {
+    const records = testigosResults.map(record =>
+      record.id === updated.id ? { ...record, ...updated, revisor: { full_name: user.name } } : record
+    );
+    setTestigosResults(records);
+    calculateStats(records);
+    setReviewRecord(null);
+  };
+
   /**
    * Aplica los filtros seleccionados
    */
@@ -193,7 +218,7 @@ export default function ResultadosTestigo() {
   };
 
   // Verificar permisos
-  if (!user || user.usuario_tipo > 2) {
+  if (!user || !can('testigo.resultados')) {
     return (
       <div className="bg-white rounded-xl shadow-lg p-6">
         <div className="text-center py-12">
@@ -254,6 +279,9 @@ export default function ResultadosTestigo() {
         </div>
       </div>
 
+      {/* Proyección de participación */}
+      <ProyeccionTestigo />
+
       {/* Panel de filtros */}
       <div className="bg-white rounded-xl shadow-lg p-6">
         <div className="flex items-center space-x-2 mb-4">
@@ -370,6 +398,9 @@ export default function ResultadosTestigo() {
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Usuario
                   </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Estado
+                  </th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Pila Faltante
                   </th>
@@ -390,6 +421,8 @@ export default function ResultadosTestigo() {
                     ? ((record.pila_faltante / record.votos_diferencia) * 100).toFixed(1)
                     : '0.0';
                   
+                  const estado = TESTIGO_ESTADOS[record.estado] || TESTIGO_ESTADOS.finalizada;
+
                   return (
                     <tr key={record.id} className="hover:bg-gray-50">
                       <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
@@ -407,6 +440,14 @@ export default function ResultadosTestigo() {
                       <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
                         {record.profiles?.full_name || 'N/A'}
                       </td>
+                      <td className="px-4 py-4 text-sm text-gray-900">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${estado.color}`}>
+                          {estado.label}
+                        </span>
+                        {record.observacion && (
+                          <p className="mt-1 text-xs text-gray-500 max-w-xs">{record.observacion}</p>
+                        )}
+                      </td>
                       <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
                         {record.pila_faltante || 0}
                       </td>
@@ -428,6 +469,18 @@ export default function ResultadosTestigo() {
                         }`}>
                           {record.muestra_valida ? '✓ Válida' : '✗ Inválida'}
                         </span>
+                        {record.estado === 'finalizada' && (
+                          <button
+                            onClick={() => setReviewRecord(record)}
+                            className="ml-2 p-1 text-gray-400 hover:text-blue-600 transition-colors align-middle"
+                            title="Revisar muestra"
+                          >
+                            <ClipboardCheck className="w-4 h-4" />
+                          </button>
+                        )}
+                        {record.revisor?.full_name && (
+                          <p className="mt-1 text-xs text-gray-500">Revisada por {record.revisor.full_name}</p>
+                        )}
                       </td>
                     </tr>
                   );
@@ -437,6 +490,12 @@ export default function ResultadosTestigo() {
           </div>
         )}
       </div>
+
+      <RevisarMuestraModal
+        record={reviewRecord}
+        onClose={() => setReviewRecord(null)}
+        onSaved={handleReviewSaved}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * RevisarMuestraModal.jsx
+ *
+ * Modal para que un supervisor marque una muestra de Mesa Testigo como válida
+ * o no válida y deje una observación (ver `revisarMuestra` en testigosService).
+ * Una vez revisada por un supervisor, quien la registró ya no puede cambiarla.
+ *
+ * Se usa en ResultadosTestigo.
+ *
+ * Props:
+ * @param {Object|null} record  - Medición a revisar; el modal no se muestra si es null.
+ * @param {Function}    onClose - Callback al cancelar o cerrar.
+ * @param {Function}    onSaved - Callback con la medición actualizada.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { X, ClipboardCheck, CheckCircle, XCircle } from 'lucide-react';
+import { revisarMuestra } from '../../services/testigosService';
+import { calculateTestigoPercentage, formatPercentage } from '../../utils/testigosUtils';
+
+export default function RevisarMuestraModal({ record, onClose, onSaved }) {
+  const [valida, setValida] = useState(true);
+  const [observacion, setObservacion] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!record) return;
+    setValida(record.muestra_valida !== false);
+    setObservacion(record.observacion || '');
+    setError('');
+  }, [record]);
+
+  if (!record) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError('');
+    try {
+      const updated = await revisarMuestra(record.id, valida, observacion);
+      onSaved(updated);
+    } catch (err) {
+      console.error('Error reviewing sample:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-xl shadow-2xl p-6 max-w-md w-full mx-4">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-3">
+            <div className="w-12 h-12 bg-blue-100 rounded-full flex items-center justify-center">
+              <ClipboardCheck className="w-6 h-6 text-blue-600" />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Revisar Muestra</h3>
+              <p className="text-sm text-gray-600">
+                Mesa {record.mesa_numero} · {record.profiles?.full_name || 'N/A'}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-3 gap-2 text-center text-sm">
+            <div className="bg-gray-50 rounded-lg p-2">
+              <p className="font-bold text-gray-900">{record.pila_faltante ?? 0}</p>
+              <p className="text-xs text-gray-600">Pila faltante</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-2">
+              <p className="font-bold text-gray-900">{record.votos_diferencia ?? 0}</p>
+              <p className="text-xs text-gray-600">Votos diferencia</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-2">
+              <p className="font-bold text-gray-900">
+                {formatPercentage(calculateTestigoPercentage(record.pila_faltante, record.votos_diferencia))}
+              </p>
+              <p className="text-xs text-gray-600">Eficiencia</p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <button
+              type="button"
+              onClick={() => setValida(true)}
+              className={`flex items-center justify-center space-x-2 px-4 py-2 rounded-lg border transition-colors ${
+                valida ? 'bg-green-50 border-green-400 text-green-800' : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              <CheckCircle className="w-4 h-4" />
+              <span>Válida</span>
+            </button>
+            <button
+              type="button"
+              onClick={() => setValida(false)}
+              className={`flex items-center justify-center space-x-2 px-4 py-2 rounded-lg border transition-colors ${
+                !valida ? 'bg-red-50 border-red-400 text-red-800' : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              <XCircle className="w-4 h-4" />
+              <span>No válida</span>
+            </button>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Observación</label>
+            <textarea
+              value={observacion}
+              onChange={(e) => setObservacion(e.target.value)}
+              rows={3}
+              maxLength={500}
+              className="w-full px-3 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              placeholder="Motivo de la revisión (opcional)"
+            />
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <div className="flex space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-3 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
+            >
+              Cancelar
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="flex-1 flex items-center justify-center space-x-2 px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {isSaving ? (
+                <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+              ) : (
+                <ClipboardCheck className="w-5 h-5" />
+              )}
+              <span>Guardar</span>
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
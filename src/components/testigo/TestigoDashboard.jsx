@@ -1,5 +1,18 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { BarChart3, TrendingUp, AlertTriangle, CheckCircle, Users, Percent, Target, Activity } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import {
+  BarChart3, TrendingUp, AlertTriangle, CheckCircle, Users, Percent, Target, Activity,
+  Info, RefreshCw, Wifi, WifiOff, MapPin
+} from 'lucide-react';
+import { supabase } from '../../lib/supabase';
+import {
+  calculateTestigoPercentage,
+  classifyTestigoSample,
+  calculateAggregateStats,
+  calculateStatsByLocalidad,
+  generateRecommendations,
+  getTestigoLocalidad,
+  formatPercentage
+} from '../../utils/testigosUtils';
 
 /**
  * Componente TestigoDashboard - Dashboard de análisis y estadísticas de mesas testigo
@@ -10,188 +23,177 @@ import { BarChart3, TrendingUp, AlertTriangle, CheckCircle, Users, Percent, Targ
  * Funcionalidades principales:
  * - Estadísticas generales de participación (votaron vs no votaron)
  * - Análisis de calidad de muestras con clasificación por niveles
- * - Comparación entre datos testigo y datos oficiales
- * - Filtros por localidad para análisis específicos
- * - Visualización de tendencias con indicadores porcentuales
+ * - Filtros por localidad y período para análisis específicos
+ * - Recomendaciones para la muestra completa y para cada localidad
+ * - Actualización en tiempo real ante cada medición registrada
  * - Listado detallado de todas las mesas testigo con sus métricas
  *
- * Métricas calculadas:
- * - Porcentaje de participación total
- * - Desviación entre pila faltante y votos diferencia
- * - Clasificación de calidad de muestra (Excelente/Buena/Aceptable/Problemática)
- * - Estadísticas agregadas por localidad
+ * Datos: tabla `testigos` con su mesa (`mesas.mesa_localidad`) y establecimiento.
+ * Los cálculos son los de `utils/testigosUtils.js`, compartidos con el resto
+ * de Mesa Testigo. Solo cuentan las muestras finalizadas y marcadas como válidas.
  */
 
-// Mock data para demostración
-const mockTestigosData = [
-  { id: 1, mesa_numero: 1234, pila_inicio: 20, pila_faltante: 18, votos_diferencia: 20, muestra_valida: true, localidad: 'Centro' },
-  { id: 2, mesa_numero: 1235, pila_inicio: 25, pila_faltante: 22, votos_diferencia: 25, muestra_valida: true, localidad: 'Centro' },
-  { id: 3, mesa_numero: 1236, pila_inicio: 30, pila_faltante: 25, votos_diferencia: 28, muestra_valida: true, localidad: 'Norte' },
-  { id: 4, mesa_numero: 1237, pila_inicio: 15, pila_faltante: 12, votos_diferencia: 15, muestra_valida: false, localidad: 'Sur' },
-  { id: 5, mesa_numero: 1238, pila_inicio: 35, pila_faltante: 30, votos_diferencia: 32, muestra_valida: true, localidad: 'Norte' },
+// Períodos disponibles para filtrar por fecha de la medición (user_at)
+const PERIODS = [
+  { id: 'hoy', label: 'Hoy' },
+  { id: 'semana', label: 'Última semana' },
+  { id: 'mes', label: 'Último mes' },
+  { id: 'todo', label: 'Todo' }
 ];
 
-// Utilidades (normalmente importadas)
-const calculateTestigoPercentage = (pilaFaltante, votosDiferencia) => {
-  if (!votosDiferencia || votosDiferencia <= 0) return 0;
-  return (pilaFaltante / votosDiferencia) * 100;
-};
-
-const classifyTestigoSample = (percentage) => {
-  const perc = Math.abs(percentage - 100);
-  
-  if (perc <= 5) {
-    return {
-      level: 'excellent',
-      color: 'bg-green-100 text-green-800 border-green-200',
-      label: 'Excelente',
-      icon: CheckCircle
-    };
-  } else if (perc <= 15) {
-    return {
-      level: 'good',
-      color: 'bg-blue-100 text-blue-800 border-blue-200',
-      label: 'Buena',
-      icon: TrendingUp
-    };
-  } else if (perc <= 30) {
-    return {
-      level: 'acceptable',
-      color: 'bg-yellow-100 text-yellow-800 border-yellow-200',
-      label: 'Aceptable',
-      icon: Activity
-    };
+/**
+ * Obtiene el inicio de un período en formato ISO, o null para no filtrar
+ */
+const getPeriodStart = (period) => {
+  const start = new Date();
+  if (period === 'hoy') {
+    start.setHours(0, 0, 0, 0);
+  } else if (period === 'semana') {
+    start.setDate(start.getDate() - 7);
+  } else if (period === 'mes') {
+    start.setMonth(start.getMonth() - 1);
   } else {
-    return {
-      level: 'poor',
-      color: 'bg-red-100 text-red-800 border-red-200',
-      label: 'Problemática',
-      icon: AlertTriangle
-    };
+    return null;
   }
+  return start.toISOString();
+};
+
+const CONFIDENCE_LABELS = { high: 'alto', medium: 'medio', low: 'bajo' };
+
+const LEVEL_ICONS = {
+  excellent: CheckCircle,
+  good: TrendingUp,
+  acceptable: Activity,
+  poor: AlertTriangle
+};
+
+// Porcentaje representativo de cada nivel, para rotular la distribución
+const LEVEL_PERCENTAGES = { excellent: 100, good: 110, acceptable: 125, poor: 150 };
+
+const RECOMMENDATION_STYLES = {
+  success: { icon: CheckCircle, color: 'text-green-600' },
+  info: { icon: Info, color: 'text-blue-600' },
+  warning: { icon: AlertTriangle, color: 'text-yellow-600' },
+  error: { icon: AlertTriangle, color: 'text-red-600' }
 };
 
+/**
+ * Lista de recomendaciones generadas por `generateRecommendations`
+ */
+const RecommendationList = ({ recommendations }) => (
+  <div className="space-y-2">
+    {recommendations.map((rec, index) => {
+      const { icon: Icon, color } = RECOMMENDATION_STYLES[rec.type] || RECOMMENDATION_STYLES.info;
+      return (
+        <div key={index} className="flex items-start space-x-3 p-3 bg-gray-50 rounded-lg">
+          <Icon className={`w-5 h-5 mt-0.5 flex-shrink-0 ${color}`} />
+          <p className="text-sm text-gray-700">{rec.message}</p>
+        </div>
+      );
+    })}
+  </div>
+);
+
+/**
+ * Determina si una muestra cuenta para las estadísticas (mismo criterio que calculateAggregateStats)
+ */
+const isCountedSample = (sample) => sample.muestra_valida && sample.votos_diferencia > 0;
+
 export default function TestigoDashboard() {
   const [selectedLocalidad, setSelectedLocalidad] = useState('todas');
   const [selectedPeriod, setSelectedPeriod] = useState('hoy');
 
-  // Filtrar y procesar datos
-  const filteredData = useMemo(() => {
-    let filtered = mockTestigosData.filter(item => item.muestra_valida);
-    
-    if (selectedLocalidad !== 'todas') {
-      filtered = filtered.filter(item => item.localidad === selectedLocalidad);
-    }
-    
-    return filtered;
-  }, [selectedLocalidad]);
-
-  // Calcular estadísticas principales
-  const stats = useMemo(() => {
-    if (filteredData.length === 0) {
-      return {
-        totalMuestras: 0,
-        promedioEficiencia: 0,
-        medianaEficiencia: 0,
-        desviacionEstandar: 0,
-        nivelConfianza: 'bajo',
-        distribucion: { excellent: 0, good: 0, acceptable: 0, poor: 0 }
-      };
+  const [testigos, setTestigos] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [lastUpdate, setLastUpdate] = useState(null);
+  const [isLive, setIsLive] = useState(false);
+
+  // Descarta respuestas de cargas anteriores (cambio de período o ráfagas de realtime)
+  const requestIdRef = useRef(0);
+
+  /**
+   * Carga las mediciones del período con su mesa y establecimiento
+   */
+  const fetchTestigos = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+    setError('');
+
+    let query = supabase
+      .from('testigos')
+      .select(`
+        *,
+        profiles!testigos_user_id_fkey(
+          full_name
+        ),
+        mesas!testigos_mesa_numero_fkey(
+          numero,
+          mesa_localidad,
+          establecimientos(
+            nombre
+          )
+        )
+      `)
+      .order('user_at', { ascending: false });
+
+    const periodStart = getPeriodStart(selectedPeriod);
+    if (periodStart) {
+      query = query.gte('user_at', periodStart);
     }
 
-    const percentages = filteredData.map(item => 
-      calculateTestigoPercentage(item.pila_faltante, item.votos_diferencia)
-    );
-
-    const sum = percentages.reduce((a, b) => a + b, 0);
-    const promedio = sum / percentages.length;
-    
-    const sortedPercentages = [...percentages].sort((a, b) => a - b);
-    const mediana = sortedPercentages[Math.floor(sortedPercentages.length / 2)];
-
-    const varianza = percentages.reduce((sq, p) => sq + Math.pow(p - promedio, 2), 0) / percentages.length;
-    const desviacionEstandar = Math.sqrt(varianza);
-
-    // Calcular distribución de calidad
-    const distribucion = { excellent: 0, good: 0, acceptable: 0, poor: 0 };
-    percentages.forEach(perc => {
-      const classification = classifyTestigoSample(perc);
-      distribucion[classification.level]++;
-    });
-
-    // Nivel de confianza
-    let nivelConfianza = 'bajo';
-    if (filteredData.length >= 10 && desviacionEstandar <= 20) {
-      nivelConfianza = 'alto';
-    } else if (filteredData.length >= 5 && desviacionEstandar <= 35) {
-      nivelConfianza = 'medio';
+    const { data, error } = await query;
+    if (requestId !== requestIdRef.current) return;
+
+    if (error) {
+      console.error('Error fetching testigos:', error);
+      setError('Error al cargar las muestras de mesas testigo');
+    } else {
+      setTestigos(data || []);
+      setLastUpdate(new Date());
     }
+    setIsLoading(false);
+  }, [selectedPeriod]);
 
-    return {
-      totalMuestras: filteredData.length,
-      promedioEficiencia: Math.round(promedio * 10) / 10,
-      medianaEficiencia: Math.round(mediana * 10) / 10,
-      desviacionEstandar: Math.round(desviacionEstandar * 10) / 10,
-      nivelConfianza,
-      distribucion
+  useEffect(() => {
+    setIsLoading(true);
+    fetchTestigos();
+  }, [fetchTestigos]);
+
+  // Tiempo real: recargar ante cada medición iniciada, finalizada, validada o cancelada
+  useEffect(() => {
+    const channel = supabase
+      .channel('testigo-dashboard')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'testigos' },
+        () => fetchTestigos()
+      )
+      .subscribe((status) => setIsLive(status === 'SUBSCRIBED'));
+
+    return () => {
+      supabase.removeChannel(channel);
     };
-  }, [filteredData]);
+  }, [fetchTestigos]);
 
-  // Obtener localidades únicas
+  // Localidades con muestras en el período
   const localidades = useMemo(() => {
-    const unique = [...new Set(mockTestigosData.map(item => item.localidad))];
-    return unique.sort();
-  }, []);
-
-  // Generar recomendaciones
-  const recomendaciones = useMemo(() => {
-    const recs = [];
-
-    if (stats.totalMuestras < 5) {
-      recs.push({
-        type: 'warning',
-        icon: AlertTriangle,
-        message: 'Se necesitan más muestras para estimaciones confiables (mínimo 5)',
-        color: 'text-yellow-600'
-      });
-    }
+    const unique = [...new Set(testigos.map(getTestigoLocalidad))];
+    return unique.sort((a, b) => a.localeCompare(b));
+  }, [testigos]);
 
-    if (stats.desviacionEstandar > 40) {
-      recs.push({
-        type: 'error',
-        icon: AlertTriangle,
-        message: 'Alta dispersión en muestras - revisar procedimientos',
-        color: 'text-red-600'
-      });
-    }
+  // Muestras de la localidad seleccionada (todas, incluidas las no válidas)
+  const localidadSamples = useMemo(() => {
+    if (selectedLocalidad === 'todas') return testigos;
+    return testigos.filter(item => getTestigoLocalidad(item) === selectedLocalidad);
+  }, [testigos, selectedLocalidad]);
 
-    if (stats.promedioEficiencia < 70) {
-      recs.push({
-        type: 'info',
-        icon: TrendingUp,
-        message: 'Baja utilización de boletas - posible baja participación',
-        color: 'text-blue-600'
-      });
-    } else if (stats.promedioEficiencia > 130) {
-      recs.push({
-        type: 'warning',
-        icon: AlertTriangle,
-        message: 'Sobre-utilización de boletas - revisar conteo de votos',
-        color: 'text-yellow-600'
-      });
-    }
+  const filteredData = useMemo(() => localidadSamples.filter(isCountedSample), [localidadSamples]);
 
-    if (stats.nivelConfianza === 'alto') {
-      recs.push({
-        type: 'success',
-        icon: CheckCircle,
-        message: 'Datos confiables para proyección electoral',
-        color: 'text-green-600'
-      });
-    }
+  const stats = useMemo(() => calculateAggregateStats(localidadSamples), [localidadSamples]);
+  const recomendaciones = useMemo(() => generateRecommendations(stats), [stats]);
+  const statsByLocalidad = useMemo(() => calculateStatsByLocalidad(testigos), [testigos]);
 
-    return recs;
-  }, [stats]);
+  const nivelConfianza = CONFIDENCE_LABELS[stats.confidenceLevel];
 
   return (
     <div className="space-y-6">
@@ -201,11 +203,23 @@ export default function TestigoDashboard() {
           <div>
             <h2 className="text-2xl font-bold text-gray-900">Dashboard Mesa Testigo</h2>
             <p className="text-gray-600 mt-1">Análisis estadístico y boca de urna</p>
+            <span className={`flex items-center space-x-1 text-xs mt-1 ${isLive ? 'text-green-700' : 'text-gray-500'}`}>
+              {isLive ? <Wifi className="w-3 h-3" /> : <WifiOff className="w-3 h-3" />}
+              <span>
+                {isLive ? 'En vivo' : 'Conectando...'}
+                {lastUpdate && ` · Actualizado ${lastUpdate.toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit', second: '2-digit' })}`}
+              </span>
+            </span>
           </div>
-          <div className="flex items-center space-x-2">
-            <BarChart3 className="w-6 h-6 text-blue-600" />
-            <span className="text-sm font-medium text-gray-700">Análisis Electoral</span>
-          </div>
+          <button
+            onClick={fetchTestigos}
+            disabled={isLoading}
+            className="flex items-center space-x-2 px-3 py-2 text-sm text-blue-600 hover:text-blue-800 transition-colors disabled:opacity-50"
+            title="Actualizar"
+          >
+            <RefreshCw className={`w-5 h-5 ${isLoading ? 'animate-spin' : ''}`} />
+            <span className="hidden sm:inline font-medium">Actualizar</span>
+          </button>
         </div>
 
         {/* Filtros */}
@@ -220,6 +234,10 @@ export default function TestigoDashboard() {
               className="w-full px-3 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
             >
               <option value="todas">Todas las localidades</option>
+              {/* La localidad elegida se mantiene aunque no tenga muestras en el período */}
+              {selectedLocalidad !== 'todas' && !localidades.includes(selectedLocalidad) && (
+                <option value={selectedLocalidad}>{selectedLocalidad}</option>
+              )}
               {localidades.map(loc => (
                 <option key={loc} value={loc}>{loc}</option>
               ))}
@@ -234,12 +252,19 @@ export default function TestigoDashboard() {
               onChange={(e) => setSelectedPeriod(e.target.value)}
               className="w-full px-3 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
             >
-              <option value="hoy">Hoy</option>
-              <option value="semana">Última semana</option>
-              <option value="mes">Último mes</option>
+              {PERIODS.map(period => (
+                <option key={period.id} value={period.id}>{period.label}</option>
+              ))}
             </select>
           </div>
         </div>
+
+        {error && (
+          <div className="flex items-center space-x-2 mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
       </div>
 
       {/* Métricas principales */}
@@ -250,8 +275,9 @@ export default function TestigoDashboard() {
               <Users className="w-6 h-6 text-blue-600" />
             </div>
             <div>
-              <p className="text-2xl font-bold text-gray-900">{stats.totalMuestras}</p>
+              <p className="text-2xl font-bold text-gray-900">{stats.validSamples}</p>
               <p className="text-sm text-gray-600">Muestras Válidas</p>
+              <p className="text-xs text-gray-500">de {stats.totalSamples} registradas</p>
             </div>
           </div>
         </div>
@@ -262,7 +288,7 @@ export default function TestigoDashboard() {
               <Percent className="w-6 h-6 text-green-600" />
             </div>
             <div>
-              <p className="text-2xl font-bold text-gray-900">{stats.promedioEficiencia}%</p>
+              <p className="text-2xl font-bold text-gray-900">{formatPercentage(stats.averagePercentage)}</p>
               <p className="text-sm text-gray-600">Eficiencia Promedio</p>
             </div>
           </div>
@@ -274,7 +300,7 @@ export default function TestigoDashboard() {
               <Target className="w-6 h-6 text-purple-600" />
             </div>
             <div>
-              <p className="text-2xl font-bold text-gray-900">{stats.medianaEficiencia}%</p>
+              <p className="text-2xl font-bold text-gray-900">{formatPercentage(stats.medianPercentage)}</p>
               <p className="text-sm text-gray-600">Mediana</p>
             </div>
           </div>
@@ -283,16 +309,16 @@ export default function TestigoDashboard() {
         <div className="bg-white rounded-xl shadow-lg p-6">
           <div className="flex items-center space-x-3">
             <div className={`w-12 h-12 rounded-lg flex items-center justify-center ${
-              stats.nivelConfianza === 'alto' ? 'bg-green-100' :
-              stats.nivelConfianza === 'medio' ? 'bg-yellow-100' : 'bg-red-100'
+              nivelConfianza === 'alto' ? 'bg-green-100' :
+              nivelConfianza === 'medio' ? 'bg-yellow-100' : 'bg-red-100'
             }`}>
               <Activity className={`w-6 h-6 ${
-                stats.nivelConfianza === 'alto' ? 'text-green-600' :
-                stats.nivelConfianza === 'medio' ? 'text-yellow-600' : 'text-red-600'
+                nivelConfianza === 'alto' ? 'text-green-600' :
+                nivelConfianza === 'medio' ? 'text-yellow-600' : 'text-red-600'
               }`} />
             </div>
             <div>
-              <p className="text-2xl font-bold text-gray-900 capitalize">{stats.nivelConfianza}</p>
+              <p className="text-2xl font-bold text-gray-900 capitalize">{nivelConfianza}</p>
               <p className="text-sm text-gray-600">Confianza</p>
             </div>
           </div>
@@ -304,9 +330,9 @@ export default function TestigoDashboard() {
         <h3 className="text-xl font-bold text-gray-900 mb-4">Distribución de Calidad</h3>
         
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-          {Object.entries(stats.distribucion).map(([level, count]) => {
-            const classification = classifyTestigoSample(level === 'excellent' ? 100 : level === 'good' ? 110 : level === 'acceptable' ? 125 : 150);
-            const Icon = classification.icon;
+          {Object.entries(stats.qualityDistribution).map(([level, count]) => {
+            const classification = classifyTestigoSample(LEVEL_PERCENTAGES[level]);
+            const Icon = LEVEL_ICONS[level];
             
             return (
               <div key={level} className={`border rounded-lg p-4 ${classification.color}`}>
@@ -316,7 +342,7 @@ export default function TestigoDashboard() {
                 </div>
                 <p className="text-sm font-medium">{classification.label}</p>
                 <p className="text-xs opacity-75">
-                  {stats.totalMuestras > 0 ? Math.round((count / stats.totalMuestras) * 100) : 0}%
+                  {stats.validSamples > 0 ? Math.round((count / stats.validSamples) * 100) : 0}%
                 </p>
               </div>
             );
@@ -324,24 +350,49 @@ export default function TestigoDashboard() {
         </div>
       </div>
 
-      {/* Recomendaciones */}
-      {recomendaciones.length > 0 && (
-        <div className="bg-white rounded-xl shadow-lg p-6">
-          <h3 className="text-xl font-bold text-gray-900 mb-4">Recomendaciones</h3>
-          
-          <div className="space-y-3">
-            {recomendaciones.map((rec, index) => {
-              const Icon = rec.icon;
-              return (
-                <div key={index} className="flex items-start space-x-3 p-3 bg-gray-50 rounded-lg">
-                  <Icon className={`w-5 h-5 mt-0.5 ${rec.color}`} />
-                  <p className="text-sm text-gray-700">{rec.message}</p>
+      {/* Recomendaciones: muestra seleccionada y cada localidad */}
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-xl font-bold text-gray-900 mb-4">Recomendaciones</h3>
+
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">
+          {selectedLocalidad === 'todas' ? 'Muestra completa' : selectedLocalidad}
+        </h4>
+        {recomendaciones.length > 0 ? (
+          <RecommendationList recommendations={recomendaciones} />
+        ) : (
+          <p className="text-sm text-gray-500">Sin observaciones para esta muestra</p>
+        )}
+
+        {selectedLocalidad === 'todas' && statsByLocalidad.length > 1 && (
+          <div className="mt-6 space-y-4">
+            <h4 className="text-sm font-semibold text-gray-700">Por localidad</h4>
+            {statsByLocalidad.map(({ localidad, stats: locStats, recommendations }) => (
+              <div key={localidad} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                  <button
+                    onClick={() => setSelectedLocalidad(localidad)}
+                    className="flex items-center space-x-1 text-sm font-semibold text-blue-700 hover:text-blue-900"
+                    title="Ver solo esta localidad"
+                  >
+                    <MapPin className="w-4 h-4" />
+                    <span>{localidad}</span>
+                  </button>
+                  <span className="text-xs text-gray-600">
+                    {locStats.validSamples} de {locStats.totalSamples} válidas
+                    {' · '}Eficiencia {formatPercentage(locStats.averagePercentage)}
+                    {' · '}Confianza {CONFIDENCE_LABELS[locStats.confidenceLevel]}
+                  </span>
                 </div>
-              );
-            })}
+                {recommendations.length > 0 ? (
+                  <RecommendationList recommendations={recommendations} />
+                ) : (
+                  <p className="text-sm text-gray-500">Sin observaciones</p>
+                )}
+              </div>
+            ))}
           </div>
-        </div>
-      )}
+        )}
+      </div>
 
       {/* Detalle de muestras */}
       <div className="bg-white rounded-xl shadow-lg p-6">
@@ -349,7 +400,12 @@ export default function TestigoDashboard() {
           Detalle de Muestras ({filteredData.length})
         </h3>
         
-        {filteredData.length === 0 ? (
+        {isLoading && testigos.length === 0 ? (
+          <div className="text-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+            <p className="mt-2 text-gray-600">Cargando muestras...</p>
+          </div>
+        ) : filteredData.length === 0 ? (
           <div className="text-center py-8 text-gray-500">
             <BarChart3 className="w-12 h-12 mx-auto mb-3 text-gray-300" />
             <p>No hay muestras válidas para mostrar</p>
@@ -361,6 +417,8 @@ export default function TestigoDashboard() {
                 <tr>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Mesa</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Localidad</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Establecimiento</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Hora</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Inicial</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Faltante</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Votos</th>
@@ -379,7 +437,15 @@ export default function TestigoDashboard() {
                         Mesa {item.mesa_numero}
                       </td>
                       <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
-                        {item.localidad}
+                        {getTestigoLocalidad(item)}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {item.mesas?.establecimientos?.nombre || 'Sin establecimiento'}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {item.user_at
+                          ? new Date(item.user_at).toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit' })
+                          : '-'}
                       </td>
                       <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
                         {item.pila_inicio}
@@ -392,7 +458,7 @@ export default function TestigoDashboard() {
                       </td>
                       <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
                         <span className="font-medium">
-                          {percentage.toFixed(1)}%
+                          {formatPercentage(percentage)}
                         </span>
                       </td>
                       <td className="px-4 py-4 whitespace-nowrap">
@@ -1,5 +1,6 @@
-import React, { createContext, useContext, useState } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import { supabase } from '../lib/supabase';
+import { loadCapacidadesTipo } from '../services/permisosService';
 
 /**
  * AuthContext - Contexto de autenticación para la aplicación
@@ -9,11 +10,16 @@ import { supabase } from '../lib/supabase';
  *
  * Funcionalidades principales:
  * - Login con email y contraseña usando Supabase Auth
+ * - Restauración de la sesión persistida al recargar o relanzar la PWA
+ *   (supabase.auth.getSession), con splash mientras se resuelve (isInitializing)
+ * - Escucha de onAuthStateChange: renovación de token, actualización del
+ *   usuario y cierre de sesión propagado entre pestañas
  * - Carga automática del perfil de usuario desde la tabla profiles
  * - Obtención de tipo de usuario y descripción de rol desde usuariost
  * - Logout con limpieza de estado
  * - Refresco manual del perfil de usuario
  * - Estado de carga durante operaciones de autenticación
+ * - Perfil cacheado en localStorage para poder relanzar la app sin conexión
  *
  * Estado del usuario incluye:
  * - id: ID único del usuario
@@ -24,6 +30,8 @@ import { supabase } from '../lib/supabase';
  * - usuario_tipo: Tipo numérico del usuario (1=Admin, 2=Operador, 3=General, 4=Fiscal, 5=Colaborador)
  * - mesa_numero: Mesa asignada al usuario (si aplica)
  * - roleDescription: Descripción legible del rol
+ * - capacidades: Capacidades del tipo de usuario según `permisos_rol`
+ *   (consultarlas con el hook useCan)
  *
  * Hooks exportados:
  * - useAuth: Hook personalizado para acceder al contexto de autenticación
@@ -31,13 +39,152 @@ import { supabase } from '../lib/supabase';
 
 const AuthContext = createContext(undefined);
 
+// Clave de localStorage con el último perfil cargado, usada si al restaurar
+// la sesión no se puede consultar la base (PWA relanzada sin conexión)
+const PROFILE_CACHE_KEY = 'authUserProfile';
+
+/**
+ * Arma el estado del usuario a partir del usuario de Supabase Auth,
+ * su perfil (`profiles`), la descripción de su tipo (`usuariost`) y las
+ * capacidades de ese tipo (`permisos_rol`).
+ * Si la consulta falla usa el perfil cacheado del mismo usuario.
+ *
+ * @param {Object} authUser - Usuario devuelto por Supabase Auth
+ * @returns {Promise<Object>} Estado del usuario para el contexto
+ */
+const loadUserProfile = async (authUser) => {
+  const { data: profile, error: profileError } = await supabase
+    .from('profiles')
+    .select('full_name, dni, informacion, usuario_tipo, mesa_numero')
+    .eq('id', authUser.id)
+    .single();
+
+  if (profileError) {
+    const cached = readCachedProfile(authUser.id);
+    if (cached) return cached;
+  }
+
+  // Obtener la descripción del tipo de usuario
+  const { data: userType } = await supabase
+    .from('usuariost')
+    .select('descripcion')
+    .eq('tipo', profile?.usuario_tipo || 5)
+    .maybeSingle();
+
+  const capacidades = await loadCapacidadesTipo(profile?.usuario_tipo || 5);
+
+  const user = {
+    id: authUser.id,
+    email: authUser.email || '',
+    name: profile?.full_name || authUser.email?.split('@')[0] || 'Usuario',
+    dni: profile?.dni,
+    informacion: profile?.informacion,
+    usuario_tipo: profile?.usuario_tipo || 5, // Default to most restricted role
+    mesa_numero: profile?.mesa_numero,
+    roleDescription: userType?.descripcion || 'COLABORADOR',
+    capacidades,
+  };
+
+  if (profile) {
+    localStorage.setItem(PROFILE_CACHE_KEY, JSON.stringify(user));
+  }
+
+  return user;
+};
+
+/**
+ * Lee el perfil cacheado si pertenece al usuario indicado
+ *
+ * @param {string} userId - ID del usuario autenticado
+ * @returns {Object|null}
+ */
+const readCachedProfile = (userId) => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(PROFILE_CACHE_KEY));
+    return cached?.id === userId ? cached : null;
+  } catch {
+    return null;
+  }
+};
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [isInitializing, setIsInitializing] = useState(true);
+
+  // ID del usuario cargado en el estado, para ignorar los SIGNED_IN repetidos
+  // que Supabase emite al volver a la pestaña
+  const userIdRef = useRef(null);
+
+  // Mientras login() carga el perfil, el SIGNED_IN que dispara no debe cargarlo otra vez
+  const loginInProgressRef = useRef(false);
+
+  const applyUser = (nextUser) => {
+    userIdRef.current = nextUser?.id || null;
+    setUser(nextUser);
+  };
+
+  /**
+   * Restaura la sesión persistida y escucha los cambios de autenticación
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const restoreSession = async () => {
+      try {
+        const { data: { session } } = await supabase.auth.getSession();
+        if (session?.user && !cancelled) {
+          const restoredUser = await loadUserProfile(session.user);
+          if (!cancelled) applyUser(restoredUser);
+        }
+      } catch (error) {
+        console.error('Error restoring session:', error);
+      } finally {
+        if (!cancelled) setIsInitializing(false);
+      }
+    };
+
+    restoreSession();
+
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event, session) => {
+      if (event === 'SIGNED_OUT' || !session) {
+        // Incluye el cierre de sesión hecho en otra pestaña y la falla
+        // definitiva al renovar el token
+        if (userIdRef.current) {
+          localStorage.removeItem(PROFILE_CACHE_KEY);
+          applyUser(null);
+        }
+        return;
+      }
+
+      const needsProfile = event === 'USER_UPDATED' ||
+        (event === 'SIGNED_IN' && !loginInProgressRef.current && userIdRef.current !== session.user.id);
+
+      if (needsProfile) {
+        // Supabase recomienda no esperar otras llamadas dentro del callback:
+        // la carga del perfil se difiere para no bloquear el cliente de auth
+        setTimeout(async () => {
+          try {
+            const nextUser = await loadUserProfile(session.user);
+            if (!cancelled) applyUser(nextUser);
+          } catch (error) {
+            console.error('Error loading user profile:', error);
+          }
+        }, 0);
+      }
+      // TOKEN_REFRESHED: el cliente ya persistió el nuevo token, el perfil no cambia
+    });
+
+    return () => {
+      cancelled = true;
+      subscription.unsubscribe();
+    };
+  }, []);
 
   const login = async (email, password) => {
     setIsLoading(true);
-    
+    loginInProgressRef.current = true;
+
     try {
       const { data, error } = await supabase.auth.signInWithPassword({
         email,
@@ -46,52 +193,28 @@ export function AuthProvider({ children }) {
 
       if (error) {
         console.error('Login error:', error.message);
-        setIsLoading(false);
         return false;
       }
 
       if (data.user) {
-        // Obtener el perfil del usuario
-        const { data: profile } = await supabase
-          .from('profiles')
-          .select('full_name, dni, informacion, usuario_tipo, mesa_numero')
-          .eq('id', data.user.id)
-          .single();
-
-        // Obtener la descripción del tipo de usuario
-        const { data: userType } = await supabase
-          .from('usuariost')
-          .select('descripcion')
-          .eq('tipo', profile?.usuario_tipo || 5)
-          .maybeSingle();
-
-        setUser({
-          id: data.user.id,
-          email: data.user.email || '',
-          name: profile?.full_name || data.user.email?.split('@')[0] || 'Usuario',
-          dni: profile?.dni,
-          informacion: profile?.informacion,
-          usuario_tipo: profile?.usuario_tipo || 5, // Default to most restricted role
-          mesa_numero: profile?.mesa_numero,
-          roleDescription: userType?.descripcion || 'COLABORADOR',
-        });
-        
-        setIsLoading(false);
+        applyUser(await loadUserProfile(data.user));
         return true;
       }
     } catch (error) {
       console.error('Error during login:', error);
-      setIsLoading(false);
       return false;
+    } finally {
+      loginInProgressRef.current = false;
+      setIsLoading(false);
     }
-    
-    setIsLoading(false);
+
     return false;
   };
 
   const logout = async () => {
+    localStorage.removeItem(PROFILE_CACHE_KEY);
     await supabase.auth.signOut();
-    setUser(null);
+    applyUser(null);
   };
 
   const refreshUserProfile = async () => {
@@ -102,29 +225,7 @@ export function AuthProvider({ children }) {
         return false;
       }
 
-      const { data: profile } = await supabase
-        .from('profiles')
-        .select('full_name, dni, informacion, usuario_tipo, mesa_numero')
-        .eq('id', authUser.id)
-        .single();
-
-      const { data: userType } = await supabase
-        .from('usuariost')
-        .select('descripcion')
-        .eq('tipo', profile?.usuario_tipo || 5)
-        .maybeSingle();
-
-      setUser({
-        id: authUser.id,
-        email: authUser.email || '',
-        name: profile?.full_name || authUser.email?.split('@')[0] || 'Usuario',
-        dni: profile?.dni,
-        informacion: profile?.informacion,
-        usuario_tipo: profile?.usuario_tipo || 5,
-        mesa_numero: profile?.mesa_numero,
-        roleDescription: userType?.descripcion || 'COLABORADOR',
-      });
-
+      applyUser(await loadUserProfile(authUser));
       return true;
     } catch (error) {
       console.error('Error refreshing user profile:', error);
@@ -133,7 +234,7 @@ export function AuthProvider({ children }) {
   };
 
   return (
-    <AuthContext.Provider value={{ user, login, logout, isLoading, refreshUserProfile }}>
+    <AuthContext.Provider value={{ user, login, logout, isLoading, isInitializing, refreshUserProfile }}>
       {children}
     </AuthContext.Provider>
   );
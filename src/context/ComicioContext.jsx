@@ -0,0 +1,74 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { loadComicioVigente } from '../services/comicioService';
+import { loadCurvas } from '../services/curvasParticipacionService';
+
+/**
+ * ComicioContext - Configuración del comicio vigente
+ *
+ * Propósito: Carga una sola vez, al iniciar sesión, el registro de `comicios`
+ * que gobierna la aplicación y lo comparte con todas las vistas.
+ *
+ * Consumidores principales:
+ * - tendenciaParticipacion: horario de apertura/cierre y curvas históricas
+ *   para las proyecciones
+ * - ReportsStats / GeneralStats: rango de horas de los gráficos
+ * - FiscalizarView: bloqueo del marcado de votos fuera del día/horario
+ *
+ * Valor expuesto:
+ * - comicio: registro vigente, o null si no hay configuración
+ * - curvas: curvas de participación del comicio (general y por localidad)
+ * - isLoading: true mientras se carga
+ * - refreshComicio: recarga el registro (por ejemplo, tras guardarlo en Settings)
+ *
+ * Hooks exportados:
+ * - useComicio: Hook personalizado para acceder al contexto
+ */
+
+const ComicioContext = createContext(undefined);
+
+export function ComicioProvider({ children }) {
+  const { user } = useAuth();
+  const [comicio, setComicio] = useState(null);
+  const [curvas, setCurvas] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const refreshComicio = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const vigente = await loadComicioVigente();
+      const curvasComicio = vigente ? await loadCurvas(vigente.id) : [];
+      setComicio(vigente);
+      setCurvas(curvasComicio);
+    } catch (error) {
+      console.error('Error loading comicio:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // La tabla solo es legible por usuarios autenticados
+  const userId = user?.id;
+  useEffect(() => {
+    if (userId) {
+      refreshComicio();
+    } else {
+      setComicio(null);
+      setCurvas([]);
+    }
+  }, [userId, refreshComicio]);
+
+  return (
+    <ComicioContext.Provider value={{ comicio, curvas, isLoading, refreshComicio }}>
+      {children}
+    </ComicioContext.Provider>
+  );
+}
+
+export function useComicio() {
+  const context = useContext(ComicioContext);
+  if (context === undefined) {
+    throw new Error('useComicio must be used within a ComicioProvider');
+  }
+  return context;
+}
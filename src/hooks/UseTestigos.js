@@ -1,15 +1,36 @@
-import { useState, useEffect, useCallback, useReducer } from 'react';
+import { useState, useEffect, useCallback, useReducer, useMemo } from 'react';
 import { supabase } from '../lib/supabase';
+import { loadMesaTotales } from '../services/mesaTotalesService';
+import {
+  cerrarMedicionesVencidas,
+  loadMedicionesMesa,
+  iniciarMedicion,
+  finalizarMedicion,
+  cancelarMedicion,
+  revisarMuestra
+} from '../services/testigosService';
+import {
+  calculateAggregateStats,
+  calculateTestigoPercentage,
+  validateTestigoData,
+  getMedicionVencimiento,
+  MEDICION_TIMEOUT_MINUTOS
+} from '../utils/testigosUtils';
+
+// Cada cuánto se revisa si la medición en curso venció
+const VENCIMIENTO_CHECK_MS = 30 * 1000;
 
 // Reducer para manejo de estado complejo
 const testigosReducer = (state, action) => {
   switch (action.type) {
     case 'SET_LOADING':
       return { ...state, isLoading: action.payload };
+    case 'SET_SAVING':
+      return { ...state, isSaving: action.payload };
     case 'SET_ERROR':
-      return { ...state, error: action.payload, isLoading: false };
+      return { ...state, error: action.payload, isLoading: false, isSaving: false };
     case 'SET_RECORDS':
-      return { ...state, records: action.payload, isLoading: false, error: '' };
+      return { ...state, records: action.payload, isLoading: false };
     case 'UPDATE_RECORD':
       return {
         ...state,
@@ -17,12 +38,8 @@ const testigosReducer = (state, action) => {
           record.id === action.payload.id ? { ...record, ...action.payload.updates } : record
         )
       };
-    case 'ADD_RECORD':
-      return { ...state, records: [action.payload, ...state.records] };
-    case 'SET_MEASURING':
-      return { ...state, isMeasuring: action.payload.status, currentTestigoId: action.payload.id };
-    case 'RESET_MEASURING':
-      return { ...state, isMeasuring: false, currentTestigoId: null };
+    case 'SET_VOTOS_ACTUALES':
+      return { ...state, votosActuales: action.payload };
     default:
       return state;
   }
@@ -31,373 +48,209 @@ const testigosReducer = (state, action) => {
 const initialState = {
   records: [],
   isLoading: false,
+  isSaving: false,
   error: '',
-  isMeasuring: false,
-  currentTestigoId: null
+  votosActuales: 0
 };
 
 /**
  * Hook personalizado para manejo completo de Mesa Testigo
+ *
+ * Ciclo de una medición: iniciar → en curso → finalizar → válida / no válida.
+ * Las transiciones las valida el servidor (ver services/testigosService.js):
+ * una sola medición en curso por mesa y cierre como vencida pasados
+ * MEDICION_TIMEOUT_MINUTOS. La medición en curso se deduce de los registros
+ * (`estado = 'en_curso'`), así que sobrevive a recargas de la página.
+ *
  * @param {number} mesaNumero - Número de mesa
  * @param {string} userId - ID del usuario
  * @returns {object} - Objeto con estados y funciones
  */
 export const useTestigos = (mesaNumero, userId) => {
   const [state, dispatch] = useReducer(testigosReducer, initialState);
-  
-  // Estados adicionales para el control activo
-  const [startTime, setStartTime] = useState('');
-  const [votosInicio, setVotosInicio] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+
+  // Medición abierta en la mesa (propia o de otro usuario)
+  const activeRecord = useMemo(
+    () => state.records.find(record => record.estado === 'en_curso') || null,
+    [state.records]
+  );
+  const isMeasuring = Boolean(activeRecord) && activeRecord.user_id === userId;
+  const vencimiento = getMedicionVencimiento(activeRecord);
+  const isExpired = Boolean(vencimiento) && vencimiento.getTime() <= now;
+
+  const votosInicio = isMeasuring ? activeRecord.votos_inicio || 0 : 0;
+  const votosDiferencia = isMeasuring ? Math.max(0, state.votosActuales - votosInicio) : 0;
+  const startTime = isMeasuring
+    ? new Date(activeRecord.user_at).toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit' })
+    : '';
 
   /**
-   * Obtiene el conteo actual de votos emitidos
+   * Obtiene el conteo actual de votos emitidos (mismo total que usa el servidor)
    */
   const fetchCurrentVoteCount = useCallback(async () => {
     if (!mesaNumero) return 0;
 
     try {
-      const { count, error } = await supabase
-        .from('padron')
-        .select('documento', { count: 'exact', head: true })
-        .eq('mesa_numero', mesaNumero)
-        .eq('voto_emitido', true);
-
-      if (error) {
-        console.error('Error fetching vote count:', error);
-        return 0;
-      }
-
-      return count || 0;
+      const { votaron } = await loadMesaTotales(mesaNumero);
+      dispatch({ type: 'SET_VOTOS_ACTUALES', payload: votaron });
+      return votaron;
     } catch (error) {
-      console.error('Error:', error);
+      console.error('Error fetching vote count:', error);
       return 0;
     }
   }, [mesaNumero]);
 
   /**
-   * Carga todos los registros de testigos de la mesa
+   * Carga todos los registros de testigos de la mesa, cerrando antes las mediciones vencidas
    */
   const fetchTestigosRecords = useCallback(async () => {
     if (!mesaNumero) return;
 
     dispatch({ type: 'SET_LOADING', payload: true });
-    
-    try {
-      const { data, error } = await supabase
-        .from('testigos')
-        .select(`
-          *,
-          profiles!testigos_user_id_fkey(
-            full_name
-          )
-        `)
-        .eq('mesa_numero', mesaNumero)
-        .order('user_at', { ascending: false });
-
-      if (error) {
-        console.error('Error fetching testigos records:', error);
-        dispatch({ type: 'SET_ERROR', payload: 'Error al cargar registros de testigos' });
-        return;
-      }
 
-      dispatch({ type: 'SET_RECORDS', payload: data || [] });
-
-      // Verificar si hay una medición en curso (registro sin finalizar)
-      const activeRecord = data?.find(record => 
-        record.user_id === userId && 
-        record.pila_faltante === null && 
-        record.votos_diferencia === null
+    try {
+      await cerrarMedicionesVencidas(mesaNumero).catch(error =>
+        console.error('Error closing expired measurements:', error)
       );
-
-      if (activeRecord) {
-        dispatch({ 
-          type: 'SET_MEASURING', 
-          payload: { status: true, id: activeRecord.id } 
-        });
-        setVotosInicio(activeRecord.votos_inicio || 0);
-        setStartTime(new Date(activeRecord.user_at).toLocaleTimeString('es-AR', { 
-          hour: '2-digit', 
-          minute: '2-digit' 
-        }));
-      }
-
+      const data = await loadMedicionesMesa(mesaNumero);
+      dispatch({ type: 'SET_RECORDS', payload: data });
     } catch (error) {
-      console.error('Error:', error);
+      console.error('Error fetching testigos records:', error);
       dispatch({ type: 'SET_ERROR', payload: 'Error al cargar registros de testigos' });
     }
-  }, [mesaNumero, userId]);
+  }, [mesaNumero]);
 
   /**
-   * Inicia una nueva medición de mesa testigo
+   * Ejecuta una transición del ciclo: marca el guardado, recarga los registros
+   * y deja el error en el estado antes de relanzarlo
    */
-  const startMeasurement = useCallback(async (pilaInicio) => {
-    if (!mesaNumero || !userId || !pilaInicio || pilaInicio <= 0) {
-      throw new Error('Datos insuficientes para iniciar la medición');
-    }
-
-    // Verificar que no haya otra medición activa
-    if (state.isMeasuring) {
-      throw new Error('Ya hay una medición en curso');
-    }
-
-    dispatch({ type: 'SET_LOADING', payload: true });
+  const runTransition = useCallback(async (action) => {
+    dispatch({ type: 'SET_ERROR', payload: '' });
+    dispatch({ type: 'SET_SAVING', payload: true });
 
     try {
-      // 1. Obtener conteo actual de votos
-      const currentVotes = await fetchCurrentVoteCount();
-      
-      // 2. Crear registro inicial
-      const timestamp = new Date().toISOString();
-      const { data, error } = await supabase
-        .from('testigos')
-        .insert({
-          mesa_numero: mesaNumero,
-          pila_inicio: parseInt(pilaInicio),
-          votos_inicio: currentVotes,
-          user_id: userId,
-          user_at: timestamp
-        })
-        .select(`
-          *,
-          profiles!testigos_user_id_fkey(
-            full_name
-          )
-        `)
-        .single();
-
-      if (error) {
-        console.error('Error creating testigo record:', error);
-        throw new Error('Error al crear el registro de testigo');
-      }
-
-      // 3. Actualizar estados
-      dispatch({ type: 'ADD_RECORD', payload: data });
-      dispatch({ 
-        type: 'SET_MEASURING', 
-        payload: { status: true, id: data.id } 
-      });
-      
-      setVotosInicio(currentVotes);
-      setStartTime(new Date().toLocaleTimeString('es-AR', { 
-        hour: '2-digit', 
-        minute: '2-digit' 
-      }));
-
-      dispatch({ type: 'SET_LOADING', payload: false });
-
-      return {
-        success: true,
-        testigoId: data.id,
-        votosInicio: currentVotes,
-        mensaje: 'Medición iniciada correctamente'
-      };
-
+      const result = await action();
+      dispatch({ type: 'SET_SAVING', payload: false });
+      return result;
     } catch (error) {
       dispatch({ type: 'SET_ERROR', payload: error.message });
       throw error;
     }
-  }, [mesaNumero, userId, state.isMeasuring, fetchCurrentVoteCount]);
+  }, []);
 
   /**
-   * Finaliza la medición activa
+   * Inicia una nueva medición de mesa testigo
    */
-  const finalizeMeasurement = useCallback(async (pilaInicio, pilaRetirada) => {
-    if (!state.currentTestigoId || !pilaInicio || pilaRetirada < 0) {
-      throw new Error('Datos insuficientes para finalizar la medición');
+  const startMeasurement = useCallback((pilaInicio) => runTransition(async () => {
+    const pilaInicioNum = parseInt(pilaInicio);
+    if (!mesaNumero || !userId || isNaN(pilaInicioNum) || pilaInicioNum <= 0) {
+      throw new Error('La pila inicial debe ser un número mayor a 0');
     }
-
-    if (parseInt(pilaRetirada) > parseInt(pilaInicio)) {
-      throw new Error('La pila retirada no puede ser mayor a la inicial');
+    if (pilaInicioNum > 1000) {
+      throw new Error('La pila inicial parece demasiado alta (máx 1000)');
+    }
+    if (activeRecord) {
+      throw new Error(isMeasuring
+        ? 'Ya hay una medición en curso'
+        : `Ya hay una medición en curso en la mesa (${activeRecord.profiles?.full_name || 'otro usuario'})`);
     }
 
-    dispatch({ type: 'SET_LOADING', payload: true });
-
-    try {
-      // 1. Obtener conteo actual de votos
-      const currentVotes = await fetchCurrentVoteCount();
-      
-      // 2. Calcular diferencias
-      const votos_diferencia = currentVotes - votosInicio;
-      const pila_faltante = parseInt(pilaInicio) - parseInt(pilaRetirada);
-
-      // Validación de lógica de negocio
-      if (votos_diferencia < 0) {
-        throw new Error('Error: el conteo de votos ha disminuido');
-      }
-
-      // 3. Actualizar registro
-      const { error } = await supabase
-        .from('testigos')
-        .update({
-          pila_faltante: pila_faltante,
-          votos_diferencia: votos_diferencia,
-          muestra_valida: true // Por defecto válida
-        })
-        .eq('id', state.currentTestigoId);
-
-      if (error) {
-        console.error('Error updating testigo record:', error);
-        throw new Error('Error al finalizar el registro');
-      }
-
-      // 4. Actualizar estado local
-      dispatch({
-        type: 'UPDATE_RECORD',
-        payload: {
-          id: state.currentTestigoId,
-          updates: {
-            pila_faltante,
-            votos_diferencia,
-            muestra_valida: true
-          }
-        }
-      });
-
-      // 5. Resetear medición
-      dispatch({ type: 'RESET_MEASURING' });
-      setStartTime('');
-      setVotosInicio(0);
-
-      dispatch({ type: 'SET_LOADING', payload: false });
-
-      // Calcular porcentaje para el resultado
-      const porcentaje = votos_diferencia > 0 ? (pila_faltante / votos_diferencia) * 100 : 0;
-
-      return {
-        success: true,
-        results: {
-          pila_faltante,
-          votos_diferencia,
-          porcentaje: Math.round(porcentaje * 10) / 10,
-          votosFinales: currentVotes
-        },
-        mensaje: 'Medición finalizada correctamente'
-      };
+    const data = await iniciarMedicion(mesaNumero, pilaInicioNum);
+    dispatch({ type: 'SET_VOTOS_ACTUALES', payload: data.votos_inicio || 0 });
+    await fetchTestigosRecords();
 
-    } catch (error) {
-      dispatch({ type: 'SET_ERROR', payload: error.message });
-      throw error;
-    }
-  }, [state.currentTestigoId, votosInicio, fetchCurrentVoteCount]);
+    return {
+      success: true,
+      testigoId: data.id,
+      votosInicio: data.votos_inicio,
+      mensaje: 'Medición iniciada correctamente'
+    };
+  }), [mesaNumero, userId, activeRecord, isMeasuring, runTransition, fetchTestigosRecords]);
 
   /**
-   * Cambia el estado de validez de una muestra
+   * Finaliza la medición activa
    */
-  const toggleSampleValidity = useCallback(async (testigoId, isValid) => {
-    try {
-      const { error } = await supabase
-        .from('testigos')
-        .update({ muestra_valida: isValid })
-        .eq('id', testigoId);
-
-      if (error) {
-        console.error('Error updating muestra_valida:', error);
-        throw new Error('Error al actualizar el estado de la muestra');
-      }
+  const finalizeMeasurement = useCallback((pilaRetirada) => runTransition(async () => {
+    if (!isMeasuring) {
+      throw new Error('No hay un control en curso para finalizar');
+    }
 
-      dispatch({
-        type: 'UPDATE_RECORD',
-        payload: {
-          id: testigoId,
-          updates: { muestra_valida: isValid }
-        }
-      });
+    const pilaRetiradaNum = parseInt(pilaRetirada);
+    if (isNaN(pilaRetiradaNum) || pilaRetiradaNum < 0) {
+      throw new Error('La pila retirada debe ser un número válido (0 o más)');
+    }
+    if (pilaRetiradaNum > activeRecord.pila_inicio) {
+      throw new Error('La pila retirada no puede ser mayor que la pila inicial');
+    }
 
-      return {
-        success: true,
-        mensaje: `Muestra marcada como ${isValid ? 'válida' : 'inválida'}`
-      };
+    const data = await finalizarMedicion(activeRecord.id, pilaRetiradaNum);
+    await fetchTestigosRecords();
 
-    } catch (error) {
-      dispatch({ type: 'SET_ERROR', payload: error.message });
-      throw error;
+    if (data.estado === 'vencida') {
+      throw new Error(
+        `La medición superó los ${MEDICION_TIMEOUT_MINUTOS} minutos y se cerró como vencida. Inicie una nueva.`
+      );
     }
-  }, []);
+
+    return {
+      success: true,
+      results: {
+        pila_faltante: data.pila_faltante,
+        votos_diferencia: data.votos_diferencia,
+        porcentaje: Math.round(calculateTestigoPercentage(data.pila_faltante, data.votos_diferencia) * 10) / 10,
+        votosFinales: (data.votos_inicio || 0) + data.votos_diferencia
+      },
+      mensaje: 'Medición finalizada correctamente'
+    };
+  }), [isMeasuring, activeRecord, runTransition, fetchTestigosRecords]);
 
   /**
    * Cancela una medición en curso
    */
-  const cancelMeasurement = useCallback(async () => {
-    if (!state.currentTestigoId) {
+  const cancelMeasurement = useCallback(() => runTransition(async () => {
+    if (!isMeasuring) {
       throw new Error('No hay medición activa para cancelar');
     }
 
-    try {
-      // Eliminar el registro incompleto
-      const { error } = await supabase
-        .from('testigos')
-        .delete()
-        .eq('id', state.currentTestigoId);
-
-      if (error) {
-        console.error('Error deleting testigo record:', error);
-        throw new Error('Error al cancelar la medición');
-      }
-
-      // Recargar registros
-      await fetchTestigosRecords();
-      
-      // Resetear estados
-      dispatch({ type: 'RESET_MEASURING' });
-      setStartTime('');
-      setVotosInicio(0);
-
-      return {
-        success: true,
-        mensaje: 'Medición cancelada'
-      };
+    await cancelarMedicion(activeRecord.id);
+    await fetchTestigosRecords();
 
-    } catch (error) {
-      dispatch({ type: 'SET_ERROR', payload: error.message });
-      throw error;
-    }
-  }, [state.currentTestigoId, fetchTestigosRecords]);
+    return {
+      success: true,
+      mensaje: 'Medición cancelada'
+    };
+  }), [isMeasuring, activeRecord, runTransition, fetchTestigosRecords]);
 
   /**
-   * Obtiene estadísticas de las muestras
+   * Cambia el estado de validez de una muestra, con una observación opcional
    */
-  const getStatistics = useCallback(() => {
-    const validSamples = state.records.filter(r => r.muestra_valida && r.votos_diferencia > 0);
-    
-    if (validSamples.length === 0) {
-      return {
-        totalSamples: state.records.length,
-        validSamples: 0,
-        averageEfficiency: 0,
-        medianEfficiency: 0,
-        confidenceLevel: 'bajo'
-      };
-    }
-
-    const percentages = validSamples.map(s => 
-      (s.pila_faltante / s.votos_diferencia) * 100
-    );
-
-    const sum = percentages.reduce((a, b) => a + b, 0);
-    const average = sum / percentages.length;
-    
-    const sortedPercentages = [...percentages].sort((a, b) => a - b);
-    const median = sortedPercentages[Math.floor(sortedPercentages.length / 2)];
-
-    const variance = percentages.reduce((sq, p) => sq + Math.pow(p - average, 2), 0) / percentages.length;
-    const standardDeviation = Math.sqrt(variance);
-
-    let confidenceLevel = 'bajo';
-    if (validSamples.length >= 10 && standardDeviation <= 20) {
-      confidenceLevel = 'alto';
-    } else if (validSamples.length >= 5 && standardDeviation <= 35) {
-      confidenceLevel = 'medio';
-    }
+  const toggleSampleValidity = useCallback((testigoId, isValid, observacion = null) => runTransition(async () => {
+    const data = await revisarMuestra(testigoId, isValid, observacion);
+
+    dispatch({
+      type: 'UPDATE_RECORD',
+      payload: {
+        id: testigoId,
+        updates: {
+          muestra_valida: data.muestra_valida,
+          observacion: data.observacion,
+          revisada_por: data.revisada_por,
+          revisada_at: data.revisada_at
+        }
+      }
+    });
 
     return {
-      totalSamples: state.records.length,
-      validSamples: validSamples.length,
-      averageEfficiency: Math.round(average * 10) / 10,
-      medianEfficiency: Math.round(median * 10) / 10,
-      standardDeviation: Math.round(standardDeviation * 10) / 10,
-      confidenceLevel
+      success: true,
+      mensaje: `Muestra marcada como ${isValid ? 'válida' : 'inválida'}`
     };
-  }, [state.records]);
+  }), [runTransition]);
+
+  /**
+   * Obtiene estadísticas de las muestras
+   */
+  const getStatistics = useCallback(() => calculateAggregateStats(state.records), [state.records]);
 
   /**
    * Limpia errores
@@ -413,16 +266,63 @@ export const useTestigos = (mesaNumero, userId) => {
     }
   }, [fetchTestigosRecords, mesaNumero]);
 
+  // Durante la medición: votos en vivo de la mesa
+  useEffect(() => {
+    if (!isMeasuring) return undefined;
+
+    fetchCurrentVoteCount();
+    const channel = supabase
+      .channel(`testigo-mesa-${mesaNumero}`)
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'padron',
+          filter: `mesa_numero=eq.${mesaNumero}`
+        },
+        (payload) => {
+          if (payload.new.voto_emitido !== payload.old.voto_emitido) {
+            fetchCurrentVoteCount();
+          }
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [isMeasuring, mesaNumero, fetchCurrentVoteCount]);
+
+  // Con una medición abierta: revisar el vencimiento periódicamente
+  useEffect(() => {
+    if (!activeRecord) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), VENCIMIENTO_CHECK_MS);
+    return () => clearInterval(timer);
+  }, [activeRecord]);
+
+  // Al vencer, el servidor la cierra en la recarga
+  useEffect(() => {
+    if (isExpired) {
+      fetchTestigosRecords();
+    }
+  }, [isExpired, fetchTestigosRecords]);
+
   // Retornar API completa del hook
   return {
     // Estados
     records: state.records,
     isLoading: state.isLoading,
+    isSaving: state.isSaving,
     error: state.error,
-    isMeasuring: state.isMeasuring,
-    currentTestigoId: state.currentTestigoId,
+    activeRecord,
+    isMeasuring,
+    currentTestigoId: isMeasuring ? activeRecord.id : null,
     startTime,
+    vencimiento,
     votosInicio,
+    votosActuales: state.votosActuales,
+    votosDiferencia,
 
     // Funciones principales
     startMeasurement,
@@ -437,26 +337,10 @@ export const useTestigos = (mesaNumero, userId) => {
     clearError,
 
     // Funciones de validación
-    validateMeasurementData: (pilaInicio, pilaRetirada) => {
-      const errors = [];
-      
-      if (!pilaInicio || pilaInicio <= 0) {
-        errors.push('La pila inicial debe ser mayor a 0');
-      }
-      
-      if (pilaRetirada < 0) {
-        errors.push('La pila retirada no puede ser negativa');
-      }
-      
-      if (parseInt(pilaRetirada) > parseInt(pilaInicio)) {
-        errors.push('La pila retirada no puede ser mayor a la inicial');
-      }
-
-      return {
-        isValid: errors.length === 0,
-        errors,
-        pilaFaltante: parseInt(pilaInicio || 0) - parseInt(pilaRetirada || 0)
-      };
-    }
+    validateMeasurementData: (pilaInicio, pilaRetirada) => validateTestigoData({
+      pila_inicio: parseInt(pilaInicio),
+      pila_retirada: parseInt(pilaRetirada),
+      votos_diferencia: votosDiferencia
+    })
   };
-};
\ No newline at end of file
+};
@@ -50,6 +50,8 @@ import { useState, useEffect, useRef } from 'react';
  * - App.jsx agrega UNA sola entrada con pushState al autenticarse
  * - Este hook usa replaceState (no pushState) para reemplazar esa entrada
  *   sin acumular nuevas, manteniendo siempre exactamente una entrada propia
+ * - utils/urlState.js también usa replaceState para escribir la vista y los
+ *   filtros en la URL, por lo que cambiar de vista no agrega entradas
  * - Al hacer logout, App.jsx retrocede exactamente 1 posición
  *
  * El callback retorna tres valores posibles:
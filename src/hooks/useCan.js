@@ -0,0 +1,21 @@
+import { useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { tieneCapacidad } from '../utils/permisosUtils';
+
+/**
+ * Hook useCan
+ *
+ * Propósito: Consulta las capacidades del usuario autenticado según la matriz
+ * de permisos (`permisos_rol`), en lugar de comparar `usuario_tipo`.
+ *
+ * Uso:
+ *   const can = useCan();
+ *   if (can('pick.edit')) { ... }
+ *
+ * @returns {(capacidad: string) => boolean} Función que indica si el usuario
+ *   tiene la capacidad (claves en `utils/permisosUtils.js`)
+ */
+export function useCan() {
+  const { user } = useAuth();
+  return useCallback((capacidad) => tieneCapacidad(user, capacidad), [user]);
+}
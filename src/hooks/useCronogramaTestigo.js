@@ -0,0 +1,92 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useComicio } from '../context/ComicioContext';
+import { obtenerHorario } from '../utils/comicioUtils';
+import { loadCronogramaMesa, loadMedicionesDia } from '../services/testigosCronogramaService';
+import {
+  generarTurnos,
+  evaluarTurnos,
+  resumirCobertura,
+  getFechaCronograma
+} from '../utils/testigosCronograma';
+
+// Cada cuánto se reevalúan los turnos y se recargan las mediciones de la mesa
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Hook useCronogramaTestigo
+ *
+ * Propósito: Turnos del cronograma de muestreo de una mesa con su estado
+ * (próximo, toca medir, en curso, completo, atrasado). Lo usan la vista
+ * Cronograma del fiscal y el recordatorio del Dashboard.
+ *
+ * Cronograma y mediciones del día se recargan cada minuto, así que un turno
+ * pasa a "toca medir" o "atrasado" (y un cronograma nuevo aparece) sin
+ * recargar la página.
+ *
+ * @param {number|null} mesaNumero - Mesa asignada al fiscal
+ * @returns {Object}
+ * - cronograma   {Object|null} → registro de `testigos_cronograma`, null si la mesa no tiene
+ * - turnos       {Object[]}    → turnos evaluados (ver `evaluarTurnos`)
+ * - turnoActual  {Object|null} → turno que toca medir ahora
+ * - resumen      {Object}      → cobertura de la mesa (ver `resumirCobertura`)
+ * - horario      {Object}      → horario del comicio en minutos
+ * - isLoading    {boolean}
+ * - error        {string}
+ * - refresh      {Function}    → recarga cronograma y mediciones ({silent} sin indicador de carga)
+ */
+export function useCronogramaTestigo(mesaNumero) {
+  const { comicio } = useComicio();
+  const [cronograma, setCronograma] = useState(null);
+  const [mediciones, setMediciones] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [ahora, setAhora] = useState(() => new Date());
+
+  const horario = useMemo(() => obtenerHorario(comicio), [comicio]);
+  const fecha = getFechaCronograma(comicio, ahora);
+
+  const refresh = useCallback(async ({ silent = false } = {}) => {
+    if (!mesaNumero) return;
+
+    if (!silent) setIsLoading(true);
+    setError('');
+    try {
+      const data = await loadCronogramaMesa(mesaNumero);
+      setCronograma(data);
+      setMediciones(data ? await loadMedicionesDia(fecha, mesaNumero) : []);
+      setAhora(new Date());
+    } catch (err) {
+      console.error('Error loading sampling schedule:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [mesaNumero, fecha]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Reevaluar los turnos y recargar las mediciones periódicamente
+  useEffect(() => {
+    if (!mesaNumero) return undefined;
+    const timer = setInterval(() => refresh({ silent: true }), REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [mesaNumero, refresh]);
+
+  const turnos = useMemo(
+    () => (cronograma ? evaluarTurnos(generarTurnos(cronograma, horario), mediciones, fecha, ahora) : []),
+    [cronograma, horario, mediciones, fecha, ahora]
+  );
+
+  return {
+    cronograma,
+    turnos,
+    turnoActual: turnos.find(turno => turno.estado === 'pendiente') || null,
+    resumen: resumirCobertura(turnos),
+    horario,
+    isLoading,
+    error,
+    refresh
+  };
+}
@@ -0,0 +1,81 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  getEstadistica,
+  onEstadisticasInvalidadas,
+  suscribirCambiosPadron
+} from '../services/estadisticasService';
+
+/**
+ * Hook useEstadisticas
+ *
+ * Propósito: Carga varias estadísticas de la caché compartida de
+ * services/estadisticasService.js. Dos pestañas que piden la misma clave
+ * comparten la consulta y el resultado.
+ *
+ * En tiempo real se suscribe al canal compartido de `padron` y recarga,
+ * sin indicador de carga, cada vez que los votos invalidan la caché. En
+ * modo manual la caché se invalida igual, pero solo se recarga con `refresh`.
+ *
+ * @param {string[]} keys - Claves de `getEstadistica` (ej.: ['participacion:mesa', 'votos-por-hora'])
+ * @param {Object} [options]
+ * @param {boolean} [options.realtime=false] - Recargar al cambiar los votos
+ * @returns {Object}
+ * - data      {Object}   → resultado por clave (undefined hasta cargar)
+ * - isLoading {boolean}  → true durante una carga no silenciosa
+ * - error     {string}   → mensaje del primer error, '' si no hubo
+ * - refresh   {Function} → recarga ignorando la caché
+ */
+export function useEstadisticas(keys, { realtime = false } = {}) {
+  const [data, setData] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Descarta respuestas de cargas anteriores a la última
+  const requestIdRef = useRef(0);
+
+  const keysId = keys.join('|');
+
+  const load = useCallback(async ({ force = false, silent = false } = {}) => {
+    const requestId = ++requestIdRef.current;
+    const requested = keysId.split('|');
+
+    if (!silent) setIsLoading(true);
+
+    const results = await Promise.allSettled(requested.map(key => getEstadistica(key, { force })));
+    if (requestId !== requestIdRef.current) return;
+
+    const next = {};
+    let firstError = '';
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        next[requested[index]] = result.value;
+      } else {
+        console.error(`Error loading statistic ${requested[index]}:`, result.reason);
+        firstError = firstError || result.reason.message;
+      }
+    });
+
+    setData(prev => ({ ...prev, ...next }));
+    setError(firstError);
+    setIsLoading(false);
+  }, [keysId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    if (!realtime) return undefined;
+
+    const unsubscribe = suscribirCambiosPadron();
+    const off = onEstadisticasInvalidadas(() => load({ silent: true }));
+    return () => {
+      off();
+      unsubscribe();
+    };
+  }, [realtime, load]);
+
+  const refresh = useCallback(() => load({ force: true }), [load]);
+
+  return { data, isLoading, error, refresh };
+}
@@ -0,0 +1,177 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  enqueueVoteAction,
+  addVoteConflict,
+  getPendingVoteActions,
+  getVoteConflicts,
+  dismissVoteConflict,
+  syncPendingVoteActions
+} from '../services/offlineVotesService';
+
+// Intervalo de reintento mientras haya acciones pendientes. `navigator.onLine`
+// puede indicar conexion aunque la red del establecimiento no responda.
+const RETRY_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Hook useOfflineVotes
+ *
+ * Propósito: Expone la cola local de marcados/deshacer de votos de una mesa
+ * y la replica automáticamente en Supabase cuando vuelve la conectividad.
+ *
+ * Disparadores de sincronización:
+ * - Evento `online` del navegador
+ * - Montaje del componente, si quedaron acciones de una sesión anterior
+ * - Reintento periódico mientras la cola no esté vacía
+ * - Llamada manual a `syncNow`
+ *
+ * @param {number|null} mesaNumero - Mesa del fiscal
+ * @param {Function} [onSynced] - Callback invocado con el resultado de cada
+ *   sincronización que aplicó acciones o detectó conflictos
+ * @returns {Object}
+ * - isOnline       {boolean}  → estado de conectividad reportado por el navegador
+ * - isSyncing      {boolean}  → true mientras se replica la cola
+ * - pending        {Object[]} → acciones pendientes en orden de creación
+ * - pendingByDocumento {Map}  → última acción pendiente por documento
+ * - conflicts      {Object[]} → conflictos detectados y no descartados
+ * - enqueue        {Function} → agrega una acción a la cola
+ * - syncNow        {Function} → fuerza un intento de sincronización
+ * - reportConflict {Function} → registra un conflicto detectado fuera de la cola
+ * - dismissConflict {Function} → descarta un conflicto revisado
+ */
+export function useOfflineVotes(mesaNumero, onSynced) {
+  const [isOnline, setIsOnline] = useState(
+    typeof navigator === 'undefined' ? true : navigator.onLine
+  );
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [pending, setPending] = useState([]);
+  const [conflicts, setConflicts] = useState([]);
+
+  // Evita sincronizaciones concurrentes que podrían aplicar dos veces la misma acción
+  const syncingRef = useRef(false);
+
+  // Mantiene el callback actualizado sin reiniciar los listeners
+  const onSyncedRef = useRef(onSynced);
+  useEffect(() => {
+    onSyncedRef.current = onSynced;
+  }, [onSynced]);
+
+  /**
+   * Relee la cola y los conflictos desde IndexedDB
+   */
+  const refresh = useCallback(async () => {
+    if (!mesaNumero) return;
+    try {
+      const [pendingActions, storedConflicts] = await Promise.all([
+        getPendingVoteActions(mesaNumero),
+        getVoteConflicts(mesaNumero)
+      ]);
+      setPending(pendingActions);
+      setConflicts(storedConflicts);
+    } catch (error) {
+      console.error('Error reading offline vote queue:', error);
+    }
+  }, [mesaNumero]);
+
+  /**
+   * Replica la cola en orden. Se ignora si ya hay una sincronización en curso.
+   */
+  const syncNow = useCallback(async () => {
+    if (!mesaNumero || syncingRef.current) return null;
+
+    syncingRef.current = true;
+    setIsSyncing(true);
+    try {
+      const result = await syncPendingVoteActions(mesaNumero);
+      await refresh();
+      if ((result.applied.length > 0 || result.conflicts.length > 0) && onSyncedRef.current) {
+        onSyncedRef.current(result);
+      }
+      return result;
+    } catch (error) {
+      console.error('Error syncing offline votes:', error);
+      return null;
+    } finally {
+      syncingRef.current = false;
+      setIsSyncing(false);
+    }
+  }, [mesaNumero, refresh]);
+
+  /**
+   * Agrega una acción a la cola local
+   *
+   * @param {Object} action - Ver `enqueueVoteAction`
+   * @returns {Promise<Object>} Entrada almacenada
+   */
+  const enqueue = useCallback(async (action) => {
+    const entry = await enqueueVoteAction({ ...action, mesa_numero: mesaNumero });
+    await refresh();
+    return entry;
+  }, [mesaNumero, refresh]);
+
+  /**
+   * Registra un conflicto detectado al escribir directamente (sin pasar por la cola),
+   * para que se muestre junto con los detectados durante la sincronización
+   */
+  const reportConflict = useCallback(async (conflict) => {
+    await addVoteConflict({ ...conflict, mesa_numero: mesaNumero });
+    await refresh();
+  }, [mesaNumero, refresh]);
+
+  /**
+   * Descarta un conflicto ya revisado por el fiscal
+   */
+  const dismissConflict = useCallback(async (id) => {
+    await dismissVoteConflict(id);
+    await refresh();
+  }, [refresh]);
+
+  // Carga inicial y sincronización de acciones de sesiones anteriores
+  useEffect(() => {
+    refresh().then(() => {
+      if (navigator.onLine) syncNow();
+    });
+  }, [refresh, syncNow]);
+
+  // Escuchar cambios de conectividad del navegador
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncNow();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncNow]);
+
+  // Reintento periódico mientras haya acciones en cola
+  useEffect(() => {
+    if (pending.length === 0) return;
+
+    const interval = setInterval(() => {
+      if (navigator.onLine) syncNow();
+    }, RETRY_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [pending.length, syncNow]);
+
+  const pendingByDocumento = new Map();
+  pending.forEach(action => pendingByDocumento.set(Number(action.documento), action));
+
+  return {
+    isOnline,
+    isSyncing,
+    pending,
+    pendingByDocumento,
+    conflicts,
+    enqueue,
+    syncNow,
+    reportConflict,
+    dismissConflict
+  };
+}
@@ -5,8 +5,12 @@
 import { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './App.jsx';
+import { resolveDeepLink } from './utils/urlState';
 import './index.css';
 
+// Enlaces directos (?votante=..., ?pendientes=...) a su forma completa antes de renderizar
+resolveDeepLink();
+
 // Registrar el Service Worker y escuchar actualizaciones con la API nativa del navegador,
 // evitando dependencia de virtual:pwa-register que no se resuelve correctamente.
 if ('serviceWorker' in navigator) {
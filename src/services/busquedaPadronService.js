@@ -0,0 +1,69 @@
+/**
+ * busquedaPadronService.js
+ *
+ * Servicio de búsqueda de votantes por nombre en el servidor
+ * (`buscar_padron` y `sugerir_busqueda`): sin acentos, sin distinguir
+ * mayúsculas, con palabras en cualquier orden y tolerante a un error de
+ * tipeo por palabra. Los casos esperados se prueban contra un padrón de
+ * ejemplo con `supabase/fixtures/padron_busqueda.sql`.
+ */
+
+import { supabase } from '../lib/supabase';
+
+/**
+ * Busca una página de votantes por nombre y apellido, ordenada por relevancia.
+ *
+ * @async
+ * @param {string} texto - Palabras del apellido y/o nombre, en cualquier orden.
+ * @param {Object} [filtros]
+ * @param {string} [filtros.localidad] - Localidad de la mesa (coincidencia parcial).
+ * @param {number} [filtros.mesa_numero]
+ * @param {number} [filtros.clase]
+ * @param {boolean} [filtros.voto_emitido]
+ * @param {Object} paginado
+ * @param {number} paginado.limit - Registros por página.
+ * @param {number} paginado.offset - Registros a saltear.
+ * @returns {Promise<{documentos: Array<number>, total: number}>} Documentos de la
+ *   página en orden de relevancia y total de coincidencias.
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const buscarPadron = async (texto, filtros = {}, { limit, offset }) => {
+  const { data, error } = await supabase.rpc('buscar_padron', {
+    p_texto: texto,
+    p_localidad: filtros.localidad || null,
+    p_mesa: Number.isInteger(filtros.mesa_numero) ? filtros.mesa_numero : null,
+    p_clase: Number.isInteger(filtros.clase) ? filtros.clase : null,
+    p_voto: typeof filtros.voto_emitido === 'boolean' ? filtros.voto_emitido : null,
+    p_limit: limit,
+    p_offset: offset
+  });
+
+  if (error) {
+    throw new Error(error.message || 'Error al buscar en el padrón');
+  }
+
+  const rows = data || [];
+  return {
+    documentos: rows.map(row => row.documento),
+    total: rows.length > 0 ? Number(rows[0].total) : 0
+  };
+};
+
+/**
+ * Propone una corrección del texto buscado ("quisiste decir").
+ *
+ * @async
+ * @param {string} texto - Texto buscado.
+ * @returns {Promise<string|null>} Texto corregido, o null si no hay sugerencia o
+ *   la consulta falla (la sugerencia es opcional).
+ */
+export const sugerirBusqueda = async (texto) => {
+  const { data, error } = await supabase.rpc('sugerir_busqueda', { p_texto: texto });
+
+  if (error) {
+    console.error('Error suggesting search:', error);
+    return null;
+  }
+
+  return data || null;
+};
@@ -0,0 +1,103 @@
+/**
+ * busquedasGuardadasService.js
+ *
+ * Servicio de acceso a la tabla `busquedas_guardadas`: filtros con nombre
+ * de cada usuario, opcionalmente compartidos con el equipo de coordinación.
+ *
+ * Formato de `filtros` según la vista:
+ * - 'search': los filtros de SearchForm (documento, apellido, nombre,
+ *   localidad, mesa_numero, clase, voto_emitido)
+ * - 'pendientes': los filtros aplicados de RealtimeStats
+ *   ({ mesa, emopick, metrica })
+ */
+
+import { supabase } from '../lib/supabase';
+
+const SELECT = 'id, user_id, vista, nombre, filtros, compartida, updated_at, profiles(full_name)';
+
+/**
+ * Carga las búsquedas guardadas de una vista: las propias y las compartidas.
+ *
+ * @async
+ * @param {'search'|'pendientes'} vista - Vista de la búsqueda.
+ * @returns {Promise<Array<Object>>} Búsquedas ordenadas por nombre, con el
+ *   nombre del dueño en `profiles.full_name`.
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadBusquedasGuardadas = async (vista) => {
+  const { data, error } = await supabase
+    .from('busquedas_guardadas')
+    .select(SELECT)
+    .eq('vista', vista)
+    .order('nombre');
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar las búsquedas guardadas');
+  }
+
+  return data || [];
+};
+
+/**
+ * Guarda una búsqueda con nombre. Si el usuario ya tiene una con ese nombre
+ * en la misma vista (sin distinguir mayúsculas) se reemplaza.
+ *
+ * @async
+ * @param {Object} busqueda
+ * @param {'search'|'pendientes'} busqueda.vista - Vista de la búsqueda.
+ * @param {string} busqueda.nombre - Nombre de la búsqueda.
+ * @param {Object} busqueda.filtros - Filtros en el formato de la vista.
+ * @param {boolean} busqueda.compartida - Si la ve el equipo de coordinación.
+ * @param {Array<Object>} existentes - Búsquedas ya cargadas de la vista.
+ * @param {string} userId - ID del usuario que guarda.
+ * @returns {Promise<Object>} Búsqueda guardada.
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const saveBusquedaGuardada = async ({ vista, nombre, filtros, compartida }, existentes, userId) => {
+  const nombreLimpio = nombre.trim();
+  const existente = existentes.find(b =>
+    b.user_id === userId && b.nombre.toLowerCase() === nombreLimpio.toLowerCase()
+  );
+
+  const row = {
+    vista,
+    nombre: nombreLimpio,
+    filtros,
+    compartida,
+    updated_at: new Date().toISOString()
+  };
+
+  const query = existente
+    ? supabase.from('busquedas_guardadas').update(row).eq('id', existente.id)
+    : supabase.from('busquedas_guardadas').insert({ ...row, user_id: userId });
+
+  const { data, error } = await query.select(SELECT).single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new Error('Ya tenés una búsqueda con ese nombre');
+    }
+    throw new Error(error.message || 'Error al guardar la búsqueda');
+  }
+
+  return data;
+};
+
+/**
+ * Elimina una búsqueda guardada propia.
+ *
+ * @async
+ * @param {number} id - ID de la búsqueda.
+ * @returns {Promise<void>}
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const deleteBusquedaGuardada = async (id) => {
+  const { error } = await supabase
+    .from('busquedas_guardadas')
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    throw new Error(error.message || 'Error al eliminar la búsqueda');
+  }
+};
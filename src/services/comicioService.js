@@ -0,0 +1,86 @@
+/**
+ * comicioService.js
+ *
+ * Servicio de acceso a la tabla `comicios`, que guarda la configuracion del
+ * evento electoral (nombre, fecha, horario de apertura/cierre, jurisdiccion).
+ *
+ * Solo un comicio puede estar activo a la vez; la aplicacion toma el activo
+ * o, si no hay ninguno, el ultimo modificado.
+ */
+
+import { supabase } from '../lib/supabase';
+
+/**
+ * Carga el comicio vigente.
+ *
+ * @async
+ * @returns {Promise<Object|null>} Registro del comicio, o `null` si no hay ninguno.
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadComicioVigente = async () => {
+  const { data, error } = await supabase
+    .from('comicios')
+    .select('*')
+    .order('activo', { ascending: false })
+    .order('updated_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar el comicio');
+  }
+
+  return data;
+};
+
+/**
+ * Crea o actualiza un comicio.
+ *
+ * Si se marca como activo, primero desactiva el resto para respetar la
+ * restriccion de un unico comicio activo.
+ *
+ * @async
+ * @param {Object} values - Campos del comicio. Si incluye `id`, se actualiza ese registro.
+ * @param {string} userId - ID del usuario que guarda la configuracion.
+ * @returns {Promise<Object>} Registro guardado.
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const saveComicio = async (values, userId) => {
+  const { id, ...fields } = values;
+  const row = {
+    nombre: fields.nombre?.trim(),
+    fecha: fields.fecha || null,
+    descripcion: fields.descripcion?.trim() || null,
+    hora_apertura: fields.hora_apertura,
+    hora_cierre: fields.hora_cierre,
+    jurisdiccion: fields.jurisdiccion?.trim() || null,
+    activo: !!fields.activo,
+    updated_at: new Date().toISOString(),
+    updated_by: userId
+  };
+
+  if (row.activo) {
+    let deactivate = supabase
+      .from('comicios')
+      .update({ activo: false })
+      .eq('activo', true);
+    if (id) deactivate = deactivate.neq('id', id);
+
+    const { error: deactivateError } = await deactivate;
+    if (deactivateError) {
+      throw new Error(deactivateError.message || 'Error al desactivar el comicio anterior');
+    }
+  }
+
+  const query = id
+    ? supabase.from('comicios').update(row).eq('id', id)
+    : supabase.from('comicios').insert(row);
+
+  const { data, error } = await query.select().single();
+
+  if (error) {
+    throw new Error(error.message || 'Error al guardar el comicio');
+  }
+
+  return data;
+};
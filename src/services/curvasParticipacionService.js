@@ -0,0 +1,89 @@
+/**
+ * curvasParticipacionService.js
+ *
+ * Servicio de acceso a la tabla `curvas_participacion`: curvas historicas de
+ * participacion (porcentaje acumulado de votos por hora) de cada comicio,
+ * con una curva general y, opcionalmente, una por localidad.
+ */
+
+import { supabase } from '../lib/supabase';
+
+/**
+ * Carga las curvas de un comicio.
+ *
+ * @async
+ * @param {number} comicioId - ID del comicio.
+ * @returns {Promise<Array<Object>>} Curvas, la general primero.
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadCurvas = async (comicioId) => {
+  const { data, error } = await supabase
+    .from('curvas_participacion')
+    .select('*')
+    .eq('comicio_id', comicioId)
+    .order('localidad', { ascending: true, nullsFirst: true });
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar las curvas de participación');
+  }
+
+  return data || [];
+};
+
+/**
+ * Crea o actualiza una curva.
+ *
+ * @async
+ * @param {Object} curva - Curva a guardar. Si incluye `id`, se actualiza ese registro.
+ * @param {number} curva.comicio_id - Comicio al que pertenece.
+ * @param {string|null} curva.localidad - Localidad, o `null` para la curva general.
+ * @param {Array<Object>} curva.puntos - Puntos { hora, minutos, porcentaje }.
+ * @param {string} [curva.origen='manual'] - 'manual' o 'importada'.
+ * @param {string} userId - ID del usuario que guarda la curva.
+ * @returns {Promise<Object>} Curva guardada.
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const saveCurva = async (curva, userId) => {
+  const row = {
+    comicio_id: curva.comicio_id,
+    localidad: curva.localidad || null,
+    puntos: curva.puntos,
+    origen: curva.origen || 'manual',
+    updated_at: new Date().toISOString(),
+    updated_by: userId
+  };
+
+  const query = curva.id
+    ? supabase.from('curvas_participacion').update(row).eq('id', curva.id)
+    : supabase.from('curvas_participacion').insert(row);
+
+  const { data, error } = await query.select().single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new Error('Ya existe una curva para esa localidad');
+    }
+    throw new Error(error.message || 'Error al guardar la curva de participación');
+  }
+
+  return data;
+};
+
+/**
+ * Elimina una curva. El comicio vuelve a usar la curva general o la de referencia.
+ *
+ * @async
+ * @param {number} id - ID de la curva.
+ * @returns {Promise<void>}
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const deleteCurva = async (id) => {
+  const { error } = await supabase
+    .from('curvas_participacion')
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    throw new Error(error.message || 'Error al eliminar la curva de participación');
+  }
+};
@@ -5,8 +5,13 @@
  * Los emopicks son las opciones de marcado disponibles para clasificar electores
  * (representadas típicamente por un emoji o display y un contador de usos).
  *
- * Todas las funciones retornan un array vacío ante cualquier error,
- * garantizando que los componentes consumidores nunca reciban `null` o `undefined`.
+ * Las funciones de lectura para los selectores retornan un array vacío ante
+ * cualquier error, garantizando que los componentes consumidores nunca reciban
+ * `null` o `undefined`. Las de administración del catálogo lanzan el error
+ * para que la pantalla de configuración lo muestre.
+ *
+ * Los emopicks se ordenan por `orden` y luego por `id`. Los archivados no se
+ * ofrecen al asignar picks, pero siguen apareciendo donde tienen usos.
  */
 
 import { supabase } from '../lib/supabase';
@@ -16,7 +21,9 @@ import { supabase } from '../lib/supabase';
  * Útil para mostrar únicamente las opciones que han sido utilizadas en el padrón,
  * filtrando las que aún no tienen actividad.
  *
- * Retorna los campos: `id`, `display`, `count`, ordenados por `id` ascendente.
+ * Incluye los archivados que todavía tienen usos.
+ *
+ * Retorna los campos: `id`, `display`, `count`, ordenados por `orden` y `id`.
  *
  * @returns {Promise<Array<{id: number, display: string, count: number}>>}
  *   Array de emopicks con uso, o array vacío si ocurre un error o no hay resultados.
@@ -27,6 +34,7 @@ export const loadEmopicksWithCount = async () => {
       .from('emopicks')
       .select('id, display, count')
       .gt('count', 0)
+      .order('orden')
       .order('id');
 
     if (error) {
@@ -42,20 +50,22 @@ export const loadEmopicksWithCount = async () => {
 };
 
 /**
- * Carga todos los emopicks disponibles en la tabla, independientemente de su contador.
+ * Carga todos los emopicks no archivados, independientemente de su contador.
  * Útil para listar todas las opciones posibles al asignar un pick a un elector,
  * incluyendo las que aún no han sido usadas.
  *
- * Retorna los campos: `id`, `display`, `count`, ordenados por `id` ascendente.
+ * Retorna los campos: `id`, `display`, `count`, ordenados por `orden` y `id`.
  *
  * @returns {Promise<Array<{id: number, display: string, count: number}>>}
- *   Array completo de emopicks, o array vacío si ocurre un error o la tabla está vacía.
+ *   Array de emopicks asignables, o array vacío si ocurre un error o la tabla está vacía.
  */
 export const loadAllEmopicks = async () => {
   try {
     const { data, error } = await supabase
       .from('emopicks')
       .select('id, display, count')
+      .eq('archivado', false)
+      .order('orden')
       .order('id');
 
     if (error) {
@@ -70,6 +80,96 @@ export const loadAllEmopicks = async () => {
   }
 };
 
+/**
+ * Carga el catálogo completo de emopicks, incluidos los archivados,
+ * para la pantalla de administración.
+ *
+ * @returns {Promise<Array<Object>>} Emopicks ordenados por `orden` y `id`.
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadEmopicksCatalog = async () => {
+  const { data, error } = await supabase
+    .from('emopicks')
+    .select('id, display, descripcion, color, orden, archivado, count, updated_at')
+    .order('orden')
+    .order('id');
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar el catálogo de emopicks');
+  }
+
+  return data || [];
+};
+
+/**
+ * Crea o actualiza un emopick del catálogo (RPC `guardar_emopick`).
+ *
+ * @param {Object} emopick - Emopick a guardar. Si incluye `id`, se actualiza ese registro.
+ * @param {string} emopick.display - Emoji y/o texto visible.
+ * @param {string} [emopick.descripcion] - Significado del pick.
+ * @param {string} [emopick.color] - Color hexadecimal (#RRGGBB).
+ * @param {number} [emopick.orden] - Posición en los selectores.
+ * @param {boolean} [emopick.archivado] - Si se retira de los selectores.
+ * @returns {Promise<Object>} Emopick guardado.
+ * @throws {Error} Si el usuario no tiene permisos o falla la operación.
+ */
+export const saveEmopick = async (emopick) => {
+  const { data, error } = await supabase.rpc('guardar_emopick', {
+    p_id: emopick.id || null,
+    p_display: emopick.display.trim(),
+    p_descripcion: emopick.descripcion?.trim() || null,
+    p_color: emopick.color || null,
+    p_orden: Number(emopick.orden) || 0,
+    p_archivado: !!emopick.archivado
+  });
+
+  if (error) {
+    throw new Error(error.message || 'Error al guardar el emopick');
+  }
+
+  return data;
+};
+
+/**
+ * Guarda el orden del catálogo: asigna `orden` = posición (1..n) a cada emopick
+ * según su posición en el array (RPC `ordenar_emopicks`).
+ *
+ * @param {Array<{id: number}>} ordered - Emopicks en el orden deseado.
+ * @returns {Promise<void>}
+ * @throws {Error} Si el usuario no tiene permisos o falla la operación.
+ */
+export const saveEmopicksOrder = async (ordered) => {
+  const { error } = await supabase.rpc('ordenar_emopicks', {
+    p_ids: ordered.map(emopick => emopick.id)
+  });
+
+  if (error) {
+    throw new Error(error.message || 'Error al reordenar los emopicks');
+  }
+};
+
+/**
+ * Fusiona dos emopicks: reasigna todos los votantes del padrón del origen al
+ * destino, recalcula los contadores y archiva el origen (RPC `fusionar_emopicks`).
+ *
+ * @param {number} origenId - Emopick que se retira.
+ * @param {number} destinoId - Emopick que reciben los votantes.
+ * @returns {Promise<number>} Cantidad de votantes reasignados.
+ * @throws {Error} Si el usuario no tiene permisos o falla la operación.
+ */
+export const mergeEmopicks = async (origenId, destinoId) => {
+  const { data, error } = await supabase.rpc('fusionar_emopicks', {
+    p_origen: origenId,
+    p_destino: destinoId
+  });
+
+  if (error) {
+    throw new Error(error.message || 'Error al fusionar los emopicks');
+  }
+
+  return data || 0;
+};
+
 /**
  * Formatea la representación visual de un emopick combinando su display y su conteo.
  *
@@ -0,0 +1,262 @@
+/**
+ * estadisticasService.js
+ *
+ * Servicio de estadísticas del padrón compartido por las pestañas de
+ * Estadísticas (ver hooks/useEstadisticas.js):
+ * - Agregados calculados en el servidor (migración
+ *   20261019240000_estadisticas_agregadas.sql): participación por mesa,
+ *   localidad, establecimiento, sexo, clase o emopick y votos por hora.
+ * - Caché en memoria por consulta, compartida entre pestañas: cambiar de
+ *   pestaña no repite las consultas mientras los datos sigan vigentes.
+ * - Un solo canal realtime sobre `padron` para todas las pestañas que lo
+ *   piden. Los votos marcados invalidan la caché agrupados
+ *   (INVALIDACION_DEBOUNCE_MS), no uno por uno, y a lo sumo cada
+ *   INVALIDACION_MAX_ESPERA_MS si los votos no paran.
+ */
+
+import { supabase } from '../lib/supabase';
+import { fetchAllRows } from './paginacion';
+
+// Dimensiones de `estadisticas_participacion`
+export const DIMENSIONES = {
+  mesa: { label: 'Mesa', empty: 'Sin mesa' },
+  localidad: { label: 'Localidad', empty: 'Sin localidad' },
+  establecimiento: { label: 'Establecimiento', empty: 'Sin establecimiento' },
+  sexo: { label: 'Sexo', empty: 'Sin dato' },
+  clase: { label: 'Clase', empty: 'Sin dato' },
+  emopick: { label: 'Pick', empty: 'Sin pick' }
+};
+
+// Vigencia de una consulta en caché sin cambios en el padrón
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Espera tras el último voto antes de invalidar la caché
+const INVALIDACION_DEBOUNCE_MS = 3000;
+
+// Espera máxima desde el primer voto sin invalidar, con votos continuos
+const INVALIDACION_MAX_ESPERA_MS = 15000;
+
+// Votos de la consulta 'ultimos-votos'
+export const ULTIMOS_VOTOS_CANTIDAD = 5;
+
+// Columnas de los últimos votos marcados
+const ULTIMOS_VOTOS_SELECT = `
+  documento,
+  apellido,
+  nombre,
+  mesa_numero,
+  voto_pick_at,
+  emopick_id,
+  emopicks!left(display),
+  mesas!left(mesa_localidad)
+`;
+
+/**
+ * Carga la participación agrupada por una dimensión.
+ *
+ * @async
+ * @param {string} dimension - Clave de DIMENSIONES.
+ * @returns {Promise<Array<{clave: string|null, etiqueta: string|null, localidad: string|null,
+ *   empadronados: number, votaron: number}>>} Un registro por grupo.
+ * @throws {Error} Si la dimensión no es válida o falla la consulta.
+ */
+export const loadParticipacion = async (dimension) => {
+  const all = await fetchAllRows(
+    () => supabase.rpc('estadisticas_participacion', { p_dimension: dimension }),
+    'Error al cargar las estadísticas de participación'
+  );
+
+  return all.map(row => ({
+    ...row,
+    empadronados: Number(row.empadronados) || 0,
+    votaron: Number(row.votaron) || 0
+  }));
+};
+
+/**
+ * Cuenta los votos marcados por hora del día, en la zona horaria del navegador.
+ *
+ * @async
+ * @returns {Promise<Array<{hora: number, votos: number}>>} Horas con votos, ordenadas.
+ * @throws {Error} Si falla la consulta.
+ */
+export const loadVotosPorHora = async () => {
+  const zonaHoraria = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const { data, error } = await supabase.rpc('estadisticas_votos_por_hora', {
+    ...(zonaHoraria && { p_zona_horaria: zonaHoraria })
+  });
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar los votos por hora');
+  }
+
+  return (data || []).map(row => ({ hora: row.hora, votos: Number(row.votos) || 0 }));
+};
+
+/**
+ * Carga una página de los últimos votos marcados, del más reciente al más antiguo.
+ *
+ * @async
+ * @param {number} [page=1] - Página (desde 1).
+ * @param {number} [pageSize=5] - Votos por página.
+ * @returns {Promise<{votos: Array<Object>, total: number}>} Votos con hora, mesa,
+ *   localidad, votante, documento y pick, y el total de votos marcados.
+ * @throws {Error} Si falla la consulta.
+ */
+export const loadUltimosVotos = async (page = 1, pageSize = 5) => {
+  const from = (page - 1) * pageSize;
+  const { data, count, error } = await supabase
+    .from('padron')
+    .select(ULTIMOS_VOTOS_SELECT, { count: 'exact' })
+    .eq('voto_emitido', true)
+    .not('voto_pick_at', 'is', null)
+    .order('voto_pick_at', { ascending: false })
+    .range(from, from + pageSize - 1);
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar los últimos votos');
+  }
+
+  return {
+    votos: (data || []).map(v => ({
+      hora: new Date(v.voto_pick_at).toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit', hour12: false }),
+      mesa: v.mesa_numero,
+      localidad: v.mesas?.mesa_localidad || '-',
+      votante: `${v.apellido}, ${v.nombre}`,
+      documento: v.documento,
+      pick: v.emopicks?.display || (v.emopick_id ? `#${v.emopick_id}` : null)
+    })),
+    total: count || 0
+  };
+};
+
+// ==========================================
+// CACHÉ
+// ==========================================
+
+// clave → { data, promise, loadedAt }
+const cache = new Map();
+const invalidationListeners = new Set();
+
+// Consultas disponibles: la clave es "tipo" o "tipo:parámetro"
+const LOADERS = {
+  participacion: (dimension) => loadParticipacion(dimension),
+  'votos-por-hora': () => loadVotosPorHora(),
+  'ultimos-votos': () => loadUltimosVotos(1, ULTIMOS_VOTOS_CANTIDAD)
+};
+
+/**
+ * Devuelve una estadística desde la caché o la consulta. Las llamadas
+ * simultáneas con la misma clave comparten la consulta.
+ *
+ * @async
+ * @param {string} key - 'participacion:<dimensión>', 'votos-por-hora' o 'ultimos-votos'.
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Ignora la caché vigente.
+ * @returns {Promise<*>} Resultado de la función de carga correspondiente.
+ * @throws {Error} Si la clave no existe o falla la consulta (el error no queda en caché).
+ */
+export const getEstadistica = async (key, { force = false } = {}) => {
+  const [tipo, parametro] = key.split(':');
+  const loader = LOADERS[tipo];
+  if (!loader) {
+    throw new Error(`Estadística desconocida: ${key}`);
+  }
+
+  const entry = cache.get(key);
+  if (entry?.promise) return entry.promise;
+  if (!force && entry && Date.now() - entry.loadedAt < CACHE_TTL_MS) return entry.data;
+
+  const promise = loader(parametro)
+    .then(data => {
+      if (cache.get(key)?.promise === promise) {
+        cache.set(key, { data, loadedAt: Date.now() });
+      }
+      return data;
+    })
+    .catch(error => {
+      if (cache.get(key)?.promise === promise) cache.delete(key);
+      throw error;
+    });
+
+  cache.set(key, { ...entry, promise });
+  return promise;
+};
+
+/**
+ * Descarta toda la caché y avisa a los suscriptores.
+ */
+export const invalidarEstadisticas = () => {
+  cache.clear();
+  invalidationListeners.forEach(listener => listener());
+};
+
+/**
+ * Suscribe una función a las invalidaciones de la caché.
+ *
+ * @param {Function} listener - Se llama después de cada invalidación.
+ * @returns {Function} Cancela la suscripción.
+ */
+export const onEstadisticasInvalidadas = (listener) => {
+  invalidationListeners.add(listener);
+  return () => invalidationListeners.delete(listener);
+};
+
+// ==========================================
+// CAMBIOS EN TIEMPO REAL
+// ==========================================
+
+let channel = null;
+let channelSubscribers = 0;
+let debounceTimer = null;
+let primerCambioAt = null;
+
+const invalidarConDebounce = () => {
+  const now = Date.now();
+  if (primerCambioAt === null) primerCambioAt = now;
+
+  clearTimeout(debounceTimer);
+  const espera = Math.min(INVALIDACION_DEBOUNCE_MS, primerCambioAt + INVALIDACION_MAX_ESPERA_MS - now);
+  debounceTimer = setTimeout(() => {
+    primerCambioAt = null;
+    invalidarEstadisticas();
+  }, Math.max(0, espera));
+};
+
+/**
+ * Escucha los votos marcados o desmarcados en `padron` e invalida la caché.
+ * Todos los suscriptores comparten un canal, que se cierra con el último.
+ *
+ * @returns {Function} Cancela la suscripción.
+ */
+export const suscribirCambiosPadron = () => {
+  channelSubscribers += 1;
+
+  if (!channel) {
+    channel = supabase
+      .channel('estadisticas-padron')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'padron' },
+        (payload) => {
+          if (payload.eventType !== 'UPDATE' || payload.new.voto_emitido !== payload.old.voto_emitido) {
+            invalidarConDebounce();
+          }
+        }
+      )
+      .subscribe();
+  }
+
+  let active = true;
+  return () => {
+    if (!active) return;
+    active = false;
+    channelSubscribers -= 1;
+    if (channelSubscribers === 0 && channel) {
+      supabase.removeChannel(channel);
+      channel = null;
+      clearTimeout(debounceTimer);
+      primerCambioAt = null;
+    }
+  };
+};
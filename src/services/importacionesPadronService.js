@@ -0,0 +1,155 @@
+/**
+ * importacionesPadronService.js
+ *
+ * Servicio del historial de importaciones del padrón (`importaciones_padron`)
+ * y de su snapshot (`importaciones_padron_snapshot`): estado de cada fila
+ * afectada antes de la importación, usado para revertirla con
+ * `revertir_importacion_padron`.
+ *
+ * ImportPadronForm registra la importación, guarda el snapshot de cada lote
+ * antes de escribirlo y la cierra con los totales.
+ */
+
+import { supabase } from '../lib/supabase';
+
+// Filas por insert de snapshot
+const SNAPSHOT_BATCH_SIZE = 500;
+
+/**
+ * Registra el inicio de una importación.
+ *
+ * @async
+ * @param {Object} datos
+ * @param {string} datos.archivoNombre - Nombre del archivo importado.
+ * @param {number} datos.totalRegistros - Registros del archivo.
+ * @param {boolean} datos.eliminarNoIncluidos - Si se eliminarán los que no están en el archivo.
+ * @param {string} userId - ID del usuario que importa.
+ * @returns {Promise<Object>} Importación creada (estado 'en_curso').
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const createImportacion = async ({ archivoNombre, totalRegistros, eliminarNoIncluidos }, userId) => {
+  const { data, error } = await supabase
+    .from('importaciones_padron')
+    .insert({
+      archivo_nombre: archivoNombre,
+      total_registros: totalRegistros,
+      eliminar_no_incluidos: eliminarNoIncluidos,
+      created_by: userId
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(error.message || 'Error al registrar la importación');
+  }
+
+  return data;
+};
+
+/**
+ * Guarda el estado previo de filas que la importación va a modificar.
+ *
+ * @async
+ * @param {number} importacionId - ID de la importación.
+ * @param {Array<{documento: number, accion: string, fila_anterior: Object|null, fila_importada: Object|null}>} filas
+ *   Filas del snapshot ('insertado', 'actualizado' o 'eliminado').
+ * @returns {Promise<void>}
+ * @throws {Error} Si ocurre un error en la base de datos. La importación no
+ *   debe escribir el lote si el snapshot no se guardó.
+ */
+export const saveSnapshot = async (importacionId, filas) => {
+  for (let i = 0; i < filas.length; i += SNAPSHOT_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('importaciones_padron_snapshot')
+      .upsert(
+        filas.slice(i, i + SNAPSHOT_BATCH_SIZE).map(fila => ({ importacion_id: importacionId, ...fila })),
+        { onConflict: 'importacion_id,documento', ignoreDuplicates: true }
+      );
+
+    if (error) {
+      throw new Error(error.message || 'Error al guardar el snapshot de la importación');
+    }
+  }
+};
+
+/**
+ * Cierra una importación con su resultado.
+ *
+ * @async
+ * @param {number} importacionId - ID de la importación.
+ * @param {Object} resultado
+ * @param {'completada'|'fallida'} resultado.estado - Estado final.
+ * @param {number} resultado.insertados
+ * @param {number} resultado.actualizados
+ * @param {number} resultado.eliminados
+ * @param {string} [resultado.error] - Mensaje de error si falló.
+ * @returns {Promise<void>}
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const finishImportacion = async (importacionId, { estado, insertados, actualizados, eliminados, error: mensaje }) => {
+  const { error } = await supabase
+    .from('importaciones_padron')
+    .update({
+      estado,
+      insertados,
+      actualizados,
+      eliminados,
+      error: mensaje || null
+    })
+    .eq('id', importacionId);
+
+  if (error) {
+    throw new Error(error.message || 'Error al cerrar la importación');
+  }
+};
+
+/**
+ * Carga las importaciones, de la más reciente a la más antigua.
+ *
+ * @async
+ * @param {number} [limit=50] - Cantidad máxima a cargar.
+ * @returns {Promise<Array<Object>>} Importaciones con `created_by_profile.full_name`
+ *   y `revertida_by_profile.full_name`.
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadImportaciones = async (limit = 50) => {
+  const { data, error } = await supabase
+    .from('importaciones_padron')
+    .select(`
+      *,
+      created_by_profile:profiles!importaciones_padron_created_by_fkey(full_name),
+      revertida_by_profile:profiles!importaciones_padron_revertida_by_fkey(full_name)
+    `)
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar el historial de importaciones');
+  }
+
+  return data || [];
+};
+
+/**
+ * Revierte una importación: restaura el padrón al estado previo y recalcula
+ * los totales de las mesas. Solo se puede revertir la última importación no
+ * revertida, ya sea completada, fallida o interrumpida (en curso desde hace
+ * más de una hora).
+ *
+ * @async
+ * @param {number} importacionId - ID de la importación.
+ * @returns {Promise<{campos_restaurados: number, insertados_eliminados: number,
+ *   insertados_conservados: number, eliminados_restaurados: number}>}
+ * @throws {Error} Si la importación no se puede revertir o falla la base de datos.
+ */
+export const revertirImportacion = async (importacionId) => {
+  const { data, error } = await supabase.rpc('revertir_importacion_padron', {
+    p_importacion: importacionId
+  });
+
+  if (error) {
+    throw new Error(error.message || 'Error al revertir la importación');
+  }
+
+  return data;
+};
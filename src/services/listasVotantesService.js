@@ -0,0 +1,197 @@
+/**
+ * listasVotantesService.js
+ *
+ * Servicio de acceso a las listas estáticas de votantes (`listas_votantes`
+ * y `listas_votantes_items`). Las listas guardan solo documentos: los datos
+ * y el estado de voto se leen de `padron` cada vez que se abre una lista.
+ */
+
+import { supabase } from '../lib/supabase';
+
+const LISTA_SELECT = 'id, user_id, nombre, compartida, updated_at, profiles(full_name), listas_votantes_items(count)';
+
+// Documentos por consulta a `padron` (el filtro `in` viaja en la URL)
+const CHUNK_SIZE = 200;
+
+const mapLista = (row) => ({
+  ...row,
+  cantidad: row.listas_votantes_items?.[0]?.count ?? 0
+});
+
+/**
+ * Carga las listas visibles para el usuario: las propias y las compartidas.
+ *
+ * @async
+ * @returns {Promise<Array<Object>>} Listas ordenadas por nombre, con
+ *   `cantidad` de votantes y el nombre del dueño en `profiles.full_name`.
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadListas = async () => {
+  const { data, error } = await supabase
+    .from('listas_votantes')
+    .select(LISTA_SELECT)
+    .order('nombre');
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar las listas de votantes');
+  }
+
+  return (data || []).map(mapLista);
+};
+
+/**
+ * Crea una lista vacía.
+ *
+ * @async
+ * @param {string} nombre - Nombre de la lista.
+ * @param {boolean} compartida - Si la ve el equipo de coordinación.
+ * @param {string} userId - ID del dueño.
+ * @returns {Promise<Object>} Lista creada.
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const createLista = async (nombre, compartida, userId) => {
+  const { data, error } = await supabase
+    .from('listas_votantes')
+    .insert({ nombre: nombre.trim(), compartida, user_id: userId })
+    .select(LISTA_SELECT)
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new Error('Ya tenés una lista con ese nombre');
+    }
+    throw new Error(error.message || 'Error al crear la lista');
+  }
+
+  return mapLista(data);
+};
+
+/**
+ * Cambia si una lista propia está compartida con el equipo.
+ *
+ * @async
+ * @param {number} id - ID de la lista.
+ * @param {boolean} compartida - Nuevo valor.
+ * @returns {Promise<void>}
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const updateListaCompartida = async (id, compartida) => {
+  const { error } = await supabase
+    .from('listas_votantes')
+    .update({ compartida, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) {
+    throw new Error(error.message || 'Error al actualizar la lista');
+  }
+};
+
+/**
+ * Elimina una lista propia con todos sus votantes.
+ *
+ * @async
+ * @param {number} id - ID de la lista.
+ * @returns {Promise<void>}
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const deleteLista = async (id) => {
+  const { error } = await supabase
+    .from('listas_votantes')
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    throw new Error(error.message || 'Error al eliminar la lista');
+  }
+};
+
+/**
+ * Agrega votantes a una lista propia. Los que ya estaban se ignoran.
+ *
+ * @async
+ * @param {number} listaId - ID de la lista.
+ * @param {Array<number>} documentos - Documentos a agregar.
+ * @returns {Promise<void>}
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const addVotantesALista = async (listaId, documentos) => {
+  const rows = [...new Set(documentos)].map(documento => ({ lista_id: listaId, documento }));
+  if (rows.length === 0) return;
+
+  const { error } = await supabase
+    .from('listas_votantes_items')
+    .upsert(rows, { onConflict: 'lista_id,documento', ignoreDuplicates: true });
+
+  if (error) {
+    throw new Error(error.message || 'Error al agregar votantes a la lista');
+  }
+};
+
+/**
+ * Quita un votante de una lista propia.
+ *
+ * @async
+ * @param {number} listaId - ID de la lista.
+ * @param {number} documento - Documento del votante.
+ * @returns {Promise<void>}
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const removeVotanteDeLista = async (listaId, documento) => {
+  const { error } = await supabase
+    .from('listas_votantes_items')
+    .delete()
+    .eq('lista_id', listaId)
+    .eq('documento', documento);
+
+  if (error) {
+    throw new Error(error.message || 'Error al quitar el votante de la lista');
+  }
+};
+
+/**
+ * Carga los votantes de una lista con sus datos actuales del padrón
+ * (incluido `voto_emitido`), ordenados por apellido y nombre.
+ *
+ * @async
+ * @param {number} listaId - ID de la lista.
+ * @returns {Promise<{votantes: Array<Object>, faltantes: Array<number>}>}
+ *   Registros del padrón (con `mesas.mesa_localidad`) y documentos de la
+ *   lista que ya no están en el padrón.
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadVotantesDeLista = async (listaId) => {
+  const { data: items, error } = await supabase
+    .from('listas_votantes_items')
+    .select('documento')
+    .eq('lista_id', listaId);
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar la lista');
+  }
+
+  const documentos = (items || []).map(item => item.documento);
+  const votantes = [];
+
+  for (let i = 0; i < documentos.length; i += CHUNK_SIZE) {
+    const { data, error: padronError } = await supabase
+      .from('padron')
+      .select('documento, apellido, nombre, sexo, clase, domicilio, mesa_numero, voto_emitido, mesas(mesa_localidad)')
+      .in('documento', documentos.slice(i, i + CHUNK_SIZE));
+
+    if (padronError) {
+      throw new Error(padronError.message || 'Error al cargar los votantes de la lista');
+    }
+    votantes.push(...(data || []));
+  }
+
+  const encontrados = new Set(votantes.map(v => Number(v.documento)));
+  votantes.sort((a, b) =>
+    String(a.apellido || '').localeCompare(String(b.apellido || '')) ||
+    String(a.nombre || '').localeCompare(String(b.nombre || ''))
+  );
+
+  return {
+    votantes,
+    faltantes: documentos.filter(documento => !encontrados.has(Number(documento)))
+  };
+};
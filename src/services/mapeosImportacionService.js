@@ -0,0 +1,87 @@
+/**
+ * mapeosImportacionService.js
+ *
+ * Servicio de acceso a la tabla `mapeos_importacion`: mapeos de columnas con
+ * nombre, guardados desde la importación de padrón para reutilizarlos con
+ * archivos del mismo origen. El formato de `mapeo` está en `utils/columnMapping.js`.
+ */
+
+import { supabase } from '../lib/supabase';
+
+/**
+ * Carga todos los mapeos guardados.
+ *
+ * @async
+ * @returns {Promise<Array<{id: number, nombre: string, mapeo: Object}>>} Mapeos ordenados por nombre.
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadMapeos = async () => {
+  const { data, error } = await supabase
+    .from('mapeos_importacion')
+    .select('id, nombre, mapeo, updated_at')
+    .order('nombre');
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar los mapeos de columnas');
+  }
+
+  return data || [];
+};
+
+/**
+ * Guarda un mapeo con nombre. Si ya existe uno con ese nombre (sin distinguir
+ * mayúsculas) se reemplaza.
+ *
+ * @async
+ * @param {string} nombre - Nombre del mapeo.
+ * @param {Object} mapeo - Mapeo { columnas, separadorNombre }.
+ * @param {Array<{id: number, nombre: string}>} existentes - Mapeos ya cargados.
+ * @param {string} userId - ID del usuario que guarda.
+ * @returns {Promise<Object>} Mapeo guardado.
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const saveMapeo = async (nombre, mapeo, existentes, userId) => {
+  const nombreLimpio = nombre.trim();
+  const existente = existentes.find(m => m.nombre.toLowerCase() === nombreLimpio.toLowerCase());
+
+  const row = {
+    nombre: nombreLimpio,
+    mapeo,
+    updated_at: new Date().toISOString(),
+    updated_by: userId
+  };
+
+  const query = existente
+    ? supabase.from('mapeos_importacion').update(row).eq('id', existente.id)
+    : supabase.from('mapeos_importacion').insert(row);
+
+  const { data, error } = await query.select('id, nombre, mapeo, updated_at').single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new Error('Ya existe un mapeo con ese nombre');
+    }
+    throw new Error(error.message || 'Error al guardar el mapeo de columnas');
+  }
+
+  return data;
+};
+
+/**
+ * Elimina un mapeo guardado.
+ *
+ * @async
+ * @param {number} id - ID del mapeo.
+ * @returns {Promise<void>}
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const deleteMapeo = async (id) => {
+  const { error } = await supabase
+    .from('mapeos_importacion')
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    throw new Error(error.message || 'Error al eliminar el mapeo de columnas');
+  }
+};
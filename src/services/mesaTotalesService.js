@@ -0,0 +1,88 @@
+/**
+ * mesaTotalesService.js
+ *
+ * Servicio de los totales de mesas (`mesas.total_empadronados` y
+ * `mesas.total_votaron`). Los mantienen triggers sobre `padron` ante cada
+ * alta, baja, cambio de mesa o voto marcado; este servicio los lee y expone
+ * el recálculo completo (`recalcular_totales_mesas`) con su informe de
+ * consistencia.
+ */
+
+import { supabase } from '../lib/supabase';
+import { fetchAllRows } from './paginacion';
+
+/**
+ * Carga los totales de una mesa.
+ *
+ * @async
+ * @param {number} numero - Número de mesa.
+ * @returns {Promise<{empadronados: number, votaron: number}>} Totales (0 si la mesa no existe).
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadMesaTotales = async (numero) => {
+  const { data, error } = await supabase
+    .from('mesas')
+    .select('total_empadronados, total_votaron')
+    .eq('numero', numero)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar los totales de la mesa');
+  }
+
+  return {
+    empadronados: data?.total_empadronados || 0,
+    votaron: data?.total_votaron || 0
+  };
+};
+
+/**
+ * Carga los totales de todas las mesas con empadronados, con su localidad,
+ * establecimiento y circuito.
+ *
+ * @async
+ * @returns {Promise<Array<{numero: number, total_empadronados: number, total_votaron: number,
+ *   mesa_localidad: string|null,
+ *   establecimientos: {nombre: string, circuitos: {codigo: string}|null}|null}>>}
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadTotalesMesas = async () =>
+  fetchAllRows(() => supabase
+    .from('mesas')
+    .select(`
+      numero,
+      total_empadronados,
+      total_votaron,
+      mesa_localidad,
+      establecimientos (
+        nombre,
+        circuitos (
+          codigo
+        )
+      )
+    `)
+    .not('total_empadronados', 'eq', 0) // Evita mesas sin empadronados
+    .order('numero', { ascending: true }), 'Error al cargar los totales de mesas');
+
+/**
+ * Recuenta los totales de todas las mesas contra el padrón en una sola
+ * consulta del servidor.
+ *
+ * @async
+ * @param {Object} [options]
+ * @param {boolean} [options.aplicar=true] - Si es false solo informa las diferencias, sin corregirlas.
+ * @returns {Promise<Array<{numero: number, empadronados_antes: number|null, votaron_antes: number|null,
+ *   empadronados: number, votaron: number}>>} Mesas cuyos totales no coincidían.
+ * @throws {Error} Si el usuario no tiene la capacidad 'view.control' o falla la base de datos.
+ */
+export const recalcularTotalesMesas = async ({ aplicar = true } = {}) => {
+  const { data, error } = await supabase.rpc('recalcular_totales_mesas', {
+    p_aplicar: aplicar
+  });
+
+  if (error) {
+    throw new Error(error.message || 'Error al recalcular los totales de mesas');
+  }
+
+  return data || [];
+};
@@ -0,0 +1,433 @@
+/**
+ * offlineVotesService.js
+ *
+ * Servicio de persistencia local (IndexedDB) para la fiscalizacion sin conexion.
+ * Permite que los fiscales sigan marcando y deshaciendo votos cuando pierden
+ * senal dentro de los establecimientos, y que esas acciones se repliquen en
+ * Supabase, en el mismo orden, cuando vuelve la conectividad.
+ *
+ * Object stores de la base `pickpad-offline`:
+ * - `voteQueue`: cola FIFO de acciones pendientes (`marcar` / `deshacer`).
+ * - `voteConflicts`: acciones que no pudieron aplicarse porque otro usuario
+ *   ya habia modificado el mismo `documento`. Se conservan hasta que el
+ *   fiscal las descarta, para que nunca se pierdan en silencio.
+ * - `padronCache`: copia del padron de la mesa, indexada por `mesa_numero`,
+ *   que permite buscar por orden/documento sin conexion.
+ *
+ * Deteccion de conflictos:
+ * Las escrituras son condicionales sobre el estado previo de `voto_emitido`.
+ * Marcar solo actualiza si el votante sigue en "No voto" y deshacer solo si
+ * sigue en "Voto". Si la actualizacion no afecta filas, el registro fue
+ * modificado por otro dispositivo y la accion se reporta como conflicto.
+ */
+
+import { supabase } from '../lib/supabase';
+
+const DB_NAME = 'pickpad-offline';
+const DB_VERSION = 1;
+
+const QUEUE_STORE = 'voteQueue';
+const CONFLICTS_STORE = 'voteConflicts';
+const PADRON_STORE = 'padronCache';
+
+/**
+ * Campos que se solicitan al consultar un registro del padron para fiscalizar.
+ * Compartido entre la carga de la mesa y la verificacion de conflictos.
+ */
+export const PADRON_FISCALIZAR_SELECT = `
+  *,
+  emopicks(
+    id,
+    display
+  ),
+  voto_pick_user_profile:profiles!padron_voto_pick_user_fkey(
+    full_name
+  )
+`;
+
+let dbPromise = null;
+
+/**
+ * Abre (o crea) la base IndexedDB. La conexion se reutiliza entre llamadas.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB no está disponible en este navegador'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+        db.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(CONFLICTS_STORE)) {
+        db.createObjectStore(CONFLICTS_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(PADRON_STORE)) {
+        db.createObjectStore(PADRON_STORE, { keyPath: 'mesa_numero' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Ejecuta una operacion sobre un object store y resuelve con el resultado
+ * del request devuelto por `operation`.
+ *
+ * @param {string} storeName - Nombre del object store.
+ * @param {'readonly'|'readwrite'} mode - Modo de la transaccion.
+ * @param {function(IDBObjectStore): IDBRequest} operation - Operacion a ejecutar.
+ * @returns {Promise<*>}
+ */
+const runInStore = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+/**
+ * Determina si un error proviene de la falta de conectividad y no de un
+ * rechazo del servidor (permisos, validaciones, etc.).
+ *
+ * @param {Object|Error|null} error - Error devuelto por Supabase o lanzado por fetch.
+ * @returns {boolean} `true` si la accion debe reintentarse mas tarde.
+ */
+export const isNetworkError = (error) => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return true;
+  }
+  if (!error) return false;
+
+  const message = `${error.message || ''} ${error.details || ''}`.toLowerCase();
+  return (
+    message.includes('failed to fetch') ||
+    message.includes('networkerror') ||
+    message.includes('network request failed') ||
+    message.includes('load failed')
+  );
+};
+
+// ─── Cola de acciones pendientes ────────────────────────────────────────────
+
+/**
+ * Agrega una accion de voto a la cola local.
+ *
+ * @param {Object} action
+ * @param {'marcar'|'deshacer'} action.type - Tipo de accion.
+ * @param {number} action.documento - Documento del votante.
+ * @param {number} action.mesa_numero - Mesa del votante.
+ * @param {string} action.user_id - Usuario que realizo la accion.
+ * @param {string} [action.user_name] - Nombre del usuario, para mostrar localmente.
+ * @returns {Promise<Object>} La entrada almacenada, con su `id` asignado.
+ */
+export const enqueueVoteAction = async (action) => {
+  const entry = {
+    type: action.type,
+    documento: action.documento,
+    mesa_numero: action.mesa_numero,
+    user_id: action.user_id,
+    user_name: action.user_name || null,
+    created_at: action.created_at || new Date().toISOString()
+  };
+  const id = await runInStore(QUEUE_STORE, 'readwrite', (store) => store.add(entry));
+  return { ...entry, id };
+};
+
+/**
+ * Lista las acciones pendientes en orden de creacion.
+ *
+ * @param {number} [mesaNumero] - Si se indica, filtra por mesa.
+ * @returns {Promise<Object[]>}
+ */
+export const getPendingVoteActions = async (mesaNumero) => {
+  const entries = await runInStore(QUEUE_STORE, 'readonly', (store) => store.getAll());
+  const sorted = (entries || []).sort((a, b) => a.id - b.id);
+  return mesaNumero ? sorted.filter(e => e.mesa_numero === mesaNumero) : sorted;
+};
+
+/**
+ * Elimina una accion de la cola (ya aplicada o convertida en conflicto).
+ *
+ * @param {number} id - Identificador de la entrada.
+ * @returns {Promise<void>}
+ */
+export const removeVoteAction = (id) =>
+  runInStore(QUEUE_STORE, 'readwrite', (store) => store.delete(id));
+
+// ─── Conflictos ─────────────────────────────────────────────────────────────
+
+/**
+ * Registra un conflicto detectado al replicar una accion.
+ *
+ * @param {Object} conflict - Accion original junto con el estado actual del servidor.
+ * @returns {Promise<Object>}
+ */
+export const addVoteConflict = async (conflict) => {
+  const { id: actionId, ...rest } = conflict;
+  const entry = { ...rest, action_id: actionId ?? null, detected_at: new Date().toISOString() };
+  const id = await runInStore(CONFLICTS_STORE, 'readwrite', (store) => store.add(entry));
+  return { ...entry, id };
+};
+
+/**
+ * Lista los conflictos registrados.
+ *
+ * @param {number} [mesaNumero] - Si se indica, filtra por mesa.
+ * @returns {Promise<Object[]>}
+ */
+export const getVoteConflicts = async (mesaNumero) => {
+  const entries = await runInStore(CONFLICTS_STORE, 'readonly', (store) => store.getAll());
+  const sorted = (entries || []).sort((a, b) => a.id - b.id);
+  return mesaNumero ? sorted.filter(e => e.mesa_numero === mesaNumero) : sorted;
+};
+
+/**
+ * Descarta un conflicto una vez revisado por el fiscal.
+ *
+ * @param {number} id - Identificador del conflicto.
+ * @returns {Promise<void>}
+ */
+export const dismissVoteConflict = (id) =>
+  runInStore(CONFLICTS_STORE, 'readwrite', (store) => store.delete(id));
+
+// ─── Cache del padron ───────────────────────────────────────────────────────
+
+/**
+ * Guarda el padron completo de una mesa para consultas sin conexion.
+ *
+ * @param {number} mesaNumero - Numero de mesa.
+ * @param {Object[]} records - Registros del padron de la mesa.
+ * @returns {Promise<void>}
+ */
+export const cachePadronMesa = (mesaNumero, records) =>
+  runInStore(PADRON_STORE, 'readwrite', (store) =>
+    store.put({ mesa_numero: mesaNumero, records, cached_at: new Date().toISOString() })
+  );
+
+/**
+ * Obtiene el padron cacheado de una mesa.
+ *
+ * @param {number} mesaNumero - Numero de mesa.
+ * @returns {Promise<{mesa_numero: number, records: Object[], cached_at: string}|null>}
+ */
+export const getCachedPadronMesa = async (mesaNumero) => {
+  const entry = await runInStore(PADRON_STORE, 'readonly', (store) => store.get(mesaNumero));
+  return entry || null;
+};
+
+/**
+ * Busca en una lista de registros con el mismo criterio que la consulta en linea:
+ * valores menores a 10000 se interpretan como numero de orden y el resto como documento.
+ *
+ * @param {Object[]} records - Registros del padron.
+ * @param {string} termino - Texto ingresado por el fiscal (vacio para todos).
+ * @returns {Object[]}
+ */
+export const filterPadronLocal = (records, termino) => {
+  const value = (termino || '').trim();
+  if (!value) return records;
+
+  const number = parseInt(value);
+  if (isNaN(number)) return records;
+
+  return number < 10000
+    ? records.filter(r => r.orden === number)
+    : records.filter(r => Number(r.documento) === number);
+};
+
+// ─── Aplicacion de acciones ─────────────────────────────────────────────────
+
+/**
+ * Devuelve los campos de voto que resultan de aplicar una accion.
+ *
+ * @param {Object} action - Accion de la cola.
+ * @returns {Object} Campos a fusionar en el registro del padron.
+ */
+export const getVoteFields = (action) =>
+  action.type === 'marcar'
+    ? {
+        voto_emitido: true,
+        voto_pick_at: action.created_at,
+        voto_pick_user: action.user_id,
+        voto_pick_user_profile: action.user_name ? { full_name: action.user_name } : null
+      }
+    : {
+        voto_emitido: false,
+        voto_pick_at: null,
+        voto_pick_user: null,
+        voto_pick_user_profile: null
+      };
+
+/**
+ * Superpone las acciones pendientes sobre una lista de registros, para que la
+ * vista refleje el estado local aun cuando proviene del servidor o del cache.
+ *
+ * @param {Object[]} records - Registros del padron.
+ * @param {Object[]} pending - Acciones pendientes, en orden.
+ * @returns {Object[]}
+ */
+export const applyPendingToRecords = (records, pending) => {
+  if (!pending || pending.length === 0) return records;
+
+  const lastByDocumento = new Map();
+  pending.forEach(action => lastByDocumento.set(Number(action.documento), action));
+
+  return records.map(record => {
+    const action = lastByDocumento.get(Number(record.documento));
+    return action ? { ...record, ...getVoteFields(action) } : record;
+  });
+};
+
+/**
+ * Aplica una accion de voto en Supabase de forma condicional.
+ *
+ * @async
+ * @param {Object} action - Accion a aplicar (ver `enqueueVoteAction`).
+ * @returns {Promise<{status: 'applied'|'conflict'|'network'|'error', record?: Object, message?: string}>}
+ *   - `applied`: la actualizacion se realizo; `record` contiene la fila actualizada.
+ *   - `conflict`: otro usuario ya modifico el registro; `record` es el estado actual.
+ *   - `network`: no hay conexion; la accion debe reintentarse.
+ *   - `error`: el servidor rechazo la accion; `message` describe el motivo.
+ */
+export const applyVoteAction = async (action) => {
+  const isMarcar = action.type === 'marcar';
+  const updateData = isMarcar
+    ? {
+        voto_emitido: true,
+        voto_pick_at: action.created_at,
+        voto_pick_user: action.user_id
+      }
+    : {
+        voto_emitido: false,
+        voto_pick_at: null,
+        voto_pick_user: null
+      };
+
+  try {
+    let query = supabase
+      .from('padron')
+      .update(updateData)
+      .eq('documento', action.documento)
+      .eq('mesa_numero', action.mesa_numero);
+
+    // `voto_emitido` puede ser null en registros nunca marcados
+    query = isMarcar
+      ? query.not('voto_emitido', 'is', true)
+      : query.eq('voto_emitido', true);
+
+    const { data, error } = await query.select(PADRON_FISCALIZAR_SELECT);
+
+    if (error) {
+      if (isNetworkError(error)) return { status: 'network' };
+      return { status: 'error', message: error.message || 'Error al registrar el voto' };
+    }
+
+    if (data && data.length > 0) {
+      return { status: 'applied', record: data[0] };
+    }
+
+    // Ninguna fila actualizada: el estado previo no era el esperado
+    const { data: current, error: currentError } = await supabase
+      .from('padron')
+      .select(PADRON_FISCALIZAR_SELECT)
+      .eq('documento', action.documento)
+      .eq('mesa_numero', action.mesa_numero)
+      .maybeSingle();
+
+    if (currentError) {
+      if (isNetworkError(currentError)) return { status: 'network' };
+      return { status: 'error', message: currentError.message };
+    }
+
+    if (!current) {
+      return { status: 'error', message: 'El votante ya no figura en el padrón de la mesa' };
+    }
+
+    return { status: 'conflict', record: current };
+  } catch (error) {
+    if (isNetworkError(error)) return { status: 'network' };
+    return { status: 'error', message: error.message || 'Error al registrar el voto' };
+  }
+};
+
+/**
+ * Describe un conflicto en lenguaje del fiscal.
+ *
+ * @param {Object} conflict - Conflicto registrado.
+ * @returns {string}
+ */
+export const describeVoteConflict = (conflict) => {
+  if (conflict.reason === 'error') {
+    return conflict.message || 'El servidor rechazó la acción';
+  }
+
+  const quien = conflict.server?.voto_pick_user_profile?.full_name;
+  if (conflict.type === 'marcar') {
+    return quien
+      ? `Ya había sido marcado por ${quien}`
+      : 'Ya había sido marcado por otro usuario';
+  }
+  return 'El voto ya había sido deshecho por otro usuario';
+};
+
+/**
+ * Replica en orden las acciones pendientes de una mesa.
+ *
+ * Se detiene en la primera falla de red (las acciones restantes quedan en la
+ * cola para el proximo intento). Los conflictos y rechazos del servidor se
+ * mueven al store de conflictos y no bloquean el resto de la cola.
+ *
+ * @async
+ * @param {number} mesaNumero - Mesa cuyas acciones se replican.
+ * @returns {Promise<{applied: Object[], conflicts: Object[], remaining: number}>}
+ */
+export const syncPendingVoteActions = async (mesaNumero) => {
+  const pending = await getPendingVoteActions(mesaNumero);
+  const applied = [];
+  const conflicts = [];
+
+  for (let i = 0; i < pending.length; i++) {
+    const action = pending[i];
+    const result = await applyVoteAction(action);
+
+    if (result.status === 'network') {
+      return { applied, conflicts, remaining: pending.length - i };
+    }
+
+    if (result.status === 'applied') {
+      applied.push({ ...action, record: result.record });
+    } else {
+      conflicts.push(await addVoteConflict({
+        ...action,
+        reason: result.status,
+        message: result.message || null,
+        server: result.record || null
+      }));
+    }
+
+    await removeVoteAction(action.id);
+  }
+
+  return { applied, conflicts, remaining: 0 };
+};
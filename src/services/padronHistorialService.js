@@ -0,0 +1,81 @@
+/**
+ * padronHistorialService.js
+ *
+ * Servicio de lectura del historial de cambios del padron (`padron_historial`).
+ *
+ * El historial es de solo insercion y lo completa un trigger de base de datos
+ * ante cada cambio de emopick, nota, verificacion o voto de un registro, sin
+ * importar desde que pantalla se haya hecho (ver pickService y la cola offline
+ * de FiscalizarView). Desde la aplicacion solo se consulta.
+ */
+
+import { supabase } from '../lib/supabase';
+
+/**
+ * Carga el historial de un votante, del cambio mas reciente al mas antiguo.
+ *
+ * @async
+ * @param {number|string} documento - Documento del votante.
+ * @returns {Promise<Array<Object>>} Entradas con `accion`, `valor_anterior`,
+ *   `valor_nuevo`, `created_at` y `user_profile.full_name`.
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadHistorialVotante = async (documento) => {
+  const { data, error } = await supabase
+    .from('padron_historial')
+    .select('id, accion, valor_anterior, valor_nuevo, created_at, user_profile:profiles!padron_historial_user_id_fkey(full_name)')
+    .eq('documento', documento)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false });
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar el historial');
+  }
+
+  return data || [];
+};
+
+/**
+ * Describe una entrada del historial en lenguaje de la aplicacion.
+ *
+ * @param {Object} entry - Entrada de `padron_historial`.
+ * @returns {{titulo: string, anterior: string, nuevo: string}} Texto para la linea de tiempo.
+ */
+export const describeHistorialEntry = (entry) => {
+  const anterior = entry.valor_anterior || {};
+  const nuevo = entry.valor_nuevo || {};
+
+  const pickLabel = (valor) => {
+    if (!valor.emopick_id) return 'Sin pick';
+    return valor.display || `#${valor.emopick_id}`;
+  };
+
+  switch (entry.accion) {
+    case 'pick':
+      return {
+        titulo: !nuevo.emopick_id ? 'Pick eliminado' : !anterior.emopick_id ? 'Pick asignado' : 'Pick modificado',
+        anterior: pickLabel(anterior),
+        nuevo: pickLabel(nuevo)
+      };
+    case 'nota':
+      return {
+        titulo: nuevo.pick_nota ? 'Nota modificada' : 'Nota eliminada',
+        anterior: anterior.pick_nota || '—',
+        nuevo: nuevo.pick_nota || '—'
+      };
+    case 'check':
+      return {
+        titulo: nuevo.pick_check ? 'Pick verificado' : 'Verificación quitada',
+        anterior: anterior.pick_check ? 'Verificado' : 'Sin verificar',
+        nuevo: nuevo.pick_check ? 'Verificado' : 'Sin verificar'
+      };
+    case 'voto':
+      return {
+        titulo: nuevo.voto_emitido ? 'Voto marcado' : 'Voto deshecho',
+        anterior: anterior.voto_emitido ? 'Votó' : 'No votó',
+        nuevo: nuevo.voto_emitido ? 'Votó' : 'No votó'
+      };
+    default:
+      return { titulo: entry.accion, anterior: '', nuevo: '' };
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * paginacion.js
+ *
+ * Lectura en lotes de consultas de Supabase (tablas o funciones RPC) que
+ * pueden superar el máximo de filas que PostgREST devuelve por consulta.
+ */
+
+// Filas por lote (el máximo por defecto de PostgREST)
+const FETCH_BATCH_SIZE = 1000;
+
+/**
+ * Recorre una consulta en lotes de FETCH_BATCH_SIZE hasta traer todas sus filas.
+ * La consulta debe tener un orden estable para que los lotes no se solapen.
+ *
+ * @async
+ * @param {Function} buildQuery - Devuelve una consulta nueva (tabla o RPC), sin `range`.
+ * @param {string} errorMessage - Mensaje si la base de datos no informa uno.
+ * @returns {Promise<Array<Object>>} Todas las filas.
+ * @throws {Error} Si falla alguno de los lotes.
+ */
+export const fetchAllRows = async (buildQuery, errorMessage) => {
+  const all = [];
+  let from = 0;
+
+  while (true) {
+    const { data, error } = await buildQuery().range(from, from + FETCH_BATCH_SIZE - 1);
+
+    if (error) {
+      throw new Error(error.message || errorMessage);
+    }
+
+    all.push(...(data || []));
+    if (!data || data.length < FETCH_BATCH_SIZE) break;
+    from += FETCH_BATCH_SIZE;
+  }
+
+  return all;
+};
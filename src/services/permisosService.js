@@ -0,0 +1,102 @@
+/**
+ * permisosService.js
+ *
+ * Servicio de acceso a la tabla `permisos_rol`: capacidades otorgadas a cada
+ * tipo de usuario. El catálogo de capacidades y los valores por defecto están
+ * en `utils/permisosUtils.js`.
+ */
+
+import { supabase } from '../lib/supabase';
+import { resolverCapacidades } from '../utils/permisosUtils';
+
+/**
+ * Carga las capacidades de un tipo de usuario.
+ * Ante un error usa los permisos por defecto, para que un fallo de red
+ * no deje la aplicación sin menú.
+ *
+ * @async
+ * @param {number} usuarioTipo - Tipo de usuario.
+ * @returns {Promise<string[]>} Claves de las capacidades otorgadas.
+ */
+export const loadCapacidadesTipo = async (usuarioTipo) => {
+  const { data, error } = await supabase
+    .from('permisos_rol')
+    .select('capacidad')
+    .eq('usuario_tipo', usuarioTipo);
+
+  if (error) {
+    console.error('Error loading permisos_rol:', error);
+    return resolverCapacidades(usuarioTipo, null);
+  }
+
+  return resolverCapacidades(usuarioTipo, data);
+};
+
+/**
+ * Carga la matriz completa de permisos.
+ *
+ * @async
+ * @returns {Promise<Map<number, Set<string>>>} Capacidades por tipo de usuario
+ *   (solo los tipos con filas en la tabla).
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadMatrizPermisos = async () => {
+  const { data, error } = await supabase
+    .from('permisos_rol')
+    .select('usuario_tipo, capacidad');
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar los permisos');
+  }
+
+  const matriz = new Map();
+  (data || []).forEach(({ usuario_tipo, capacidad }) => {
+    if (!matriz.has(usuario_tipo)) matriz.set(usuario_tipo, new Set());
+    matriz.get(usuario_tipo).add(capacidad);
+  });
+
+  return matriz;
+};
+
+/**
+ * Guarda las capacidades de un tipo de usuario, agregando las nuevas y
+ * quitando las que ya no están.
+ *
+ * @async
+ * @param {number} usuarioTipo - Tipo de usuario.
+ * @param {Set<string>} actuales - Capacidades guardadas actualmente.
+ * @param {Set<string>} nuevas - Capacidades a guardar.
+ * @param {string} userId - ID del superusuario que edita.
+ * @returns {Promise<void>}
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const saveCapacidadesTipo = async (usuarioTipo, actuales, nuevas, userId) => {
+  const agregar = [...nuevas].filter(capacidad => !actuales.has(capacidad));
+  const quitar = [...actuales].filter(capacidad => !nuevas.has(capacidad));
+
+  if (agregar.length > 0) {
+    const { error } = await supabase
+      .from('permisos_rol')
+      .insert(agregar.map(capacidad => ({
+        usuario_tipo: usuarioTipo,
+        capacidad,
+        updated_by: userId
+      })));
+
+    if (error) {
+      throw new Error(error.message || 'Error al otorgar permisos');
+    }
+  }
+
+  if (quitar.length > 0) {
+    const { error } = await supabase
+      .from('permisos_rol')
+      .delete()
+      .eq('usuario_tipo', usuarioTipo)
+      .in('capacidad', quitar);
+
+    if (error) {
+      throw new Error(error.message || 'Error al quitar permisos');
+    }
+  }
+};
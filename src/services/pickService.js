@@ -9,9 +9,13 @@
  * Conceptos clave:
  * - Pick: asignacion de un emopick (categoria/etiqueta) a un votante del padron.
  * - Pick check: verificacion manual de que el pick asignado fue confirmado.
- * - userType: nivel de privilegio del usuario. Valores menores a 3 corresponden
- *   a administradores con permisos completos; valores >= 3 son usuarios normales
- *   con restricciones sobre registros ya votados.
+ * - canOverride: si el usuario tiene la capacidad 'pick.override' (ver
+ *   permisosUtils / useCan). Con ella edita picks de otros usuarios y de
+ *   votantes que ya votaron; sin ella, esos registros quedan bloqueados.
+ *
+ * Historial: cada cambio de pick, nota o verificacion queda registrado en
+ * `padron_historial` por un trigger de base de datos (ver padronHistorialService),
+ * por lo que estas funciones no necesitan escribirlo.
  */
 
 import { supabase } from '../lib/supabase';
@@ -19,16 +23,15 @@ import { supabase } from '../lib/supabase';
 /**
  * Determina si un usuario puede editar el pick de un registro del padron.
  *
- * Los administradores (userType < 3) siempre pueden editar.
- * Los usuarios normales (userType >= 3) solo pueden editar si el votante
- * aun no ha emitido su voto.
+ * Con 'pick.override' siempre se puede editar.
+ * Sin ella, solo si el votante aun no ha emitido su voto.
  *
  * @param {boolean} votoEmitido - Indica si el votante ya emitio su voto.
- * @param {number} userType - Nivel de privilegio del usuario autenticado.
+ * @param {boolean} canOverride - Si el usuario tiene la capacidad 'pick.override'.
  * @returns {boolean} `true` si el usuario tiene permiso para editar el pick.
  */
-export const canEditPick = (votoEmitido, userType) => {
-  if (userType < 3) {
+export const canEditPick = (votoEmitido, canOverride) => {
+  if (canOverride) {
     return true;
   }
   return !votoEmitido;
@@ -52,13 +55,13 @@ export const getBlockedMessage = (votoEmitido) => {
 /**
  * Valida si un usuario tiene permiso para realizar una accion sobre un pick.
  *
- * Los administradores (userType < 3) siempre tienen permiso.
- * Los usuarios normales (userType >= 3) no pueden editar ni verificar picks
- * de votantes que ya emitieron su voto.
+ * Con 'pick.override' siempre hay permiso.
+ * Sin ella no se pueden editar ni verificar picks de votantes que ya
+ * emitieron su voto.
  *
  * @param {Object} record - Registro del padron sobre el que se quiere actuar.
  * @param {boolean} record.voto_emitido - Indica si el votante ya emitio su voto.
- * @param {number} userType - Nivel de privilegio del usuario autenticado.
+ * @param {boolean} canOverride - Si el usuario tiene la capacidad 'pick.override'.
  * @param {'edit'|'check'} [action='edit'] - Accion que se desea realizar:
  *   - `'edit'`: modificar el emopick asignado al registro.
  *   - `'check'`: cambiar el estado de verificacion del pick.
@@ -66,8 +69,8 @@ export const getBlockedMessage = (votoEmitido) => {
  *   - `allowed`: `true` si la accion esta permitida.
  *   - `message`: mensaje de error si la accion no esta permitida, cadena vacia si esta permitida.
  */
-export const validatePickPermissions = (record, userType, action = 'edit') => {
-  if (userType < 3) {
+export const validatePickPermissions = (record, canOverride, action = 'edit') => {
+  if (canOverride) {
     return { allowed: true, message: '' };
   }
 
@@ -165,3 +168,164 @@ export const updatePickCheck = async (documento, newPickCheckStatus, userId) =>
 
   return data;
 };
+
+/**
+ * Cantidad de documentos por actualizacion en las operaciones masivas.
+ * Mantiene el filtro `in.(...)` dentro del largo de URL aceptado por PostgREST.
+ */
+export const BULK_CHUNK_SIZE = 200;
+
+/**
+ * Clasifica los registros de una operacion masiva segun los permisos de cada fila.
+ *
+ * Aplica `validatePickPermissions` por registro y, para la edicion, la misma
+ * regla de propiedad que la edicion individual: sin 'pick.override' solo
+ * se pueden modificar picks asignados por el propio usuario. Para la verificacion se omiten
+ * los registros que ya estan en el estado pedido, para no pisar quien y cuando
+ * los verifico.
+ *
+ * @param {Object[]} records - Registros con `documento`, `voto_emitido`, `emopick_user` y `pick_check`.
+ * @param {boolean} canOverride - Si el usuario tiene la capacidad 'pick.override'.
+ * @param {string} userId - ID del usuario autenticado.
+ * @param {'assign'|'clear'|'check'|'uncheck'} action - Operacion masiva a realizar.
+ * @returns {{ allowed: Object[], skipped: Array<{ record: Object, reason: string }> }}
+ *   Registros a los que se aplicara la operacion y registros omitidos con su motivo.
+ */
+export const classifyBulkRecords = (records, canOverride, userId, action) => {
+  const permissionAction = action === 'check' || action === 'uncheck' ? 'check' : 'edit';
+  const allowed = [];
+  const skipped = [];
+
+  records.forEach(record => {
+    const { allowed: isAllowed, message } = validatePickPermissions(record, canOverride, permissionAction);
+
+    if (!isAllowed) {
+      skipped.push({ record, reason: record.voto_emitido ? 'voted' : message });
+    } else if (permissionAction === 'edit' && !canOverride && record.emopick_user !== userId) {
+      skipped.push({ record, reason: 'not_owner' });
+    } else if (action === 'check' && record.pick_check) {
+      skipped.push({ record, reason: 'already_checked' });
+    } else if (action === 'uncheck' && !record.pick_check) {
+      skipped.push({ record, reason: 'already_unchecked' });
+    } else {
+      allowed.push(record);
+    }
+  });
+
+  return { allowed, skipped };
+};
+
+/**
+ * Aplica una misma actualizacion a muchos registros del padron, en lotes.
+ *
+ * Con `skipVoted` la condicion de "no voto" se verifica en la misma escritura,
+ * de modo que un voto marcado despues de armar la vista previa no se sobrescribe.
+ * Los errores de un lote no detienen los siguientes.
+ *
+ * @async
+ * @param {number[]} documentos - Documentos a actualizar.
+ * @param {Object} updateData - Campos a escribir.
+ * @param {Object} [options]
+ * @param {boolean} [options.skipVoted=false] - Omitir registros con `voto_emitido = true`.
+ * @param {Function} [options.filter] - Condicion adicional aplicada a la query de cada lote.
+ * @param {Function} [options.onProgress] - Callback `(procesados, total)` tras cada lote.
+ * @returns {Promise<{ updated: number[], unchanged: number[], failed: number[] }>}
+ *   Documentos actualizados, no actualizados por la condicion y fallidos por error.
+ */
+const updatePadronInChunks = async (documentos, updateData, { skipVoted = false, filter, onProgress } = {}) => {
+  const updated = [];
+  const unchanged = [];
+  const failed = [];
+
+  for (let i = 0; i < documentos.length; i += BULK_CHUNK_SIZE) {
+    const chunk = documentos.slice(i, i + BULK_CHUNK_SIZE);
+
+    let query = supabase
+      .from('padron')
+      .update(updateData)
+      .in('documento', chunk);
+
+    if (skipVoted) query = query.not('voto_emitido', 'is', true);
+    if (filter) query = filter(query);
+
+    const { data, error } = await query.select('documento');
+
+    if (error) {
+      console.error('Error in bulk padron update:', error);
+      failed.push(...chunk);
+    } else {
+      const done = new Set((data || []).map(row => Number(row.documento)));
+      chunk.forEach(documento => {
+        (done.has(Number(documento)) ? updated : unchanged).push(documento);
+      });
+    }
+
+    if (onProgress) onProgress(Math.min(i + BULK_CHUNK_SIZE, documentos.length), documentos.length);
+  }
+
+  return { updated, unchanged, failed };
+};
+
+/**
+ * Asigna o limpia el pick de muchos registros en una sola operacion.
+ *
+ * A diferencia de `updatePadronPick`, al asignar sin nota se conservan las
+ * notas existentes de cada registro.
+ *
+ * @async
+ * @param {number[]} documentos - Documentos ya validados con `classifyBulkRecords`.
+ * @param {number|null} emopickId - Emopick a asignar, o `null` para limpiar el pick.
+ * @param {string|null} pickNota - Nota a escribir en todos los registros (opcional).
+ * @param {string} userId - ID del usuario autenticado.
+ * @param {boolean} canOverride - Sin 'pick.override' no se modifican votantes que ya votaron.
+ * @param {Function} [onProgress] - Callback `(procesados, total)`.
+ * @returns {Promise<{ updated: number[], unchanged: number[], failed: number[] }>}
+ */
+export const bulkUpdatePadronPick = async (documentos, emopickId, pickNota, userId, canOverride, onProgress) => {
+  const updateData = emopickId === null
+    ? {
+        emopick_id: null,
+        emopick_user: null,
+        pick_nota: null,
+        pick_check: false,
+        pick_check_user: null,
+        pick_check_at: null
+      }
+    : {
+        emopick_id: emopickId,
+        emopick_user: userId,
+        ...(pickNota ? { pick_nota: pickNota } : {})
+      };
+
+  return updatePadronInChunks(documentos, updateData, { skipVoted: !canOverride, onProgress });
+};
+
+/**
+ * Cambia el estado de verificacion de muchos registros en una sola operacion.
+ *
+ * Solo modifica los registros que no estan ya en el estado pedido, para
+ * conservar el usuario y la fecha de las verificaciones existentes.
+ *
+ * @async
+ * @param {number[]} documentos - Documentos ya validados con `classifyBulkRecords`.
+ * @param {boolean} newPickCheckStatus - `true` para verificar, `false` para quitar la verificacion.
+ * @param {string} userId - ID del usuario autenticado.
+ * @param {boolean} canOverride - Sin 'pick.override' no se modifican votantes que ya votaron.
+ * @param {Function} [onProgress] - Callback `(procesados, total)`.
+ * @returns {Promise<{ updated: number[], unchanged: number[], failed: number[] }>}
+ */
+export const bulkUpdatePickCheck = async (documentos, newPickCheckStatus, userId, canOverride, onProgress) => {
+  return updatePadronInChunks(
+    documentos,
+    {
+      pick_check: newPickCheckStatus,
+      pick_check_user: newPickCheckStatus ? userId : null,
+      pick_check_at: newPickCheckStatus ? new Date().toISOString() : null
+    },
+    {
+      skipVoted: !canOverride,
+      filter: (query) => query.not('pick_check', 'is', newPickCheckStatus),
+      onProgress
+    }
+  );
+};
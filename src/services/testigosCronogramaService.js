@@ -0,0 +1,148 @@
+/**
+ * testigosCronogramaService.js
+ *
+ * Servicio del cronograma de muestreo de Mesa Testigo (tabla
+ * `testigos_cronograma`, migración 20261019230000_testigos_cronograma.sql):
+ * un intervalo y un horario por mesa que definen los supervisores. Los
+ * turnos y su cumplimiento se calculan en `utils/testigosCronograma.js` a
+ * partir de las mediciones del día que carga este servicio.
+ */
+
+import { supabase } from '../lib/supabase';
+
+/**
+ * Carga los cronogramas de todas las mesas, ordenados por mesa.
+ *
+ * @async
+ * @returns {Promise<Array<Object>>} Cronogramas con la localidad de la mesa (`mesas`).
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadCronogramas = async () => {
+  const { data, error } = await supabase
+    .from('testigos_cronograma')
+    .select(`
+      *,
+      mesas (
+        mesa_localidad,
+        establecimientos (
+          nombre
+        )
+      )
+    `)
+    .order('mesa_numero');
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar los cronogramas de muestreo');
+  }
+
+  return data || [];
+};
+
+/**
+ * Carga el cronograma de una mesa.
+ *
+ * @async
+ * @param {number} mesaNumero - Número de mesa.
+ * @returns {Promise<Object|null>} Cronograma, o null si la mesa no tiene.
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadCronogramaMesa = async (mesaNumero) => {
+  const { data, error } = await supabase
+    .from('testigos_cronograma')
+    .select('*')
+    .eq('mesa_numero', mesaNumero)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar el cronograma de la mesa');
+  }
+
+  return data;
+};
+
+/**
+ * Crea o reemplaza el cronograma de varias mesas.
+ *
+ * @async
+ * @param {Array<number>} mesas - Números de mesa.
+ * @param {Object} fields
+ * @param {number} fields.intervalo_minutos - Minutos entre muestras (15 a 240).
+ * @param {string|null} [fields.hora_desde] - "HH:MM"; null usa la apertura del comicio.
+ * @param {string|null} [fields.hora_hasta] - "HH:MM"; null usa el cierre del comicio.
+ * @returns {Promise<Array<Object>>} Cronogramas guardados.
+ * @throws {Error} Si no tiene permiso o los datos no son válidos.
+ */
+export const guardarCronogramas = async (mesas, fields) => {
+  const now = new Date().toISOString();
+  const rows = mesas.map(mesaNumero => ({
+    mesa_numero: mesaNumero,
+    intervalo_minutos: fields.intervalo_minutos,
+    hora_desde: fields.hora_desde || null,
+    hora_hasta: fields.hora_hasta || null,
+    updated_at: now
+  }));
+
+  const { data, error } = await supabase
+    .from('testigos_cronograma')
+    .upsert(rows, { onConflict: 'mesa_numero' })
+    .select();
+
+  if (error) {
+    throw new Error(error.message || 'Error al guardar el cronograma de muestreo');
+  }
+
+  return data || [];
+};
+
+/**
+ * Elimina el cronograma de una mesa.
+ *
+ * @async
+ * @param {number} mesaNumero - Número de mesa.
+ * @returns {Promise<void>}
+ * @throws {Error} Si no tiene permiso.
+ */
+export const eliminarCronograma = async (mesaNumero) => {
+  const { error } = await supabase
+    .from('testigos_cronograma')
+    .delete()
+    .eq('mesa_numero', mesaNumero);
+
+  if (error) {
+    throw new Error(error.message || 'Error al eliminar el cronograma de muestreo');
+  }
+};
+
+/**
+ * Carga las mediciones iniciadas en un día (hora local), de una mesa o de todas.
+ *
+ * @async
+ * @param {string} fecha - Día "YYYY-MM-DD".
+ * @param {number|null} [mesaNumero=null] - Mesa, o null para todas.
+ * @returns {Promise<Array<{id: number, mesa_numero: number, user_at: string, estado: string}>>}
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadMedicionesDia = async (fecha, mesaNumero = null) => {
+  const desde = new Date(`${fecha}T00:00:00`);
+  const hasta = new Date(desde);
+  hasta.setDate(hasta.getDate() + 1);
+
+  let query = supabase
+    .from('testigos')
+    .select('id, mesa_numero, user_at, estado')
+    .gte('user_at', desde.toISOString())
+    .lt('user_at', hasta.toISOString())
+    .order('user_at');
+
+  if (mesaNumero) {
+    query = query.eq('mesa_numero', mesaNumero);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar las mediciones del día');
+  }
+
+  return data || [];
+};
@@ -0,0 +1,156 @@
+/**
+ * testigosService.js
+ *
+ * Servicio del ciclo de medición de Mesa Testigo (tabla `testigos`):
+ * iniciar → en curso → finalizar → válida / no válida, con cancelación y
+ * cierre automático de las mediciones abandonadas.
+ *
+ * Las transiciones las hacen funciones del servidor (migración
+ * 20261019220000_testigos_ciclo_medicion.sql), que garantizan una sola
+ * medición en curso por mesa y toman los votos de `mesas.total_votaron`.
+ * Todas las funciones lanzan el error con el mensaje del servidor para que
+ * la pantalla lo muestre.
+ */
+
+import { supabase } from '../lib/supabase';
+
+// Columnas de las mediciones con quien las registró y quien las revisó
+export const TESTIGOS_SELECT = `
+  *,
+  profiles!testigos_user_id_fkey(
+    full_name
+  ),
+  revisor:profiles!testigos_revisada_por_fkey(
+    full_name
+  )
+`;
+
+/**
+ * Cierra como vencidas las mediciones abiertas que superaron el tiempo máximo.
+ *
+ * @async
+ * @param {number|null} [mesaNumero=null] - Mesa a revisar, o null para todas.
+ * @returns {Promise<number>} Cantidad de mediciones cerradas.
+ * @throws {Error} Si ocurre un error en el servidor.
+ */
+export const cerrarMedicionesVencidas = async (mesaNumero = null) => {
+  const { data, error } = await supabase.rpc('cerrar_mediciones_vencidas', {
+    p_mesa_numero: mesaNumero
+  });
+
+  if (error) {
+    throw new Error(error.message || 'Error al cerrar las mediciones vencidas');
+  }
+
+  return data || 0;
+};
+
+/**
+ * Carga las mediciones de una mesa, de la más reciente a la más antigua.
+ *
+ * @async
+ * @param {number} mesaNumero - Número de mesa.
+ * @returns {Promise<Array<Object>>} Mediciones con `profiles` y `revisor`.
+ * @throws {Error} Si ocurre un error en la consulta.
+ */
+export const loadMedicionesMesa = async (mesaNumero) => {
+  const { data, error } = await supabase
+    .from('testigos')
+    .select(TESTIGOS_SELECT)
+    .eq('mesa_numero', mesaNumero)
+    .order('user_at', { ascending: false });
+
+  if (error) {
+    throw new Error(error.message || 'Error al cargar registros de testigos');
+  }
+
+  return data || [];
+};
+
+/**
+ * Inicia una medición en la mesa. Falla si ya hay otra en curso en la mesa.
+ *
+ * @async
+ * @param {number} mesaNumero - Número de mesa.
+ * @param {number} pilaInicio - Boletas en la pila al iniciar.
+ * @returns {Promise<Object>} Medición creada (estado 'en_curso', con `votos_inicio`).
+ * @throws {Error} Si la mesa no es la asignada, ya hay una medición abierta o los datos no son válidos.
+ */
+export const iniciarMedicion = async (mesaNumero, pilaInicio) => {
+  const { data, error } = await supabase.rpc('iniciar_medicion_testigo', {
+    p_mesa_numero: mesaNumero,
+    p_pila_inicio: pilaInicio
+  });
+
+  if (error) {
+    throw new Error(error.message || 'Error al iniciar la medición');
+  }
+
+  return data;
+};
+
+/**
+ * Finaliza una medición en curso con las boletas que quedaron en la pila.
+ *
+ * @async
+ * @param {number} testigoId - Id de la medición.
+ * @param {number} pilaRetirada - Boletas que quedaron en la pila.
+ * @returns {Promise<Object>} Medición actualizada. Su estado es 'vencida' (sin
+ *   datos finales) si superó el tiempo máximo.
+ * @throws {Error} Si la medición no está en curso, no es propia o los datos no son válidos.
+ */
+export const finalizarMedicion = async (testigoId, pilaRetirada) => {
+  const { data, error } = await supabase.rpc('finalizar_medicion_testigo', {
+    p_testigo: testigoId,
+    p_pila_retirada: pilaRetirada
+  });
+
+  if (error) {
+    throw new Error(error.message || 'Error al finalizar la medición');
+  }
+
+  return data;
+};
+
+/**
+ * Cancela (elimina) una medición en curso.
+ *
+ * @async
+ * @param {number} testigoId - Id de la medición.
+ * @returns {Promise<void>}
+ * @throws {Error} Si no hay una medición en curso propia con ese id.
+ */
+export const cancelarMedicion = async (testigoId) => {
+  const { error } = await supabase.rpc('cancelar_medicion_testigo', {
+    p_testigo: testigoId
+  });
+
+  if (error) {
+    throw new Error(error.message || 'Error al cancelar la medición');
+  }
+};
+
+/**
+ * Marca una muestra finalizada como válida o no válida, con una observación.
+ * Quien la registró puede hacerlo hasta que la revise un supervisor.
+ *
+ * @async
+ * @param {number} testigoId - Id de la medición.
+ * @param {boolean} valida - Si la muestra es válida.
+ * @param {string|null} [observacion=null] - Observación; null conserva la anterior y '' la borra.
+ * @returns {Promise<Object>} Medición actualizada.
+ * @throws {Error} Si no tiene permiso o la medición no está finalizada.
+ */
+export const revisarMuestra = async (testigoId, valida, observacion = null) => {
+  const { data, error } = await supabase.rpc('revisar_muestra_testigo', {
+    p_testigo: testigoId,
+    p_valida: valida,
+    p_observacion: observacion
+  });
+
+  if (error) {
+    throw new Error(error.message || 'Error al actualizar el estado de la muestra');
+  }
+
+  return data;
+};
@@ -8,6 +8,7 @@
  * @property {number} usuario_tipo
  * @property {number|null} mesa_numero
  * @property {string} roleDescription
+ * @property {string[]} capacidades
  * @property {string|null} avatar_url
  */
 
@@ -49,8 +50,15 @@
  * @property {string|null} user_at
  * @property {number|null} votos_diferencia
  * @property {boolean|null} muestra_valida
+ * @property {'en_curso'|'finalizada'|'vencida'} estado
+ * @property {string|null} finalizada_at
+ * @property {string|null} observacion
+ * @property {string|null} revisada_por
+ * @property {string|null} revisada_at
  * @property {Object|null} profiles
  * @property {string|null} profiles.full_name
+ * @property {Object|null} revisor - Perfil de quien revisó la muestra
+ * @property {string|null} revisor.full_name
  * @property {Object|null} mesas
  * @property {number|null} mesas.numero
  * @property {string|null} mesas.mesa_localidad
@@ -58,6 +66,16 @@
  * @property {string|null} mesas.establecimientos.nombre
  */
 
+/**
+ * @typedef {Object} TestigoCronograma
+ * @property {number} mesa_numero
+ * @property {number} intervalo_minutos - Minutos entre muestras (15 a 240)
+ * @property {string|null} hora_desde - NULL usa la apertura del comicio
+ * @property {string|null} hora_hasta - NULL usa el cierre del comicio
+ * @property {string} updated_at
+ * @property {string|null} updated_by
+ */
+
 
 /**
  * @typedef {Object} SearchFilters
@@ -0,0 +1,290 @@
+/**
+ * columnMapping.js - Mapeo de columnas del archivo a columnas del padrón
+ *
+ * Los padrones oficiales no usan los nombres de `ALL_COLUMNS` ("DNI",
+ * "Nro Mesa", "Nº Orden", "APELLIDO Y NOMBRE"...). Antes de validar, cada
+ * encabezado del archivo se asocia a una columna del padrón, se ignora, o se
+ * divide en apellido y nombre.
+ *
+ * Formato del mapeo (el mismo que se guarda en `mapeos_importacion.mapeo`):
+ * {
+ *   columnas: { [encabezadoDelArchivo]: 'documento' | ... | 'apellido_nombre' | null },
+ *   separadorNombre: 'coma' | 'primer_espacio' | 'ultimo_espacio'
+ * }
+ * Un encabezado con `null` se ignora.
+ *
+ * @module columnMapping
+ */
+
+import { ALL_COLUMNS, REQUIRED_COLUMNS } from './importUtils';
+
+/**
+ * Destino especial: la columna trae "APELLIDO NOMBRE" y se divide en las
+ * columnas `apellido` y `nombre`.
+ */
+export const COLUMNA_APELLIDO_NOMBRE = 'apellido_nombre';
+
+/**
+ * Formas de dividir una columna combinada de apellido y nombre
+ */
+export const SEPARADORES_NOMBRE = [
+  { value: 'coma', label: 'Por coma (PEREZ, JUAN CARLOS)' },
+  { value: 'primer_espacio', label: 'Primera palabra es el apellido (PEREZ JUAN CARLOS)' },
+  { value: 'ultimo_espacio', label: 'Última palabra es el nombre (DE LA FUENTE JUAN)' }
+];
+
+/**
+ * Sinónimos habituales de cada columna. Se comparan ya normalizados con
+ * `normalizeHeader`, así que no importan mayúsculas, acentos ni puntuación
+ * ("N° de Mesa" y "nro mesa" son iguales). El nombre de cada columna de
+ * `ALL_COLUMNS` se reconoce siempre.
+ */
+const SINONIMOS = {
+  documento: ['dni', 'doc', 'nro documento', 'documento nro', 'nro doc', 'nro dni', 'dni nro', 'matricula', 'matricula individual', 'mi', 'm i'],
+  apellido: ['apellidos'],
+  nombre: ['nombres'],
+  sexo: ['genero', 'sex'],
+  clase: ['año', 'anio', 'año nacimiento', 'anio nacimiento', 'año de nacimiento', 'clase nacimiento'],
+  domicilio: ['direccion', 'dom', 'domicilio electoral', 'calle'],
+  mesa_numero: ['mesa', 'nro mesa', 'mesa nro', 'numero de mesa'],
+  orden: ['nro orden', 'orden nro', 'numero de orden', 'orden mesa', 'nro orden mesa', 'orden en mesa'],
+  [COLUMNA_APELLIDO_NOMBRE]: ['apellido y nombre', 'apellidos y nombres', 'apellido y nombres', 'apellido nombre', 'ape y nom', 'apynom', 'nombre completo']
+};
+
+// Abreviaturas de "número" que aparecen en los encabezados
+const ALIAS_NUMERO = new Set(['numero', 'num', 'nro', 'nr', 'no', 'n']);
+const PALABRAS_IGNORADAS = new Set(['de', 'del', 'la', 'el', 'en', 'y']);
+
+/**
+ * Normaliza un encabezado para compararlo: minúsculas, sin acentos ni
+ * puntuación, "Nº"/"Número"/"Nro" unificados y sin artículos ni preposiciones.
+ *
+ * @param {string} header - Encabezado original
+ * @returns {string} Forma normalizada (ej: "Nº de Mesa" → "nro mesa")
+ */
+export const normalizeHeader = (header) => {
+  return String(header ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(token => token !== '' && !PALABRAS_IGNORADAS.has(token))
+    .map(token => (ALIAS_NUMERO.has(token) ? 'nro' : token))
+    .join(' ');
+};
+
+// Encabezado normalizado → columna destino
+const DESTINO_POR_ENCABEZADO = (() => {
+  const map = new Map();
+  ALL_COLUMNS.forEach(columna => map.set(normalizeHeader(columna), columna));
+  Object.entries(SINONIMOS).forEach(([columna, sinonimos]) => {
+    sinonimos.forEach(sinonimo => {
+      const key = normalizeHeader(sinonimo);
+      if (!map.has(key)) map.set(key, columna);
+    });
+  });
+  return map;
+})();
+
+/**
+ * Columnas del padrón que cubre un destino del mapeo
+ */
+const columnasDeDestino = (destino) => {
+  return destino === COLUMNA_APELLIDO_NOMBRE ? ['apellido', 'nombre'] : [destino];
+};
+
+/**
+ * Sugiere el separador de una columna combinada mirando si los valores
+ * traen coma.
+ *
+ * @param {string[]} values - Valores de muestra
+ * @returns {string} Separador sugerido
+ */
+export const suggestNameSeparator = (values) => {
+  const conValor = values.filter(v => v && String(v).trim() !== '');
+  if (conValor.length === 0) return 'coma';
+  const conComa = conValor.filter(v => String(v).includes(',')).length;
+  return conComa >= conValor.length / 2 ? 'coma' : 'primer_espacio';
+};
+
+/**
+ * Sugiere un mapeo a partir de los encabezados del archivo.
+ *
+ * Cada columna del padrón se asigna a lo sumo a un encabezado (el primero
+ * que coincide). Una columna combinada de apellido y nombre solo se usa si
+ * el archivo no trae apellido y nombre por separado.
+ *
+ * @param {string[]} headers - Encabezados del archivo
+ * @param {Object[]} [sampleRecords=[]] - Primeros registros, para sugerir el separador
+ * @returns {{columnas: Object<string, string|null>, separadorNombre: string}}
+ */
+export const suggestMapping = (headers, sampleRecords = []) => {
+  const columnas = {};
+  const usados = new Set();
+
+  headers.forEach(header => {
+    const destino = DESTINO_POR_ENCABEZADO.get(normalizeHeader(header)) || null;
+    if (destino && !usados.has(destino)) {
+      columnas[header] = destino;
+      usados.add(destino);
+    } else {
+      columnas[header] = null;
+    }
+  });
+
+  const combinada = headers.find(h => columnas[h] === COLUMNA_APELLIDO_NOMBRE);
+  if (combinada && usados.has('apellido') && usados.has('nombre')) {
+    columnas[combinada] = null;
+  }
+
+  return {
+    columnas,
+    separadorNombre: combinada
+      ? suggestNameSeparator(sampleRecords.map(r => r[combinada]))
+      : 'coma'
+  };
+};
+
+/**
+ * Aplica un mapeo guardado a los encabezados de un archivo.
+ *
+ * Los encabezados que figuran en el mapeo guardado (comparados normalizados)
+ * toman su destino; el resto conserva la sugerencia automática, salvo que
+ * su destino ya lo ocupe el mapeo guardado.
+ *
+ * @param {string[]} headers - Encabezados del archivo
+ * @param {Object} mapeo - Mapeo guardado
+ * @param {Object[]} [sampleRecords=[]] - Primeros registros
+ * @returns {{columnas: Object<string, string|null>, separadorNombre: string}}
+ */
+export const applyPreset = (headers, mapeo, sampleRecords = []) => {
+  const sugerido = suggestMapping(headers, sampleRecords);
+  const guardadas = new Map(
+    Object.entries(mapeo.columnas || {}).map(([header, destino]) => [normalizeHeader(header), destino])
+  );
+
+  const columnas = {};
+  const usados = new Set();
+  headers.forEach(header => {
+    const key = normalizeHeader(header);
+    if (guardadas.has(key)) {
+      columnas[header] = guardadas.get(key);
+      if (columnas[header]) usados.add(columnas[header]);
+    }
+  });
+
+  headers.forEach(header => {
+    if (header in columnas) return;
+    const destino = sugerido.columnas[header];
+    columnas[header] = destino && !usados.has(destino) ? destino : null;
+    if (columnas[header]) usados.add(columnas[header]);
+  });
+
+  return {
+    columnas,
+    separadorNombre: mapeo.separadorNombre || sugerido.separadorNombre
+  };
+};
+
+/**
+ * Busca el mapeo guardado que mejor corresponde a los encabezados: el que
+ * tiene todos sus encabezados en el archivo y más encabezados en común.
+ *
+ * @param {Array<{nombre: string, mapeo: Object}>} presets - Mapeos guardados
+ * @param {string[]} headers - Encabezados del archivo
+ * @returns {Object|null} Mapeo guardado, o null si ninguno corresponde
+ */
+export const findPresetForHeaders = (presets, headers) => {
+  const disponibles = new Set(headers.map(normalizeHeader));
+  let mejor = null;
+  let mejorCantidad = 0;
+
+  presets.forEach(preset => {
+    const keys = Object.keys(preset.mapeo?.columnas || {}).map(normalizeHeader);
+    if (keys.length === 0 || !keys.every(key => disponibles.has(key))) return;
+    if (keys.length > mejorCantidad) {
+      mejor = preset;
+      mejorCantidad = keys.length;
+    }
+  });
+
+  return mejor;
+};
+
+/**
+ * Revisa un mapeo: columnas obligatorias sin asignar y columnas del padrón
+ * asignadas a más de un encabezado.
+ *
+ * @param {{columnas: Object<string, string|null>}} mapeo - Mapeo a revisar
+ * @returns {{missing: string[], duplicated: string[]}}
+ */
+export const getMappingIssues = (mapeo) => {
+  const conteo = new Map();
+  Object.values(mapeo.columnas).forEach(destino => {
+    if (!destino) return;
+    columnasDeDestino(destino).forEach(columna => {
+      conteo.set(columna, (conteo.get(columna) || 0) + 1);
+    });
+  });
+
+  return {
+    missing: REQUIRED_COLUMNS.filter(columna => !conteo.has(columna)),
+    duplicated: [...conteo.entries()].filter(([, count]) => count > 1).map(([columna]) => columna)
+  };
+};
+
+/**
+ * Divide un valor "APELLIDO NOMBRE" en sus partes.
+ *
+ * Con 'coma', si el valor no trae coma se divide en el primer espacio.
+ *
+ * @param {string} value - Valor combinado
+ * @param {string} separador - 'coma', 'primer_espacio' o 'ultimo_espacio'
+ * @returns {{apellido: string, nombre: string}}
+ */
+export const splitFullName = (value, separador) => {
+  const texto = String(value ?? '').trim().replace(/\s+/g, ' ');
+
+  if (separador === 'coma' && texto.includes(',')) {
+    const index = texto.indexOf(',');
+    return { apellido: texto.slice(0, index).trim(), nombre: texto.slice(index + 1).trim() };
+  }
+
+  const index = separador === 'ultimo_espacio' ? texto.lastIndexOf(' ') : texto.indexOf(' ');
+  if (index === -1) return { apellido: texto, nombre: '' };
+  return { apellido: texto.slice(0, index), nombre: texto.slice(index + 1) };
+};
+
+/**
+ * Convierte los registros del archivo a las columnas del padrón según el mapeo.
+ * Los encabezados ignorados se descartan y los errores de parseo se conservan.
+ *
+ * @param {{headers: string[], records: Object[], errors?: Object[]}} parsedData - Resultado del parseo
+ * @param {{columnas: Object<string, string|null>, separadorNombre: string}} mapeo - Mapeo a aplicar
+ * @returns {{headers: string[], records: Object[], errors: Object[]}}
+ */
+export const applyMapping = (parsedData, mapeo) => {
+  const asignaciones = parsedData.headers
+    .filter(header => mapeo.columnas[header])
+    .map(header => [header, mapeo.columnas[header]]);
+
+  const records = parsedData.records.map(record => {
+    const mapped = {};
+    asignaciones.forEach(([header, destino]) => {
+      if (destino === COLUMNA_APELLIDO_NOMBRE) {
+        Object.assign(mapped, splitFullName(record[header], mapeo.separadorNombre));
+      } else {
+        mapped[destino] = record[header];
+      }
+    });
+    return mapped;
+  });
+
+  return {
+    headers: asignaciones.flatMap(([, destino]) => columnasDeDestino(destino)),
+    records,
+    errors: parsedData.errors || []
+  };
+};
@@ -0,0 +1,149 @@
+/**
+ * comicioUtils.js
+ *
+ * Funciones puras para interpretar la configuración del comicio (tabla `comicios`):
+ * horario de apertura/cierre, día de la elección y ventana habilitada para
+ * marcar votos. No acceden a la base de datos; reciben el registro ya cargado
+ * (ver ComicioContext).
+ */
+
+/**
+ * Horario por defecto cuando no hay comicio configurado (jornada nacional 8 a 18 hs).
+ */
+export const HORARIO_POR_DEFECTO = { apertura: '08:00', cierre: '18:00' };
+
+/**
+ * Convierte una hora "HH:MM" o "HH:MM:SS" a minutos desde la medianoche.
+ *
+ * @param {string|null} hora - Hora en formato de columna `time` de Postgres.
+ * @returns {number|null} Minutos desde las 00:00, o null si el valor es inválido.
+ */
+export function horaAMinutos(hora) {
+  if (!hora || typeof hora !== 'string') return null;
+  const [h, m] = hora.split(':').map(Number);
+  if (isNaN(h) || isNaN(m)) return null;
+  return h * 60 + m;
+}
+
+/**
+ * Convierte minutos desde la medianoche a "HH:MM".
+ *
+ * @param {number} minutos
+ * @returns {string}
+ */
+export function minutosAHora(minutos) {
+  const h = Math.floor(minutos / 60).toString().padStart(2, '0');
+  const m = Math.round(minutos % 60).toString().padStart(2, '0');
+  return `${h}:${m}`;
+}
+
+/**
+ * Obtiene el horario del comicio en minutos, con el horario por defecto como respaldo.
+ *
+ * @param {Object|null} comicio - Registro de `comicios`.
+ * @returns {{apertura: number, cierre: number}}
+ */
+export function obtenerHorario(comicio) {
+  const apertura = horaAMinutos(comicio?.hora_apertura) ?? horaAMinutos(HORARIO_POR_DEFECTO.apertura);
+  const cierre = horaAMinutos(comicio?.hora_cierre) ?? horaAMinutos(HORARIO_POR_DEFECTO.cierre);
+  return cierre > apertura
+    ? { apertura, cierre }
+    : { apertura: horaAMinutos(HORARIO_POR_DEFECTO.apertura), cierre: horaAMinutos(HORARIO_POR_DEFECTO.cierre) };
+}
+
+/**
+ * Lista las horas enteras que abarca la jornada, para agrupar votos por hora.
+ * Con el horario por defecto devuelve [8, 9, ..., 18].
+ *
+ * @param {Object|null} comicio - Registro de `comicios`.
+ * @returns {number[]}
+ */
+export function obtenerRangoHoras(comicio) {
+  const { apertura, cierre } = obtenerHorario(comicio);
+  const horas = [];
+  for (let hora = Math.floor(apertura / 60); hora <= Math.floor(cierre / 60); hora++) {
+    horas.push(hora);
+  }
+  return horas;
+}
+
+/**
+ * Distribuye los votos por hora en las horas de la jornada, con 0 en las
+ * horas sin votos.
+ *
+ * @param {Array<{hora: number, votos: number}>} filas - Votos por hora del día (0 a 23).
+ * @param {Object|null} comicio - Registro de `comicios`.
+ * @param {Object} [options]
+ * @param {boolean} [options.acumularFuera=false] - Suma los votos anteriores a la
+ *   apertura en la primera hora y los posteriores al cierre en la última; si no, se descartan.
+ * @returns {Array<{hora: string, votos: number}>} Una fila por hora ("08:00", "09:00", ...).
+ */
+export function agruparVotosPorHora(filas, comicio, { acumularFuera = false } = {}) {
+  const horas = obtenerRangoHoras(comicio);
+  const primeraHora = horas[0];
+  const ultimaHora = horas[horas.length - 1];
+
+  const porHora = {};
+  for (const { hora, votos } of filas || []) {
+    let destino = hora;
+    if (hora < primeraHora || hora > ultimaHora) {
+      if (!acumularFuera) continue;
+      destino = hora < primeraHora ? primeraHora : ultimaHora;
+    }
+    porHora[destino] = (porHora[destino] || 0) + votos;
+  }
+
+  return horas.map(hora => ({
+    hora: `${hora.toString().padStart(2, '0')}:00`,
+    votos: porHora[hora] || 0
+  }));
+}
+
+/**
+ * Formatea una fecha local como "YYYY-MM-DD" (formato de columna `date`).
+ *
+ * @param {Date} fecha
+ * @returns {string}
+ */
+export function fechaLocalISO(fecha) {
+  const y = fecha.getFullYear();
+  const m = (fecha.getMonth() + 1).toString().padStart(2, '0');
+  const d = fecha.getDate().toString().padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+/**
+ * Determina si se pueden marcar votos en un momento dado según el comicio.
+ *
+ * Solo restringe cuando hay un comicio activo con fecha configurada; sin
+ * configuración la fiscalización queda habilitada como hasta ahora.
+ *
+ * @param {Object|null} comicio - Registro de `comicios`.
+ * @param {Date} [fechaHora=new Date()] - Momento a evaluar.
+ * @returns {{permitido: boolean, motivo: string}}
+ */
+export function validarVentanaVotacion(comicio, fechaHora = new Date()) {
+  if (!comicio?.activo || !comicio.fecha) {
+    return { permitido: true, motivo: '' };
+  }
+
+  if (fechaLocalISO(fechaHora) !== comicio.fecha) {
+    const [y, m, d] = comicio.fecha.split('-');
+    return {
+      permitido: false,
+      motivo: `El marcado de votos solo está habilitado el día del comicio (${d}/${m}/${y}).`
+    };
+  }
+
+  const { apertura, cierre } = obtenerHorario(comicio);
+  const minutos = fechaHora.getHours() * 60 + fechaHora.getMinutes();
+
+  if (minutos < apertura || minutos >= cierre) {
+    return {
+      permitido: false,
+      motivo: `El marcado de votos está habilitado de ${minutosAHora(apertura)} a ${minutosAHora(cierre)} hs.`
+    };
+  }
+
+  return { permitido: true, motivo: '' };
+}
@@ -0,0 +1,313 @@
+/**
+ * csvParser.js - Parser CSV incremental (RFC 4180)
+ *
+ * Procesa el archivo por fragmentos, sin partirlo en líneas, y corre dentro
+ * de un worker (ver workers/csvParser.worker.js). Soporta:
+ * - Campos entre comillas con delimitadores, comillas dobles ("") y saltos
+ *   de línea embebidos
+ * - Finales de línea LF y CRLF
+ * - Delimitador `,`, `;` o tabulador, detectado a partir del encabezado
+ * - Codificación UTF-8 (con o sin BOM), UTF-16 con BOM y, si el archivo no
+ *   es UTF-8 válido, Windows-1252 / Latin-1 (exportaciones de Excel)
+ *
+ * Las filas con una cantidad de valores distinta a la del encabezado no se
+ * descartan: se devuelven igual (completando o recortando valores) junto con
+ * un error en el mismo formato que usa la validación de importación.
+ *
+ * @module csvParser
+ */
+
+/**
+ * Delimitadores admitidos, en orden de preferencia ante empate
+ */
+export const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Detecta el delimitador contando sus apariciones fuera de comillas en la
+ * primera línea del texto (el encabezado).
+ *
+ * @param {string} sample - Comienzo del archivo ya decodificado
+ * @returns {string} Delimitador detectado (por defecto `,`)
+ */
+export const detectDelimiter = (sample) => {
+  const counts = new Map(CSV_DELIMITERS.map(d => [d, 0]));
+  let inQuotes = false;
+
+  for (let i = 0; i < sample.length; i++) {
+    const char = sample[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+
+  let best = ',';
+  counts.forEach((count, delimiter) => {
+    if (count > counts.get(best)) best = delimiter;
+  });
+  return best;
+};
+
+/**
+ * Crea un parser incremental.
+ *
+ * Las filas (arrays de strings) se entregan a `onRow` a medida que se
+ * completan. Las líneas totalmente vacías se ignoran.
+ *
+ * @param {Object} options
+ * @param {string} options.delimiter - Delimitador de campos
+ * @param {(values: string[], line: number) => void} options.onRow - Recibe cada
+ *   fila y el número de línea física del archivo donde comienza
+ * @returns {{ push: (text: string) => void, end: () => { unterminatedQuote: boolean, line: number } }}
+ */
+export const createCSVParser = ({ delimiter, onRow }) => {
+  let values = [];
+  let field = '';
+  let inQuotes = false;
+  // Comilla leída dentro de un campo entre comillas: puede cerrar el campo o ser un "" escapado
+  let pendingQuote = false;
+  // CR leído al final de un fragmento: el LF siguiente pertenece al mismo fin de línea
+  let pendingCR = false;
+  let fieldStarted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    values.push(field);
+    field = '';
+    fieldStarted = false;
+  };
+
+  const endRow = () => {
+    endField();
+    const isEmpty = values.length === 1 && values[0] === '';
+    if (!isEmpty) onRow(values, rowLine);
+    values = [];
+  };
+
+  const push = (text) => {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (pendingCR) {
+        pendingCR = false;
+        if (char === '\n') continue;
+      }
+
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          pendingQuote = true;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && (!fieldStarted || field.trim() === '')) {
+        // Se admiten espacios antes de la comilla de apertura (`a, "b"`)
+        field = '';
+        inQuotes = true;
+        fieldStarted = true;
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\n' || char === '\r') {
+        endRow();
+        line++;
+        rowLine = line;
+        if (char === '\r') pendingCR = true;
+      } else {
+        // Una comilla en medio de un campo sin comillas se conserva literal
+        field += char;
+        fieldStarted = true;
+      }
+    }
+  };
+
+  const end = () => {
+    if (pendingQuote) {
+      pendingQuote = false;
+      inQuotes = false;
+    }
+    const unterminatedQuote = inQuotes;
+    if (fieldStarted || field !== '' || values.length > 0) {
+      endRow();
+    }
+    return { unterminatedQuote, line: rowLine };
+  };
+
+  return { push, end };
+};
+
+/**
+ * Arma los registros a partir de las filas del parser, validando la cantidad
+ * de valores contra el encabezado.
+ *
+ * @returns {{
+ *   onRow: (values: string[], line: number) => void,
+ *   headers: () => string[],
+ *   take: () => { records: Object[], errors: Object[] },
+ *   recordCount: () => number
+ * }} `onRow` para pasar a `createCSVParser`; `take` devuelve y vacía lo acumulado.
+ */
+export const createRecordBuilder = () => {
+  let headers = null;
+  let records = [];
+  let errors = [];
+  let recordCount = 0;
+
+  const onRow = (values, line) => {
+    if (!headers) {
+      headers = values.map(h => h.trim());
+      return;
+    }
+
+    recordCount++;
+    // Misma numeración que la validación: fila 1 es el encabezado
+    const rowNumber = recordCount + 1;
+
+    if (values.length !== headers.length) {
+      errors.push({
+        row: rowNumber,
+        field: '(fila)',
+        value: values.join(' | ').slice(0, 200),
+        error: `La fila (línea ${line} del archivo) tiene ${values.length} valores y el encabezado ${headers.length}`
+      });
+    }
+
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = values[index] !== undefined ? values[index].trim() : '';
+    });
+    records.push(record);
+  };
+
+  const take = () => {
+    const result = { records, errors };
+    records = [];
+    errors = [];
+    return result;
+  };
+
+  return {
+    onRow,
+    headers: () => headers || [],
+    take,
+    recordCount: () => recordCount
+  };
+};
+
+/**
+ * Tamaño de cada fragmento leído del archivo
+ */
+export const CSV_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Detecta la codificación por la marca de orden de bytes (BOM)
+ *
+ * @param {Uint8Array} bytes - Primeros bytes del archivo
+ * @returns {string|null} 'utf-8', 'utf-16le', 'utf-16be' o null si no hay BOM
+ */
+export const detectBOMEncoding = (bytes) => {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+  return null;
+};
+
+/**
+ * Lee y parsea el archivo completo con una codificación dada, por fragmentos.
+ * Con `fatal` el decodificador lanza TypeError ante bytes inválidos.
+ */
+const parseWithEncoding = async (file, encoding, fatal, onProgress) => {
+  // TextDecoder descarta el BOM de la codificación indicada
+  const decoder = new TextDecoder(encoding, { fatal });
+  const builder = createRecordBuilder();
+  let parser = null;
+  let delimiter = ',';
+  const records = [];
+  const errors = [];
+
+  const collect = () => {
+    const batch = builder.take();
+    batch.records.forEach(record => records.push(record));
+    batch.errors.forEach(error => errors.push(error));
+  };
+
+  const feed = (text) => {
+    if (!parser) {
+      if (text === '') return;
+      delimiter = detectDelimiter(text);
+      parser = createCSVParser({ delimiter, onRow: builder.onRow });
+    }
+    parser.push(text);
+    collect();
+  };
+
+  for (let offset = 0; offset < file.size; offset += CSV_CHUNK_SIZE) {
+    const buffer = await file.slice(offset, offset + CSV_CHUNK_SIZE).arrayBuffer();
+    feed(decoder.decode(new Uint8Array(buffer), { stream: true }));
+    if (onProgress) onProgress(Math.min(offset + CSV_CHUNK_SIZE, file.size), file.size);
+  }
+  feed(decoder.decode());
+
+  if (parser) {
+    const { unterminatedQuote, line } = parser.end();
+    collect();
+
+    if (unterminatedQuote) {
+      errors.push({
+        row: builder.recordCount() + 1,
+        field: '(fila)',
+        value: '',
+        error: `Comillas sin cerrar desde la línea ${line} del archivo: el resto del archivo quedó en un solo campo`
+      });
+    }
+  }
+
+  return { headers: builder.headers(), records, errors, delimiter, encoding };
+};
+
+/**
+ * Parsea un archivo CSV completo por fragmentos.
+ *
+ * Usa la codificación del BOM si lo hay; si no, intenta UTF-8 y ante bytes
+ * inválidos vuelve a leer el archivo como Windows-1252.
+ *
+ * @param {Blob} file - Archivo CSV
+ * @param {(loaded: number, total: number) => void} [onProgress] - Progreso de lectura en bytes
+ * @returns {Promise<{
+ *   headers: string[],
+ *   records: Object[],
+ *   errors: Array<{row: number, field: string, value: any, error: string}>,
+ *   delimiter: string,
+ *   encoding: string
+ * }>}
+ */
+export const parseCSVBlob = async (file, onProgress) => {
+  const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+  const bomEncoding = detectBOMEncoding(head);
+
+  if (bomEncoding) {
+    return parseWithEncoding(file, bomEncoding, false, onProgress);
+  }
+
+  try {
+    return await parseWithEncoding(file, 'utf-8', true, onProgress);
+  } catch (error) {
+    if (!(error instanceof TypeError)) throw error;
+    return parseWithEncoding(file, 'windows-1252', false, onProgress);
+  }
+};
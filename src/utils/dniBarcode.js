@@ -0,0 +1,107 @@
+/**
+ * dniBarcode.js
+ *
+ * Lectura de los datos del código PDF417 del DNI argentino y comparación con
+ * el registro del padrón. El texto del código se obtiene con
+ * `pdf417Decoder.js`; acá solo se interpreta.
+ *
+ * Formatos admitidos (campos separados por '@'):
+ * - DNI tarjeta actual:
+ *   `trámite@APELLIDO@NOMBRES@SEXO@DOCUMENTO@EJEMPLAR@NACIMIENTO@EMISIÓN@...`
+ * - DNI tarjeta 2009-2012 (empieza con '@'):
+ *   `@DOCUMENTO@EJEMPLAR@...@APELLIDO@NOMBRES@NACIONALIDAD@NACIMIENTO@SEXO@EMISIÓN@trámite@...`
+ */
+
+import { normalizeSearchText } from './searchUtils';
+
+/**
+ * @typedef {Object} DniData
+ * @property {number} documento
+ * @property {string} apellido
+ * @property {string} nombre
+ * @property {string} sexo - 'M', 'F' o 'X'
+ * @property {string|null} fechaNacimiento - Fecha en formato YYYY-MM-DD
+ * @property {number|null} clase - Año de nacimiento
+ */
+
+/**
+ * Convierte una fecha DD/MM/YYYY a YYYY-MM-DD.
+ *
+ * @param {string} value - Fecha del DNI.
+ * @returns {string|null} Fecha ISO, o null si no es válida.
+ */
+const parseFecha = (value) => {
+  const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const [, day, month, year] = match;
+  if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return null;
+  return `${year}-${month}-${day}`;
+};
+
+const parseDocumento = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 6 && digits.length <= 9 ? Number(digits) : null;
+};
+
+const parseSexo = (value) => {
+  const sexo = String(value || '').trim().toUpperCase();
+  return ['M', 'F', 'X'].includes(sexo) ? sexo : null;
+};
+
+/**
+ * Interpreta el texto del código PDF417 de un DNI argentino.
+ *
+ * @param {string} text - Texto decodificado del código.
+ * @returns {DniData|null} Datos del DNI, o null si el texto no tiene el formato esperado.
+ */
+export const parseDniBarcode = (text) => {
+  const fields = String(text || '').split('@').map(field => field.trim());
+  if (fields.length < 8) return null;
+
+  // Formato 2009-2012: el primer campo está vacío
+  const [documentoRaw, apellido, nombre, sexoRaw, fechaRaw] = fields[0] === ''
+    ? [fields[1], fields[4], fields[5], fields[8], fields[7]]
+    : [fields[4], fields[1], fields[2], fields[3], fields[6]];
+
+  const documento = parseDocumento(documentoRaw);
+  const sexo = parseSexo(sexoRaw);
+  if (!documento || !sexo || !apellido) return null;
+
+  const fechaNacimiento = parseFecha(fechaRaw);
+  return {
+    documento,
+    apellido,
+    nombre: nombre || '',
+    sexo,
+    fechaNacimiento,
+    clase: fechaNacimiento ? Number(fechaNacimiento.slice(0, 4)) : null
+  };
+};
+
+/**
+ * Compara los datos del DNI con el registro del padrón del mismo documento.
+ * Apellido y nombre se comparan sin acentos ni mayúsculas.
+ *
+ * @param {DniData} dni - Datos del DNI.
+ * @param {Object} record - Registro del padrón (apellido, nombre, sexo, clase).
+ * @returns {Array<{campo: string, dni: string, padron: string}>} Diferencias
+ *   encontradas (vacío si coinciden). Los campos vacíos en el padrón no se comparan.
+ */
+export const compareDniWithPadron = (dni, record) => {
+  const differences = [];
+  const check = (campo, dniValue, padronValue, equals) => {
+    if (padronValue === null || padronValue === undefined || padronValue === '') return;
+    if (dniValue === null || dniValue === undefined || dniValue === '') return;
+    if (!equals(dniValue, padronValue)) {
+      differences.push({ campo, dni: String(dniValue), padron: String(padronValue) });
+    }
+  };
+  const sameText = (a, b) => normalizeSearchText(a) === normalizeSearchText(b);
+
+  check('Apellido', dni.apellido, record.apellido, sameText);
+  check('Nombre', dni.nombre, record.nombre, sameText);
+  check('Sexo', dni.sexo, record.sexo, (a, b) => a === String(b).trim().toUpperCase());
+  check('Clase', dni.clase, record.clase, (a, b) => Number(a) === Number(b));
+
+  return differences;
+};
@@ -4,7 +4,8 @@
  * Utilidades para exportar datos del padrón electoral.
  * Provee funciones para formatear datos, convertir registros a distintos
  * formatos de columnas, serializar a CSV y descargar archivos desde el navegador.
- * Soporta exportación a .xlsx mediante la librería XLSX (SheetJS).
+ * Soporta exportación a .xlsx mediante la librería XLSX (SheetJS). El PDF
+ * del kit del fiscal está en `padronPdf.js`.
  */
 
 import * as XLSX from 'xlsx';
@@ -90,6 +91,25 @@ export const processBasicData = (data) => {
   }));
 };
 
+/**
+ * Mapea los votantes de una lista (`listas_votantes`) al formato de
+ * exportación: el formato básico más la localidad y, si se indica, el estado
+ * de voto actual.
+ *
+ * @param {Array<Object>} data - Registros del padrón con la relación `mesas` cargada.
+ * @param {boolean} includeVoto - Si se agrega la columna "Voto Emitido".
+ * @returns {Array<Object>} Array de objetos con las columnas de la lista.
+ */
+export const processVoterListData = (data, includeVoto) => {
+  return processBasicData(data).map((row, index) => {
+    const result = { ...row, 'Localidad': data[index].mesas?.mesa_localidad || '' };
+    if (includeVoto) {
+      result['Voto Emitido'] = formatBoolean(data[index].voto_emitido);
+    }
+    return result;
+  });
+};
+
 /**
  * Mapea un array de registros del padrón al formato completo de exportación.
  * Incluye todos los campos del padrón: identificación, voto, pick, datos adicionales y check.
@@ -164,7 +184,16 @@ export const convertToCSV = (data) => {
  */
 export const downloadFile = (content, filename, mimeType) => {
   const BOM = '\uFEFF';
-  const blob = new Blob([BOM + content], { type: mimeType });
+  downloadBlob(new Blob([BOM + content], { type: mimeType }), filename);
+};
+
+/**
+ * Dispara la descarga de un Blob ya armado (ej: un PDF) mediante un enlace temporal.
+ *
+ * @param {Blob} blob - Contenido del archivo.
+ * @param {string} filename - Nombre del archivo resultante.
+ */
+export const downloadBlob = (blob, filename) => {
   const url = window.URL.createObjectURL(blob);
   const link = document.createElement('a');
   link.href = url;
@@ -198,6 +227,25 @@ export const generateFileName = (format, isBasic) => {
   return `padron_${type}_${timestamp}.${format}`;
 };
 
+/**
+ * Genera el nombre de archivo de la exportación de una lista de votantes.
+ *
+ * @param {string} nombre - Nombre de la lista.
+ * @param {string} format - Extensión del archivo (ej: "csv", "xlsx").
+ * @returns {string} Nombre de archivo (ej: "lista_no_votaron_centro_2026-03-22.csv").
+ */
+export const generateListFileName = (nombre, format) => {
+  const slug = String(nombre)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'votantes';
+  const now = new Date();
+  const date = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  return `lista_${slug}_${date}.${format}`;
+};
+
 /**
  * Función de paso que valida y retorna los datos sin ninguna transformación.
  * Retorna un array vacío si los datos son nulos o vacíos.
@@ -2,15 +2,17 @@
  * importUtils.js - Utilidades para importación de padrón electoral
  *
  * Proporciona funciones para:
- * - Parseo de archivos CSV y Excel
+ * - Parseo de archivos CSV (en un worker, ver csvParser.js) y Excel
  * - Validación de estructura e integridad de datos
  * - Normalización de registros
+ * - Simulación: comparación con el padrón actual antes de importar
  * - Descarga de plantillas y reportes de errores
  *
  * @module importUtils
  */
 
 import * as XLSX from 'xlsx';
+import { parseCSVBlob } from './csvParser';
 
 // ============================================================
 // CONSTANTES
@@ -45,79 +47,81 @@ export const ALL_COLUMNS = [
 // ============================================================
 
 /**
- * Parsea un archivo CSV y retorna headers y records
+ * Parsea un archivo CSV y retorna headers, records y errores de formato.
+ *
+ * El parseo corre en un worker (workers/csvParser.worker.js) por fragmentos,
+ * respetando RFC 4180: campos entre comillas con saltos de línea, delimitador
+ * `,`/`;`/tabulador autodetectado y codificación UTF-8, UTF-16 o Windows-1252.
+ * Si el navegador no puede crear el worker se parsea en el hilo principal.
+ *
+ * Las filas con más o menos valores que el encabezado se incluyen igual en
+ * `records` (para mantener la numeración de filas) y se informan en `errors`,
+ * con el mismo formato que los errores de validación.
+ *
+ * @param {File} file - Archivo CSV
+ * @param {(loaded: number, total: number) => void} [onProgress] - Progreso de lectura en bytes
+ * @returns {Promise<{headers: string[], records: Object[], errors: Object[], delimiter: string, encoding: string}>}
  */
-export const parseCSVFile = (file) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-
-    reader.onload = (e) => {
-      try {
-        const text = e.target.result;
-        const lines = text.split('\n').filter(line => line.trim());
-
-        if (lines.length === 0) {
-          reject(new Error('El archivo está vacío'));
-          return;
-        }
-
-        const headers = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-        const records = [];
-
-        for (let i = 1; i < lines.length; i++) {
-          const values = parseCSVLine(lines[i]);
-          if (values.length === headers.length) {
-            const record = {};
-            headers.forEach((header, index) => {
-              record[header] = values[index];
-            });
-            records.push(record);
-          }
-        }
+export const parseCSVFile = async (file, onProgress) => {
+  let result;
+  try {
+    result = typeof Worker !== 'undefined'
+      ? await parseCSVInWorker(file, onProgress)
+      : await parseCSVBlob(file, onProgress);
+  } catch (error) {
+    throw new Error(`Error al parsear CSV: ${error.message}`);
+  }
 
-        resolve({ headers, records });
-      } catch (error) {
-        reject(new Error(`Error al parsear CSV: ${error.message}`));
-      }
-    };
+  if (result.headers.length === 0) {
+    throw new Error('El archivo está vacío');
+  }
 
-    reader.onerror = () => reject(new Error('Error al leer el archivo'));
-    reader.readAsText(file, 'UTF-8');
-  });
+  return result;
 };
 
 /**
- * Parsea una línea CSV manejando valores entre comillas
+ * Ejecuta el parseo en el worker y arma el resultado a partir de sus mensajes.
+ * Si el worker no se puede cargar, parsea en el hilo principal.
  */
-const parseCSVLine = (line) => {
-  const values = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-
-    if (char === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        current += '"';
-        i++;
-      } else {
-        inQuotes = !inQuotes;
+const parseCSVInWorker = (file, onProgress) => {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('../workers/csvParser.worker.js', import.meta.url), { type: 'module' });
+    const records = [];
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        if (onProgress) onProgress(message.loaded, message.total);
+      } else if (message.type === 'records') {
+        message.records.forEach(record => records.push(record));
+      } else if (message.type === 'done') {
+        worker.terminate();
+        resolve({
+          headers: message.headers,
+          records,
+          errors: message.errors,
+          delimiter: message.delimiter,
+          encoding: message.encoding
+        });
+      } else if (message.type === 'error') {
+        worker.terminate();
+        reject(new Error(message.message));
       }
-    } else if (char === ',' && !inQuotes) {
-      values.push(current.trim());
-      current = '';
-    } else {
-      current += char;
-    }
-  }
+    };
 
-  values.push(current.trim());
-  return values;
+    worker.onerror = (event) => {
+      event.preventDefault();
+      worker.terminate();
+      parseCSVBlob(file, onProgress).then(resolve, reject);
+    };
+
+    worker.postMessage({ file });
+  });
 };
 
 /**
  * Parsea un archivo Excel (XLS/XLSX) y retorna headers y records
+ * (`errors` siempre vacío: las celdas ya vienen separadas)
  */
 export const parseXLSXFile = async (file) => {
   return new Promise((resolve, reject) => {
@@ -148,7 +152,7 @@ export const parseXLSXFile = async (file) => {
           records.push(record);
         }
 
-        resolve({ headers, records });
+        resolve({ headers, records, errors: [] });
       } catch (error) {
         reject(new Error(`Error al parsear Excel: ${error.message}`));
       }
@@ -498,6 +502,254 @@ export const normalizeRecord = (record) => {
   return normalized;
 };
 
+/**
+ * Extrae las horas de voto de un padrón exportado de un comicio anterior,
+ * para construir curvas históricas de participación.
+ *
+ * Acepta la exportación cruda (`voto_pick_at`, `mesa_numero`) y la completa
+ * de ExportPadronForm ("Fecha/Hora Voto", "Mesa N°", con fecha es-AR
+ * "dd/mm/aaaa, hh:mm:ss"). Las filas sin hora de voto se ignoran.
+ *
+ * @param {Array<Object>} records - Registros devueltos por parseCSVFile/parseXLSXFile
+ * @returns {Array<{fecha: Date, mesa: number|null, localidad: string|null}>}
+ * @throws {Error} Si el archivo no tiene columna de hora de voto
+ */
+export const extractVoteTimes = (records) => {
+  const headers = records.length > 0 ? Object.keys(records[0]) : [];
+  const fechaColumn = ['voto_pick_at', 'Fecha/Hora Voto'].find(h => headers.includes(h));
+  const mesaColumn = ['mesa_numero', 'Mesa N°'].find(h => headers.includes(h));
+  const localidadColumn = ['mesa_localidad', 'Localidad'].find(h => headers.includes(h));
+
+  if (!fechaColumn) {
+    throw new Error('El archivo no tiene la columna voto_pick_at ni "Fecha/Hora Voto"');
+  }
+
+  const parseFecha = (value) => {
+    const str = String(value || '').trim();
+    if (!str) return null;
+
+    if (/^\d+(\.\d+)?$/.test(str)) {
+      const iso = excelSerialToISO(str);
+      return iso ? new Date(iso) : null;
+    }
+
+    // Formato es-AR generado por exportUtils.formatDate
+    const local = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+    if (local) {
+      const [, d, m, y, hh, mm, ss] = local;
+      return new Date(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss || 0));
+    }
+
+    const date = new Date(str);
+    return isNaN(date.getTime()) ? null : date;
+  };
+
+  return records
+    .map(record => {
+      const mesa = mesaColumn ? parseInt(record[mesaColumn], 10) : NaN;
+      return {
+        fecha: parseFecha(record[fechaColumn]),
+        mesa: isNaN(mesa) ? null : mesa,
+        localidad: localidadColumn ? (record[localidadColumn] || null) : null
+      };
+    })
+    .filter(row => row.fecha !== null);
+};
+
+// ============================================================
+// SIMULACIÓN (COMPARACIÓN CON EL PADRÓN ACTUAL)
+// ============================================================
+
+/**
+ * Campos de pick y de voto: si la importación los vacía sobre un votante que
+ * los tiene cargados, se pierde trabajo hecho en la aplicación
+ */
+export const PICK_FIELDS = ['emopick_id', 'pick_nota', 'pick_check', 'emopick_user', 'pick_check_user', 'pick_check_at'];
+export const VOTE_FIELDS = ['voto_emitido', 'voto_pick_at', 'voto_pick_user'];
+
+const DATE_FIELDS = ['voto_pick_at', 'pick_check_at'];
+const BOOLEAN_FIELDS = ['voto_emitido', 'pick_check', 'da_es_nuevo', 'da_voto_obligatorio'];
+
+/**
+ * Indica si un valor está vacío para la comparación (null, '' o false en booleanos)
+ */
+const isEmptyValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return true;
+  return BOOLEAN_FIELDS.includes(field) && value === false;
+};
+
+/**
+ * Compara el valor guardado con el que enviaría la importación. Trata como
+ * iguales null y '' (o null y false en booleanos) y compara fechas por instante.
+ */
+const sameValue = (field, before, after) => {
+  const emptyBefore = isEmptyValue(field, before);
+  const emptyAfter = isEmptyValue(field, after);
+  if (emptyBefore || emptyAfter) return emptyBefore && emptyAfter;
+
+  if (DATE_FIELDS.includes(field)) {
+    return new Date(before).getTime() === new Date(after).getTime();
+  }
+  return String(before).trim() === String(after).trim();
+};
+
+/**
+ * Indica si el votante tiene cargado algún campo del grupo
+ */
+const hasAnyValue = (row, fields) => fields.some(field => !isEmptyValue(field, row[field]));
+
+/**
+ * Compara los registros a importar con el padrón actual y clasifica cada uno
+ * como nuevo, modificado o sin cambios; los votantes del padrón que no están
+ * en el archivo se informan como a eliminar si `deleteNonMatching` está activo.
+ *
+ * Se comparan todos los campos que envía el upsert (los de `normalizeRecord`),
+ * así que un archivo sin columnas de pick o voto aparece vaciándolos.
+ *
+ * @param {Object[]} normalizedRecords - Registros ya pasados por normalizeRecord
+ * @param {Map<number, Object>} existingByDocumento - Padrón actual por documento
+ * @param {boolean} deleteNonMatching - Si se eliminarán los que no están en el archivo
+ * @returns {{
+ *   summary: { nuevos: number, modificados: number, sinCambios: number, aEliminar: number,
+ *     picksPerdidos: number, votosPerdidos: number, eliminadosConPickOVoto: number },
+ *   nuevos: Object[],
+ *   modificados: Array<{ documento: number, apellido: string, nombre: string, mesa_numero: number,
+ *     changes: Array<{ field: string, before: any, after: any }>, wipesPick: boolean, wipesVote: boolean }>,
+ *   aEliminar: Array<{ documento: number, apellido: string, nombre: string, mesa_numero: number,
+ *     hasPick: boolean, hasVote: boolean }>
+ * }}
+ */
+export const computeImportDiff = (normalizedRecords, existingByDocumento, deleteNonMatching) => {
+  const nuevos = [];
+  const modificados = [];
+  const aEliminar = [];
+  let sinCambios = 0;
+  let picksPerdidos = 0;
+  let votosPerdidos = 0;
+
+  const incoming = new Set();
+
+  normalizedRecords.forEach(record => {
+    incoming.add(record.documento);
+    const existing = existingByDocumento.get(record.documento);
+
+    if (!existing) {
+      nuevos.push({
+        documento: record.documento,
+        apellido: record.apellido,
+        nombre: record.nombre,
+        mesa_numero: record.mesa_numero
+      });
+      return;
+    }
+
+    const changes = Object.keys(record)
+      .filter(field => field !== 'documento' && !sameValue(field, existing[field], record[field]))
+      .map(field => ({ field, before: existing[field], after: record[field] }));
+
+    if (changes.length === 0) {
+      sinCambios++;
+      return;
+    }
+
+    const wipes = (fields) => changes.some(change =>
+      fields.includes(change.field) && !isEmptyValue(change.field, change.before) && isEmptyValue(change.field, change.after)
+    );
+    const wipesPick = wipes(PICK_FIELDS);
+    const wipesVote = wipes(VOTE_FIELDS);
+    if (wipesPick) picksPerdidos++;
+    if (wipesVote) votosPerdidos++;
+
+    modificados.push({
+      documento: record.documento,
+      apellido: existing.apellido,
+      nombre: existing.nombre,
+      mesa_numero: existing.mesa_numero,
+      changes,
+      wipesPick,
+      wipesVote
+    });
+  });
+
+  if (deleteNonMatching) {
+    existingByDocumento.forEach((row, documento) => {
+      if (incoming.has(documento)) return;
+      aEliminar.push({
+        documento,
+        apellido: row.apellido,
+        nombre: row.nombre,
+        mesa_numero: row.mesa_numero,
+        hasPick: hasAnyValue(row, PICK_FIELDS),
+        hasVote: hasAnyValue(row, VOTE_FIELDS)
+      });
+    });
+  }
+
+  return {
+    summary: {
+      nuevos: nuevos.length,
+      modificados: modificados.length,
+      sinCambios,
+      aEliminar: aEliminar.length,
+      picksPerdidos,
+      votosPerdidos,
+      eliminadosConPickOVoto: aEliminar.filter(r => r.hasPick || r.hasVote).length
+    },
+    nuevos,
+    modificados,
+    aEliminar
+  };
+};
+
+/**
+ * Descarga el informe de simulación en CSV: una fila por votante nuevo o a
+ * eliminar y una por cada campo modificado.
+ *
+ * @param {ReturnType<typeof computeImportDiff>} diff - Resultado de computeImportDiff
+ */
+export const downloadDiffReport = (diff) => {
+  const headers = ['Tipo', 'Documento', 'Apellido', 'Nombre', 'Mesa', 'Campo', 'Antes', 'Después', 'Advertencia'];
+
+  const escapeCSV = (value) => {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+      return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+  };
+
+  const rows = [];
+  diff.nuevos.forEach(r => {
+    rows.push(['Nuevo', r.documento, r.apellido, r.nombre, r.mesa_numero, '', '', '', '']);
+  });
+  diff.modificados.forEach(r => {
+    r.changes.forEach(change => {
+      const pierde = !isEmptyValue(change.field, change.before) && isEmptyValue(change.field, change.after);
+      const advertencia = pierde && PICK_FIELDS.includes(change.field) ? 'Se pierde el pick'
+        : pierde && VOTE_FIELDS.includes(change.field) ? 'Se pierde el voto'
+        : '';
+      rows.push(['Modificado', r.documento, r.apellido, r.nombre, r.mesa_numero, change.field, change.before, change.after, advertencia]);
+    });
+  });
+  diff.aEliminar.forEach(r => {
+    const advertencia = [r.hasPick && 'Tiene pick', r.hasVote && 'Tiene voto'].filter(Boolean).join(', ');
+    rows.push(['A eliminar', r.documento, r.apellido, r.nombre, r.mesa_numero, '', '', '', advertencia]);
+  });
+
+  const csvContent = [headers.join(','), ...rows.map(row => row.map(escapeCSV).join(','))].join('\n');
+  const BOM = '\uFEFF';
+  const blob = new Blob([BOM + csvContent], { type: 'text/csv;charset=utf-8;' });
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `simulacion_importacion_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
 // ============================================================
 // FUNCIONES DE EXPORTACIÓN
 // ============================================================
@@ -0,0 +1,21 @@
+/**
+ * mesaTotals.js
+ *
+ * Totales de una mesa (empadronados y votantes) a partir de filas del padrón
+ * ya cargadas. En el servidor los mantienen los triggers de la migración
+ * 20261019190000_totales_mesas.sql.
+ *
+ * Lo usan las vistas que ya tienen el padrón de una mesa en memoria
+ * (FiscalizarView, que además funciona sin conexión).
+ */
+
+/**
+ * Suma empadronados y votantes de un conjunto de filas, sin separar por mesa.
+ *
+ * @param {Array<{voto_emitido: boolean}>} rows - Filas del padrón.
+ * @returns {{empadronados: number, votaron: number, pendientes: number}}
+ */
+export const sumMesaTotals = (rows) => {
+  const votaron = rows.filter(row => row.voto_emitido).length;
+  return { empadronados: rows.length, votaron, pendientes: rows.length - votaron };
+};
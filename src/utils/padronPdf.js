@@ -0,0 +1,269 @@
+/**
+ * padronPdf.js
+ *
+ * Kit imprimible del fiscal: por cada mesa, una portada (establecimiento,
+ * número de mesa, fiscales asignados y referencias de picks) y el padrón de
+ * la mesa ordenado por `orden`, con casillas para marcar el voto y el check,
+ * el pick de cada elector y su nota.
+ *
+ * El PDF se genera en el navegador con `pdfWriter.js`. Los registros son los
+ * de `ExportPadronForm` (con `emopicks` y `mesas.establecimientos` cargados).
+ */
+
+import { createPdfDocument, fitText, textToJpeg } from './pdfWriter';
+
+const MARGIN = 36;
+const ROW_HEIGHT = 18;
+const HEADER_HEIGHT = 44;
+const FOOTER_HEIGHT = 24;
+const BOX_SIZE = 10;
+
+// Columnas del padrón; los anchos suman el ancho útil de una página A4
+const COLUMNS = [
+  { key: 'orden', label: 'Orden', width: 34, align: 'right' },
+  { key: 'voto', label: 'Votó', width: 30, box: true },
+  { key: 'check', label: 'Check', width: 30, box: true },
+  { key: 'documento', label: 'Documento', width: 62, align: 'right' },
+  { key: 'nombre', label: 'Apellido y Nombre', width: 168 },
+  { key: 'clase', label: 'Clase', width: 34, align: 'right' },
+  { key: 'pick', label: 'Pick', width: 60 },
+  { key: 'nota', label: 'Nota', width: 105.28 }
+];
+
+/**
+ * Agrupa los registros del padrón por mesa, con los votantes de cada mesa
+ * ordenados por `orden`.
+ *
+ * @param {Array<Object>} records - Registros con `mesa_numero`, `orden` y la relación `mesas`.
+ * @returns {Array<{numero: number, localidad: string, establecimiento: string, votantes: Array<Object>}>}
+ *   Mesas ordenadas por número. Los registros sin mesa se omiten.
+ */
+export const groupPadronByMesa = (records) => {
+  const mesas = new Map();
+
+  records.forEach(record => {
+    if (record.mesa_numero === null || record.mesa_numero === undefined) return;
+    if (!mesas.has(record.mesa_numero)) {
+      mesas.set(record.mesa_numero, {
+        numero: record.mesa_numero,
+        localidad: record.mesas?.mesa_localidad || '',
+        establecimiento: record.mesas?.establecimientos?.nombre || '',
+        votantes: []
+      });
+    }
+    mesas.get(record.mesa_numero).votantes.push(record);
+  });
+
+  const result = [...mesas.values()].sort((a, b) => a.numero - b.numero);
+  result.forEach(mesa => {
+    mesa.votantes.sort((a, b) => (a.orden ?? Infinity) - (b.orden ?? Infinity));
+  });
+  return result;
+};
+
+/**
+ * Genera el nombre de archivo del kit de una mesa o de un rango de mesas.
+ *
+ * @param {Array<{numero: number}>} mesas - Mesas incluidas en el archivo.
+ * @returns {string} Nombre de archivo (ej: "padron_mesa_12.pdf" o "padron_mesas_10-25.pdf").
+ */
+export const generatePdfFileName = (mesas) => {
+  if (mesas.length === 1) return `padron_mesa_${mesas[0].numero}.pdf`;
+  return `padron_mesas_${mesas[0].numero}-${mesas[mesas.length - 1].numero}.pdf`;
+};
+
+/**
+ * Dibuja el texto de una celda alineado dentro de su columna.
+ */
+const drawCell = (doc, column, x, top, value, options = {}) => {
+  const size = options.size || 8;
+  const text = fitText(value, column.width - 6, size, options.bold);
+  if (column.align === 'right') {
+    doc.text(text, x + column.width - 3, top, { ...options, size, align: 'right' });
+  } else {
+    doc.text(text, x + 3, top, { ...options, size });
+  }
+};
+
+/**
+ * Dibuja la imagen de un emopick centrada verticalmente en una fila.
+ *
+ * @returns {number} Ancho dibujado.
+ */
+const drawEmopick = (doc, image, x, top, maxWidth) => {
+  const height = 11;
+  const width = Math.min((image.width / image.height) * height, maxWidth);
+  doc.drawImage(image.id, x, top + (ROW_HEIGHT - height) / 2, width, height);
+  return width;
+};
+
+const renderCover = (doc, mesa, fiscales, emopickImages, generatedAt) => {
+  const { width } = doc;
+  doc.addPage();
+
+  doc.text('Kit del Fiscal', width / 2, 90, { size: 14, gray: 0.4, align: 'center' });
+  doc.text(`Mesa N° ${mesa.numero}`, width / 2, 140, { size: 40, bold: true, align: 'center' });
+  doc.text(mesa.establecimiento || 'Sin establecimiento', width / 2, 180, { size: 16, align: 'center' });
+  if (mesa.localidad) {
+    doc.text(mesa.localidad, width / 2, 202, { size: 12, gray: 0.3, align: 'center' });
+  }
+
+  const votaron = mesa.votantes.filter(v => v.voto_emitido).length;
+  doc.rect(MARGIN, 230, width - MARGIN * 2, 44, { fill: 0.95, stroke: false });
+  doc.text(`Electores en este padrón: ${mesa.votantes.length.toLocaleString('es-AR')}`, MARGIN + 12, 249, { size: 11, bold: true });
+  doc.text(
+    `Votos ya registrados: ${votaron.toLocaleString('es-AR')} · Generado el ${generatedAt}`,
+    MARGIN + 12,
+    265,
+    { size: 9, gray: 0.3 }
+  );
+
+  // Fiscales asignados, con espacio para la firma
+  let top = 310;
+  doc.text('Fiscales asignados', MARGIN, top, { size: 12, bold: true });
+  top += 10;
+  if (fiscales.length === 0) {
+    top += 14;
+    doc.text('No hay fiscales asignados a esta mesa', MARGIN, top, { size: 10, gray: 0.4 });
+  } else {
+    fiscales.forEach(fiscal => {
+      top += 28;
+      doc.text(fitText(fiscal.full_name || '-', 200, 10, true), MARGIN, top, { size: 10, bold: true });
+      doc.text(fitText(fiscal.email || '', 170, 8), MARGIN + 210, top, { size: 8, gray: 0.3 });
+      doc.line(MARGIN + 390, top, width - MARGIN, top, { gray: 0.5 });
+    });
+    doc.text('Firma', width - MARGIN, top + 10, { size: 7, gray: 0.5, align: 'right' });
+  }
+
+  // Referencias de picks presentes en la mesa
+  const picks = new Map();
+  mesa.votantes.forEach(v => {
+    if (!v.emopicks) return;
+    const pick = picks.get(v.emopicks.id) || { display: v.emopicks.display, count: 0 };
+    pick.count++;
+    picks.set(v.emopicks.id, pick);
+  });
+
+  if (picks.size > 0) {
+    top += 44;
+    doc.text('Picks en esta mesa', MARGIN, top, { size: 12, bold: true });
+    top += 6;
+    picks.forEach(pick => {
+      const image = emopickImages.get(pick.display);
+      if (image) drawEmopick(doc, image, MARGIN, top, 60);
+      doc.text(`${pick.count.toLocaleString('es-AR')} electores`, MARGIN + 70, top + 12, { size: 10 });
+      top += ROW_HEIGHT;
+    });
+  }
+};
+
+const renderTableHeader = (doc, top) => {
+  let x = MARGIN;
+  doc.rect(MARGIN, top, doc.width - MARGIN * 2, ROW_HEIGHT, { fill: 0.85, stroke: false });
+  COLUMNS.forEach(column => {
+    const label = { ...column, align: column.box ? undefined : column.align };
+    drawCell(doc, label, x, top + 12, column.label, { bold: true });
+    x += column.width;
+  });
+};
+
+const renderVotanteRow = (doc, votante, top, index, emopickImages) => {
+  if (index % 2 === 1) {
+    doc.rect(MARGIN, top, doc.width - MARGIN * 2, ROW_HEIGHT, { fill: 0.96, stroke: false });
+  }
+
+  let x = MARGIN;
+  COLUMNS.forEach(column => {
+    const baseline = top + 12;
+    if (column.box) {
+      const boxTop = top + (ROW_HEIGHT - BOX_SIZE) / 2;
+      const boxLeft = x + (column.width - BOX_SIZE) / 2;
+      doc.rect(boxLeft, boxTop, BOX_SIZE, BOX_SIZE, { fill: 1 });
+      const checked = column.key === 'voto' ? votante.voto_emitido : votante.pick_check;
+      if (checked) {
+        doc.line(boxLeft + 2, boxTop + 2, boxLeft + BOX_SIZE - 2, boxTop + BOX_SIZE - 2, { lineWidth: 1 });
+        doc.line(boxLeft + BOX_SIZE - 2, boxTop + 2, boxLeft + 2, boxTop + BOX_SIZE - 2, { lineWidth: 1 });
+      }
+    } else if (column.key === 'pick') {
+      const image = votante.emopicks && emopickImages.get(votante.emopicks.display);
+      if (image) drawEmopick(doc, image, x + 3, top, column.width - 6);
+    } else {
+      const values = {
+        orden: votante.orden ?? '',
+        documento: votante.documento ?? '',
+        nombre: [votante.apellido, votante.nombre].filter(Boolean).join(', '),
+        clase: votante.clase ?? '',
+        nota: votante.pick_nota || ''
+      };
+      drawCell(doc, column, x, baseline, values[column.key]);
+    }
+    x += column.width;
+  });
+
+  doc.line(MARGIN, top + ROW_HEIGHT, doc.width - MARGIN, top + ROW_HEIGHT, { gray: 0.8 });
+};
+
+const renderPadron = (doc, mesa, emopickImages) => {
+  const rowsPerPage = Math.floor(
+    (doc.height - MARGIN * 2 - HEADER_HEIGHT - FOOTER_HEIGHT - ROW_HEIGHT) / ROW_HEIGHT
+  );
+  const totalPages = Math.max(Math.ceil(mesa.votantes.length / rowsPerPage), 1);
+  const subtitle = [mesa.establecimiento, mesa.localidad].filter(Boolean).join(' · ');
+
+  for (let page = 0; page < totalPages; page++) {
+    doc.addPage();
+
+    doc.text(`Mesa N° ${mesa.numero}`, MARGIN, MARGIN + 16, { size: 16, bold: true });
+    doc.text(fitText(subtitle, 300, 9), MARGIN, MARGIN + 30, { size: 9, gray: 0.3 });
+    doc.text(`Página ${page + 1} de ${totalPages}`, doc.width - MARGIN, MARGIN + 16, { size: 9, gray: 0.3, align: 'right' });
+
+    let top = MARGIN + HEADER_HEIGHT;
+    renderTableHeader(doc, top);
+    top += ROW_HEIGHT;
+
+    const votantes = mesa.votantes.slice(page * rowsPerPage, (page + 1) * rowsPerPage);
+    votantes.forEach((votante, index) => {
+      renderVotanteRow(doc, votante, top, index, emopickImages);
+      top += ROW_HEIGHT;
+    });
+
+    doc.text(
+      `Mesa ${mesa.numero} · ${mesa.votantes.length.toLocaleString('es-AR')} electores`,
+      MARGIN,
+      doc.height - MARGIN,
+      { size: 7, gray: 0.5 }
+    );
+  }
+};
+
+/**
+ * Genera el kit del fiscal (portada + padrón) de una o varias mesas en un
+ * solo PDF.
+ *
+ * @param {Array<Object>} mesas - Resultado de `groupPadronByMesa`.
+ * @param {Map<number, Array<{full_name: string, email: string}>>} fiscalesPorMesa - Fiscales
+ *   asignados a cada mesa.
+ * @returns {Blob} Archivo PDF.
+ */
+export const buildPadronPdf = (mesas, fiscalesPorMesa) => {
+  const doc = createPdfDocument();
+  const generatedAt = new Date().toLocaleString('es-AR');
+
+  // Cada emopick se rasteriza una vez y se reutiliza en todas las páginas
+  const emopickImages = new Map();
+  mesas.forEach(mesa => {
+    mesa.votantes.forEach(votante => {
+      const display = votante.emopicks?.display;
+      if (!display || emopickImages.has(display)) return;
+      const image = textToJpeg(display);
+      emopickImages.set(display, image ? { ...image, id: doc.addImage(image) } : null);
+    });
+  });
+
+  mesas.forEach(mesa => {
+    renderCover(doc, mesa, fiscalesPorMesa.get(mesa.numero) || [], emopickImages, generatedAt);
+    renderPadron(doc, mesa, emopickImages);
+  });
+
+  return doc.toBlob();
+};
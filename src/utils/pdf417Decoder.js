@@ -0,0 +1,127 @@
+/**
+ * pdf417Decoder.js
+ *
+ * Decodificación de códigos PDF417 (el del DNI argentino) a partir de una
+ * foto o archivo de imagen, en el dispositivo y sin conexión, con el lector
+ * PDF417 de ZXing (`@zxing/library`, JavaScript puro). La librería se carga
+ * recién al primer escaneo para no agrandar el bundle inicial.
+ *
+ * La foto se reduce y se convierte a escala de grises; se prueba en dos
+ * tamaños y, en cada uno, horizontal y girada 90° (ZXing ya prueba 180°).
+ */
+
+// Lado mayor (en píxeles) de las versiones de la imagen que se prueban
+const SCAN_SIZES = [2000, 1200];
+
+let zxingPromise = null;
+
+const loadZxing = () => {
+  if (!zxingPromise) {
+    zxingPromise = import('@zxing/library');
+  }
+  return zxingPromise;
+};
+
+/**
+ * Gira 90° una imagen en escala de grises.
+ *
+ * @param {Uint8ClampedArray} luminances - Luminancia de cada píxel, por filas.
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8ClampedArray} Imagen girada (de `height` × `width`).
+ */
+export const rotateLuminance90 = (luminances, width, height) => {
+  const rotated = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      rotated[x * height + (height - 1 - y)] = luminances[y * width + x];
+    }
+  }
+  return rotated;
+};
+
+/**
+ * Busca un código PDF417 en una imagen en escala de grises.
+ *
+ * @async
+ * @param {Uint8ClampedArray} luminances - Luminancia de cada píxel, por filas.
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<string|null>} Texto del código, o null si no se encontró.
+ */
+export const decodePdf417Luminance = async (luminances, width, height) => {
+  const {
+    PDF417Reader,
+    RGBLuminanceSource,
+    BinaryBitmap,
+    HybridBinarizer,
+    DecodeHintType
+  } = await loadZxing();
+
+  const reader = new PDF417Reader();
+  const hints = new Map([[DecodeHintType.TRY_HARDER, true]]);
+
+  const attempts = [
+    [luminances, width, height],
+    [rotateLuminance90(luminances, width, height), height, width]
+  ];
+
+  for (const [data, w, h] of attempts) {
+    try {
+      const bitmap = new BinaryBitmap(new HybridBinarizer(new RGBLuminanceSource(data, w, h)));
+      return reader.decode(bitmap, hints).getText();
+    } catch {
+      // NotFoundException / FormatException / ChecksumException: se prueba la siguiente
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Carga una imagen y la convierte a escala de grises, con el lado mayor
+ * reducido a `maxSide` píxeles.
+ */
+const fileToLuminance = async (file, maxSide) => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const luminances = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < luminances.length; i++) {
+    const offset = i * 4;
+    luminances[i] = (data[offset] * 299 + data[offset + 1] * 587 + data[offset + 2] * 114) / 1000;
+  }
+  return { luminances, width, height };
+};
+
+/**
+ * Busca un código PDF417 en una foto o archivo de imagen.
+ *
+ * @async
+ * @param {File|Blob} file - Imagen (JPEG, PNG, etc.).
+ * @returns {Promise<string|null>} Texto del código, o null si no se encontró.
+ * @throws {Error} Si el archivo no es una imagen que el navegador pueda abrir.
+ */
+export const decodePdf417FromFile = async (file) => {
+  let previousSide = 0;
+  for (const size of SCAN_SIZES) {
+    const { luminances, width, height } = await fileToLuminance(file, size);
+    // Una imagen más chica que ambos tamaños queda igual: no se repite
+    if (Math.max(width, height) === previousSide) continue;
+    previousSide = Math.max(width, height);
+
+    const text = await decodePdf417Luminance(luminances, width, height);
+    if (text) return text;
+  }
+  return null;
+};
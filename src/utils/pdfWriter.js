@@ -0,0 +1,348 @@
+/**
+ * pdfWriter.js
+ *
+ * Generador mínimo de documentos PDF en el navegador, sin dependencias.
+ * Escribe texto con las fuentes estándar Helvetica y Helvetica-Bold
+ * (codificación WinAnsi, que cubre acentos y ñ), líneas, rectángulos e
+ * imágenes JPEG. Lo que las fuentes estándar no pueden dibujar (emojis de los
+ * emopicks) se rasteriza con `textToJpeg` y se inserta como imagen.
+ *
+ * Las coordenadas son en puntos (1/72") con origen en la esquina superior
+ * izquierda de la página; `text` recibe la línea base del texto.
+ */
+
+// Tamaño A4 en puntos
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Anchos de Helvetica y Helvetica-Bold (métricas AFM, milésimas de em) para los caracteres 32 a 126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Caracteres fuera de Latin-1 con posición propia en WinAnsi
+const WIN_ANSI_EXTRA = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+/**
+ * Convierte un texto a bytes WinAnsi (un carácter por byte). Los caracteres
+ * sin representación se reemplazan por su letra base o por '?'.
+ *
+ * @param {string} text - Texto a convertir.
+ * @returns {string} Cadena binaria en WinAnsi.
+ */
+const toWinAnsi = (text) => {
+  let result = '';
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    if (char.length === 1 && ((code >= 32 && code < 127) || (code >= 160 && code <= 255))) {
+      result += char;
+    } else if (WIN_ANSI_EXTRA[char]) {
+      result += String.fromCharCode(WIN_ANSI_EXTRA[char]);
+    } else {
+      const base = char.normalize('NFD')[0];
+      result += base && base.charCodeAt(0) < 127 && base.charCodeAt(0) >= 32 ? base : '?';
+    }
+  }
+  return result;
+};
+
+/**
+ * Ancho aproximado de un texto en la fuente estándar. Los caracteres
+ * acentuados toman el ancho de su letra base.
+ *
+ * @param {string} text - Texto a medir.
+ * @param {number} size - Tamaño de fuente en puntos.
+ * @param {boolean} [bold=false] - Si se mide en Helvetica-Bold.
+ * @returns {number} Ancho en puntos.
+ */
+export const measureText = (text, size, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const char of toWinAnsi(text)) {
+    const base = char.normalize('NFD').charCodeAt(0);
+    total += widths[base - 32] ?? 556;
+  }
+  return (total * size) / 1000;
+};
+
+/**
+ * Recorta un texto para que entre en un ancho, agregando '…' si se cortó.
+ *
+ * @param {string} text - Texto a recortar.
+ * @param {number} maxWidth - Ancho disponible en puntos.
+ * @param {number} size - Tamaño de fuente en puntos.
+ * @param {boolean} [bold=false] - Si se mide en Helvetica-Bold.
+ * @returns {string} Texto que entra en el ancho.
+ */
+export const fitText = (text, maxWidth, size, bold = false) => {
+  const value = String(text ?? '');
+  if (measureText(value, size, bold) <= maxWidth) return value;
+
+  let end = value.length;
+  while (end > 0 && measureText(value.slice(0, end) + '…', size, bold) > maxWidth) {
+    end--;
+  }
+  return end > 0 ? value.slice(0, end).trimEnd() + '…' : '';
+};
+
+const escapePdfString = (value) => value.replace(/[\\()]/g, match => `\\${match}`);
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Rasteriza un texto (típicamente un emoji) a una imagen JPEG sobre fondo
+ * blanco, para insertarlo con `addImage`. Requiere un navegador (canvas).
+ *
+ * @param {string} text - Texto a dibujar.
+ * @param {number} [fontSize=48] - Tamaño en píxeles de la imagen.
+ * @returns {{data: string, width: number, height: number}|null} JPEG como cadena
+ *   binaria y su tamaño en píxeles, o null si el texto está vacío.
+ */
+export const textToJpeg = (text, fontSize = 48) => {
+  if (!text) return null;
+
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  const font = `${fontSize}px "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif`;
+  context.font = font;
+  const width = Math.max(Math.ceil(context.measureText(text).width), 1);
+  const height = Math.ceil(fontSize * 1.25);
+
+  canvas.width = width;
+  canvas.height = height;
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.font = font;
+  context.fillStyle = '#000000';
+  context.textBaseline = 'middle';
+  context.fillText(text, 0, height / 2);
+
+  const base64 = canvas.toDataURL('image/jpeg', 0.92).split(',')[1];
+  return { data: atob(base64), width, height };
+};
+
+/**
+ * Crea un documento PDF vacío.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.width=A4.width] - Ancho de página en puntos.
+ * @param {number} [options.height=A4.height] - Alto de página en puntos.
+ * @returns {Object} Documento con `addPage`, `text`, `line`, `rect`, `addImage`,
+ *   `drawImage` y `toBlob`. Todas las operaciones de dibujo van a la última página.
+ */
+export const createPdfDocument = ({ width = A4.width, height = A4.height } = {}) => {
+  const pages = [];
+  const images = [];
+
+  const current = () => {
+    if (pages.length === 0) throw new Error('El documento no tiene páginas');
+    return pages[pages.length - 1];
+  };
+
+  const y = (top) => formatNumber(height - top);
+
+  const colorOperator = (gray, operator) => `${formatNumber(gray)} ${operator}`;
+
+  return {
+    width,
+    height,
+
+    /** Agrega una página en blanco y la vuelve la página actual. */
+    addPage() {
+      pages.push({ operations: [], images: new Set() });
+    },
+
+    /**
+     * Escribe un texto en una línea.
+     *
+     * @param {string} text - Texto a escribir.
+     * @param {number} x - Posición horizontal.
+     * @param {number} top - Línea base, medida desde arriba.
+     * @param {Object} [options]
+     * @param {number} [options.size=10] - Tamaño de fuente.
+     * @param {boolean} [options.bold=false] - Usa Helvetica-Bold.
+     * @param {number} [options.gray=0] - Color en escala de grises (0 negro, 1 blanco).
+     * @param {'left'|'right'|'center'} [options.align='left'] - Alineación respecto de `x`.
+     */
+    text(text, x, top, { size = 10, bold = false, gray = 0, align = 'left' } = {}) {
+      const value = String(text ?? '');
+      if (!value) return;
+
+      let left = x;
+      if (align !== 'left') {
+        const textWidth = measureText(value, size, bold);
+        left = align === 'right' ? x - textWidth : x - textWidth / 2;
+      }
+
+      current().operations.push(
+        `BT ${colorOperator(gray, 'g')} /${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf ` +
+        `${formatNumber(left)} ${y(top)} Td (${escapePdfString(toWinAnsi(value))}) Tj ET`
+      );
+    },
+
+    /**
+     * Dibuja una línea.
+     *
+     * @param {number} x1
+     * @param {number} top1
+     * @param {number} x2
+     * @param {number} top2
+     * @param {Object} [options]
+     * @param {number} [options.lineWidth=0.5]
+     * @param {number} [options.gray=0]
+     */
+    line(x1, top1, x2, top2, { lineWidth = 0.5, gray = 0 } = {}) {
+      current().operations.push(
+        `${colorOperator(gray, 'G')} ${formatNumber(lineWidth)} w ` +
+        `${formatNumber(x1)} ${y(top1)} m ${formatNumber(x2)} ${y(top2)} l S`
+      );
+    },
+
+    /**
+     * Dibuja un rectángulo con borde y/o relleno.
+     *
+     * @param {number} x - Borde izquierdo.
+     * @param {number} top - Borde superior.
+     * @param {number} w - Ancho.
+     * @param {number} h - Alto.
+     * @param {Object} [options]
+     * @param {number|null} [options.fill=null] - Gris de relleno, o null sin relleno.
+     * @param {boolean} [options.stroke=true] - Si dibuja el borde.
+     * @param {number} [options.lineWidth=0.5]
+     * @param {number} [options.gray=0] - Gris del borde.
+     */
+    rect(x, top, w, h, { fill = null, stroke = true, lineWidth = 0.5, gray = 0 } = {}) {
+      const operator = fill !== null ? (stroke ? 'B' : 'f') : 'S';
+      const fillColor = fill !== null ? `${colorOperator(fill, 'g')} ` : '';
+      current().operations.push(
+        `${fillColor}${colorOperator(gray, 'G')} ${formatNumber(lineWidth)} w ` +
+        `${formatNumber(x)} ${y(top + h)} ${formatNumber(w)} ${formatNumber(h)} re ${operator}`
+      );
+    },
+
+    /**
+     * Registra una imagen JPEG en el documento para dibujarla con `drawImage`.
+     *
+     * @param {{data: string, width: number, height: number}} image - Resultado de `textToJpeg`.
+     * @returns {number} Identificador de la imagen.
+     */
+    addImage(image) {
+      images.push(image);
+      return images.length;
+    },
+
+    /**
+     * Dibuja una imagen registrada.
+     *
+     * @param {number} imageId - Resultado de `addImage`.
+     * @param {number} x - Borde izquierdo.
+     * @param {number} top - Borde superior.
+     * @param {number} w - Ancho.
+     * @param {number} h - Alto.
+     */
+    drawImage(imageId, x, top, w, h) {
+      const page = current();
+      page.images.add(imageId);
+      page.operations.push(
+        `q ${formatNumber(w)} 0 0 ${formatNumber(h)} ${formatNumber(x)} ${y(top + h)} cm /Im${imageId} Do Q`
+      );
+    },
+
+    /** Cantidad de páginas del documento. */
+    get pageCount() {
+      return pages.length;
+    },
+
+    /**
+     * Serializa el documento.
+     *
+     * @returns {Blob} Archivo PDF.
+     */
+    toBlob() {
+      const chunks = [];
+      const offsets = [];
+      let length = 0;
+
+      const write = (chunk) => {
+        chunks.push(chunk);
+        length += chunk.length;
+      };
+      const writeObject = (id, body) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${body}\nendobj\n`);
+      };
+      const writeStream = (id, dictionary, data) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n<< ${dictionary} /Length ${data.length} >>\nstream\n`);
+        write(data);
+        write('\nendstream\nendobj\n');
+      };
+
+      // 1 catálogo, 2 árbol de páginas, 3 y 4 fuentes, luego imágenes y páginas
+      const firstImageId = 5;
+      const firstPageId = firstImageId + images.length;
+      const pageIds = pages.map((_, index) => firstPageId + index * 2);
+
+      write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+      writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+      writeObject(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+      writeObject(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      writeObject(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+      images.forEach((image, index) => {
+        writeStream(
+          firstImageId + index,
+          `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+          '/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode',
+          image.data
+        );
+      });
+
+      pages.forEach((page, index) => {
+        const pageId = pageIds[index];
+        const xObjects = [...page.images]
+          .map(imageId => `/Im${imageId} ${firstImageId + imageId - 1} 0 R`)
+          .join(' ');
+        writeObject(
+          pageId,
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(width)} ${formatNumber(height)}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> ` +
+          `/Contents ${pageId + 1} 0 R >>`
+        );
+        writeStream(pageId + 1, '', page.operations.join('\n'));
+      });
+
+      const totalObjects = firstPageId + pages.length * 2;
+      const xrefOffset = length;
+      write(`xref\n0 ${totalObjects}\n0000000000 65535 f \n`);
+      for (let id = 1; id < totalObjects; id++) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+      }
+      write(`trailer\n<< /Size ${totalObjects} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+      const bytes = new Uint8Array(length);
+      let position = 0;
+      chunks.forEach(chunk => {
+        for (let i = 0; i < chunk.length; i++) {
+          bytes[position++] = chunk.charCodeAt(i) & 0xff;
+        }
+      });
+
+      return new Blob([bytes], { type: 'application/pdf' });
+    }
+  };
+};
@@ -0,0 +1,98 @@
+/**
+ * permisosUtils.js
+ *
+ * Catálogo de capacidades de la aplicación y permisos por defecto de cada
+ * tipo de usuario (`usuariost`). La matriz vigente se guarda en la tabla
+ * `permisos_rol`, la edita el superusuario desde Configuración y se carga
+ * con el perfil en AuthContext (`user.capacidades`).
+ *
+ * Los componentes consultan las capacidades con el hook `useCan()` y los
+ * servicios reciben el resultado ya resuelto, sin comparar `usuario_tipo`.
+ */
+
+/**
+ * Capacidades disponibles, agrupadas para la pantalla de edición.
+ * La clave es la que se guarda en `permisos_rol.capacidad`.
+ */
+export const CAPACIDADES = [
+  { clave: 'view.search', grupo: 'Vistas', descripcion: 'Búsqueda en el padrón' },
+  { clave: 'view.gpicks', grupo: 'Vistas', descripcion: 'Gestión de picks' },
+  { clave: 'view.fiscalizar', grupo: 'Vistas', descripcion: 'Fiscalizar' },
+  { clave: 'view.testigo', grupo: 'Vistas', descripcion: 'Mesa Testigo' },
+  { clave: 'view.stats', grupo: 'Vistas', descripcion: 'Estadísticas' },
+  { clave: 'view.control', grupo: 'Vistas', descripcion: 'Control de mesas y fiscales' },
+  { clave: 'view.gusers', grupo: 'Vistas', descripcion: 'Usuarios' },
+  { clave: 'view.padrones', grupo: 'Vistas', descripcion: 'Padrones' },
+  { clave: 'view.settings', grupo: 'Vistas', descripcion: 'Configuración' },
+  { clave: 'perfil.edit', grupo: 'Perfil', descripcion: 'Editar el propio perfil' },
+  { clave: 'perfil.edit_mesa', grupo: 'Perfil', descripcion: 'Cambiar la mesa asignada en el perfil' },
+  { clave: 'pick.view', grupo: 'Picks', descripcion: 'Ver picks y estado de voto en búsquedas' },
+  { clave: 'pick.edit', grupo: 'Picks', descripcion: 'Asignar, editar y verificar picks' },
+  { clave: 'pick.override', grupo: 'Picks', descripcion: 'Editar picks de otros usuarios y de votantes que ya votaron' },
+  { clave: 'vote.mark', grupo: 'Votos', descripcion: 'Marcar votos en la mesa' },
+  { clave: 'vote.undo', grupo: 'Votos', descripcion: 'Borrar votos marcados' },
+  { clave: 'padron.import', grupo: 'Padrón', descripcion: 'Importar padrones' },
+  { clave: 'testigo.muestreo', grupo: 'Mesa Testigo', descripcion: 'Registrar muestreos' },
+  { clave: 'testigo.resultados', grupo: 'Mesa Testigo', descripcion: 'Ver resultados de Mesa Testigo' },
+  { clave: 'permisos.edit', grupo: 'Administración', descripcion: 'Editar la matriz de permisos' }
+];
+
+/**
+ * Capacidad que el superusuario conserva siempre, para no quedar sin acceso
+ * a la edición de permisos.
+ */
+export const CAPACIDAD_PERMISOS = 'permisos.edit';
+export const TIPO_SUPERUSUARIO = 1;
+
+/**
+ * Permisos por defecto de cada tipo de usuario. Se usan cuando la tabla
+ * `permisos_rol` no se pudo consultar. Coinciden con los datos iniciales
+ * de la migración; un tipo nuevo de `usuariost` arranca sin capacidades.
+ */
+export const CAPACIDADES_POR_DEFECTO = {
+  1: ['view.search', 'view.gpicks', 'view.fiscalizar', 'view.testigo', 'view.stats', 'view.control',
+    'view.gusers', 'view.padrones', 'view.settings', 'perfil.edit', 'perfil.edit_mesa', 'pick.view',
+    'pick.edit', 'pick.override', 'vote.mark', 'vote.undo', 'padron.import', 'testigo.resultados',
+    'permisos.edit'],
+  2: ['view.search', 'view.gpicks', 'view.fiscalizar', 'view.testigo', 'view.stats', 'view.control',
+    'view.gusers', 'view.padrones', 'view.settings', 'perfil.edit', 'perfil.edit_mesa', 'pick.view',
+    'pick.edit', 'pick.override', 'vote.mark', 'vote.undo', 'padron.import', 'testigo.resultados'],
+  3: ['view.search', 'view.gpicks', 'view.fiscalizar', 'view.testigo', 'view.stats', 'perfil.edit',
+    'perfil.edit_mesa', 'pick.view', 'pick.edit', 'vote.mark', 'testigo.muestreo'],
+  4: ['view.search', 'view.fiscalizar', 'view.testigo', 'perfil.edit', 'vote.mark', 'testigo.muestreo'],
+  5: ['view.search']
+};
+
+/**
+ * Resuelve las capacidades de un tipo de usuario a partir de las filas de
+ * `permisos_rol` de ese tipo, o de los valores por defecto si no se pudieron leer.
+ *
+ * @param {number} usuarioTipo - Tipo de usuario.
+ * @param {Array<{capacidad: string}>|null} rows - Filas de `permisos_rol`, o
+ *   `null` si la consulta falló.
+ * @returns {string[]} Claves de las capacidades otorgadas.
+ */
+export const resolverCapacidades = (usuarioTipo, rows) => {
+  const capacidades = rows
+    ? rows.map(row => row.capacidad)
+    : [...(CAPACIDADES_POR_DEFECTO[usuarioTipo] || [])];
+
+  if (usuarioTipo === TIPO_SUPERUSUARIO && !capacidades.includes(CAPACIDAD_PERMISOS)) {
+    capacidades.push(CAPACIDAD_PERMISOS);
+  }
+
+  return capacidades;
+};
+
+/**
+ * Indica si el usuario tiene una capacidad.
+ *
+ * @param {Object|null} user - Usuario de AuthContext (con `capacidades`).
+ * @param {string} capacidad - Clave de la capacidad.
+ * @returns {boolean}
+ */
+export const tieneCapacidad = (user, capacidad) => {
+  if (!user) return false;
+  const capacidades = user.capacidades || resolverCapacidades(user.usuario_tipo, null);
+  return capacidades.includes(capacidad);
+};
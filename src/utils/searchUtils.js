@@ -0,0 +1,23 @@
+/**
+ * searchUtils.js
+ *
+ * Normalizado de textos de búsqueda, igual al de `normalizar_busqueda`
+ * (migración 20261019200000_busqueda_padron.sql). La búsqueda por nombre se
+ * resuelve en el servidor (ver services/busquedaPadronService.js).
+ */
+
+/**
+ * Normaliza un texto para buscar: sin acentos, en mayúsculas y con todo lo
+ * que no sea letra o dígito reemplazado por un espacio.
+ *
+ * @param {string|null|undefined} text - Texto a normalizar.
+ * @returns {string} Texto normalizado (ej: "Núñez, José" → "NUNEZ JOSE").
+ */
+export const normalizeSearchText = (text) => {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim();
+};
@@ -1,4 +1,4 @@
-const INDICES_HISTORICOS = [
+export const INDICES_HISTORICOS = [
   { hora: 9, minutos: 0, porcentaje: 0.070 },
   { hora: 9, minutos: 30, porcentaje: 0.115 },
   { hora: 10, minutos: 0, porcentaje: 0.160 },
@@ -19,44 +19,149 @@ const INDICES_HISTORICOS = [
   { hora: 17, minutos: 30, porcentaje: 0.980 }
 ];
 
-export function obtenerIndiceHistorico(fechaHora = null) {
+// Los índices corresponden a una jornada de referencia de 08:00 a 18:00.
+// Con otro horario configurado (ver comicioUtils.obtenerHorario), la hora
+// actual se reescala proporcionalmente a esa jornada antes de buscar el índice.
+const APERTURA_REFERENCIA = 8 * 60;
+const CIERRE_REFERENCIA = 18 * 60;
+
+function aMinutosReferencia(minutos, horario) {
+  if (!horario) {
+    return minutos;
+  }
+
+  const duracion = horario.cierre - horario.apertura;
+  return APERTURA_REFERENCIA +
+    ((minutos - horario.apertura) * (CIERRE_REFERENCIA - APERTURA_REFERENCIA)) / duracion;
+}
+
+function desdeMinutosReferencia(minutosReferencia, horario) {
+  if (!horario) {
+    return minutosReferencia;
+  }
+
+  const duracion = horario.cierre - horario.apertura;
+  return horario.apertura +
+    ((minutosReferencia - APERTURA_REFERENCIA) * duracion) / (CIERRE_REFERENCIA - APERTURA_REFERENCIA);
+}
+
+function minutosDePunto(punto) {
+  return punto.hora * 60 + punto.minutos;
+}
+
+// Curvas configuradas (tabla `curvas_participacion`) se expresan en la hora
+// real del comicio y no se reescalan; sin curva se usa la de referencia.
+function obtenerPuntosCurva(curva) {
+  if (curva?.puntos?.length > 0) {
+    return [...curva.puntos].sort((a, b) => minutosDePunto(a) - minutosDePunto(b));
+  }
+
+  return INDICES_HISTORICOS;
+}
+
+export function obtenerIndiceHistorico(fechaHora = null, horario = null, curva = null) {
   const ahora = fechaHora || new Date();
-  const horaActual = ahora.getHours();
-  const minutosActuales = ahora.getMinutes();
+  const puntos = obtenerPuntosCurva(curva);
+  const minutosReales = ahora.getHours() * 60 + ahora.getMinutes();
+  const minutosActuales = curva?.puntos?.length > 0
+    ? minutosReales
+    : aMinutosReferencia(minutosReales, horario);
 
-  if (horaActual < 9) {
+  const primero = puntos[0];
+  const ultimo = puntos[puntos.length - 1];
+
+  if (minutosActuales < minutosDePunto(primero)) {
     return null;
   }
 
-  if (horaActual > 17 || (horaActual === 17 && minutosActuales > 30)) {
-    return INDICES_HISTORICOS[INDICES_HISTORICOS.length - 1];
+  if (minutosActuales >= minutosDePunto(ultimo)) {
+    return ultimo;
+  }
+
+  // Interpolación lineal entre los dos puntos que rodean la hora actual
+  for (let i = 1; i < puntos.length; i++) {
+    const anterior = puntos[i - 1];
+    const siguiente = puntos[i];
+    const desde = minutosDePunto(anterior);
+    const hasta = minutosDePunto(siguiente);
+
+    if (minutosActuales < hasta) {
+      const fraccion = hasta > desde ? (minutosActuales - desde) / (hasta - desde) : 0;
+      return {
+        hora: Math.floor(minutosActuales / 60),
+        minutos: Math.floor(minutosActuales % 60),
+        porcentaje: anterior.porcentaje + (siguiente.porcentaje - anterior.porcentaje) * fraccion
+      };
+    }
   }
 
-  let indiceEncontrado = INDICES_HISTORICOS[0];
+  return ultimo;
+}
+
+export function obtenerHoraInicioTendencia(horario = null, curva = null) {
+  const primero = obtenerPuntosCurva(curva)[0];
+  const minutos = curva?.puntos?.length > 0
+    ? minutosDePunto(primero)
+    : Math.round(desdeMinutosReferencia(minutosDePunto(primero), horario));
+  const horas = Math.floor(minutos / 60).toString().padStart(2, '0');
+  return `${horas}:${(minutos % 60).toString().padStart(2, '0')}`;
+}
 
-  for (let i = 0; i < INDICES_HISTORICOS.length; i++) {
-    const indice = INDICES_HISTORICOS[i];
+// Curva de referencia expresada en la hora real del comicio, como punto de
+// partida para editar una curva propia
+export function obtenerCurvaReferencia(horario = null) {
+  return INDICES_HISTORICOS.map(punto => {
+    const minutos = Math.round(desdeMinutosReferencia(minutosDePunto(punto), horario));
+    return { hora: Math.floor(minutos / 60), minutos: minutos % 60, porcentaje: punto.porcentaje };
+  });
+}
 
-    if (indice.hora > horaActual) {
-      break;
+export function seleccionarCurva(curvas = [], localidad = null) {
+  if (localidad) {
+    const curvaLocalidad = curvas.find(c => c.localidad === localidad);
+    if (curvaLocalidad) {
+      return curvaLocalidad;
     }
+  }
+
+  return curvas.find(c => !c.localidad) || null;
+}
+
+// Construye los puntos de una curva a partir de las horas de voto de un comicio
+// anterior: porcentaje acumulado del total de votos en cada corte de `intervalo`
+// minutos. El primer corte es una hora después del primer voto, igual que la
+// curva de referencia, para evitar proyecciones con muy pocos votos.
+export function construirCurvaDesdeVotos(horasVoto, intervalo = 30) {
+  const minutosVoto = horasVoto
+    .map(fecha => fecha.getHours() * 60 + fecha.getMinutes())
+    .sort((a, b) => a - b);
+
+  if (minutosVoto.length === 0) {
+    return [];
+  }
+
+  const total = minutosVoto.length;
+  const primerCorte = Math.floor(minutosVoto[0] / intervalo) * intervalo + 60;
+  const puntos = [];
 
-    if (indice.hora === horaActual) {
-      if (indice.minutos <= minutosActuales) {
-        indiceEncontrado = indice;
-      } else {
-        break;
-      }
-    } else if (indice.hora < horaActual) {
-      indiceEncontrado = indice;
+  // El último corte es el primero posterior al último voto (100%)
+  let indice = 0;
+  for (let corte = primerCorte; indice < total; corte += intervalo) {
+    while (indice < total && minutosVoto[indice] < corte) {
+      indice++;
     }
+    puntos.push({
+      hora: Math.floor(corte / 60),
+      minutos: corte % 60,
+      porcentaje: Number((indice / total).toFixed(3))
+    });
   }
 
-  return indiceEncontrado;
+  return puntos;
 }
 
-export function obtenerAsistenciaHistorica(fechaHora = null) {
-  const indice = obtenerIndiceHistorico(fechaHora);
+export function obtenerAsistenciaHistorica(fechaHora = null, horario = null, curva = null) {
+  const indice = obtenerIndiceHistorico(fechaHora, horario, curva);
 
   if (!indice) {
     return null;
@@ -65,12 +170,12 @@ export function obtenerAsistenciaHistorica(fechaHora = null) {
   return indice.porcentaje * 100;
 }
 
-export function calcularTendenciaProyectada(totalVotaron, totalEmpadronados, fechaHora = null) {
+export function calcularTendenciaProyectada(totalVotaron, totalEmpadronados, fechaHora = null, horario = null, curva = null) {
   if (totalEmpadronados === 0) {
     return null;
   }
 
-  const indice = obtenerIndiceHistorico(fechaHora);
+  const indice = obtenerIndiceHistorico(fechaHora, horario, curva);
 
   if (!indice) {
     return null;
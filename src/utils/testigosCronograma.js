@@ -0,0 +1,177 @@
+/**
+ * testigosCronograma.js
+ *
+ * Turnos del cronograma de muestreo de Mesa Testigo (tabla
+ * `testigos_cronograma`). Cada cronograma define un intervalo y un horario
+ * por mesa; los turnos se calculan aquí, no se guardan:
+ * - Turnos: desde `hora_desde` (o la apertura del comicio) cada
+ *   `intervalo_minutos` hasta `hora_hasta` (o el cierre). El último puede
+ *   ser más corto.
+ * - Un turno se cumple con una medición iniciada dentro de él el día del
+ *   comicio (o el día actual si el comicio no tiene fecha). Una medición
+ *   vencida no lo cumple.
+ * - Cobertura = turnos completos / turnos ya transcurridos o completos.
+ *
+ * Funciones puras: reciben los registros ya cargados (ver
+ * services/testigosCronogramaService.js).
+ */
+
+import { horaAMinutos, minutosAHora, fechaLocalISO } from './comicioUtils';
+
+// Intervalos ofrecidos al definir un cronograma (minutos)
+export const CRONOGRAMA_INTERVALOS = [30, 45, 60, 90, 120];
+
+// Límites del intervalo (deben coincidir con el CHECK de la migración)
+export const INTERVALO_MINIMO = 15;
+export const INTERVALO_MAXIMO = 240;
+
+export const TURNO_ESTADOS = {
+  proximo: { label: 'Próximo', color: 'bg-gray-100 text-gray-700 border-gray-200' },
+  pendiente: { label: 'Toca medir', color: 'bg-yellow-100 text-yellow-800 border-yellow-300' },
+  en_curso: { label: 'En curso', color: 'bg-blue-100 text-blue-800 border-blue-200' },
+  completo: { label: 'Completo', color: 'bg-green-100 text-green-800 border-green-200' },
+  atrasado: { label: 'Atrasado', color: 'bg-red-100 text-red-800 border-red-200' }
+};
+
+/**
+ * Día al que se aplican los cronogramas
+ * @param {object|null} comicio - Comicio vigente
+ * @param {Date} [ahora=new Date()] - Momento actual
+ * @returns {string} - Fecha "YYYY-MM-DD"
+ */
+export const getFechaCronograma = (comicio, ahora = new Date()) =>
+  comicio?.fecha || fechaLocalISO(ahora);
+
+/**
+ * Calcula los turnos de un cronograma
+ * @param {object} cronograma - Registro de `testigos_cronograma`
+ * @param {{apertura: number, cierre: number}} horario - Horario del comicio en minutos
+ * @returns {Array<{inicio: number, fin: number}>} - Turnos en minutos desde la medianoche
+ */
+export const generarTurnos = (cronograma, horario) => {
+  const intervalo = Number(cronograma?.intervalo_minutos);
+  if (!intervalo || intervalo < INTERVALO_MINIMO) return [];
+
+  const desde = horaAMinutos(cronograma.hora_desde) ?? horario.apertura;
+  const hasta = horaAMinutos(cronograma.hora_hasta) ?? horario.cierre;
+
+  const turnos = [];
+  for (let inicio = desde; inicio < hasta; inicio += intervalo) {
+    turnos.push({ inicio, fin: Math.min(inicio + intervalo, hasta) });
+  }
+  return turnos;
+};
+
+/**
+ * Texto de un turno ("10:00–11:00")
+ * @param {{inicio: number, fin: number}} turno
+ * @returns {string}
+ */
+export const formatTurno = (turno) => `${minutosAHora(turno.inicio)}–${minutosAHora(turno.fin)}`;
+
+/**
+ * Describe el horario de un cronograma, con el del comicio como respaldo
+ * @param {object} cronograma - Registro de `testigos_cronograma`
+ * @param {{apertura: number, cierre: number}} horario - Horario del comicio en minutos
+ * @returns {string} - Ej.: "cada 60 min, 08:00 a 18:00"
+ */
+export const describeCronograma = (cronograma, horario) => {
+  const desde = horaAMinutos(cronograma.hora_desde) ?? horario.apertura;
+  const hasta = horaAMinutos(cronograma.hora_hasta) ?? horario.cierre;
+  return `cada ${cronograma.intervalo_minutos} min, ${minutosAHora(desde)} a ${minutosAHora(hasta)}`;
+};
+
+// Prioridad de las mediciones dentro de un turno
+const PRIORIDAD_MEDICION = { finalizada: 2, en_curso: 1 };
+
+/**
+ * Determina el estado de cada turno según las mediciones de la mesa
+ * @param {Array<{inicio: number, fin: number}>} turnos - Turnos del cronograma
+ * @param {Array<object>} mediciones - Mediciones de la mesa (`user_at`, `estado`)
+ * @param {string} fecha - Día del cronograma ("YYYY-MM-DD")
+ * @param {Date} [ahora=new Date()] - Momento actual
+ * @returns {Array<{inicio: number, fin: number, estado: string, medicion: object|null}>}
+ */
+export const evaluarTurnos = (turnos, mediciones, fecha, ahora = new Date()) => {
+  const hoy = fechaLocalISO(ahora);
+  const minutosAhora = ahora.getHours() * 60 + ahora.getMinutes();
+
+  // Mediciones del día, en minutos desde la medianoche
+  const delDia = (mediciones || [])
+    .filter(medicion => medicion.user_at && PRIORIDAD_MEDICION[medicion.estado])
+    .map(medicion => ({ medicion, fechaHora: new Date(medicion.user_at) }))
+    .filter(({ fechaHora }) => fechaLocalISO(fechaHora) === fecha)
+    .map(({ medicion, fechaHora }) => ({
+      medicion,
+      minutos: fechaHora.getHours() * 60 + fechaHora.getMinutes()
+    }));
+
+  return turnos.map(turno => {
+    const medicion = delDia
+      .filter(({ minutos }) => minutos >= turno.inicio && minutos < turno.fin)
+      .map(({ medicion }) => medicion)
+      .sort((a, b) => PRIORIDAD_MEDICION[b.estado] - PRIORIDAD_MEDICION[a.estado])[0] || null;
+
+    let estado;
+    if (medicion?.estado === 'finalizada') {
+      estado = 'completo';
+    } else if (medicion) {
+      estado = 'en_curso';
+    } else if (fecha < hoy || (fecha === hoy && minutosAhora >= turno.fin)) {
+      estado = 'atrasado';
+    } else if (fecha === hoy && minutosAhora >= turno.inicio) {
+      estado = 'pendiente';
+    } else {
+      estado = 'proximo';
+    }
+
+    return { ...turno, estado, medicion };
+  });
+};
+
+/**
+ * Resume la cobertura de los turnos evaluados
+ * @param {Array<object>} turnos - Resultado de evaluarTurnos
+ * @returns {object} - Cantidad por estado y cobertura (%, null sin turnos transcurridos)
+ */
+export const resumirCobertura = (turnos) => {
+  const resumen = Object.keys(TURNO_ESTADOS).reduce((acc, estado) => ({ ...acc, [estado]: 0 }), {});
+  turnos.forEach(turno => {
+    resumen[turno.estado] += 1;
+  });
+
+  const evaluados = resumen.completo + resumen.atrasado;
+  return {
+    ...resumen,
+    total: turnos.length,
+    evaluados,
+    cobertura: evaluados > 0 ? (resumen.completo / evaluados) * 100 : null
+  };
+};
+
+/**
+ * Evalúa los cronogramas de varias mesas
+ * @param {Array<object>} cronogramas - Registros de `testigos_cronograma`
+ * @param {Array<object>} mediciones - Mediciones del día de todas las mesas
+ * @param {{apertura: number, cierre: number}} horario - Horario del comicio en minutos
+ * @param {string} fecha - Día del cronograma ("YYYY-MM-DD")
+ * @param {Date} [ahora=new Date()] - Momento actual
+ * @returns {Array<{cronograma: object, turnos: Array<object>, resumen: object}>} - Por mesa
+ */
+export const evaluarCronogramas = (cronogramas, mediciones, horario, fecha, ahora = new Date()) => {
+  const porMesa = new Map();
+  (mediciones || []).forEach(medicion => {
+    if (!porMesa.has(medicion.mesa_numero)) porMesa.set(medicion.mesa_numero, []);
+    porMesa.get(medicion.mesa_numero).push(medicion);
+  });
+
+  return (cronogramas || []).map(cronograma => {
+    const turnos = evaluarTurnos(
+      generarTurnos(cronograma, horario),
+      porMesa.get(cronograma.mesa_numero),
+      fecha,
+      ahora
+    );
+    return { cronograma, turnos, resumen: resumirCobertura(turnos) };
+  });
+};
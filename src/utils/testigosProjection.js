@@ -0,0 +1,345 @@
+/**
+ * testigosProjection.js
+ *
+ * Proyección estadística de la participación a partir de las muestras de
+ * mesas testigo. Cada muestra compara las boletas retiradas de la pila
+ * (`pila_faltante`, votos reales) con los votos marcados en la aplicación en
+ * el mismo período (`votos_diferencia`); su cociente es el factor de
+ * corrección del registro de la aplicación.
+ *
+ * Estimador:
+ * - Las muestras se agrupan por mesa (cociente de sumas), que es la unidad
+ *   de muestreo.
+ * - Por estrato (localidad o circuito) se calcula el factor como media de
+ *   los cocientes ponderada por `total_empadronados`, con su error estándar
+ *   por linealización e intervalo de confianza del 95% con la t de Student
+ *   (n - 1 grados de libertad).
+ * - Los estratos con menos de MIN_MESAS_ESTRATO mesas muestreadas usan el
+ *   factor de toda la muestra.
+ * - Participación actual = factor × votos registrados / empadronados.
+ *   Participación final = además se divide cada mesa por el índice de la
+ *   curva de participación (`tendenciaParticipacion.js`) a la hora actual.
+ * - El total combina los estratos; los que usan el factor general se suman
+ *   como un solo grupo (están perfectamente correlacionados).
+ * - La influencia de cada mesa es la variación de la participación final
+ *   total al quitarla de la muestra (jackknife).
+ *
+ * Los porcentajes devueltos están entre 0 y 100.
+ */
+
+import { obtenerIndiceHistorico, seleccionarCurva } from './tendenciaParticipacion';
+
+// Mesas muestreadas necesarias para estimar un estrato con su propio factor
+export const MIN_MESAS_ESTRATO = 2;
+
+export const STRATIFY_OPTIONS = {
+  localidad: { label: 'Localidad', empty: 'Sin localidad' },
+  circuito: { label: 'Circuito', empty: 'Sin circuito' }
+};
+
+// Cuantil 0,975 de la t de Student para 1 a 30 grados de libertad
+const T_975 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+/**
+ * Cuantil 0,975 de la t de Student (intervalo de confianza del 95%)
+ * @param {number} df - Grados de libertad (>= 1)
+ * @returns {number} - Valor crítico
+ */
+export const tCritical95 = (df) => {
+  if (df <= T_975.length) return T_975[Math.max(1, Math.floor(df)) - 1];
+  // Aproximación de Cornish-Fisher a partir de la normal
+  const z = 1.959964;
+  return z + (z ** 3 + z) / (4 * df) + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2);
+};
+
+/**
+ * Obtiene el estrato de una mesa
+ * @param {object} mesa - Mesa con mesa_localidad y establecimientos.circuitos.codigo
+ * @param {'localidad'|'circuito'} stratifyBy - Criterio de estratificación
+ * @returns {string} - Nombre del estrato
+ */
+export const getMesaStratum = (mesa, stratifyBy) => {
+  const value = stratifyBy === 'circuito'
+    ? mesa?.establecimientos?.circuitos?.codigo
+    : mesa?.mesa_localidad;
+  return value || STRATIFY_OPTIONS[stratifyBy].empty;
+};
+
+/**
+ * Agrupa las muestras válidas por mesa
+ * @param {Array} samples - Muestras de testigos
+ * @returns {Array} - [{ mesa_numero, samples, pilaFaltante, votosDiferencia, ratio }]
+ */
+export const aggregateSamplesByMesa = (samples) => {
+  const byMesa = new Map();
+
+  samples
+    .filter(s => s.muestra_valida && s.votos_diferencia > 0 && s.pila_faltante !== null)
+    .forEach(s => {
+      const numero = Number(s.mesa_numero);
+      if (!byMesa.has(numero)) {
+        byMesa.set(numero, { mesa_numero: numero, samples: 0, pilaFaltante: 0, votosDiferencia: 0 });
+      }
+      const mesa = byMesa.get(numero);
+      mesa.samples++;
+      mesa.pilaFaltante += s.pila_faltante;
+      mesa.votosDiferencia += s.votos_diferencia;
+    });
+
+  return [...byMesa.values()].map(mesa => ({
+    ...mesa,
+    ratio: mesa.pilaFaltante / mesa.votosDiferencia
+  }));
+};
+
+/**
+ * Estima el factor de corrección de un conjunto de mesas muestreadas
+ * @param {Array<{ratio: number, weight: number}>} units - Cociente y peso de cada mesa
+ * @returns {object|null} - { ratio, standardError, df, n, lower, upper } o null sin mesas.
+ *   Con una sola mesa el error estándar y el intervalo son null.
+ */
+export const estimateRatio = (units) => {
+  const n = units.length;
+  if (n === 0) return null;
+
+  const sumWeights = units.reduce((sum, u) => sum + u.weight, 0);
+  const ratio = units.reduce((sum, u) => sum + u.weight * u.ratio, 0) / sumWeights;
+
+  if (n < 2) {
+    return { ratio, standardError: null, df: 0, n, lower: null, upper: null };
+  }
+
+  const squares = units.reduce((sum, u) => sum + (u.weight * (u.ratio - ratio)) ** 2, 0);
+  const standardError = Math.sqrt((n / (n - 1)) * squares) / sumWeights;
+  const margin = tCritical95(n - 1) * standardError;
+
+  return {
+    ratio,
+    standardError,
+    df: n - 1,
+    n,
+    lower: Math.max(0, ratio - margin),
+    upper: ratio + margin
+  };
+};
+
+const clampPercentage = (value) => Math.min(100, Math.max(0, value));
+
+/**
+ * Construye una estimación porcentual a partir de votos estimados y su error
+ */
+const buildEstimate = (votes, standardError, df, empadronados) => {
+  if (votes === null || empadronados <= 0) return null;
+
+  const value = (votes / empadronados) * 100;
+  if (standardError === null || df < 1) {
+    return { value: clampPercentage(value), lower: null, upper: null };
+  }
+
+  const margin = (tCritical95(df) * standardError / empadronados) * 100;
+  return {
+    value: clampPercentage(value),
+    lower: clampPercentage(value - margin),
+    upper: clampPercentage(value + margin)
+  };
+};
+
+/**
+ * Suma los totales de las mesas de cada estrato. `finalBase` son los votos
+ * registrados escalados al cierre con la curva de cada mesa (null si alguna
+ * mesa del estrato todavía no tiene índice de curva).
+ */
+const buildStrataTotals = (mesas, stratifyBy, fechaHora, horario, curvas) => {
+  const strata = new Map();
+
+  mesas.forEach(mesa => {
+    const name = getMesaStratum(mesa, stratifyBy);
+    if (!strata.has(name)) {
+      strata.set(name, { name, mesas: 0, empadronados: 0, votaron: 0, finalBase: 0 });
+    }
+    const stratum = strata.get(name);
+    const votaron = mesa.total_votaron || 0;
+    const indice = obtenerIndiceHistorico(fechaHora, horario, seleccionarCurva(curvas, mesa.mesa_localidad));
+
+    stratum.mesas++;
+    stratum.empadronados += mesa.total_empadronados || 0;
+    stratum.votaron += votaron;
+    stratum.finalBase = stratum.finalBase !== null && indice?.porcentaje > 0
+      ? stratum.finalBase + votaron / indice.porcentaje
+      : null;
+  });
+
+  return strata;
+};
+
+/**
+ * Estima cada estrato y el total a partir de las mesas muestreadas
+ */
+const estimateStrata = (strataTotals, units) => {
+  const pooled = estimateRatio(units);
+  if (!pooled) return null;
+
+  const unitsByStratum = new Map();
+  units.forEach(unit => {
+    if (!unitsByStratum.has(unit.stratum)) unitsByStratum.set(unit.stratum, []);
+    unitsByStratum.get(unit.stratum).push(unit);
+  });
+
+  const strata = [];
+  // Acumuladores del total: estratos con factor propio (independientes) y
+  // estratos con el factor general (un solo grupo)
+  const totals = { empadronados: 0, votaron: 0, current: 0, final: 0, currentVar: 0, finalVar: 0, df: 0 };
+  const borrowed = { votaron: 0, finalBase: 0 };
+  let finalAvailable = true;
+
+  strataTotals.forEach(stratum => {
+    const stratumUnits = unitsByStratum.get(stratum.name) || [];
+    const own = stratumUnits.length >= MIN_MESAS_ESTRATO ? estimateRatio(stratumUnits) : null;
+    const estimate = own || pooled;
+
+    const currentVotes = estimate.ratio * stratum.votaron;
+    const finalVotes = stratum.finalBase !== null ? estimate.ratio * stratum.finalBase : null;
+
+    strata.push({
+      name: stratum.name,
+      mesas: stratum.mesas,
+      sampledMesas: stratumUnits.length,
+      usesOverallRatio: !own,
+      empadronados: stratum.empadronados,
+      votaron: stratum.votaron,
+      recorded: stratum.empadronados > 0 ? (stratum.votaron / stratum.empadronados) * 100 : 0,
+      ratio: estimate,
+      current: buildEstimate(
+        currentVotes,
+        estimate.standardError !== null ? estimate.standardError * stratum.votaron : null,
+        estimate.df,
+        stratum.empadronados
+      ),
+      final: buildEstimate(
+        finalVotes,
+        estimate.standardError !== null && finalVotes !== null ? estimate.standardError * stratum.finalBase : null,
+        estimate.df,
+        stratum.empadronados
+      )
+    });
+
+    totals.empadronados += stratum.empadronados;
+    totals.votaron += stratum.votaron;
+    totals.current += currentVotes;
+    if (finalVotes === null) finalAvailable = false;
+    else totals.final += finalVotes;
+
+    if (own) {
+      totals.currentVar += (own.standardError * stratum.votaron) ** 2;
+      if (finalVotes !== null) totals.finalVar += (own.standardError * stratum.finalBase) ** 2;
+      totals.df += own.df;
+    } else {
+      borrowed.votaron += stratum.votaron;
+      if (finalVotes !== null) borrowed.finalBase += stratum.finalBase;
+    }
+  });
+
+  if (borrowed.votaron > 0 || borrowed.finalBase > 0) {
+    const pooledSE = pooled.standardError ?? 0;
+    totals.currentVar += (pooledSE * borrowed.votaron) ** 2;
+    totals.finalVar += (pooledSE * borrowed.finalBase) ** 2;
+    totals.df += pooled.df;
+  }
+
+  const hasError = pooled.standardError !== null;
+  const df = Math.max(1, totals.df);
+
+  return {
+    strata: strata.sort((a, b) => a.name.localeCompare(b.name)),
+    overall: {
+      empadronados: totals.empadronados,
+      votaron: totals.votaron,
+      recorded: totals.empadronados > 0 ? (totals.votaron / totals.empadronados) * 100 : 0,
+      ratio: pooled,
+      current: buildEstimate(totals.current, hasError ? Math.sqrt(totals.currentVar) : null, df, totals.empadronados),
+      final: finalAvailable
+        ? buildEstimate(totals.final, hasError ? Math.sqrt(totals.finalVar) : null, df, totals.empadronados)
+        : null
+    }
+  };
+};
+
+/**
+ * Proyecta la participación por estrato y total a partir de las mesas testigo
+ * @param {object} params
+ * @param {Array} params.samples - Muestras de `testigos`
+ * @param {Array} params.mesas - Mesas con total_empadronados, total_votaron, mesa_localidad y
+ *   establecimientos.circuitos.codigo (ver `loadTotalesMesas`)
+ * @param {'localidad'|'circuito'} [params.stratifyBy='localidad'] - Criterio de estratificación
+ * @param {Date} [params.fechaHora] - Hora de la proyección (por defecto, ahora)
+ * @param {object|null} [params.horario] - Horario del comicio (ver comicioUtils.obtenerHorario)
+ * @param {Array} [params.curvas] - Curvas de participación del comicio
+ * @returns {object|null} - { strata, overall, influence, sampledMesas, excludedSamples }, o
+ *   null si no hay mesas muestreadas con totales
+ */
+export const projectParticipation = ({
+  samples,
+  mesas,
+  stratifyBy = 'localidad',
+  fechaHora = new Date(),
+  horario = null,
+  curvas = []
+}) => {
+  const mesasByNumero = new Map(mesas.map(mesa => [Number(mesa.numero), mesa]));
+  const sampled = aggregateSamplesByMesa(samples);
+
+  // Solo cuentan las mesas con empadronados conocidos (son el peso)
+  const units = sampled
+    .filter(unit => mesasByNumero.get(unit.mesa_numero)?.total_empadronados > 0)
+    .map(unit => {
+      const mesa = mesasByNumero.get(unit.mesa_numero);
+      return {
+        ...unit,
+        weight: mesa.total_empadronados,
+        stratum: getMesaStratum(mesa, stratifyBy),
+        establecimiento: mesa.establecimientos?.nombre || null
+      };
+    });
+
+  const strataTotals = buildStrataTotals(mesas, stratifyBy, fechaHora, horario, curvas);
+  const result = estimateStrata(strataTotals, units);
+  if (!result) return null;
+
+  // Influencia: cambio de la participación total al quitar cada mesa
+  const metric = result.overall.final ? 'final' : 'current';
+  const influence = units.map(unit => {
+    const without = estimateStrata(strataTotals, units.filter(u => u !== unit));
+    const stratumWeight = units
+      .filter(u => u.stratum === unit.stratum)
+      .reduce((sum, u) => sum + u.weight, 0);
+
+    return {
+      mesa_numero: unit.mesa_numero,
+      stratum: unit.stratum,
+      establecimiento: unit.establecimiento,
+      samples: unit.samples,
+      empadronados: unit.weight,
+      ratio: unit.ratio,
+      stratumWeight: unit.weight / stratumWeight,
+      influence: without?.overall[metric]
+        ? result.overall[metric].value - without.overall[metric].value
+        : null
+    };
+  }).sort((a, b) => Math.abs(b.influence ?? 0) - Math.abs(a.influence ?? 0));
+
+  const excludedSamples = samples.filter(s =>
+    s.muestra_valida && s.votos_diferencia > 0 && !(mesasByNumero.get(Number(s.mesa_numero))?.total_empadronados > 0)
+  ).length;
+
+  return {
+    ...result,
+    influenceMetric: metric,
+    influence,
+    sampledMesas: units.length,
+    excludedSamples
+  };
+};
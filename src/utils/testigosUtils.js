@@ -1,3 +1,25 @@
+// Duración máxima de una medición: pasado este tiempo el servidor la cierra
+// como vencida. Debe coincidir con `testigos_tiempo_maximo()` (migración
+// 20261019220000_testigos_ciclo_medicion.sql).
+export const MEDICION_TIMEOUT_MINUTOS = 120;
+
+// Estados del ciclo de medición (columna `testigos.estado`)
+export const TESTIGO_ESTADOS = {
+  en_curso: { label: 'En curso', color: 'bg-blue-100 text-blue-800' },
+  finalizada: { label: 'Finalizada', color: 'bg-gray-100 text-gray-800' },
+  vencida: { label: 'Vencida', color: 'bg-orange-100 text-orange-800' }
+};
+
+/**
+ * Calcula cuándo vence una medición en curso
+ * @param {object} record - Medición con `user_at`
+ * @returns {Date|null} - Fecha de vencimiento
+ */
+export const getMedicionVencimiento = (record) => {
+  if (!record?.user_at) return null;
+  return new Date(new Date(record.user_at).getTime() + MEDICION_TIMEOUT_MINUTOS * 60 * 1000);
+};
+
 /**
  * Calcula el porcentaje de eficiencia de la mesa testigo
  * @param {number} pilaFaltante - Boletas que faltaron del montón
@@ -20,28 +42,28 @@ export const classifyTestigoSample = (percentage) => {
   if (perc <= 5) {
     return {
       level: 'excellent',
-      color: 'bg-green-100 text-green-800',
+      color: 'bg-green-100 text-green-800 border-green-200',
       label: 'Excelente',
       description: 'Muestra muy confiable (±5%)'
     };
   } else if (perc <= 15) {
     return {
       level: 'good',
-      color: 'bg-blue-100 text-blue-800',
+      color: 'bg-blue-100 text-blue-800 border-blue-200',
       label: 'Buena',
       description: 'Muestra confiable (±15%)'
     };
   } else if (perc <= 30) {
     return {
       level: 'acceptable',
-      color: 'bg-yellow-100 text-yellow-800',
+      color: 'bg-yellow-100 text-yellow-800 border-yellow-200',
       label: 'Aceptable',
       description: 'Muestra con desviación moderada'
     };
   } else {
     return {
       level: 'poor',
-      color: 'bg-red-100 text-red-800',
+      color: 'bg-red-100 text-red-800 border-red-200',
       label: 'Problemática',
       description: 'Muestra con alta desviación - revisar'
     };
@@ -62,8 +84,10 @@ export const calculateAggregateStats = (samples) => {
       validSamples: 0,
       averagePercentage: 0,
       medianPercentage: 0,
+      standardDeviation: 0,
       confidenceLevel: 'low',
-      participationEstimate: 0
+      participationEstimate: 0,
+      qualityDistribution: getQualityDistribution([])
     };
   }
 
@@ -136,6 +160,9 @@ export const generateRecommendations = (stats) => {
     });
   }
 
+  // Sin muestras válidas no hay promedio ni dispersión que evaluar
+  if (stats.validSamples === 0) return recommendations;
+
   if (stats.standardDeviation > 40) {
     recommendations.push({
       type: 'error',
@@ -165,6 +192,34 @@ export const generateRecommendations = (stats) => {
   return recommendations;
 };
 
+/**
+ * Obtiene la localidad de una muestra a partir de su mesa
+ * @param {object} sample - Muestra con `mesas` embebida
+ * @returns {string} - Localidad, o 'Sin localidad'
+ */
+export const getTestigoLocalidad = (sample) => sample.mesas?.mesa_localidad || 'Sin localidad';
+
+/**
+ * Calcula estadísticas y recomendaciones de cada localidad
+ * @param {Array} samples - Array de muestras de testigos (con `mesas` embebida)
+ * @returns {Array} - [{ localidad, stats, recommendations }] ordenado por localidad
+ */
+export const calculateStatsByLocalidad = (samples) => {
+  const byLocalidad = new Map();
+  samples.forEach(sample => {
+    const localidad = getTestigoLocalidad(sample);
+    if (!byLocalidad.has(localidad)) byLocalidad.set(localidad, []);
+    byLocalidad.get(localidad).push(sample);
+  });
+
+  return [...byLocalidad.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([localidad, localidadSamples]) => {
+      const stats = calculateAggregateStats(localidadSamples);
+      return { localidad, stats, recommendations: generateRecommendations(stats) };
+    });
+};
+
 /**
  * Formatea un porcentaje para mostrar
  * @param {number} percentage - Porcentaje a formatear
@@ -0,0 +1,170 @@
+/**
+ * urlState.js
+ *
+ * Estado de navegación en la URL (query string) sin librería de ruteo: la
+ * vista activa (`vista`), los filtros de búsqueda, la paginación y los
+ * filtros de Picks y de Pendientes. Permite recargar sin perder contexto,
+ * guardar marcadores y compartir enlaces entre coordinadores.
+ *
+ * Integración con useBackButton: la URL se actualiza siempre con
+ * `history.replaceState`, conservando el `history.state` actual. Así la
+ * sesión mantiene exactamente una entrada propia en el historial y el botón
+ * "atrás" sigue abriendo el sidebar o el modal de cierre de sesión.
+ *
+ * Enlaces directos admitidos:
+ * - `?votante=12345678` → Búsqueda por ese documento
+ * - `?pendientes=1234` → Estadísticas › Pendientes de la mesa 1234
+ * - `?vista=gpicks&mesa=12&voto=no` y en general cualquier estado escrito por la app
+ */
+
+// Parámetros propios de cada vista; se descartan al cambiar de vista
+export const VIEW_PARAMS = {
+  search: ['documento', 'apellido', 'nombre', 'localidad', 'mesa', 'clase', 'voto', 'pag'],
+  gpicks: ['usuario', 'voto', 'verificado', 'pick', 'mesa', 'pag', 'orden', 'dir'],
+  stats: ['tab', 'mesa', 'pick', 'metrica', 'pag']
+};
+
+/**
+ * Lee los parámetros de la URL actual.
+ *
+ * @returns {URLSearchParams}
+ */
+export const readUrlParams = () => new URLSearchParams(window.location.search);
+
+/**
+ * Lee un parámetro de la URL actual.
+ *
+ * @param {string} key - Nombre del parámetro.
+ * @returns {string|null} Valor, o null si no está.
+ */
+export const getUrlParam = (key) => readUrlParams().get(key);
+
+/**
+ * Lee un parámetro numérico entero de la URL actual.
+ *
+ * @param {string} key - Nombre del parámetro.
+ * @returns {number|null} Valor, o null si no está o no es un entero.
+ */
+export const getUrlInt = (key) => {
+  const value = parseInt(getUrlParam(key), 10);
+  return Number.isNaN(value) ? null : value;
+};
+
+const writeUrl = (params) => {
+  const query = params.toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+  if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+    window.history.replaceState(window.history.state, '', url);
+  }
+};
+
+/**
+ * Actualiza parámetros de la URL sin agregar entradas al historial. Los
+ * valores null, undefined o '' eliminan el parámetro.
+ *
+ * @param {Object<string, string|number|boolean|null|undefined>} changes - Parámetros a escribir.
+ */
+export const updateUrlParams = (changes) => {
+  const params = readUrlParams();
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === '') {
+      params.delete(key);
+    } else {
+      params.set(key, String(value));
+    }
+  });
+  writeUrl(params);
+};
+
+/**
+ * Cambia la vista de la URL y descarta los parámetros de las demás vistas.
+ *
+ * @param {string} view - Id de la vista (ver menú del Sidebar).
+ */
+export const setUrlView = (view) => {
+  const current = readUrlParams();
+  const keep = VIEW_PARAMS[view] || [];
+  const params = new URLSearchParams();
+  params.set('vista', view);
+  if (current.get('vista') === view) {
+    keep.forEach(key => {
+      if (current.has(key)) params.set(key, current.get(key));
+    });
+  }
+  writeUrl(params);
+};
+
+/**
+ * Resuelve los enlaces directos (`votante`, `pendientes`) a su forma
+ * completa y reescribe la URL. Se llama una vez en main.jsx, antes del
+ * primer render, para que las vistas lean la forma completa en sus estados
+ * iniciales.
+ *
+ * @returns {string|null} Vista indicada por la URL, o null si no indica ninguna.
+ */
+export const resolveDeepLink = () => {
+  const params = readUrlParams();
+
+  const votante = params.get('votante');
+  if (votante) {
+    writeUrl(new URLSearchParams({ vista: 'search', documento: votante }));
+    return 'search';
+  }
+
+  const pendientes = params.get('pendientes');
+  if (pendientes) {
+    writeUrl(new URLSearchParams({ vista: 'stats', tab: 'realtime', mesa: pendientes }));
+    return 'stats';
+  }
+
+  return params.get('vista');
+};
+
+/**
+ * Convierte los filtros de SearchForm a parámetros de URL.
+ *
+ * @param {Object} filters - Filtros de búsqueda (documento, apellido, nombre,
+ *   localidad, mesa_numero, clase, voto_emitido).
+ * @param {number} page - Página actual.
+ * @returns {Object<string, string|number|null>} Parámetros para `updateUrlParams`.
+ */
+export const searchFiltersToParams = (filters, page) => ({
+  documento: filters.documento || null,
+  apellido: filters.apellido || null,
+  nombre: filters.nombre || null,
+  localidad: filters.localidad || null,
+  mesa: filters.mesa_numero ?? null,
+  clase: filters.clase ?? null,
+  voto: typeof filters.voto_emitido === 'boolean' ? (filters.voto_emitido ? 'si' : 'no') : null,
+  pag: page > 1 ? page : null
+});
+
+/**
+ * Lee de la URL los filtros de búsqueda en el formato de SearchForm.
+ *
+ * @returns {{filters: Object, page: number}|null} Filtros y página, o null si la
+ *   URL no tiene ningún filtro de búsqueda.
+ */
+export const searchFiltersFromUrl = () => {
+  const params = readUrlParams();
+  const filters = {};
+
+  ['documento', 'apellido', 'nombre', 'localidad'].forEach(key => {
+    if (params.get(key)) filters[key] = params.get(key);
+  });
+  if (getUrlInt('mesa') !== null) filters.mesa_numero = getUrlInt('mesa');
+  if (getUrlInt('clase') !== null) filters.clase = getUrlInt('clase');
+  if (params.get('voto') === 'si' || params.get('voto') === 'no') {
+    filters.voto_emitido = params.get('voto') === 'si';
+  }
+
+  if (Object.keys(filters).length === 0) return null;
+  return { filters, page: Math.max(getUrlInt('pag') || 1, 1) };
+};
+
+/**
+ * URL absoluta del estado actual, para copiar y compartir.
+ *
+ * @returns {string}
+ */
+export const getShareUrl = () => window.location.href;
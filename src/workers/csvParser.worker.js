@@ -0,0 +1,40 @@
+/**
+ * csvParser.worker.js - Parseo de CSV fuera del hilo principal
+ *
+ * Recibe `{ file }` y responde con mensajes:
+ * - `{ type: 'progress', loaded, total }` mientras lee el archivo
+ * - `{ type: 'records', records }` con los registros en lotes
+ * - `{ type: 'done', headers, errors, delimiter, encoding }` al terminar
+ * - `{ type: 'error', message }` si no se pudo leer el archivo
+ *
+ * Lo usa `parseCSVFile` de importUtils.
+ */
+
+import { parseCSVBlob } from '../utils/csvParser';
+
+// Registros por mensaje, para no clonar el padrón entero en un único postMessage
+const RECORDS_BATCH_SIZE = 5000;
+
+self.onmessage = async (event) => {
+  const { file } = event.data;
+
+  try {
+    const result = await parseCSVBlob(file, (loaded, total) => {
+      self.postMessage({ type: 'progress', loaded, total });
+    });
+
+    for (let i = 0; i < result.records.length; i += RECORDS_BATCH_SIZE) {
+      self.postMessage({ type: 'records', records: result.records.slice(i, i + RECORDS_BATCH_SIZE) });
+    }
+
+    self.postMessage({
+      type: 'done',
+      headers: result.headers,
+      errors: result.errors,
+      delimiter: result.delimiter,
+      encoding: result.encoding
+    });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
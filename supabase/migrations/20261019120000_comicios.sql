@@ -0,0 +1,64 @@
+/*
+  # Configuración del comicio
+
+  1. Nueva tabla
+    - `comicios`
+      - `id` (bigint, clave primaria)
+      - `nombre` (text) - Nombre del evento electoral
+      - `fecha` (date) - Día de la elección
+      - `descripcion` (text)
+      - `hora_apertura` (time) - Apertura de las mesas (por defecto 08:00)
+      - `hora_cierre` (time) - Cierre de las mesas (por defecto 18:00)
+      - `jurisdiccion` (text)
+      - `activo` (boolean) - Comicio vigente que gobierna la aplicación
+      - `updated_at`, `updated_by`
+
+  2. Seguridad
+    - RLS habilitado
+    - Lectura para cualquier usuario autenticado (la app la carga al iniciar)
+    - Alta y modificación solo para superusuarios y administradores (usuario_tipo <= 2)
+
+  3. Notas
+    - Solo puede existir un comicio activo a la vez (índice único parcial).
+*/
+
+CREATE TABLE IF NOT EXISTS comicios (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  nombre text NOT NULL,
+  fecha date,
+  descripcion text,
+  hora_apertura time NOT NULL DEFAULT '08:00',
+  hora_cierre time NOT NULL DEFAULT '18:00',
+  jurisdiccion text,
+  activo boolean NOT NULL DEFAULT false,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  updated_by uuid REFERENCES profiles(id),
+  CONSTRAINT comicios_horario_valido CHECK (hora_cierre > hora_apertura)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS comicios_un_solo_activo
+  ON comicios (activo) WHERE activo;
+
+ALTER TABLE comicios ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Usuarios autenticados leen comicios"
+  ON comicios FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Administradores crean comicios"
+  ON comicios FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.usuario_tipo <= 2)
+  );
+
+CREATE POLICY "Administradores modifican comicios"
+  ON comicios FOR UPDATE
+  TO authenticated
+  USING (
+    EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.usuario_tipo <= 2)
+  )
+  WITH CHECK (
+    EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.usuario_tipo <= 2)
+  );
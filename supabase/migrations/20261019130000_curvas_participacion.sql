@@ -0,0 +1,68 @@
+/*
+  # Curvas históricas de participación
+
+  1. Nueva tabla
+    - `curvas_participacion`
+      - `id` (bigint, clave primaria)
+      - `comicio_id` (bigint) - Comicio al que pertenece la curva
+      - `localidad` (text) - Localidad a la que aplica; NULL para la curva general
+      - `puntos` (jsonb) - Arreglo de { hora, minutos, porcentaje } con el
+        porcentaje acumulado del total de votos en cada hora del día
+      - `origen` (text) - 'manual' o 'importada'
+      - `updated_at`, `updated_by`
+
+  2. Seguridad
+    - RLS habilitado
+    - Lectura para cualquier usuario autenticado
+    - Alta, modificación y baja solo para superusuarios y administradores (usuario_tipo <= 2)
+
+  3. Notas
+    - Una sola curva por comicio y localidad (la general usa localidad NULL).
+    - Sin curva configurada, la aplicación usa la curva de referencia de
+      `tendenciaParticipacion.js` reescalada al horario del comicio.
+*/
+
+CREATE TABLE IF NOT EXISTS curvas_participacion (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  comicio_id bigint NOT NULL REFERENCES comicios(id) ON DELETE CASCADE,
+  localidad text,
+  puntos jsonb NOT NULL DEFAULT '[]'::jsonb,
+  origen text NOT NULL DEFAULT 'manual' CHECK (origen IN ('manual', 'importada')),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  updated_by uuid REFERENCES profiles(id),
+  CONSTRAINT curvas_participacion_puntos_arreglo CHECK (jsonb_typeof(puntos) = 'array')
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS curvas_participacion_comicio_localidad
+  ON curvas_participacion (comicio_id, COALESCE(localidad, ''));
+
+ALTER TABLE curvas_participacion ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Usuarios autenticados leen curvas"
+  ON curvas_participacion FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Administradores crean curvas"
+  ON curvas_participacion FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.usuario_tipo <= 2)
+  );
+
+CREATE POLICY "Administradores modifican curvas"
+  ON curvas_participacion FOR UPDATE
+  TO authenticated
+  USING (
+    EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.usuario_tipo <= 2)
+  )
+  WITH CHECK (
+    EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.usuario_tipo <= 2)
+  );
+
+CREATE POLICY "Administradores eliminan curvas"
+  ON curvas_participacion FOR DELETE
+  TO authenticated
+  USING (
+    EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.usuario_tipo <= 2)
+  );
@@ -0,0 +1,208 @@
+/*
+  # Historial de cambios del padrón
+
+  1. Nueva tabla
+    - `padron_historial` (solo inserción)
+      - `id` (bigint, clave primaria)
+      - `documento` (bigint) - Votante modificado
+      - `mesa_numero` (integer) - Mesa del votante al momento del cambio
+      - `accion` (text) - 'pick' | 'nota' | 'check' | 'voto'
+      - `valor_anterior`, `valor_nuevo` (jsonb) - Estado antes y después
+      - `user_id` (uuid) - Usuario que hizo el cambio
+      - `created_at` (timestamptz)
+
+  2. Trigger
+    - `padron_registrar_historial` (AFTER UPDATE en `padron`) agrega una fila
+      por cada cambio de emopick, nota, verificación o voto, sin importar
+      desde qué pantalla o servicio se haya escrito (incluida la cola offline).
+    - También AFTER DELETE: al borrar un votante (importación que elimina los
+      que no están en el archivo, reversión de una importación o baja directa)
+      registra su pick, nota, verificación y voto, si tenía, con valor nuevo NULL.
+    - El pick guarda también el `display` del emopick, para que el historial
+      siga siendo legible si el emopick se renombra o elimina.
+
+  3. Seguridad
+    - RLS habilitado, sin políticas de escritura: solo el trigger inserta.
+    - Lectura para usuarios con usuario_tipo <= 3, y para fiscales (tipo 4)
+      sobre los votantes de su mesa.
+    - Un trigger sobre la tabla impide modificar o borrar filas existentes.
+      Solo permite poner `user_id` en NULL: es lo que hace la clave foránea
+      (ON DELETE SET NULL) al eliminar un perfil.
+*/
+
+CREATE TABLE IF NOT EXISTS padron_historial (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  documento bigint NOT NULL,
+  mesa_numero integer,
+  accion text NOT NULL CHECK (accion IN ('pick', 'nota', 'check', 'voto')),
+  valor_anterior jsonb,
+  valor_nuevo jsonb,
+  user_id uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS padron_historial_documento_idx
+  ON padron_historial (documento, created_at DESC);
+
+ALTER TABLE padron_historial ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Usuarios leen historial del padron"
+  ON padron_historial FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.id = auth.uid()
+        AND (
+          profiles.usuario_tipo <= 3
+          OR (profiles.usuario_tipo = 4 AND profiles.mesa_numero = padron_historial.mesa_numero)
+        )
+    )
+  );
+
+-- Historial de solo inserción (salvo el SET NULL de user_id al borrar un perfil)
+CREATE OR REPLACE FUNCTION padron_historial_inmutable()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND OLD.user_id IS NOT NULL
+     AND NEW.user_id IS NULL
+     AND to_jsonb(NEW) - 'user_id' = to_jsonb(OLD) - 'user_id' THEN
+    RETURN NEW;
+  END IF;
+
+  RAISE EXCEPTION 'padron_historial es de solo inserción';
+END;
+$$;
+
+CREATE TRIGGER padron_historial_sin_cambios
+  BEFORE UPDATE OR DELETE ON padron_historial
+  FOR EACH ROW EXECUTE FUNCTION padron_historial_inmutable();
+
+-- Registro de cambios de pick, nota, verificación y voto (y de su borrado)
+CREATE OR REPLACE FUNCTION padron_registrar_historial()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  -- Votante eliminado: lo que tenía cargado pasa a NULL
+  IF TG_OP = 'DELETE' THEN
+    IF OLD.emopick_id IS NOT NULL THEN
+      INSERT INTO padron_historial (documento, mesa_numero, accion, valor_anterior, valor_nuevo, user_id)
+      VALUES (
+        OLD.documento,
+        OLD.mesa_numero,
+        'pick',
+        jsonb_build_object(
+          'emopick_id', OLD.emopick_id,
+          'display', (SELECT display FROM emopicks WHERE id = OLD.emopick_id)
+        ),
+        jsonb_build_object('emopick_id', NULL, 'display', NULL),
+        auth.uid()
+      );
+    END IF;
+
+    IF OLD.pick_nota IS NOT NULL THEN
+      INSERT INTO padron_historial (documento, mesa_numero, accion, valor_anterior, valor_nuevo, user_id)
+      VALUES (
+        OLD.documento,
+        OLD.mesa_numero,
+        'nota',
+        jsonb_build_object('pick_nota', OLD.pick_nota),
+        jsonb_build_object('pick_nota', NULL),
+        auth.uid()
+      );
+    END IF;
+
+    IF OLD.pick_check THEN
+      INSERT INTO padron_historial (documento, mesa_numero, accion, valor_anterior, valor_nuevo, user_id)
+      VALUES (
+        OLD.documento,
+        OLD.mesa_numero,
+        'check',
+        jsonb_build_object('pick_check', OLD.pick_check, 'pick_check_user', OLD.pick_check_user),
+        jsonb_build_object('pick_check', NULL, 'pick_check_user', NULL),
+        auth.uid()
+      );
+    END IF;
+
+    IF OLD.voto_emitido THEN
+      INSERT INTO padron_historial (documento, mesa_numero, accion, valor_anterior, valor_nuevo, user_id)
+      VALUES (
+        OLD.documento,
+        OLD.mesa_numero,
+        'voto',
+        jsonb_build_object('voto_emitido', OLD.voto_emitido, 'voto_pick_at', OLD.voto_pick_at),
+        jsonb_build_object('voto_emitido', NULL, 'voto_pick_at', NULL),
+        auth.uid()
+      );
+    END IF;
+
+    RETURN OLD;
+  END IF;
+
+  IF NEW.emopick_id IS DISTINCT FROM OLD.emopick_id THEN
+    INSERT INTO padron_historial (documento, mesa_numero, accion, valor_anterior, valor_nuevo, user_id)
+    VALUES (
+      NEW.documento,
+      NEW.mesa_numero,
+      'pick',
+      jsonb_build_object(
+        'emopick_id', OLD.emopick_id,
+        'display', (SELECT display FROM emopicks WHERE id = OLD.emopick_id)
+      ),
+      jsonb_build_object(
+        'emopick_id', NEW.emopick_id,
+        'display', (SELECT display FROM emopicks WHERE id = NEW.emopick_id)
+      ),
+      COALESCE(auth.uid(), NEW.emopick_user)
+    );
+  END IF;
+
+  IF NEW.pick_nota IS DISTINCT FROM OLD.pick_nota THEN
+    INSERT INTO padron_historial (documento, mesa_numero, accion, valor_anterior, valor_nuevo, user_id)
+    VALUES (
+      NEW.documento,
+      NEW.mesa_numero,
+      'nota',
+      jsonb_build_object('pick_nota', OLD.pick_nota),
+      jsonb_build_object('pick_nota', NEW.pick_nota),
+      COALESCE(auth.uid(), NEW.emopick_user)
+    );
+  END IF;
+
+  IF NEW.pick_check IS DISTINCT FROM OLD.pick_check THEN
+    INSERT INTO padron_historial (documento, mesa_numero, accion, valor_anterior, valor_nuevo, user_id)
+    VALUES (
+      NEW.documento,
+      NEW.mesa_numero,
+      'check',
+      jsonb_build_object('pick_check', OLD.pick_check, 'pick_check_user', OLD.pick_check_user),
+      jsonb_build_object('pick_check', NEW.pick_check, 'pick_check_user', NEW.pick_check_user),
+      COALESCE(auth.uid(), NEW.pick_check_user)
+    );
+  END IF;
+
+  IF NEW.voto_emitido IS DISTINCT FROM OLD.voto_emitido THEN
+    INSERT INTO padron_historial (documento, mesa_numero, accion, valor_anterior, valor_nuevo, user_id)
+    VALUES (
+      NEW.documento,
+      NEW.mesa_numero,
+      'voto',
+      jsonb_build_object('voto_emitido', OLD.voto_emitido, 'voto_pick_at', OLD.voto_pick_at),
+      jsonb_build_object('voto_emitido', NEW.voto_emitido, 'voto_pick_at', NEW.voto_pick_at),
+      COALESCE(auth.uid(), NEW.voto_pick_user)
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER padron_registrar_historial
+  AFTER UPDATE OR DELETE ON padron
+  FOR EACH ROW EXECUTE FUNCTION padron_registrar_historial();
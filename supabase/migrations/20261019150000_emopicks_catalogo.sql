@@ -0,0 +1,169 @@
+/*
+  # Catálogo de emopicks
+
+  1. Cambios en `emopicks`
+    - `descripcion` (text) - Significado del pick para los usuarios que lo asignan
+    - `color` (text) - Color hexadecimal (#RRGGBB) para identificarlo en listados
+    - `orden` (integer) - Posición en los selectores (menor primero)
+    - `archivado` (boolean) - Los archivados no se ofrecen al asignar picks, pero
+      se conservan en los votantes que ya los tienen y en los filtros
+    - `updated_at` (timestamptz)
+
+  2. Nuevas funciones
+    - `guardar_emopick(...)`: crea un emopick (p_id NULL) o modifica display,
+      descripción, color, orden y archivado de uno existente. Devuelve el
+      emopick guardado.
+    - `ordenar_emopicks(p_ids)`: asigna `orden` = posición (1..n) a los
+      emopicks según el orden del array.
+    - `fusionar_emopicks(p_origen, p_destino)`: reasigna todos los votantes del
+      padrón del emopick origen al destino, recalcula el contador de ambos y
+      archiva el origen. Devuelve la cantidad de votantes reasignados.
+
+  3. Seguridad
+    - Las tres funciones son SECURITY DEFINER y solo las pueden ejecutar
+      superusuarios y administradores (usuario_tipo <= 2)
+    - Los usuarios autenticados ya no pueden insertar en `emopicks` ni
+      modificar otra columna que `count`: el contador se actualiza al asignar
+      picks con los permisos de cualquier usuario, y el resto del catálogo
+      solo se edita con las funciones anteriores
+
+  4. Notas
+    - La reasignación pasa por el trigger de `padron`, por lo que cada cambio
+      queda registrado en `padron_historial` a nombre del usuario que fusionó.
+    - `emopick_user` y `pick_nota` de los votantes no se modifican.
+    - Los emopicks no se eliminan: los que quedan en desuso se archivan.
+*/
+
+ALTER TABLE emopicks ADD COLUMN IF NOT EXISTS descripcion text;
+ALTER TABLE emopicks ADD COLUMN IF NOT EXISTS color text
+  CHECK (color IS NULL OR color ~ '^#[0-9A-Fa-f]{6}$');
+ALTER TABLE emopicks ADD COLUMN IF NOT EXISTS orden integer NOT NULL DEFAULT 0;
+ALTER TABLE emopicks ADD COLUMN IF NOT EXISTS archivado boolean NOT NULL DEFAULT false;
+ALTER TABLE emopicks ADD COLUMN IF NOT EXISTS updated_at timestamptz NOT NULL DEFAULT now();
+
+-- Conserva el orden actual (por id) para los emopicks existentes
+UPDATE emopicks SET orden = id WHERE orden = 0;
+
+-- Solo el contador queda abierto a escritura directa
+REVOKE INSERT, UPDATE ON emopicks FROM anon, authenticated;
+GRANT UPDATE (count) ON emopicks TO authenticated;
+
+CREATE OR REPLACE FUNCTION guardar_emopick(
+  p_id integer,
+  p_display text,
+  p_descripcion text DEFAULT NULL,
+  p_color text DEFAULT NULL,
+  p_orden integer DEFAULT 0,
+  p_archivado boolean DEFAULT false
+)
+RETURNS emopicks
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_emopick emopicks;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM profiles WHERE id = auth.uid() AND usuario_tipo <= 2
+  ) THEN
+    RAISE EXCEPTION 'No tiene permisos para editar el catálogo de emopicks';
+  END IF;
+
+  IF nullif(trim(p_display), '') IS NULL THEN
+    RAISE EXCEPTION 'El display del emopick es obligatorio';
+  END IF;
+
+  IF p_id IS NULL THEN
+    INSERT INTO emopicks (display, descripcion, color, orden, archivado, count, updated_at)
+    VALUES (trim(p_display), p_descripcion, p_color, COALESCE(p_orden, 0), COALESCE(p_archivado, false), 0, now())
+    RETURNING * INTO v_emopick;
+  ELSE
+    UPDATE emopicks
+    SET display = trim(p_display),
+        descripcion = p_descripcion,
+        color = p_color,
+        orden = COALESCE(p_orden, 0),
+        archivado = COALESCE(p_archivado, false),
+        updated_at = now()
+    WHERE id = p_id
+    RETURNING * INTO v_emopick;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Emopick inexistente';
+    END IF;
+  END IF;
+
+  RETURN v_emopick;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION ordenar_emopicks(p_ids integer[])
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM profiles WHERE id = auth.uid() AND usuario_tipo <= 2
+  ) THEN
+    RAISE EXCEPTION 'No tiene permisos para editar el catálogo de emopicks';
+  END IF;
+
+  UPDATE emopicks e
+  SET orden = o.posicion,
+      updated_at = now()
+  FROM unnest(p_ids) WITH ORDINALITY AS o(id, posicion)
+  WHERE e.id = o.id
+    AND e.orden IS DISTINCT FROM o.posicion::integer;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION fusionar_emopicks(p_origen integer, p_destino integer)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_reasignados integer;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM profiles WHERE id = auth.uid() AND usuario_tipo <= 2
+  ) THEN
+    RAISE EXCEPTION 'No tiene permisos para fusionar emopicks';
+  END IF;
+
+  IF p_origen = p_destino THEN
+    RAISE EXCEPTION 'El emopick de origen y el de destino deben ser distintos';
+  END IF;
+
+  -- Bloquea ambos emopicks para evitar fusiones cruzadas concurrentes
+  PERFORM 1 FROM emopicks WHERE id IN (p_origen, p_destino) ORDER BY id FOR UPDATE;
+
+  IF (SELECT count(*) FROM emopicks WHERE id IN (p_origen, p_destino)) < 2 THEN
+    RAISE EXCEPTION 'Emopick inexistente';
+  END IF;
+
+  UPDATE padron SET emopick_id = p_destino WHERE emopick_id = p_origen;
+  GET DIAGNOSTICS v_reasignados = ROW_COUNT;
+
+  UPDATE emopicks e
+  SET count = (SELECT count(*) FROM padron p WHERE p.emopick_id = e.id),
+      archivado = (e.archivado OR e.id = p_origen),
+      updated_at = now()
+  WHERE e.id IN (p_origen, p_destino);
+
+  RETURN v_reasignados;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION guardar_emopick(integer, text, text, text, integer, boolean) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION guardar_emopick(integer, text, text, text, integer, boolean) TO authenticated;
+
+REVOKE ALL ON FUNCTION ordenar_emopicks(integer[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION ordenar_emopicks(integer[]) TO authenticated;
+
+REVOKE ALL ON FUNCTION fusionar_emopicks(integer, integer) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION fusionar_emopicks(integer, integer) TO authenticated;
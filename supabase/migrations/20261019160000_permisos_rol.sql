@@ -0,0 +1,112 @@
+/*
+  # Matriz de permisos por tipo de usuario
+
+  1. Nueva tabla
+    - `permisos_rol`
+      - `usuario_tipo` (integer) - Tipo de usuario (`usuariost.tipo`)
+      - `capacidad` (text) - Clave de la capacidad (ej: 'pick.edit', 'vote.mark');
+        el catálogo de claves está en `src/utils/permisosUtils.js`
+      - `updated_at`, `updated_by`
+      - Clave primaria (usuario_tipo, capacidad): una fila por capacidad otorgada
+
+  2. Nueva función
+    - `tiene_capacidad(p_capacidad text)`: si el usuario de la sesión tiene la
+      capacidad según `permisos_rol`. La usan las políticas RLS y las funciones
+      de esta migración y de las siguientes, en lugar de comparar usuario_tipo.
+
+  3. Datos iniciales
+    - Reproducen los permisos que la aplicación tenía fijos por usuario_tipo
+      (1 Superusuario, 2 Administrador, 3 General, 4 Fiscal, 5 Colaborador)
+
+  4. Seguridad
+    - RLS habilitado
+    - Lectura para cualquier usuario autenticado (cada sesión carga las de su tipo)
+    - Alta y baja solo con la capacidad 'permisos.edit'
+    - `tiene_capacidad` es SECURITY DEFINER: lee el perfil y la matriz sin
+      depender de sus políticas
+
+  5. Notas
+    - La matriz controla qué muestra y habilita la aplicación y, a través de
+      `tiene_capacidad`, qué permiten las políticas de las tablas nuevas. Las
+      migraciones anteriores a esta siguen validando por usuario_tipo.
+    - El superusuario conserva siempre 'permisos.edit' para no perder el acceso
+      a esta configuración.
+*/
+
+CREATE TABLE IF NOT EXISTS permisos_rol (
+  usuario_tipo integer NOT NULL REFERENCES usuariost(tipo) ON DELETE CASCADE,
+  capacidad text NOT NULL,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  updated_by uuid REFERENCES profiles(id),
+  PRIMARY KEY (usuario_tipo, capacidad)
+);
+
+INSERT INTO permisos_rol (usuario_tipo, capacidad)
+SELECT t.tipo, c.capacidad
+FROM (VALUES
+  ('view.search', 5),
+  ('view.gpicks', 3),
+  ('view.fiscalizar', 4),
+  ('view.testigo', 4),
+  ('view.stats', 3),
+  ('view.control', 2),
+  ('view.gusers', 2),
+  ('view.padrones', 2),
+  ('view.settings', 2),
+  ('perfil.edit', 4),
+  ('perfil.edit_mesa', 3),
+  ('pick.view', 3),
+  ('pick.edit', 3),
+  ('pick.override', 2),
+  ('vote.mark', 4),
+  ('vote.undo', 2),
+  ('padron.import', 2),
+  ('testigo.resultados', 2),
+  ('permisos.edit', 1)
+) AS c(capacidad, tipo_maximo)
+JOIN usuariost t ON t.tipo <= c.tipo_maximo
+ON CONFLICT DO NOTHING;
+
+-- El muestreo de Mesa Testigo lo hacen solo generales y fiscales
+INSERT INTO permisos_rol (usuario_tipo, capacidad)
+SELECT tipo, 'testigo.muestreo' FROM usuariost WHERE tipo IN (3, 4)
+ON CONFLICT DO NOTHING;
+
+CREATE OR REPLACE FUNCTION tiene_capacidad(p_capacidad text)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM profiles p
+    JOIN permisos_rol pr ON pr.usuario_tipo = p.usuario_tipo
+    WHERE p.id = auth.uid()
+      AND pr.capacidad = p_capacidad
+  );
+$$;
+
+REVOKE ALL ON FUNCTION tiene_capacidad(text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION tiene_capacidad(text) TO authenticated;
+
+ALTER TABLE permisos_rol ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Usuarios autenticados leen permisos"
+  ON permisos_rol FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Editores de permisos otorgan permisos"
+  ON permisos_rol FOR INSERT
+  TO authenticated
+  WITH CHECK (tiene_capacidad('permisos.edit'));
+
+CREATE POLICY "Editores de permisos quitan permisos"
+  ON permisos_rol FOR DELETE
+  TO authenticated
+  USING (
+    tiene_capacidad('permisos.edit')
+    AND NOT (usuario_tipo = 1 AND capacidad = 'permisos.edit')
+  );
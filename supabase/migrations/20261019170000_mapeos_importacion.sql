@@ -0,0 +1,56 @@
+/*
+  # Mapeos de columnas para importación de padrón
+
+  1. Nueva tabla
+    - `mapeos_importacion`
+      - `id` (bigint, clave primaria)
+      - `nombre` (text) - Nombre del mapeo (ej: 'Padrón oficial Junta Electoral')
+      - `mapeo` (jsonb) - Objeto { columnas, separadorNombre }: `columnas` asocia
+        cada encabezado del archivo a una columna del padrón (o null para ignorarlo)
+      - `updated_at`, `updated_by`
+
+  2. Seguridad
+    - RLS habilitado
+    - Lectura, alta, modificación y baja solo con la capacidad
+      'padron.import' (`tiene_capacidad`), la de quienes importan padrones
+
+  3. Notas
+    - El nombre es único sin distinguir mayúsculas: guardar con un nombre
+      existente reemplaza ese mapeo.
+    - El formato de `mapeo` se documenta en `src/utils/columnMapping.js`.
+*/
+
+CREATE TABLE IF NOT EXISTS mapeos_importacion (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  nombre text NOT NULL CHECK (length(trim(nombre)) > 0),
+  mapeo jsonb NOT NULL DEFAULT '{}'::jsonb,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  updated_by uuid REFERENCES profiles(id),
+  CONSTRAINT mapeos_importacion_mapeo_objeto CHECK (jsonb_typeof(mapeo) = 'object')
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS mapeos_importacion_nombre
+  ON mapeos_importacion (lower(nombre));
+
+ALTER TABLE mapeos_importacion ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Administradores leen mapeos"
+  ON mapeos_importacion FOR SELECT
+  TO authenticated
+  USING (tiene_capacidad('padron.import'));
+
+CREATE POLICY "Administradores crean mapeos"
+  ON mapeos_importacion FOR INSERT
+  TO authenticated
+  WITH CHECK (tiene_capacidad('padron.import'));
+
+CREATE POLICY "Administradores modifican mapeos"
+  ON mapeos_importacion FOR UPDATE
+  TO authenticated
+  USING (tiene_capacidad('padron.import'))
+  WITH CHECK (tiene_capacidad('padron.import'));
+
+CREATE POLICY "Administradores eliminan mapeos"
+  ON mapeos_importacion FOR DELETE
+  TO authenticated
+  USING (tiene_capacidad('padron.import'));
@@ -0,0 +1,249 @@
+/*
+  # Historial de importaciones del padrón con reversión
+
+  1. Nuevas tablas
+    - `importaciones_padron` (una fila por importación)
+      - `id` (bigint, clave primaria)
+      - `archivo_nombre` (text) - Nombre del archivo importado
+      - `estado` (text) - 'en_curso' | 'completada' | 'fallida' | 'revertida'
+      - `total_registros`, `insertados`, `actualizados`, `eliminados` (integer)
+      - `eliminar_no_incluidos` (boolean) - Si se eliminaron los votantes que no estaban en el archivo
+      - `error` (text) - Mensaje de error si la importación falló
+      - `created_by`, `created_at` - Quién y cuándo importó
+      - `revertida_by`, `revertida_at` - Quién y cuándo la revirtió
+    - `importaciones_padron_snapshot` (estado previo de las filas afectadas)
+      - `importacion_id` (bigint) - Importación a la que pertenece
+      - `documento` (bigint) - Votante afectado
+      - `accion` (text) - 'insertado' | 'actualizado' | 'eliminado'
+      - `fila_anterior` (jsonb) - Fila completa de `padron` antes de la importación
+        (NULL para los insertados)
+      - `fila_importada` (jsonb) - Valores que escribió la importación
+        (NULL para los eliminados)
+
+  2. Función
+    - `revertir_importacion_padron(p_importacion bigint)` restaura el padrón
+      al estado previo a la importación y recalcula los totales de `mesas`:
+      - Actualizados: cada columna vuelve a su valor anterior solo si todavía
+        tiene el valor que escribió la importación. Lo cargado después (votos,
+        picks) se conserva.
+      - Insertados: se eliminan, salvo que se hayan modificado después.
+      - Eliminados: se vuelven a insertar, salvo que el documento ya exista.
+    - Solo se puede revertir la última importación no revertida, para no
+      mezclar estados de importaciones sucesivas.
+    - Una importación que sigue 'en_curso' una hora después de empezar quedó
+      interrumpida (nunca se cerró) y se puede revertir como una fallida; así
+      tampoco bloquea la reversión de las anteriores.
+
+  3. Seguridad
+    - RLS habilitado en ambas tablas
+    - Lectura, alta y modificación solo con la capacidad 'padron.import'
+      (`tiene_capacidad`); el snapshot no se modifica una vez escrito
+    - Una importación revertida ya no se puede modificar
+    - La función valida 'padron.import' y corre como SECURITY DEFINER
+
+  4. Notas
+    - La aplicación escribe el snapshot de cada lote antes de aplicar el
+      upsert o el borrado, así una importación fallida a mitad de camino
+      también se puede revertir.
+    - Las columnas que restaura la reversión son las que escribe la
+      importación (`ALL_COLUMNS` en `src/utils/importUtils.js`).
+*/
+
+CREATE TABLE IF NOT EXISTS importaciones_padron (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  archivo_nombre text NOT NULL,
+  estado text NOT NULL DEFAULT 'en_curso'
+    CHECK (estado IN ('en_curso', 'completada', 'fallida', 'revertida')),
+  total_registros integer NOT NULL DEFAULT 0,
+  insertados integer NOT NULL DEFAULT 0,
+  actualizados integer NOT NULL DEFAULT 0,
+  eliminados integer NOT NULL DEFAULT 0,
+  eliminar_no_incluidos boolean NOT NULL DEFAULT false,
+  error text,
+  created_by uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  revertida_by uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  revertida_at timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS importaciones_padron_snapshot (
+  importacion_id bigint NOT NULL REFERENCES importaciones_padron(id) ON DELETE CASCADE,
+  documento bigint NOT NULL,
+  accion text NOT NULL CHECK (accion IN ('insertado', 'actualizado', 'eliminado')),
+  fila_anterior jsonb,
+  fila_importada jsonb,
+  PRIMARY KEY (importacion_id, documento)
+);
+
+ALTER TABLE importaciones_padron ENABLE ROW LEVEL SECURITY;
+ALTER TABLE importaciones_padron_snapshot ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Administradores leen importaciones"
+  ON importaciones_padron FOR SELECT
+  TO authenticated
+  USING (tiene_capacidad('padron.import'));
+
+CREATE POLICY "Administradores registran importaciones"
+  ON importaciones_padron FOR INSERT
+  TO authenticated
+  WITH CHECK (tiene_capacidad('padron.import'));
+
+CREATE POLICY "Administradores actualizan importaciones"
+  ON importaciones_padron FOR UPDATE
+  TO authenticated
+  USING (
+    estado <> 'revertida'
+    AND tiene_capacidad('padron.import')
+  )
+  WITH CHECK (
+    estado <> 'revertida'
+    AND tiene_capacidad('padron.import')
+  );
+
+CREATE POLICY "Administradores leen snapshots de importación"
+  ON importaciones_padron_snapshot FOR SELECT
+  TO authenticated
+  USING (tiene_capacidad('padron.import'));
+
+CREATE POLICY "Administradores escriben snapshots de importación"
+  ON importaciones_padron_snapshot FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    tiene_capacidad('padron.import')
+    AND EXISTS (
+      SELECT 1 FROM importaciones_padron i
+      WHERE i.id = importacion_id AND i.estado = 'en_curso'
+    )
+  );
+
+CREATE OR REPLACE FUNCTION revertir_importacion_padron(p_importacion bigint)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_estado text;
+  v_created_at timestamptz;
+  v_columnas text[] := ARRAY[
+    'apellido', 'nombre', 'sexo', 'clase', 'domicilio', 'mesa_numero', 'orden',
+    'da_es_nuevo', 'da_voto_obligatorio', 'da_texto_libre', 'emopick_id', 'pick_nota',
+    'pick_check', 'voto_emitido', 'voto_pick_at', 'voto_pick_user', 'emopick_user',
+    'pick_check_user', 'pick_check_at'
+  ];
+  v_columna text;
+  v_sin_cambios text;
+  v_campos_restaurados integer := 0;
+  v_filas integer;
+  v_insertados_eliminados integer;
+  v_insertados_conservados integer;
+  v_reinsertados integer;
+BEGIN
+  IF NOT tiene_capacidad('padron.import') THEN
+    RAISE EXCEPTION 'Solo administradores pueden revertir importaciones';
+  END IF;
+
+  SELECT estado, created_at INTO v_estado, v_created_at
+  FROM importaciones_padron
+  WHERE id = p_importacion
+  FOR UPDATE;
+
+  IF v_estado IS NULL THEN
+    RAISE EXCEPTION 'La importación % no existe', p_importacion;
+  END IF;
+
+  -- Una importación 'en_curso' de más de una hora quedó interrumpida (se
+  -- cerró el navegador a mitad de camino): se revierte como una fallida
+  IF v_estado NOT IN ('completada', 'fallida')
+     AND NOT (v_estado = 'en_curso' AND v_created_at < now() - interval '1 hour') THEN
+    RAISE EXCEPTION 'La importación % no se puede revertir (estado: %)', p_importacion, v_estado;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM importaciones_padron
+    WHERE id > p_importacion AND estado <> 'revertida'
+  ) THEN
+    RAISE EXCEPTION 'Hay importaciones posteriores sin revertir: reviértalas primero';
+  END IF;
+
+  -- Actualizados: restaurar cada columna que conserva el valor importado
+  FOREACH v_columna IN ARRAY v_columnas LOOP
+    EXECUTE format(
+      'UPDATE padron p
+       SET %1$I = (jsonb_populate_record(NULL::padron, s.fila_anterior)).%1$I
+       FROM importaciones_padron_snapshot s
+       WHERE s.importacion_id = $1
+         AND s.accion = ''actualizado''
+         AND p.documento = s.documento
+         AND p.%1$I IS NOT DISTINCT FROM (jsonb_populate_record(NULL::padron, s.fila_importada)).%1$I
+         AND p.%1$I IS DISTINCT FROM (jsonb_populate_record(NULL::padron, s.fila_anterior)).%1$I',
+      v_columna
+    ) USING p_importacion;
+    GET DIAGNOSTICS v_filas = ROW_COUNT;
+    v_campos_restaurados := v_campos_restaurados + v_filas;
+  END LOOP;
+
+  -- Insertados: eliminar los que siguen tal como los dejó la importación
+  SELECT string_agg(
+    format('p.%1$I IS NOT DISTINCT FROM (jsonb_populate_record(NULL::padron, s.fila_importada)).%1$I', c),
+    ' AND '
+  )
+  INTO v_sin_cambios
+  FROM unnest(v_columnas) AS c;
+
+  EXECUTE format(
+    'DELETE FROM padron p
+     USING importaciones_padron_snapshot s
+     WHERE s.importacion_id = $1
+       AND s.accion = ''insertado''
+       AND p.documento = s.documento
+       AND %s',
+    v_sin_cambios
+  ) USING p_importacion;
+  GET DIAGNOSTICS v_insertados_eliminados = ROW_COUNT;
+
+  SELECT count(*) INTO v_insertados_conservados
+  FROM importaciones_padron_snapshot s
+  JOIN padron p ON p.documento = s.documento
+  WHERE s.importacion_id = p_importacion AND s.accion = 'insertado';
+
+  -- Eliminados: volver a insertar la fila completa
+  INSERT INTO padron
+  SELECT (jsonb_populate_record(NULL::padron, s.fila_anterior)).*
+  FROM importaciones_padron_snapshot s
+  WHERE s.importacion_id = p_importacion
+    AND s.accion = 'eliminado'
+    AND s.fila_anterior IS NOT NULL
+  ON CONFLICT (documento) DO NOTHING;
+  GET DIAGNOSTICS v_reinsertados = ROW_COUNT;
+
+  -- Recalcular los totales de todas las mesas
+  UPDATE mesas m
+  SET total_empadronados = t.empadronados,
+      total_votaron = t.votaron
+  FROM (
+    SELECT mesas.numero,
+           count(p.documento) AS empadronados,
+           count(p.documento) FILTER (WHERE p.voto_emitido) AS votaron
+    FROM mesas
+    LEFT JOIN padron p ON p.mesa_numero = mesas.numero
+    GROUP BY mesas.numero
+  ) t
+  WHERE m.numero = t.numero;
+
+  UPDATE importaciones_padron
+  SET estado = 'revertida',
+      revertida_by = auth.uid(),
+      revertida_at = now()
+  WHERE id = p_importacion;
+
+  RETURN jsonb_build_object(
+    'campos_restaurados', v_campos_restaurados,
+    'insertados_eliminados', v_insertados_eliminados,
+    'insertados_conservados', v_insertados_conservados,
+    'eliminados_restaurados', v_reinsertados
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION revertir_importacion_padron(bigint) TO authenticated;
@@ -0,0 +1,180 @@
+/*
+  # Totales de mesas mantenidos en la base
+
+  1. Triggers
+    - `padron_totales_mesas_insert`, `padron_totales_mesas_update` y
+      `padron_totales_mesas_delete` (AFTER ... FOR EACH STATEMENT en `padron`)
+      aplican a `mesas.total_empadronados` y `mesas.total_votaron` la
+      diferencia de cada sentencia, agrupada por mesa. Cubren la importación,
+      el marcado de votos de los fiscales, la cola offline y los cambios de mesa.
+    - Usan tablas de transición: un lote de 500 filas actualiza cada mesa
+      afectada una sola vez.
+
+  2. Función
+    - `recalcular_totales_mesas(p_aplicar boolean DEFAULT true)` recuenta
+      todas las mesas en una sola consulta contra `padron` y devuelve las que
+      no coincidían (informe de consistencia). Con `p_aplicar = false` solo
+      informa, sin corregir.
+    - SECURITY DEFINER, solo con la capacidad 'view.control' (`tiene_capacidad`),
+      la del control de mesas desde donde se ejecuta
+
+  3. Datos
+    - Se recalculan los totales de todas las mesas al aplicar la migración.
+
+  4. Notas
+    - Los votantes con `mesa_numero` NULL o sin mesa existente no suman en
+      ninguna mesa.
+    - Los totales no se editan a mano desde la aplicación (MesasView los
+      muestra de solo lectura); los desvíos se corrigen con el recálculo.
+    - `supabase/fixtures/totales_mesas.sql` prueba los triggers contra la base
+      local (altas, votos, cambios de mesa y bajas) y el informe de consistencia.
+*/
+
+CREATE OR REPLACE FUNCTION padron_aplicar_totales_mesas()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    UPDATE mesas m
+    SET total_empadronados = COALESCE(m.total_empadronados, 0) + d.empadronados,
+        total_votaron = COALESCE(m.total_votaron, 0) + d.votaron
+    FROM (
+      SELECT mesa_numero,
+             count(*) AS empadronados,
+             count(*) FILTER (WHERE voto_emitido) AS votaron
+      FROM nuevas
+      WHERE mesa_numero IS NOT NULL
+      GROUP BY mesa_numero
+    ) d
+    WHERE m.numero = d.mesa_numero;
+
+  ELSIF TG_OP = 'DELETE' THEN
+    UPDATE mesas m
+    SET total_empadronados = GREATEST(COALESCE(m.total_empadronados, 0) - d.empadronados, 0),
+        total_votaron = GREATEST(COALESCE(m.total_votaron, 0) - d.votaron, 0)
+    FROM (
+      SELECT mesa_numero,
+             count(*) AS empadronados,
+             count(*) FILTER (WHERE voto_emitido) AS votaron
+      FROM viejas
+      WHERE mesa_numero IS NOT NULL
+      GROUP BY mesa_numero
+    ) d
+    WHERE m.numero = d.mesa_numero;
+
+  ELSE
+    -- UPDATE: +1 por la fila nueva y -1 por la anterior; solo se escriben
+    -- las mesas cuyo total cambia (un cambio de pick no toca `mesas`)
+    UPDATE mesas m
+    SET total_empadronados = GREATEST(COALESCE(m.total_empadronados, 0) + d.empadronados, 0),
+        total_votaron = GREATEST(COALESCE(m.total_votaron, 0) + d.votaron, 0)
+    FROM (
+      SELECT mesa_numero,
+             sum(empadronados) AS empadronados,
+             sum(votaron) AS votaron
+      FROM (
+        SELECT mesa_numero, 1 AS empadronados, CASE WHEN voto_emitido THEN 1 ELSE 0 END AS votaron
+        FROM nuevas
+        UNION ALL
+        SELECT mesa_numero, -1, CASE WHEN voto_emitido THEN -1 ELSE 0 END
+        FROM viejas
+      ) cambios
+      WHERE mesa_numero IS NOT NULL
+      GROUP BY mesa_numero
+      HAVING sum(empadronados) <> 0 OR sum(votaron) <> 0
+    ) d
+    WHERE m.numero = d.mesa_numero;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS padron_totales_mesas_insert ON padron;
+CREATE TRIGGER padron_totales_mesas_insert
+  AFTER INSERT ON padron
+  REFERENCING NEW TABLE AS nuevas
+  FOR EACH STATEMENT
+  EXECUTE FUNCTION padron_aplicar_totales_mesas();
+
+DROP TRIGGER IF EXISTS padron_totales_mesas_update ON padron;
+CREATE TRIGGER padron_totales_mesas_update
+  AFTER UPDATE ON padron
+  REFERENCING OLD TABLE AS viejas NEW TABLE AS nuevas
+  FOR EACH STATEMENT
+  EXECUTE FUNCTION padron_aplicar_totales_mesas();
+
+DROP TRIGGER IF EXISTS padron_totales_mesas_delete ON padron;
+CREATE TRIGGER padron_totales_mesas_delete
+  AFTER DELETE ON padron
+  REFERENCING OLD TABLE AS viejas
+  FOR EACH STATEMENT
+  EXECUTE FUNCTION padron_aplicar_totales_mesas();
+
+CREATE OR REPLACE FUNCTION recalcular_totales_mesas(p_aplicar boolean DEFAULT true)
+RETURNS TABLE (
+  numero integer,
+  empadronados_antes integer,
+  votaron_antes integer,
+  empadronados integer,
+  votaron integer
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+BEGIN
+  IF NOT tiene_capacidad('view.control') THEN
+    RAISE EXCEPTION 'Sin permiso para recalcular los totales de mesas';
+  END IF;
+
+  RETURN QUERY
+  WITH conteo AS (
+    SELECT m.numero::integer AS numero,
+           m.total_empadronados::integer AS empadronados_antes,
+           m.total_votaron::integer AS votaron_antes,
+           count(p.documento)::integer AS empadronados,
+           (count(p.documento) FILTER (WHERE p.voto_emitido))::integer AS votaron
+    FROM mesas m
+    LEFT JOIN padron p ON p.mesa_numero = m.numero
+    GROUP BY m.numero, m.total_empadronados, m.total_votaron
+  ),
+  diferencias AS (
+    SELECT *
+    FROM conteo
+    WHERE empadronados_antes IS DISTINCT FROM empadronados
+       OR votaron_antes IS DISTINCT FROM votaron
+  ),
+  corregidas AS (
+    UPDATE mesas m
+    SET total_empadronados = d.empadronados,
+        total_votaron = d.votaron
+    FROM diferencias d
+    WHERE p_aplicar AND m.numero = d.numero
+    RETURNING m.numero
+  )
+  SELECT d.numero, d.empadronados_antes, d.votaron_antes, d.empadronados, d.votaron
+  FROM diferencias d
+  ORDER BY d.numero;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION recalcular_totales_mesas(boolean) TO authenticated;
+
+-- Punto de partida consistente para los triggers
+UPDATE mesas m
+SET total_empadronados = t.empadronados,
+    total_votaron = t.votaron
+FROM (
+  SELECT mesas.numero,
+         count(p.documento) AS empadronados,
+         count(p.documento) FILTER (WHERE p.voto_emitido) AS votaron
+  FROM mesas
+  LEFT JOIN padron p ON p.mesa_numero = mesas.numero
+  GROUP BY mesas.numero
+) t
+WHERE m.numero = t.numero;
@@ -0,0 +1,183 @@
+/*
+  # Búsqueda de votantes tolerante a acentos y errores de tipeo
+
+  1. Extensiones
+    - `unaccent` y `pg_trgm` (en el esquema `extensions`).
+
+  2. Funciones
+    - `normalizar_busqueda(text)` (IMMUTABLE): quita acentos, pasa a
+      mayúsculas y reemplaza todo lo que no sea letra o dígito por un espacio.
+      "Núñez, José" → "NUNEZ JOSE".
+    - `buscar_padron(...)` devuelve una página de documentos ordenada por
+      relevancia, con el total de coincidencias. Cada palabra buscada debe
+      aparecer en "APELLIDO NOMBRE" (en cualquier orden), ya sea como texto
+      o por similitud de trigramas (un error de tipeo por palabra). Los
+      filtros de localidad, mesa, clase y voto se aplican en la misma consulta.
+    - `sugerir_busqueda(p_texto)` propone el texto corregido ("quisiste
+      decir") reemplazando cada palabra por la más parecida del padrón.
+
+  3. Índice
+    - `padron_nombre_busqueda_trgm_idx`: GIN de trigramas sobre la expresión
+      normalizada, usado por LIKE y por el operador `<%`.
+
+  4. Seguridad
+    - Las funciones son SECURITY INVOKER: se aplican las políticas de `padron`
+      del usuario que busca.
+
+  5. Notas
+    - `supabase/fixtures/padron_busqueda.sql` prueba las funciones contra un
+      padrón de ejemplo en la base local (acentos, orden de palabras, errores
+      de tipeo y sugerencias).
+    - No se agrega ninguna columna a `padron`: la reversión de importaciones
+      reinserta filas completas con `jsonb_populate_record`.
+*/
+
+CREATE EXTENSION IF NOT EXISTS unaccent WITH SCHEMA extensions;
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA extensions;
+
+CREATE OR REPLACE FUNCTION normalizar_busqueda(p_texto text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+PARALLEL SAFE
+SET search_path = public, extensions
+AS $$
+  SELECT btrim(regexp_replace(
+    upper(extensions.unaccent('extensions.unaccent'::regdictionary, coalesce(p_texto, ''))),
+    '[^A-Z0-9]+', ' ', 'g'
+  ));
+$$;
+
+CREATE INDEX IF NOT EXISTS padron_nombre_busqueda_trgm_idx
+  ON padron USING gin (
+    normalizar_busqueda(coalesce(apellido, '') || ' ' || coalesce(nombre, ''))
+    extensions.gin_trgm_ops
+  );
+
+CREATE OR REPLACE FUNCTION buscar_padron(
+  p_texto text,
+  p_localidad text DEFAULT NULL,
+  p_mesa integer DEFAULT NULL,
+  p_clase integer DEFAULT NULL,
+  p_voto boolean DEFAULT NULL,
+  p_limit integer DEFAULT 25,
+  p_offset integer DEFAULT 0
+)
+RETURNS TABLE (documento bigint, puntaje real, total bigint)
+LANGUAGE plpgsql
+STABLE
+SET search_path = public, extensions
+SET pg_trgm.word_similarity_threshold = 0.5
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_palabras text[];
+  v_principal text;
+BEGIN
+  v_palabras := array_remove(string_to_array(normalizar_busqueda(p_texto), ' '), '');
+  IF coalesce(array_length(v_palabras, 1), 0) = 0 THEN
+    RETURN;
+  END IF;
+
+  -- La palabra más larga es la más selectiva: filtra con el índice
+  SELECT w INTO v_principal
+  FROM unnest(v_palabras) AS w
+  ORDER BY length(w) DESC
+  LIMIT 1;
+
+  RETURN QUERY
+  WITH candidatos AS (
+    SELECT p.documento,
+           p.apellido,
+           p.nombre,
+           normalizar_busqueda(coalesce(p.apellido, '') || ' ' || coalesce(p.nombre, '')) AS texto
+    FROM padron p
+    JOIN mesas m ON m.numero = p.mesa_numero
+    WHERE (
+        normalizar_busqueda(coalesce(p.apellido, '') || ' ' || coalesce(p.nombre, '')) LIKE '%' || v_principal || '%'
+        OR v_principal <% normalizar_busqueda(coalesce(p.apellido, '') || ' ' || coalesce(p.nombre, ''))
+      )
+      AND (p_localidad IS NULL OR m.mesa_localidad ILIKE '%' || p_localidad || '%')
+      AND (p_mesa IS NULL OR p.mesa_numero = p_mesa)
+      AND (p_clase IS NULL OR p.clase = p_clase)
+      AND (p_voto IS NULL OR p.voto_emitido = p_voto)
+  ),
+  puntuados AS (
+    SELECT c.documento,
+           c.apellido,
+           c.nombre,
+           (
+             SELECT avg(
+               CASE
+                 WHEN ' ' || c.texto || ' ' LIKE '% ' || w || ' %' THEN 1.0
+                 WHEN c.texto LIKE '%' || w || '%' THEN 0.9
+                 ELSE word_similarity(w, c.texto)
+               END
+             )
+             FROM unnest(v_palabras) AS w
+           )::real AS puntaje
+    FROM candidatos c
+    -- Todas las palabras tienen que coincidir
+    WHERE NOT EXISTS (
+      SELECT 1
+      FROM unnest(v_palabras) AS w
+      WHERE NOT (c.texto LIKE '%' || w || '%' OR w <% c.texto)
+    )
+  )
+  SELECT p.documento, p.puntaje, count(*) OVER () AS total
+  FROM puntuados p
+  ORDER BY p.puntaje DESC, p.apellido, p.nombre, p.documento
+  LIMIT p_limit
+  OFFSET p_offset;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION sugerir_busqueda(p_texto text)
+RETURNS text
+LANGUAGE plpgsql
+STABLE
+SET search_path = public, extensions
+SET pg_trgm.word_similarity_threshold = 0.3
+AS $$
+DECLARE
+  v_palabra text;
+  v_mejor text;
+  v_resultado text[] := ARRAY[]::text[];
+  v_cambio boolean := false;
+BEGIN
+  FOREACH v_palabra IN ARRAY array_remove(string_to_array(normalizar_busqueda(p_texto), ' '), '') LOOP
+    -- Entre los votantes que contienen una palabra parecida, la palabra más similar
+    v_mejor := NULL;
+    SELECT palabra INTO v_mejor
+    FROM (
+      SELECT regexp_split_to_table(
+        normalizar_busqueda(coalesce(p.apellido, '') || ' ' || coalesce(p.nombre, '')),
+        ' '
+      ) AS palabra
+      FROM padron p
+      WHERE v_palabra <% normalizar_busqueda(coalesce(p.apellido, '') || ' ' || coalesce(p.nombre, ''))
+      LIMIT 200
+    ) palabras
+    WHERE length(palabra) > 1
+    ORDER BY similarity(v_palabra, palabra) DESC, palabra
+    LIMIT 1;
+
+    IF v_mejor IS NOT NULL AND v_mejor <> v_palabra THEN
+      v_cambio := true;
+      v_resultado := v_resultado || v_mejor;
+    ELSE
+      v_resultado := v_resultado || v_palabra;
+    END IF;
+  END LOOP;
+
+  IF NOT v_cambio THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN array_to_string(v_resultado, ' ');
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION normalizar_busqueda(text) TO authenticated;
+GRANT EXECUTE ON FUNCTION buscar_padron(text, text, integer, integer, boolean, integer, integer) TO authenticated;
+GRANT EXECUTE ON FUNCTION sugerir_busqueda(text) TO authenticated;
@@ -0,0 +1,168 @@
+/*
+  # Búsquedas guardadas y listas de votantes
+
+  1. Nuevas tablas
+    - `busquedas_guardadas` (filtros con nombre, por usuario)
+      - `id` (bigint, clave primaria)
+      - `user_id` (uuid) - Dueño de la búsqueda
+      - `vista` (text) - 'search' (Búsqueda) | 'pendientes' (Estadísticas › Pendientes)
+      - `nombre` (text) - Nombre de la búsqueda (único por usuario y vista,
+        sin distinguir mayúsculas)
+      - `filtros` (jsonb) - Filtros en el formato de la vista (ver
+        `src/services/busquedasGuardadasService.js`)
+      - `compartida` (boolean) - Visible para el equipo de coordinación
+      - `created_at`, `updated_at`
+    - `listas_votantes` (listas estáticas de votantes)
+      - `id` (bigint, clave primaria)
+      - `user_id` (uuid) - Dueño de la lista
+      - `nombre` (text) - Nombre de la lista (único por usuario, sin
+        distinguir mayúsculas)
+      - `compartida` (boolean) - Visible para el equipo de coordinación
+      - `created_at`, `updated_at`
+    - `listas_votantes_items` (votantes de cada lista)
+      - `lista_id` (bigint) - Lista a la que pertenece
+      - `documento` (bigint) - Votante
+      - `added_by`, `added_at` - Quién y cuándo lo agregó
+      - Clave primaria (lista_id, documento): un votante aparece una sola vez por lista
+
+  2. Seguridad
+    - RLS habilitado en las tres tablas
+    - Cada usuario lee, crea, modifica y elimina sus búsquedas y listas, y
+      agrega o quita votantes de sus listas
+    - Las búsquedas y listas compartidas las leen, además, los usuarios del
+      equipo de coordinación: los que tienen la capacidad 'pick.view'
+      (`tiene_capacidad`), con la que ven picks y votos en las búsquedas
+
+  3. Notas
+    - `listas_votantes_items.documento` no tiene clave foránea a `padron`:
+      una importación que elimina un votante (y su reversión) no debe
+      vaciar las listas. Los votantes que ya no están en el padrón se
+      muestran como tales al abrir la lista.
+    - El estado de voto no se guarda en la lista: se lee de `padron` al abrirla.
+*/
+
+CREATE TABLE IF NOT EXISTS busquedas_guardadas (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id uuid NOT NULL DEFAULT auth.uid() REFERENCES profiles(id) ON DELETE CASCADE,
+  vista text NOT NULL CHECK (vista IN ('search', 'pendientes')),
+  nombre text NOT NULL CHECK (length(trim(nombre)) > 0),
+  filtros jsonb NOT NULL DEFAULT '{}'::jsonb,
+  compartida boolean NOT NULL DEFAULT false,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT busquedas_guardadas_filtros_objeto CHECK (jsonb_typeof(filtros) = 'object')
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS busquedas_guardadas_usuario_nombre
+  ON busquedas_guardadas (user_id, vista, lower(nombre));
+
+CREATE TABLE IF NOT EXISTS listas_votantes (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id uuid NOT NULL DEFAULT auth.uid() REFERENCES profiles(id) ON DELETE CASCADE,
+  nombre text NOT NULL CHECK (length(trim(nombre)) > 0),
+  compartida boolean NOT NULL DEFAULT false,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS listas_votantes_usuario_nombre
+  ON listas_votantes (user_id, lower(nombre));
+
+CREATE TABLE IF NOT EXISTS listas_votantes_items (
+  lista_id bigint NOT NULL REFERENCES listas_votantes(id) ON DELETE CASCADE,
+  documento bigint NOT NULL,
+  added_by uuid REFERENCES profiles(id) ON DELETE SET NULL DEFAULT auth.uid(),
+  added_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (lista_id, documento)
+);
+
+ALTER TABLE busquedas_guardadas ENABLE ROW LEVEL SECURITY;
+ALTER TABLE listas_votantes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE listas_votantes_items ENABLE ROW LEVEL SECURITY;
+
+-- Búsquedas guardadas
+
+CREATE POLICY "Usuarios leen sus búsquedas y las compartidas"
+  ON busquedas_guardadas FOR SELECT
+  TO authenticated
+  USING (
+    user_id = auth.uid()
+    OR (
+      compartida
+      AND tiene_capacidad('pick.view')
+    )
+  );
+
+CREATE POLICY "Usuarios crean sus búsquedas"
+  ON busquedas_guardadas FOR INSERT
+  TO authenticated
+  WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Usuarios modifican sus búsquedas"
+  ON busquedas_guardadas FOR UPDATE
+  TO authenticated
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Usuarios eliminan sus búsquedas"
+  ON busquedas_guardadas FOR DELETE
+  TO authenticated
+  USING (user_id = auth.uid());
+
+-- Listas de votantes
+
+CREATE POLICY "Usuarios leen sus listas y las compartidas"
+  ON listas_votantes FOR SELECT
+  TO authenticated
+  USING (
+    user_id = auth.uid()
+    OR (
+      compartida
+      AND tiene_capacidad('pick.view')
+    )
+  );
+
+CREATE POLICY "Usuarios crean sus listas"
+  ON listas_votantes FOR INSERT
+  TO authenticated
+  WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Usuarios modifican sus listas"
+  ON listas_votantes FOR UPDATE
+  TO authenticated
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Usuarios eliminan sus listas"
+  ON listas_votantes FOR DELETE
+  TO authenticated
+  USING (user_id = auth.uid());
+
+-- Votantes de las listas: visibles si la lista es visible, editables por su dueño
+
+CREATE POLICY "Usuarios leen los votantes de las listas visibles"
+  ON listas_votantes_items FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (SELECT 1 FROM listas_votantes l WHERE l.id = listas_votantes_items.lista_id)
+  );
+
+CREATE POLICY "Usuarios agregan votantes a sus listas"
+  ON listas_votantes_items FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM listas_votantes l
+      WHERE l.id = listas_votantes_items.lista_id AND l.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Usuarios quitan votantes de sus listas"
+  ON listas_votantes_items FOR DELETE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM listas_votantes l
+      WHERE l.id = listas_votantes_items.lista_id AND l.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,330 @@
+/*
+  # Ciclo de medición de Mesa Testigo
+
+  1. Cambios en `testigos`
+    - `estado` (text): 'en_curso' (iniciada), 'finalizada' (con pila faltante y
+      votos diferencia) o 'vencida' (abandonada, cerrada por tiempo)
+    - `finalizada_at` (timestamptz): cierre de la medición (finalizada o vencida)
+    - `observacion` (text): anotación del fiscal o del supervisor
+    - `revisada_por`, `revisada_at`: última revisión de validez de la muestra
+    - Las filas existentes con datos finales quedan 'finalizada'; las abiertas
+      que superan el tiempo máximo o comparten mesa con otra más reciente
+      quedan 'vencida'.
+
+  2. Protección en el servidor
+    - Índice único parcial `testigos_una_medicion_abierta`: una sola medición
+      'en_curso' por mesa, también para inserciones directas.
+    - Trigger `testigos_estado_por_datos`: una actualización directa que
+      completa pila_faltante y votos_diferencia pasa la medición a 'finalizada'.
+
+  3. Funciones (SECURITY DEFINER)
+    - `testigos_tiempo_maximo()`: duración máxima de una medición (120 minutos).
+      Debe coincidir con MEDICION_TIMEOUT_MINUTOS de `src/utils/testigosUtils.js`.
+    - `cerrar_mediciones_vencidas(p_mesa_numero)`: pasa a 'vencida' (y no válida)
+      las mediciones abiertas que superaron el tiempo máximo, de una mesa o de todas.
+    - `iniciar_medicion_testigo(p_mesa_numero, p_pila_inicio)`: toma los votos de
+      inicio de `mesas.total_votaron` y crea la medición. Solo en la mesa asignada
+      del usuario (los supervisores, en cualquiera).
+    - `finalizar_medicion_testigo(p_testigo, p_pila_retirada)`: calcula pila
+      faltante y votos diferencia. Si la medición superó el tiempo máximo la
+      devuelve 'vencida' sin finalizarla.
+    - `cancelar_medicion_testigo(p_testigo)`: elimina una medición en curso.
+    - `revisar_muestra_testigo(p_testigo, p_valida, p_observacion)`: marca la
+      muestra válida o no válida con una observación (NULL conserva la anterior).
+      Quien la registró puede revisarla hasta que lo haga un supervisor
+      (capacidad 'testigo.resultados').
+    - Los supervisores (`tiene_capacidad('testigo.resultados')`) también miden
+      en cualquier mesa y finalizan o cancelan mediciones ajenas.
+
+  4. Notas
+    - Las mediciones vencidas se cierran al iniciar o finalizar una medición y
+      al abrir las vistas de Mesa Testigo; no hace falta un proceso programado.
+*/
+
+ALTER TABLE testigos ADD COLUMN IF NOT EXISTS estado text NOT NULL DEFAULT 'en_curso';
+ALTER TABLE testigos ADD COLUMN IF NOT EXISTS finalizada_at timestamptz;
+ALTER TABLE testigos ADD COLUMN IF NOT EXISTS observacion text;
+ALTER TABLE testigos ADD COLUMN IF NOT EXISTS revisada_por uuid REFERENCES profiles(id);
+ALTER TABLE testigos ADD COLUMN IF NOT EXISTS revisada_at timestamptz;
+
+CREATE OR REPLACE FUNCTION testigos_tiempo_maximo()
+RETURNS interval
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT interval '120 minutes';
+$$;
+
+-- Estado de los registros existentes
+UPDATE testigos
+SET estado = 'finalizada',
+    finalizada_at = COALESCE(finalizada_at, user_at)
+WHERE pila_faltante IS NOT NULL
+  AND votos_diferencia IS NOT NULL;
+
+UPDATE testigos t
+SET estado = 'vencida',
+    muestra_valida = false,
+    finalizada_at = now()
+WHERE t.estado = 'en_curso'
+  AND (
+    t.user_at < now() - testigos_tiempo_maximo()
+    OR EXISTS (
+      SELECT 1 FROM testigos o
+      WHERE o.mesa_numero = t.mesa_numero
+        AND o.estado = 'en_curso'
+        AND (o.user_at, o.id) > (t.user_at, t.id)
+    )
+  );
+
+ALTER TABLE testigos DROP CONSTRAINT IF EXISTS testigos_estado_check;
+ALTER TABLE testigos ADD CONSTRAINT testigos_estado_check
+  CHECK (estado IN ('en_curso', 'finalizada', 'vencida'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS testigos_una_medicion_abierta
+  ON testigos (mesa_numero)
+  WHERE estado = 'en_curso';
+
+CREATE INDEX IF NOT EXISTS testigos_estado_user_at_idx
+  ON testigos (estado, user_at);
+
+CREATE OR REPLACE FUNCTION testigos_estado_por_datos()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.estado = 'en_curso'
+     AND NEW.pila_faltante IS NOT NULL
+     AND NEW.votos_diferencia IS NOT NULL THEN
+    NEW.estado := 'finalizada';
+    NEW.finalizada_at := COALESCE(NEW.finalizada_at, now());
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS testigos_estado_por_datos ON testigos;
+CREATE TRIGGER testigos_estado_por_datos
+  BEFORE UPDATE ON testigos
+  FOR EACH ROW EXECUTE FUNCTION testigos_estado_por_datos();
+
+CREATE OR REPLACE FUNCTION cerrar_mediciones_vencidas(p_mesa_numero integer DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_cerradas integer;
+BEGIN
+  UPDATE testigos
+  SET estado = 'vencida',
+      muestra_valida = false,
+      finalizada_at = now(),
+      observacion = COALESCE(observacion, 'Cerrada automáticamente por superar el tiempo máximo')
+  WHERE estado = 'en_curso'
+    AND user_at < now() - testigos_tiempo_maximo()
+    AND (p_mesa_numero IS NULL OR mesa_numero = p_mesa_numero);
+
+  GET DIAGNOSTICS v_cerradas = ROW_COUNT;
+  RETURN v_cerradas;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION iniciar_medicion_testigo(p_mesa_numero integer, p_pila_inicio integer)
+RETURNS testigos
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_mesa_asignada integer;
+  v_votos integer;
+  v_abierta_por text;
+  v_testigo testigos;
+BEGIN
+  SELECT mesa_numero INTO v_mesa_asignada
+  FROM profiles
+  WHERE id = auth.uid();
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Usuario sin perfil';
+  END IF;
+
+  IF NOT tiene_capacidad('testigo.resultados') AND v_mesa_asignada IS DISTINCT FROM p_mesa_numero THEN
+    RAISE EXCEPTION 'Solo puede medir en su mesa asignada';
+  END IF;
+
+  IF p_pila_inicio IS NULL OR p_pila_inicio <= 0 OR p_pila_inicio > 1000 THEN
+    RAISE EXCEPTION 'La pila inicial debe estar entre 1 y 1000';
+  END IF;
+
+  PERFORM cerrar_mediciones_vencidas(p_mesa_numero);
+
+  SELECT COALESCE(total_votaron, 0) INTO v_votos
+  FROM mesas
+  WHERE numero = p_mesa_numero;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'La mesa % no existe', p_mesa_numero;
+  END IF;
+
+  BEGIN
+    INSERT INTO testigos (mesa_numero, pila_inicio, votos_inicio, user_id, user_at, estado)
+    VALUES (p_mesa_numero, p_pila_inicio, v_votos, auth.uid(), now(), 'en_curso')
+    RETURNING * INTO v_testigo;
+  EXCEPTION WHEN unique_violation THEN
+    SELECT COALESCE(p.full_name, 'otro usuario') INTO v_abierta_por
+    FROM testigos t
+    LEFT JOIN profiles p ON p.id = t.user_id
+    WHERE t.mesa_numero = p_mesa_numero AND t.estado = 'en_curso';
+
+    RAISE EXCEPTION 'Ya hay una medición en curso en la mesa % (iniciada por %)', p_mesa_numero, v_abierta_por;
+  END;
+
+  RETURN v_testigo;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION finalizar_medicion_testigo(p_testigo bigint, p_pila_retirada integer)
+RETURNS testigos
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_testigo testigos;
+  v_votos integer;
+BEGIN
+  SELECT * INTO v_testigo
+  FROM testigos
+  WHERE id = p_testigo
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'La medición % no existe', p_testigo;
+  END IF;
+
+  IF v_testigo.user_id IS DISTINCT FROM auth.uid() AND NOT tiene_capacidad('testigo.resultados') THEN
+    RAISE EXCEPTION 'Solo quien inició la medición puede finalizarla';
+  END IF;
+
+  IF v_testigo.estado <> 'en_curso' THEN
+    RAISE EXCEPTION 'La medición ya no está en curso (estado: %)', v_testigo.estado;
+  END IF;
+
+  -- Abandonada: se cierra como vencida y se devuelve sin finalizar
+  IF v_testigo.user_at < now() - testigos_tiempo_maximo() THEN
+    PERFORM cerrar_mediciones_vencidas(v_testigo.mesa_numero);
+    SELECT * INTO v_testigo FROM testigos WHERE id = p_testigo;
+    RETURN v_testigo;
+  END IF;
+
+  IF p_pila_retirada IS NULL OR p_pila_retirada < 0 OR p_pila_retirada > v_testigo.pila_inicio THEN
+    RAISE EXCEPTION 'La pila retirada debe estar entre 0 y la pila inicial (%)', v_testigo.pila_inicio;
+  END IF;
+
+  SELECT COALESCE(total_votaron, 0) INTO v_votos
+  FROM mesas
+  WHERE numero = v_testigo.mesa_numero;
+
+  IF v_votos < COALESCE(v_testigo.votos_inicio, 0) THEN
+    RAISE EXCEPTION 'El conteo de votos de la mesa disminuyó durante la medición';
+  END IF;
+
+  UPDATE testigos
+  SET pila_retirada = p_pila_retirada,
+      pila_faltante = pila_inicio - p_pila_retirada,
+      votos_diferencia = v_votos - COALESCE(votos_inicio, 0),
+      muestra_valida = true,
+      estado = 'finalizada',
+      finalizada_at = now()
+  WHERE id = p_testigo
+  RETURNING * INTO v_testigo;
+
+  RETURN v_testigo;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION cancelar_medicion_testigo(p_testigo bigint)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM testigos
+  WHERE id = p_testigo
+    AND estado = 'en_curso'
+    AND (
+      user_id = auth.uid()
+      OR tiene_capacidad('testigo.resultados')
+    );
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No hay una medición en curso propia para cancelar';
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION revisar_muestra_testigo(
+  p_testigo bigint,
+  p_valida boolean,
+  p_observacion text DEFAULT NULL
+)
+RETURNS testigos
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_testigo testigos;
+  v_es_supervisor boolean;
+BEGIN
+  SELECT * INTO v_testigo
+  FROM testigos
+  WHERE id = p_testigo
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'La medición % no existe', p_testigo;
+  END IF;
+
+  v_es_supervisor := tiene_capacidad('testigo.resultados');
+
+  IF NOT v_es_supervisor THEN
+    IF v_testigo.user_id IS DISTINCT FROM auth.uid() THEN
+      RAISE EXCEPTION 'Solo un supervisor o quien registró la muestra puede revisarla';
+    END IF;
+
+    IF EXISTS (
+      SELECT 1
+      FROM profiles p
+      JOIN permisos_rol pr ON pr.usuario_tipo = p.usuario_tipo
+      WHERE p.id = v_testigo.revisada_por AND pr.capacidad = 'testigo.resultados'
+    ) THEN
+      RAISE EXCEPTION 'La muestra ya fue revisada por un supervisor';
+    END IF;
+  END IF;
+
+  IF v_testigo.estado <> 'finalizada' THEN
+    RAISE EXCEPTION 'Solo se pueden revisar mediciones finalizadas';
+  END IF;
+
+  UPDATE testigos
+  SET muestra_valida = p_valida,
+      observacion = CASE WHEN p_observacion IS NULL THEN observacion ELSE NULLIF(btrim(p_observacion), '') END,
+      revisada_por = auth.uid(),
+      revisada_at = now()
+  WHERE id = p_testigo
+  RETURNING * INTO v_testigo;
+
+  RETURN v_testigo;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION cerrar_mediciones_vencidas(integer) TO authenticated;
+GRANT EXECUTE ON FUNCTION iniciar_medicion_testigo(integer, integer) TO authenticated;
+GRANT EXECUTE ON FUNCTION finalizar_medicion_testigo(bigint, integer) TO authenticated;
+GRANT EXECUTE ON FUNCTION cancelar_medicion_testigo(bigint) TO authenticated;
+GRANT EXECUTE ON FUNCTION revisar_muestra_testigo(bigint, boolean, text) TO authenticated;
@@ -0,0 +1,60 @@
+/*
+  # Cronograma de muestreo de Mesa Testigo
+
+  1. Nueva tabla
+    - `testigos_cronograma` (un cronograma por mesa)
+      - `mesa_numero` (integer, clave primaria) - Mesa a muestrear
+      - `intervalo_minutos` (integer) - Cada cuánto se toma una muestra (15 a 240)
+      - `hora_desde` (time) - Inicio del muestreo; NULL usa la apertura del comicio
+      - `hora_hasta` (time) - Fin del muestreo; NULL usa el cierre del comicio
+      - `updated_at`, `updated_by`
+
+  2. Seguridad
+    - RLS habilitado
+    - Lectura para cualquier usuario autenticado (el fiscal ve el cronograma
+      de su mesa y recibe los recordatorios)
+    - Alta, modificación y baja solo para supervisores de Mesa Testigo
+      (`tiene_capacidad('testigo.resultados')`)
+
+  3. Notas
+    - Los turnos no se guardan: se calculan en la aplicación a partir del
+      intervalo y el horario (ver `src/utils/testigosCronograma.js`). Un turno
+      se cumple con una medición iniciada dentro de él, en el día del comicio.
+    - Cambiar el intervalo o el horario recalcula los turnos, también los ya
+      transcurridos.
+*/
+
+CREATE TABLE IF NOT EXISTS testigos_cronograma (
+  mesa_numero integer PRIMARY KEY REFERENCES mesas(numero) ON DELETE CASCADE,
+  intervalo_minutos integer NOT NULL CHECK (intervalo_minutos BETWEEN 15 AND 240),
+  hora_desde time,
+  hora_hasta time,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  updated_by uuid REFERENCES profiles(id) DEFAULT auth.uid(),
+  CONSTRAINT testigos_cronograma_horario_valido CHECK (
+    hora_desde IS NULL OR hora_hasta IS NULL OR hora_hasta > hora_desde
+  )
+);
+
+ALTER TABLE testigos_cronograma ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Usuarios autenticados leen cronogramas de testigos"
+  ON testigos_cronograma FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Supervisores crean cronogramas de testigos"
+  ON testigos_cronograma FOR INSERT
+  TO authenticated
+  WITH CHECK (tiene_capacidad('testigo.resultados'));
+
+CREATE POLICY "Supervisores modifican cronogramas de testigos"
+  ON testigos_cronograma FOR UPDATE
+  TO authenticated
+  USING (tiene_capacidad('testigo.resultados'))
+  WITH CHECK (tiene_capacidad('testigo.resultados'));
+
+CREATE POLICY "Supervisores eliminan cronogramas de testigos"
+  ON testigos_cronograma FOR DELETE
+  TO authenticated
+  USING (tiene_capacidad('testigo.resultados'));
@@ -0,0 +1,135 @@
+/*
+  # Estadísticas agregadas en el servidor
+
+  1. Funciones
+    - `estadisticas_participacion(p_dimension text)` devuelve empadronados y
+      votantes agrupados por una dimensión, una fila por grupo:
+      - 'mesa', 'localidad', 'establecimiento': de los totales de `mesas`
+        (los mantienen los triggers de 20261019190000_totales_mesas.sql)
+      - 'sexo', 'clase', 'emopick': contando `padron` en una sola consulta
+      Columnas: `clave` (NULL = sin dato), `etiqueta` (nombre del
+      establecimiento o display del emopick; si no, la clave), `localidad`
+      (para mesa y establecimiento), `empadronados`, `votaron`.
+    - `estadisticas_votos_por_hora(p_zona_horaria text)` cuenta los votos
+      marcados por hora del día en la zona horaria indicada (la del
+      navegador; por defecto America/Argentina/Buenos_Aires).
+
+  2. Índice
+    - `padron_voto_pick_at_idx`: votos marcados por hora, parcial sobre
+      `voto_emitido`.
+
+  3. Seguridad
+    - SECURITY INVOKER: se aplican las políticas de `padron` y `mesas` del
+      usuario que consulta.
+
+  4. Notas
+    - Solo cuentan las mesas con empadronados y los votantes de una mesa
+      existente, como `loadTotalesMesas`: los totales de todas las
+      dimensiones coinciden.
+    - Reemplazan a las consultas que traían todo el padrón al navegador
+      (limitadas por el máximo de filas de PostgREST). El cliente las cachea
+      en `src/services/estadisticasService.js`.
+*/
+
+CREATE INDEX IF NOT EXISTS padron_voto_pick_at_idx
+  ON padron (voto_pick_at)
+  WHERE voto_emitido;
+
+CREATE OR REPLACE FUNCTION estadisticas_participacion(p_dimension text)
+RETURNS TABLE (
+  clave text,
+  etiqueta text,
+  localidad text,
+  empadronados bigint,
+  votaron bigint
+)
+LANGUAGE plpgsql
+STABLE
+SET search_path = public
+AS $$
+BEGIN
+  IF p_dimension = 'mesa' THEN
+    RETURN QUERY
+      SELECT m.numero::text, e.nombre, m.mesa_localidad,
+             m.total_empadronados::bigint, COALESCE(m.total_votaron, 0)::bigint
+      FROM mesas m
+      LEFT JOIN establecimientos e ON e.id = m.establecimiento_id
+      WHERE m.total_empadronados > 0
+      ORDER BY m.numero;
+
+  ELSIF p_dimension = 'localidad' THEN
+    RETURN QUERY
+      SELECT m.mesa_localidad, m.mesa_localidad, m.mesa_localidad,
+             sum(m.total_empadronados)::bigint, sum(COALESCE(m.total_votaron, 0))::bigint
+      FROM mesas m
+      WHERE m.total_empadronados > 0
+      GROUP BY m.mesa_localidad
+      ORDER BY m.mesa_localidad;
+
+  ELSIF p_dimension = 'establecimiento' THEN
+    RETURN QUERY
+      SELECT e.id::text, e.nombre, min(m.mesa_localidad),
+             sum(m.total_empadronados)::bigint, sum(COALESCE(m.total_votaron, 0))::bigint
+      FROM mesas m
+      LEFT JOIN establecimientos e ON e.id = m.establecimiento_id
+      WHERE m.total_empadronados > 0
+      GROUP BY e.id, e.nombre
+      ORDER BY e.nombre;
+
+  ELSIF p_dimension = 'sexo' THEN
+    RETURN QUERY
+      SELECT p.sexo::text, p.sexo::text, NULL::text,
+             count(*), count(*) FILTER (WHERE p.voto_emitido)
+      FROM padron p
+      JOIN mesas m ON m.numero = p.mesa_numero
+      GROUP BY p.sexo
+      ORDER BY p.sexo;
+
+  ELSIF p_dimension = 'clase' THEN
+    RETURN QUERY
+      SELECT p.clase::text, p.clase::text, NULL::text,
+             count(*), count(*) FILTER (WHERE p.voto_emitido)
+      FROM padron p
+      JOIN mesas m ON m.numero = p.mesa_numero
+      GROUP BY p.clase
+      ORDER BY p.clase;
+
+  ELSIF p_dimension = 'emopick' THEN
+    RETURN QUERY
+      SELECT p.emopick_id::text, ep.display, NULL::text,
+             count(*), count(*) FILTER (WHERE p.voto_emitido)
+      FROM padron p
+      JOIN mesas m ON m.numero = p.mesa_numero
+      LEFT JOIN emopicks ep ON ep.id = p.emopick_id
+      GROUP BY p.emopick_id, ep.display
+      ORDER BY p.emopick_id;
+
+  ELSE
+    RAISE EXCEPTION 'Dimensión de estadísticas no válida: %', p_dimension;
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION estadisticas_votos_por_hora(
+  p_zona_horaria text DEFAULT 'America/Argentina/Buenos_Aires'
+)
+RETURNS TABLE (
+  hora integer,
+  votos bigint
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT extract(hour FROM p.voto_pick_at AT TIME ZONE p_zona_horaria)::integer AS hora,
+         count(*) AS votos
+  FROM padron p
+  JOIN mesas m ON m.numero = p.mesa_numero
+  WHERE p.voto_emitido
+    AND p.voto_pick_at IS NOT NULL
+  GROUP BY 1
+  ORDER BY 1;
+$$;
+
+GRANT EXECUTE ON FUNCTION estadisticas_participacion(text) TO authenticated;
+GRANT EXECUTE ON FUNCTION estadisticas_votos_por_hora(text) TO authenticated;